@@ -1,8 +1,17 @@
 // netlify/functions/create_payment_intent.js
-// Creates Stripe payment intent for era purchases
+// Creates Stripe payment intent for era, pass pack and bundle purchases
+// v0.2.0: Products from game-config.json (utils/products.js)
+//         - { productId } sells a pass pack or the exclusive eras bundle - the price comes
+//           from game-config, never from the request
+//         - { priceId, eraId } still sells one era
+//         - giftEmail makes it a gift: stripe_webhook.js turns it into a voucher for that address
+//         - metadata.product tells the webhook what to credit
 
-const version = 'v0.1.0'
+const version = 'v0.2.0'
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { PRODUCT_TYPES, getProduct } = require('./utils/products');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 exports.handler = async (event, context) => {
   // Only allow POST requests
@@ -14,28 +23,73 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    const { priceId, userId, eraId } = JSON.parse(event.body);
+    const { priceId, userId, eraId, productId, giftEmail } = JSON.parse(event.body);
 
-      // ADD THIS LOGGING:
-      console.log('Received payment intent request:');
+      console.log(`[PAYMENT ${version}] Received payment intent request:`);
+      console.log('  productId:', productId);
       console.log('  priceId:', priceId);
       console.log('  userId:', userId);
       console.log('  eraId:', eraId);
+      console.log('  giftEmail:', giftEmail);
+
+    // What is being bought - a game-config product, or one era
+    let metadata;
+    let chargedPriceId;
+    if (productId) {
+      const product = getProduct(productId);
+      if (!userId || !product) {
+        console.error('Validation failed - missing userId or unknown product', productId);
+        return {
+          statusCode: 400,
+          body: JSON.stringify({ error: `Missing userId or unknown product: ${productId}` }),
+        };
+      }
 
+      chargedPriceId = product.stripe_price_id;
+      metadata = {
+        userId: userId,
+        product: product.type,
+        productId: product.id,
+        productLabel: product.label,
+        priceId: chargedPriceId
+      };
+      if (product.type === PRODUCT_TYPES.PASS_PACK) {
+        metadata.passes = String(product.passes);
+      }
+    } else {
       // Validate required fields
-    if (!priceId || !userId || !eraId) {
+      if (!priceId || !userId || !eraId) {
         console.error('Validation failed - missing fields');
 
-      return {
-        statusCode: 400,
-        body: JSON.stringify({
-          error: 'Missing required fields: priceId, userId, eraId'
-        }),
+        return {
+          statusCode: 400,
+          body: JSON.stringify({
+            error: 'Missing required fields: priceId, userId, eraId'
+          }),
+        };
+      }
+
+      chargedPriceId = priceId;
+      metadata = {
+        userId: userId,
+        eraId: eraId,
+        product: PRODUCT_TYPES.ERA_UNLOCK,
+        priceId: priceId
       };
     }
 
+    if (giftEmail) {
+      if (!EMAIL_PATTERN.test(giftEmail.trim())) {
+        return {
+          statusCode: 400,
+          body: JSON.stringify({ error: 'Invalid gift email address' }),
+        };
+      }
+      metadata.giftEmail = giftEmail.trim().toLowerCase();
+    }
+
     // Get price details from Stripe
-    const price = await stripe.prices.retrieve(priceId);
+    const price = await stripe.prices.retrieve(chargedPriceId);
     
     if (!price) {
       return {
@@ -48,12 +102,7 @@ exports.handler = async (event, context) => {
     const paymentIntent = await stripe.paymentIntents.create({
       amount: price.unit_amount, // Amount in cents
       currency: 'usd',
-      metadata: {
-        userId: userId,
-        eraId: eraId,
-        product: 'era_unlock',
-        priceId: priceId
-      },
+      metadata,
       automatic_payment_methods: {
         enabled: true,
       },
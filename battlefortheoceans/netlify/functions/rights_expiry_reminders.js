@@ -0,0 +1,189 @@
+// netlify/functions/rights_expiry_reminders.js
+// Copyright(c) 2025, Clint H. O'Connor
+// Scheduled daily (netlify.toml) - emails players whose era access is about to lapse
+// v0.1.0: Renewal reminders for era rights expiring within rights_expiry.expiring_soon_days
+//         - One email per player listing every lapsing era (Brevo BREVO_EXPIRY_TEMPLATE_ID)
+//         - Each right is reminded once - expiry_reminder_sent_at (supabase-functions/add_rights_expiry.sql)
+//         - Skipped: revoked rights, used-up count vouchers, eras the player already renewed
+//           (another era right for the same era lasting past the window)
+//         - A failed email is logged and tried again on the next run
+//         - sendExpiryReminders(deps, now) takes the clients as arguments so
+//           scripts/test-expiry-reminders.js can run it against a stand-in Supabase
+
+const { createClient } = require('@supabase/supabase-js');
+const { policy, DAY_MS } = require('./utils/rightsExpiry');
+
+const version = 'v0.1.0';
+
+// Clients are created on first use so the module loads without env (local runs)
+let defaultDeps = null;
+function getDefaultDeps() {
+  if (!defaultDeps) {
+    defaultDeps = {
+      // Service key - reads every player's rights
+      supabase: createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY),
+      sendEmail: (options) => require('./utils/brevo').sendTemplateEmail(options)
+    };
+  }
+  return defaultDeps;
+}
+
+// What the email calls a right's rights_value
+function eraLabel(rightsValue) {
+  if (rightsValue === 'era') {
+    return 'All exclusive eras';
+  }
+  return rightsValue.charAt(0).toUpperCase() + rightsValue.slice(1);
+}
+
+/**
+ * Build the Netlify handler
+ * @param {Function} getDeps - Returns { supabase, sendEmail }
+ */
+function createHandler(getDeps = getDefaultDeps) {
+  return async () => {
+    if (!process.env.BREVO_EXPIRY_TEMPLATE_ID) {
+      console.log(`[REMINDERS ${version}] BREVO_EXPIRY_TEMPLATE_ID not set - no reminders sent`);
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ skipped: true }),
+      };
+    }
+
+    try {
+      const summary = await sendExpiryReminders(getDeps());
+      return {
+        statusCode: 200,
+        body: JSON.stringify(summary),
+      };
+    } catch (error) {
+      console.error(`[REMINDERS ${version}] Reminder run failed:`, error);
+      return {
+        statusCode: 500,
+        body: JSON.stringify({ error: 'Reminder run failed' }),
+      };
+    }
+  };
+}
+
+/**
+ * Email every player with era rights lapsing within the expiring soon window
+ * @param {Object} deps - { supabase, sendEmail }
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { lapsing, players, reminded }
+ */
+async function sendExpiryReminders(deps = getDefaultDeps(), now = new Date()) {
+  const { supabase } = deps;
+  const windowEnd = new Date(now.getTime() + policy.expiring_soon_days * DAY_MS).toISOString();
+
+  const { data: expiring, error } = await supabase
+    .from('user_rights')
+    .select('id, player_id, rights_value, uses_remaining, expires_at')
+    .eq('rights_type', 'era')
+    .is('revoked_at', null)
+    .is('expiry_reminder_sent_at', null)
+    .gt('expires_at', now.toISOString())
+    .lte('expires_at', windowEnd);
+
+  if (error) {
+    throw error;
+  }
+
+  // A used-up count voucher has nothing left to lapse
+  const lapsing = expiring.filter(right => right.uses_remaining !== 0);
+
+  const byPlayer = new Map();
+  lapsing.forEach(right => {
+    if (!byPlayer.has(right.player_id)) {
+      byPlayer.set(right.player_id, []);
+    }
+    byPlayer.get(right.player_id).push(right);
+  });
+
+  let reminded = 0;
+  for (const [playerId, rights] of byPlayer) {
+    if (await remindPlayer(playerId, rights, windowEnd, now, deps)) {
+      reminded++;
+    }
+  }
+
+  console.log(`[REMINDERS ${version}] ${lapsing.length} rights lapsing, ${reminded} of ${byPlayer.size} players reminded`);
+  return { lapsing: lapsing.length, players: byPlayer.size, reminded };
+}
+
+/**
+ * Send one player's reminder and mark the rights it covers
+ * @returns {Promise<boolean>} True when an email went out
+ */
+async function remindPlayer(playerId, rights, windowEnd, now, deps) {
+  const { supabase } = deps;
+
+  // Renewed eras - a later right for the same era outlasts the window
+  const { data: lasting, error: lastingError } = await supabase
+    .from('user_rights')
+    .select('rights_value')
+    .eq('player_id', playerId)
+    .eq('rights_type', 'era')
+    .is('revoked_at', null)
+    .gt('expires_at', windowEnd);
+
+  if (lastingError) {
+    throw lastingError;
+  }
+
+  const renewed = new Set(lasting.map(right => right.rights_value));
+  const toRemind = rights.filter(right => !renewed.has(right.rights_value));
+  if (toRemind.length === 0) {
+    return false;
+  }
+
+  const { data: profile, error: profileError } = await supabase
+    .from('user_profiles')
+    .select('email, game_name')
+    .eq('id', playerId)
+    .single();
+
+  if (profileError || !profile?.email) {
+    console.error(`[REMINDERS ${version}] No email for player ${playerId}:`, profileError);
+    return false;
+  }
+
+  const soonest = toRemind.reduce((min, right) => (right.expires_at < min ? right.expires_at : min), toRemind[0].expires_at);
+  const eras = [...new Set(toRemind.map(right => eraLabel(right.rights_value)))];
+
+  try {
+    await deps.sendEmail({
+      to: [{ email: profile.email, name: profile.game_name }],
+      templateId: process.env.BREVO_EXPIRY_TEMPLATE_ID,
+      params: {
+        GAME_NAME: profile.game_name,
+        ERAS: eras.join(', '),
+        EXPIRES_AT: soonest.slice(0, 10),
+        DAYS_LEFT: Math.ceil((new Date(soonest) - now) / DAY_MS),
+        RENEW_URL: process.env.URL || 'https://battlefortheoceans.com'
+      }
+    });
+  } catch (emailError) {
+    console.error(`[REMINDERS ${version}] Reminder email to ${profile.email} failed:`, emailError.message);
+    return false;
+  }
+
+  const { error: markError } = await supabase
+    .from('user_rights')
+    .update({ expiry_reminder_sent_at: now.toISOString() })
+    .in('id', toRemind.map(right => right.id));
+
+  if (markError) {
+    // The email went out - worst case it goes again tomorrow
+    console.error(`[REMINDERS ${version}] Could not mark reminders for ${playerId}:`, markError);
+  }
+
+  console.log(`[REMINDERS ${version}] Reminded ${profile.email}: ${eras.join(', ')} (from ${soonest.slice(0, 10)})`);
+  return true;
+}
+
+exports.handler = createHandler();
+exports.createHandler = createHandler;
+exports.sendExpiryReminders = sendExpiryReminders;
+
+// EOF
@@ -1,5 +1,6 @@
 // netlify/functions/send-invite.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.2.1: Brevo client moved to utils/brevo.js (shared with stripe_webhook.js)
 // v0.2.0: Simplified to match GetAccessPage parameters
 //         - Accepts: friendEmail, senderName, senderEmail, voucherCode, eraName
 //         - Removed: voucher generation (handled by frontend)
@@ -15,15 +16,9 @@
 //         - Sends email with guest voucher
 //         - Returns voucher details to frontend
 
-const SibApiV3Sdk = require('sib-api-v3-sdk');
+const { sendTemplateEmail, parseTemplateId } = require('./utils/brevo');
 
-const version = 'v0.2.0';
-
-// Brevo client
-const defaultClient = SibApiV3Sdk.ApiClient.instance;
-const apiKey = defaultClient.authentications['api-key'];
-apiKey.apiKey = process.env.BREVO_API_KEY;
-const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
+const version = 'v0.2.1';
 
 /**
  * Main handler
@@ -72,30 +67,26 @@ exports.handler = async (event) => {
     // Build voucher link
     const voucherLink = `https://battlefortheoceans.com/redeem/${voucherCode}`;
     
-    // Send email via Brevo
-    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
-    sendSmtpEmail.to = [{ email: friendEmail }];
-    sendSmtpEmail.cc = [{ email: senderEmail }]; // CC sender so they get a copy
-    
     // Template ID can be numeric or string identifier
     const templateId = process.env.BREVO_INVITE_TEMPLATE_ID;
-    // If it's a number, parse it; otherwise use as-is
-    const parsedTemplateId = isNaN(templateId) ? templateId : parseInt(templateId, 10);
+    const parsedTemplateId = parseTemplateId(templateId);
     
     console.log(`[INVITE ${version}] Template ID from env:`, templateId);
     console.log(`[INVITE ${version}] Parsed template ID:`, parsedTemplateId);
     console.log(`[INVITE ${version}] Type:`, typeof parsedTemplateId);
     
-    sendSmtpEmail.templateId = parsedTemplateId;
-    
-    sendSmtpEmail.params = {
-      SENDER_NAME: senderName,
-      ERA_NAME: eraName,
-      VOUCHER_CODE: voucherCode,
-      VOUCHER_LINK: voucherLink
-    };
-    
-    await apiInstance.sendTransacEmail(sendSmtpEmail);
+    // Send email via Brevo, CC sender so they get a copy
+    await sendTemplateEmail({
+      to: [{ email: friendEmail }],
+      cc: [{ email: senderEmail }],
+      templateId,
+      params: {
+        SENDER_NAME: senderName,
+        ERA_NAME: eraName,
+        VOUCHER_CODE: voucherCode,
+        VOUCHER_LINK: voucherLink
+      }
+    });
     
     console.log(`[INVITE ${version}] Email sent successfully to ${friendEmail} (CC: ${senderEmail})`);
     
@@ -1,142 +1,625 @@
 // netlify/functions/stripe_webhook.js
 // Copyright(c) 2025, Clint H. O'Connor
 // Handles Stripe webhook events and grants user rights
+// v0.2.5: Gift vouchers come from the generate_gift_voucher RPC, which returns the voucher already
+//         generated for the payment intent - a crash after generating, then a retry, made a second
+//         voucher (supabase-functions/add_gift_voucher_payment_intent.sql)
+// v0.2.4: A full refund or dispute of a gift revokes it - the voucher while unredeemed
+//         (vouchers.revoked_at), otherwise the user_rights row it was redeemed for (voucher_used)
+// v0.2.3: A 'processing' claim older than PROCESSING_TIMEOUT_MS is taken over - a crash or
+//         timeout mid-event no longer answers 409 to every retry (payment_events.claimed_at)
+// v0.2.2: Expiry from game-config rights_expiry (utils/rightsExpiry.js) - era purchases
+//         were a fixed 365 days while RightsService.grantEraAccess gave two years
+// v0.2.1: Pass packs, the exclusive eras bundle and gifts (metadata.product from create_payment_intent v0.2.0)
+//         - pass_pack credits a 'bundle' pass row (metadata.passes, two years - as RightsService.creditPasses)
+//         - era_bundle grants the generic 'era' right every exclusive era accepts
+//         - metadata.giftEmail grants nothing to the buyer: a voucher is generated with the
+//           generate_voucher RPC (as VoucherService.generateVoucher) and emailed to the recipient
+//           (BREVO_GIFT_TEMPLATE_ID); its code is kept on the payment_events row
+//         - A refunded gift is not revoked - the voucher code on the audit row is the trail
+// v0.2.0: Idempotent webhook with refund, dispute and failure handling
+//         - Every event is claimed in payment_events by its Stripe event id before it is handled -
+//           a retried delivery of a handled event returns 200 without granting access again,
+//           a failed one is handled again (supabase-functions/add_payment_events.sql)
+//         - payment_intent.succeeded skips the insert when the payment intent already has rights
+//         - charge.refunded (full refund) and charge.dispute.created expire the purchase's
+//           user_rights row and mark it revoked (revoked_at, revoked_reason)
+//         - payment_intent.payment_failed is recorded with Stripe's decline message
+//         - sendConfirmationEmail() sends BREVO_PURCHASE_TEMPLATE_ID through utils/brevo.js
+//         - processStripeEvent(stripeEvent, deps) takes the clients as arguments so
+//           scripts/test-stripe-webhook.js can replay fixture events against a stand-in Supabase
 
-const version = 'v0.1.1';
-
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { createClient } = require('@supabase/supabase-js');
+const { PRODUCT_TYPES, giftVoucherFor } = require('./utils/products');
+const { expiresAt: expiryFor } = require('./utils/rightsExpiry');
+
+const version = 'v0.2.5';
+
+const UNIQUE_VIOLATION = '23505'; // Postgres error code - event id already claimed
 
-// Initialize Supabase client with service key for server operations
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
-
-exports.handler = async (event, context) => {
-  // Only allow POST requests
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      body: JSON.stringify({ error: 'Method not allowed' }),
+// A claim this old outlived its function run (Netlify stops functions long before)
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Clients are created on first use so the module loads without env (local fixture runs)
+let defaultDeps = null;
+function getDefaultDeps() {
+  if (!defaultDeps) {
+    defaultDeps = {
+      stripe: require('stripe')(process.env.STRIPE_SECRET_KEY),
+      // Service key for server operations
+      supabase: createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY),
+      sendEmail: (options) => require('./utils/brevo').sendTemplateEmail(options)
     };
   }
+  return defaultDeps;
+}
 
-  const sig = event.headers['stripe-signature'];
-  let stripeEvent;
+/**
+ * Build the Netlify handler
+ * @param {Function} getDeps - Returns { stripe, supabase, sendEmail }
+ */
+function createHandler(getDeps = getDefaultDeps) {
+  return async (event, context) => {
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+      return {
+        statusCode: 405,
+        body: JSON.stringify({ error: 'Method not allowed' }),
+      };
+    }
 
-  try {
-    // Verify webhook signature
-    stripeEvent = stripe.webhooks.constructEvent(
-      event.body,
-      sig,
-      process.env.STRIPE_WEBHOOK_SECRET
-    );
-  } catch (err) {
-    console.error(`Webhook signature verification failed:`, err.message);
-    return {
-      statusCode: 400,
-      body: JSON.stringify({ error: `Webhook Error: ${err.message}` }),
-    };
+    const deps = getDeps();
+    const sig = event.headers['stripe-signature'];
+    let stripeEvent;
+
+    try {
+      // Verify webhook signature
+      stripeEvent = deps.stripe.webhooks.constructEvent(
+        event.body,
+        sig,
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
+    } catch (err) {
+      console.error(`[WEBHOOK ${version}] Signature verification failed:`, err.message);
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: `Webhook Error: ${err.message}` }),
+      };
+    }
+
+    try {
+      const outcome = await processStripeEvent(stripeEvent, deps);
+
+      if (outcome.inFlight) {
+        // Another delivery is still working on it - Stripe retries later
+        return {
+          statusCode: 409,
+          body: JSON.stringify({ error: 'Event is already being processed' }),
+        };
+      }
+
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ received: true, duplicate: outcome.duplicate }),
+      };
+
+    } catch (error) {
+      console.error(`[WEBHOOK ${version}] Error processing webhook:`, error);
+      return {
+        statusCode: 500,
+        body: JSON.stringify({ error: 'Webhook processing failed' }),
+      };
+    }
+  };
+}
+
+/**
+ * Handle a verified Stripe event once
+ * @param {Object} stripeEvent - Stripe event ({ id, type, data: { object } })
+ * @param {Object} deps - { stripe, supabase, sendEmail }
+ * @returns {Promise<Object>} { duplicate, inFlight, status } - throws when handling failed
+ */
+async function processStripeEvent(stripeEvent, deps = getDefaultDeps()) {
+  const { supabase } = deps;
+
+  const claim = await claimEvent(supabase, stripeEvent);
+  if (claim !== 'claimed') {
+    console.log(`[WEBHOOK ${version}] Event ${stripeEvent.id} (${stripeEvent.type}) is ${claim} - skipped`);
+    return { duplicate: claim === 'duplicate', inFlight: claim === 'in-flight', status: claim };
   }
 
-  // Handle the event
   try {
+    let result;
     switch (stripeEvent.type) {
       case 'payment_intent.succeeded':
-        await handlePaymentSuccess(stripeEvent.data.object);
+        result = await handlePaymentSuccess(stripeEvent.data.object, deps);
         break;
-      
+
       case 'payment_intent.payment_failed':
-        await handlePaymentFailed(stripeEvent.data.object);
+        result = await handlePaymentFailed(stripeEvent.data.object);
+        break;
+
+      case 'charge.refunded':
+        result = await handleChargeRefunded(stripeEvent.data.object, deps);
+        break;
+
+      case 'charge.dispute.created':
+        result = await handleDisputeCreated(stripeEvent.data.object, deps);
         break;
-      
+
       default:
-        console.log(`Unhandled event type: ${stripeEvent.type}`);
+        console.log(`[WEBHOOK ${version}] Unhandled event type: ${stripeEvent.type}`);
+        result = { status: 'ignored' };
     }
 
-    return {
-      statusCode: 200,
-      body: JSON.stringify({ received: true }),
-    };
+    await finishEvent(supabase, stripeEvent.id, result);
+    return { duplicate: false, inFlight: false, status: result.status };
 
   } catch (error) {
-    console.error('Error processing webhook:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: 'Webhook processing failed' }),
-    };
+    await finishEvent(supabase, stripeEvent.id, { status: 'failed', error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Record the event in payment_events - the primary key on stripe_event_id makes this the lock
+ * A failed event, or one stuck in 'processing' past PROCESSING_TIMEOUT_MS, is claimed again
+ * @returns {Promise<string>} 'claimed', 'duplicate' (already handled) or 'in-flight'
+ */
+async function claimEvent(supabase, stripeEvent) {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('payment_events')
+    .insert({
+      stripe_event_id: stripeEvent.id,
+      event_type: stripeEvent.type,
+      status: 'processing',
+      created_at: now,
+      claimed_at: now
+    });
+
+  if (!error) {
+    return 'claimed';
+  }
+  if (error.code !== UNIQUE_VIOLATION) {
+    throw error;
+  }
+
+  // Seen before - only a failed or abandoned attempt is handled again
+  const { data: existing, error: fetchError } = await supabase
+    .from('payment_events')
+    .select('status, claimed_at')
+    .eq('stripe_event_id', stripeEvent.id)
+    .single();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+  if (existing.status === 'processing') {
+    const claimedAt = new Date(existing.claimed_at).getTime();
+    if (Date.now() - claimedAt < PROCESSING_TIMEOUT_MS) {
+      return 'in-flight';
+    }
+    console.log(`[WEBHOOK ${version}] Event ${stripeEvent.id} stuck in processing since ${existing.claimed_at} - claiming it again`);
+  } else if (existing.status !== 'failed') {
+    return 'duplicate';
+  }
+
+  // Conditional update - of two retries racing for the event, only one gets it back
+  const { data: reclaimed, error: updateError } = await supabase
+    .from('payment_events')
+    .update({ status: 'processing', error: null, claimed_at: new Date().toISOString() })
+    .eq('stripe_event_id', stripeEvent.id)
+    .eq('status', existing.status)
+    .eq('claimed_at', existing.claimed_at)
+    .select('stripe_event_id');
+
+  if (updateError) {
+    throw updateError;
+  }
+  return reclaimed.length > 0 ? 'claimed' : 'in-flight';
+}
+
+/**
+ * Store the outcome on the event's audit row
+ * Logged, not thrown - the work is done, and a retry would only find the row 'processing'
+ */
+async function finishEvent(supabase, eventId, result) {
+  const { error } = await supabase
+    .from('payment_events')
+    .update({ ...result, processed_at: new Date().toISOString() })
+    .eq('stripe_event_id', eventId);
+
+  if (error) {
+    console.error(`[WEBHOOK ${version}] Could not record outcome for ${eventId}:`, error);
   }
-};
+}
+
+/**
+ * The user_rights row a purchase grants, from the payment intent metadata
+ * @param {Object} metadata - { product, eraId, passes }
+ * @returns {Object} { rights_type, rights_value, uses_remaining }
+ */
+function rightsFor(metadata) {
+  switch (metadata.product) {
+    case PRODUCT_TYPES.PASS_PACK:
+      return { rights_type: 'pass', rights_value: 'bundle', uses_remaining: parseInt(metadata.passes, 10) };
+    case PRODUCT_TYPES.ERA_BUNDLE:
+      return { rights_type: 'era', rights_value: 'era', uses_remaining: -1 };
+    default:
+      return { rights_type: 'era', rights_value: metadata.eraId, uses_remaining: -1 };
+  }
+}
 
 // Handle successful payment
-async function handlePaymentSuccess(paymentIntent) {
-  const { userId, eraId } = paymentIntent.metadata || {};
-  if (!userId || !eraId) {
+async function handlePaymentSuccess(paymentIntent, deps) {
+  const { supabase } = deps;
+  // Payment intents from before v0.2.1 carry no product - they were all single eras
+  const metadata = { product: PRODUCT_TYPES.ERA_UNLOCK, ...paymentIntent.metadata };
+  const { userId, eraId } = metadata;
+  if (!userId || (metadata.product === PRODUCT_TYPES.ERA_UNLOCK && !eraId)) {
     console.error('Missing metadata on payment intent, cannot grant access', paymentIntent.id);
     throw new Error('Payment metadata missing userId or eraId');
   }
-  
-  console.log(`Payment succeeded for user ${userId}, era ${eraId}`);
-  
+  if (!Object.values(PRODUCT_TYPES).includes(metadata.product)) {
+    throw new Error(`Unknown product on payment metadata: ${metadata.product}`);
+  }
+
+  const rights = rightsFor(metadata);
+  if (rights.rights_type === 'pass' && !(rights.uses_remaining > 0)) {
+    throw new Error(`Payment metadata has no pass count: ${metadata.passes}`);
+  }
+
+  const productName = metadata.productLabel || eraId;
+  const audit = {
+    payment_intent_id: paymentIntent.id,
+    player_id: userId,
+    rights_value: rights.rights_value,
+    product_id: metadata.productId || null,
+    amount: paymentIntent.amount_received ?? paymentIntent.amount,
+    currency: paymentIntent.currency
+  };
+
+  console.log(`Payment succeeded for user ${userId}, ${productName}${metadata.giftEmail ? ` (gift for ${metadata.giftEmail})` : ''}`);
+
+  if (metadata.giftEmail) {
+    return handleGiftPurchase(paymentIntent, metadata, audit, deps);
+  }
+
+  // A payment intent grants access once, whatever event delivered it
+  const { data: existing, error: existingError } = await supabase
+    .from('user_rights')
+    .select('id')
+    .eq('stripe_payment_intent_id', paymentIntent.id)
+    .limit(1);
+
+  if (existingError) {
+    throw existingError;
+  }
+  if (existing.length > 0) {
+    console.log(`Rights for payment ${paymentIntent.id} already granted (id=${existing[0].id})`);
+    return { status: 'ignored', ...audit };
+  }
+
+  const now = new Date();
+  const expiresAt = expiryFor(rights.rights_type, now);
+
+  // Grant the era, bundle or passes in user_rights table
+  const { error } = await supabase
+    .from('user_rights')
+    .insert({
+      player_id: userId,
+      rights_type: rights.rights_type,
+      rights_value: rights.rights_value,
+      uses_remaining: rights.uses_remaining, // -1 = unlimited (eras), pass count (pass packs)
+      expires_at: expiresAt,
+      stripe_payment_intent_id: paymentIntent.id,
+      created_at: now.toISOString(),
+      updated_at: now.toISOString()
+    });
+
+  if (error) {
+    console.error('Error granting access:', error);
+    throw error;
+  }
+
+  console.log(`Successfully granted ${productName} to user ${userId}`);
+
+  // Access is granted - a failed email must not fail the event (Stripe would retry it)
   try {
-    // Grant era access in user_rights table
-      const { data, error } = await supabase
-      .from('user_rights')
-      .insert({
-          player_id: userId,
-        rights_type: 'era',
-        rights_value: eraId,
-        uses_remaining: -1, // Unlimited uses
-        expires_at: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(), // 1 year from now
-        stripe_payment_intent_id: paymentIntent.id,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      });
-
-    if (error) {
-      console.error('Error granting era access:', error);
-      throw error;
-    }
+    await sendConfirmationEmail(userId, { eraId, productName }, expiresAt, deps);
+  } catch (emailError) {
+    console.error(`[WEBHOOK ${version}] Confirmation email failed:`, emailError.message);
+  }
 
-    console.log(`Successfully granted ${eraId} access to user ${userId}`);
-    
-    // Optional: Send confirmation email here
-    // await sendConfirmationEmail(userId, eraId);
-    
-  } catch (error) {
-    console.error('Failed to grant era access:', error);
+  return { status: 'processed', ...audit };
+}
+
+/**
+ * Gift purchase - the buyer pays, the recipient gets a voucher by email
+ * The voucher is bound to the recipient's email and cannot be redeemed by its creator (the buyer)
+ * @returns {Promise<Object>} Audit fields including voucher_code
+ */
+async function handleGiftPurchase(paymentIntent, metadata, audit, deps) {
+  const { supabase } = deps;
+
+  // A payment intent makes one voucher, whatever event delivered it
+  const { data: earlier, error: earlierError } = await supabase
+    .from('payment_events')
+    .select('voucher_code')
+    .eq('payment_intent_id', paymentIntent.id)
+    .eq('status', 'processed');
+
+  if (earlierError) {
+    throw earlierError;
+  }
+  const sent = earlier.find(row => row.voucher_code);
+  if (sent) {
+    console.log(`Gift voucher for payment ${paymentIntent.id} already generated (${sent.voucher_code})`);
+    return { status: 'ignored', ...audit };
+  }
+
+  // An attempt that crashed after generating left the voucher behind - the RPC hands it back
+  const voucher = giftVoucherFor(metadata);
+  const { data: voucherCode, error } = await supabase.rpc('generate_gift_voucher', {
+    p_stripe_payment_intent_id: paymentIntent.id,
+    p_type: voucher.type,
+    p_value: voucher.value,
+    p_created_by: metadata.userId,
+    p_email_sent_to: metadata.giftEmail
+  });
+
+  if (error) {
+    console.error('Error generating gift voucher:', error);
     throw error;
   }
+
+  console.log(`Generated gift voucher ${voucherCode} for ${metadata.giftEmail}`);
+
+  const productName = metadata.productLabel || metadata.eraId;
+  try {
+    await sendGiftEmail(metadata.userId, metadata.giftEmail, productName, voucherCode, deps);
+    await sendConfirmationEmail(metadata.userId, { eraId: metadata.eraId, productName, giftEmail: metadata.giftEmail, voucherCode }, null, deps);
+  } catch (emailError) {
+    console.error(`[WEBHOOK ${version}] Gift email failed:`, emailError.message);
+  }
+
+  return { status: 'processed', ...audit, voucher_code: voucherCode };
 }
 
-// Handle failed payment
+// Handle failed payment - recorded with the decline reason, nothing to grant or take away
 async function handlePaymentFailed(paymentIntent) {
-  const { userId, eraId } = paymentIntent.metadata;
-  
-  console.log(`Payment failed for user ${userId}, era ${eraId}`);
-  
-  // Optional: Log failed payment attempt or send notification
-  // You might want to track this for analytics
+  const { userId, eraId, productId } = paymentIntent.metadata || {};
+  const reason = paymentIntent.last_payment_error?.message || 'unknown';
+
+  console.log(`Payment failed for user ${userId}, ${productId || eraId}: ${reason}`);
+
+  return {
+    status: 'processed',
+    payment_intent_id: paymentIntent.id,
+    player_id: userId || null,
+    rights_value: eraId || null,
+    product_id: productId || null,
+    amount: paymentIntent.amount,
+    currency: paymentIntent.currency,
+    error: reason
+  };
+}
+
+// Handle refund - only a full refund takes the era away
+async function handleChargeRefunded(charge, deps) {
+  const audit = {
+    payment_intent_id: charge.payment_intent,
+    amount: charge.amount_refunded,
+    currency: charge.currency
+  };
+
+  if (!charge.refunded) {
+    console.log(`Partial refund on ${charge.payment_intent} (${charge.amount_refunded} of ${charge.amount}) - access kept`);
+    return { status: 'ignored', ...audit };
+  }
+
+  const revoked = await revokeRights(deps.supabase, charge.payment_intent, 'refund');
+  return { ...audit, ...revoked };
+}
+
+// Handle dispute (chargeback) - access ends while the money is in question
+async function handleDisputeCreated(dispute, deps) {
+  let paymentIntentId = dispute.payment_intent;
+  if (!paymentIntentId && dispute.charge) {
+    const charge = await deps.stripe.charges.retrieve(dispute.charge);
+    paymentIntentId = charge.payment_intent;
+  }
+
+  const audit = {
+    payment_intent_id: paymentIntentId || null,
+    amount: dispute.amount,
+    currency: dispute.currency
+  };
+
+  if (!paymentIntentId) {
+    console.error(`Dispute ${dispute.id} has no payment intent, cannot revoke access`);
+    return { status: 'ignored', ...audit };
+  }
+
+  const revoked = await revokeRights(deps.supabase, paymentIntentId, 'dispute');
+  return { ...audit, ...revoked };
+}
+
+// user_rights fields that end access now and record why (the rights_ledger trigger reads them)
+function revokedFields(reason, now) {
+  return {
+    expires_at: now,
+    revoked_at: now,
+    revoked_reason: reason,
+    updated_at: now
+  };
 }
 
-// Optional: Send confirmation email
-async function sendConfirmationEmail(userId, eraId) {
+/**
+ * Expire the user_rights rows a payment intent granted - or, for a gift, what the gift gave
+ * expires_at is what RightsService checks, so access ends on the player's next check
+ * @param {string} reason - 'refund' or 'dispute'
+ * @returns {Promise<Object>} Audit fields ({ status, player_id, rights_value, voucher_code? })
+ */
+async function revokeRights(supabase, paymentIntentId, reason) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('user_rights')
+    .update(revokedFields(reason, now))
+    .eq('stripe_payment_intent_id', paymentIntentId)
+    .is('revoked_at', null)
+    .select('id, player_id, rights_value');
+
+  if (error) {
+    console.error(`Error revoking rights for ${paymentIntentId}:`, error);
+    throw error;
+  }
+
+  if (data.length > 0) {
+    console.log(`Revoked ${data.map(right => right.rights_value).join(', ')} for user ${data[0].player_id} (${reason})`);
+    return { status: 'processed', player_id: data[0].player_id, rights_value: data[0].rights_value };
+  }
+
+  // A gift granted the buyer nothing - the voucher goes instead
+  const gift = await revokeGift(supabase, paymentIntentId, reason, now);
+  if (gift) {
+    return gift;
+  }
+
+  console.log(`No active rights for payment ${paymentIntentId} (${reason})`);
+  return { status: 'ignored' };
+}
+
+/**
+ * Revoke a gift purchase - the voucher while unredeemed, otherwise the rights it was redeemed for
+ * @returns {Promise<Object|null>} Audit fields, or null when the payment bought no gift or
+ *                                 nothing it gave is left to revoke
+ */
+async function revokeGift(supabase, paymentIntentId, reason, now) {
+  // handleGiftPurchase keeps the code on the payment's audit row
+  const { data: events, error } = await supabase
+    .from('payment_events')
+    .select('voucher_code, player_id')
+    .eq('payment_intent_id', paymentIntentId)
+    .eq('status', 'processed');
+
+  if (error) {
+    throw error;
+  }
+  const gift = events.find(row => row.voucher_code);
+  if (!gift) {
+    return null;
+  }
+  const audit = { player_id: gift.player_id, voucher_code: gift.voucher_code };
+
+  const { data: vouchers, error: voucherError } = await supabase
+    .from('vouchers')
+    .update({ revoked_at: now })
+    .eq('voucher_code', gift.voucher_code)
+    .is('redeemed_at', null)
+    .is('revoked_at', null)
+    .select('voucher_code');
+
+  if (voucherError) {
+    console.error(`Error revoking gift voucher ${gift.voucher_code}:`, voucherError);
+    throw voucherError;
+  }
+  if (vouchers.length > 0) {
+    console.log(`Revoked unredeemed gift voucher ${gift.voucher_code} (${reason})`);
+    return { status: 'processed', ...audit };
+  }
+
+  // Already redeemed - the recipient's rights from it end
+  const { data: rights, error: rightsError } = await supabase
+    .from('user_rights')
+    .update(revokedFields(reason, now))
+    .eq('voucher_used', gift.voucher_code)
+    .is('revoked_at', null)
+    .select('id, player_id, rights_value');
+
+  if (rightsError) {
+    console.error(`Error revoking rights from gift voucher ${gift.voucher_code}:`, rightsError);
+    throw rightsError;
+  }
+  if (rights.length === 0) {
+    return null;
+  }
+
+  console.log(`Revoked ${rights[0].rights_value} redeemed from gift voucher ${gift.voucher_code} by user ${rights[0].player_id} (${reason})`);
+  return { status: 'processed', ...audit, rights_value: rights[0].rights_value };
+}
+
+/**
+ * Send purchase confirmation email (Brevo template BREVO_PURCHASE_TEMPLATE_ID)
+ * @param {Object} purchase - { eraId, productName, giftEmail?, voucherCode? }
+ * @param {string|null} expiresAt - When the granted rights expire (null for gifts)
+ */
+async function sendConfirmationEmail(userId, purchase, expiresAt, deps) {
+  const templateId = process.env.BREVO_PURCHASE_TEMPLATE_ID;
+  if (!templateId) {
+    console.log(`BREVO_PURCHASE_TEMPLATE_ID not set - no confirmation email for ${purchase.productName}`);
+    return;
+  }
+
   // Get user profile for email
-  const { data: userProfile, error } = await supabase
+  const { data: userProfile, error } = await deps.supabase
     .from('user_profiles')
     .select('email, game_name')
     .eq('id', userId)
     .single();
 
-  if (error || !userProfile) {
+  if (error || !userProfile?.email) {
     console.error('Could not fetch user profile for email:', error);
     return;
   }
 
-  // Here you would integrate with your email service (Brevo)
-  // For now, just log that we would send an email
-  console.log(`Would send confirmation email to ${userProfile.email} for ${eraId} unlock`);
+  await deps.sendEmail({
+    to: [{ email: userProfile.email, name: userProfile.game_name }],
+    templateId,
+    params: {
+      GAME_NAME: userProfile.game_name,
+      ERA_ID: purchase.eraId || '',
+      PRODUCT: purchase.productName,
+      EXPIRES_AT: expiresAt ? expiresAt.slice(0, 10) : '',
+      GIFT_EMAIL: purchase.giftEmail || '',
+      VOUCHER_CODE: purchase.voucherCode || ''
+    }
+  });
+
+  console.log(`Sent confirmation email to ${userProfile.email} for ${purchase.productName}`);
 }
 
+// Send the gift voucher to its recipient (Brevo template BREVO_GIFT_TEMPLATE_ID)
+async function sendGiftEmail(userId, giftEmail, productName, voucherCode, deps) {
+  const templateId = process.env.BREVO_GIFT_TEMPLATE_ID;
+  if (!templateId) {
+    console.log(`BREVO_GIFT_TEMPLATE_ID not set - buyer's confirmation email carries the voucher code`);
+    return;
+  }
+
+  const { data: buyer } = await deps.supabase
+    .from('user_profiles')
+    .select('game_name')
+    .eq('id', userId)
+    .single();
+
+  await deps.sendEmail({
+    to: [{ email: giftEmail }],
+    templateId,
+    params: {
+      FROM_NAME: buyer?.game_name || 'A friend',
+      PRODUCT: productName,
+      VOUCHER_CODE: voucherCode
+    }
+  });
+
+  console.log(`Sent gift voucher email to ${giftEmail}`);
+}
+
+exports.handler = createHandler();
+exports.createHandler = createHandler;
+exports.processStripeEvent = processStripeEvent;
+
 // EOF
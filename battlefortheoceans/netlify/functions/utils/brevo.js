@@ -0,0 +1,48 @@
+// netlify/functions/utils/brevo.js
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.0: Brevo transactional email client shared by the functions
+//         - Extracted from send-invite.js v0.2.0 (client setup and template id parsing)
+//         - Used by send-invite.js and stripe_webhook.js
+
+const SibApiV3Sdk = require('sib-api-v3-sdk');
+
+const version = 'v0.1.0';
+
+// Brevo client
+const defaultClient = SibApiV3Sdk.ApiClient.instance;
+const apiKey = defaultClient.authentications['api-key'];
+apiKey.apiKey = process.env.BREVO_API_KEY;
+const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
+
+/**
+ * Template ID from an env value - numeric ids (1, 2, 3) or Brevo's string ids
+ * @param {string} templateId - Raw env value
+ * @returns {number|string}
+ */
+function parseTemplateId(templateId) {
+  return isNaN(templateId) ? templateId : parseInt(templateId, 10);
+}
+
+/**
+ * Send a Brevo template email
+ * @param {Object} options
+ * @param {Array} options.to - [{ email, name? }]
+ * @param {Array} [options.cc] - [{ email }]
+ * @param {string} options.templateId - Raw env value (parsed with parseTemplateId)
+ * @param {Object} options.params - Template parameters
+ */
+async function sendTemplateEmail({ to, cc, templateId, params }) {
+  const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+  sendSmtpEmail.to = to;
+  if (cc) {
+    sendSmtpEmail.cc = cc;
+  }
+  sendSmtpEmail.templateId = parseTemplateId(templateId);
+  sendSmtpEmail.params = params;
+
+  return apiInstance.sendTransacEmail(sendSmtpEmail);
+}
+
+module.exports = { sendTemplateEmail, parseTemplateId, version };
+
+// EOF
@@ -0,0 +1,56 @@
+// netlify/functions/utils/products.js
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.1: Gifted eras last rights_expiry.era_days (utils/rightsExpiry.js), not a fixed year
+// v0.1.0: Purchasable products shared by create_payment_intent.js and stripe_webhook.js
+//         - Pass packs and bundles are defined in public/config/game-config.json (products)
+//         - Single eras keep their price in the era config (promotional.stripe_price_id)
+//         - Gift purchases become a voucher in the same {type}-{value} format VoucherService parses
+
+const gameConfig = require('../../../public/config/game-config.json');
+const { expiryDays } = require('./rightsExpiry');
+
+const version = 'v0.1.1';
+
+// metadata.product values on the payment intent
+const PRODUCT_TYPES = {
+  ERA_UNLOCK: 'era_unlock', // One era, price from the era config
+  PASS_PACK: 'pass_pack',   // products[id].passes generic passes
+  ERA_BUNDLE: 'era_bundle'  // Every exclusive era (generic 'era' right)
+};
+
+// Gifted eras last as long as a purchased one
+const GIFT_ERA_VALUE = `days${expiryDays('era')}`;
+
+/**
+ * Product definition from game-config.json
+ * @param {string} productId - Key in game-config products
+ * @returns {Object|null} { id, type, label, passes, stripe_price_id } or null if unknown / not on sale
+ */
+function getProduct(productId) {
+  const product = gameConfig.products?.[productId];
+  if (!product || !product.stripe_price_id) {
+    return null;
+  }
+  return { id: productId, ...product };
+}
+
+/**
+ * Voucher type and value a gift of this purchase is redeemed as
+ * @param {Object} metadata - Payment intent metadata ({ product, passes, eraId })
+ * @returns {Object} { type, value } - e.g. { type: 'pass', value: '25' } or { type: 'midway', value: 'days365' }
+ */
+function giftVoucherFor(metadata) {
+  switch (metadata.product) {
+    case PRODUCT_TYPES.PASS_PACK:
+      return { type: 'pass', value: String(metadata.passes) };
+    case PRODUCT_TYPES.ERA_BUNDLE:
+      // Generic era vouchers unlock any exclusive era (RightsService.checkRights)
+      return { type: 'era', value: GIFT_ERA_VALUE };
+    default:
+      return { type: metadata.eraId, value: GIFT_ERA_VALUE };
+  }
+}
+
+module.exports = { PRODUCT_TYPES, getProduct, giftVoucherFor, version };
+
+// EOF
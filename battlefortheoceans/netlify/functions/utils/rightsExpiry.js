@@ -0,0 +1,38 @@
+// netlify/functions/utils/rightsExpiry.js
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.0: Rights expiry policy from public/config/game-config.json (rights_expiry)
+//         - The client reads the same block through RightsService.getExpiryPolicy()
+//         - Used by stripe_webhook.js (grants), utils/products.js (gift vouchers)
+//           and rights_expiry_reminders.js (reminder window)
+
+const gameConfig = require('../../../public/config/game-config.json');
+
+const version = 'v0.1.0';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// { era_days, pass_days, expiring_soon_days }
+const policy = gameConfig.rights_expiry;
+
+/**
+ * Days a right of this type lasts
+ * @param {string} rightsType - 'era' or 'pass'
+ * @returns {number}
+ */
+function expiryDays(rightsType) {
+  return rightsType === 'pass' ? policy.pass_days : policy.era_days;
+}
+
+/**
+ * When a right granted now (or at from) expires
+ * @param {string} rightsType - 'era' or 'pass'
+ * @param {Date} [from]
+ * @returns {string} ISO timestamp
+ */
+function expiresAt(rightsType, from = new Date()) {
+  return new Date(from.getTime() + expiryDays(rightsType) * DAY_MS).toISOString();
+}
+
+module.exports = { policy, expiryDays, expiresAt, DAY_MS, version };
+
+// EOF
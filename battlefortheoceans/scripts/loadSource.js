@@ -0,0 +1,58 @@
+// scripts/loadSource.js
+// Copyright(c) 2025, Clint H. O'Connor
+// Load src/ modules (ESM, webpack-style imports) from the CommonJS scripts
+// v0.1.0: Extracted from simulate-tournament.js v0.1.0 for validate-eras.js
+//         - src/**/*.js is ESM (package.json has no "type": "module")
+//         - imports omit the .js extension (webpack resolves them)
+//         - utils/supabaseClient is replaced by a null client - scripts using this never touch the database
+
+const path = require('path');
+const { register } = require('module');
+const { pathToFileURL } = require('url');
+
+const version = 'v0.1.0';
+
+const SRC_DIR = path.resolve(__dirname, '..', 'src');
+const SRC_URL = pathToFileURL(SRC_DIR + path.sep).href;
+
+const HOOKS = `
+const SRC_URL = ${JSON.stringify(SRC_URL)};
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (specifier.startsWith('.') && !specifier.endsWith('.js')) {
+      return nextResolve(specifier + '.js', context);
+    }
+    throw error;
+  }
+}
+export async function load(url, context, nextLoad) {
+  if (!url.startsWith(SRC_URL) || !url.endsWith('.js')) {
+    return nextLoad(url, context);
+  }
+  if (url.endsWith('/utils/supabaseClient.js')) {
+    return { format: 'module', source: 'export const supabase = null; export default supabase;', shortCircuit: true };
+  }
+  const result = await nextLoad(url, { ...context, format: 'module' });
+  return { ...result, format: 'module', shortCircuit: true };
+}
+`;
+
+let registered = false;
+
+/**
+ * Import a module from src/
+ * @param {string} file - Path relative to src/ (e.g. 'classes/Game.js')
+ * @returns {Promise<Object>} Module namespace (default export on .default)
+ */
+function loadSource(file) {
+  if (!registered) {
+    register(`data:text/javascript,${encodeURIComponent(HOOKS)}`);
+    registered = true;
+  }
+  return import(pathToFileURL(path.join(SRC_DIR, file)).href);
+}
+
+module.exports = { loadSource, version };
+// EOF
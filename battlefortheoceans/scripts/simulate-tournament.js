@@ -0,0 +1,357 @@
+// scripts/simulate-tournament.js
+// Copyright(c) 2025, Clint H. O'Connor
+// Headless AI-vs-AI tournament for balancing captain difficulty
+// v0.1.2: loud() restores console.warn as well as console.log (warnings stayed silenced)
+// v0.1.1: Module hooks moved to scripts/loadSource.js (shared with validate-eras.js)
+// v0.1.0: Round-robin of every era's ai_captains using the real Game engine
+//         - Loads public/config/era-{id}.json the way ConfigLoader does (era-list.json ids)
+//         - Game runs instant (speedFactor 0) and headless (no CoreEngine, sounds or database)
+//         - Reports win rate, average turns to win and shots per sink per captain and strategy
+//         - Flags captains whose difficulty rating disagrees with their win rate
+
+const path = require('path');
+const fs = require('fs');
+const { loadSource } = require('./loadSource');
+
+const version = 'v0.1.2';
+
+const CONFIG_DIR = path.resolve(__dirname, '..', 'public', 'config');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    eras: null,
+    games: 200,
+    seed: 1,
+    json: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-era' && i + 1 < args.length) {
+      options.eras = args[i + 1].split(',').map(e => e.trim()).filter(Boolean);
+      i++;
+    } else if (arg === '-n' && i + 1 < args.length) {
+      options.games = parseInt(args[i + 1]);
+      i++;
+    } else if (arg === '-seed' && i + 1 < args.length) {
+      options.seed = parseInt(args[i + 1]);
+      i++;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--help' || arg === '-h') {
+      showUsage();
+      process.exit(0);
+    }
+  }
+
+  if (!Number.isInteger(options.games) || options.games < 1) {
+    console.error('-n must be a positive number of games');
+    process.exit(1);
+  }
+
+  return options;
+}
+
+/**
+ * Show usage information
+ */
+function showUsage() {
+  console.log(`
+AI Tournament Simulator ${version}
+
+Usage: node scripts/simulate-tournament.js [options]
+
+Options:
+  -era <ids>      Comma-separated era ids (default: every era in era-list.json)
+  -n <number>     Games per captain pairing (default: 200)
+  -seed <number>  Base seed - same seed, same tournament (default: 1)
+  --json          Print results as JSON instead of tables
+  -h, --help      Show this help message
+
+Each pairing swaps alliances (and the first shot) every game.
+Multi-fleet eras (Pirates) are skipped - their captains are fleets, not ai_captains.
+
+Examples:
+  node scripts/simulate-tournament.js -era traditional -n 1000
+  node scripts/simulate-tournament.js -era traditional,midway -seed 42 --json
+`);
+}
+
+/**
+ * Load game-config and era configs from public/config (same files ConfigLoader fetches)
+ */
+function loadConfigs(eraIds) {
+  const readJson = (file) => JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, file), 'utf8'));
+
+  const gameConfig = readJson('game-config.json');
+  const eraList = readJson('era-list.json');
+  const listedIds = (eraList.eras || eraList).map(era => era.id);
+  const ids = eraIds || listedIds;
+
+  const eras = ids.map(id => {
+    const file = `era-${id}.json`;
+    if (!fs.existsSync(path.join(CONFIG_DIR, file))) {
+      console.error(`Era config not found: public/config/${file}`);
+      process.exit(1);
+    }
+    return readJson(file);
+  });
+
+  return { gameConfig, eras };
+}
+
+/**
+ * Every AI captain declared by the era's alliances (deduplicated by id)
+ */
+function getCaptains(eraConfig) {
+  const captains = new Map();
+  for (const alliance of eraConfig.alliances || []) {
+    for (const captain of alliance.ai_captains || []) {
+      if (!captains.has(captain.id)) {
+        captains.set(captain.id, captain);
+      }
+    }
+  }
+  return Array.from(captains.values());
+}
+
+/**
+ * Play one AI-vs-AI game to the end
+ * @returns {Promise<Object>} { winnerId, turns, players: [{ id, shots, sunk }] }
+ */
+function playGame(engine, eraConfig, gameConfig, first, second, seed) {
+  const { Game, Board, AiPlayer } = engine;
+
+  const game = new Game(eraConfig, gameConfig, seed);
+  game.initializeAlliances();
+  game.setBoard(new Board(eraConfig.rows, eraConfig.cols, eraConfig.terrain));
+  game.updateAnimationSettings({ speedFactor: 0 });
+
+  const [allianceA, allianceB] = eraConfig.alliances;
+  const playerA = new AiPlayer(`${first.id}-a`, first.name, first.strategy, first.difficulty);
+  const playerB = new AiPlayer(`${second.id}-b`, second.name, second.strategy, second.difficulty);
+  game.addPlayer(playerA, allianceA.name);
+  game.addPlayer(playerB, allianceB.name);
+
+  // A game that cannot finish (AI stuck with no targets) counts as a draw
+  const maxTurns = eraConfig.rows * eraConfig.cols * 4;
+
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      clearInterval(watchdog);
+      resolve({
+        winnerId: game.winner?.id || null,
+        turns: game.currentTurn,
+        players: [playerA, playerB].map(p => ({ captainId: p === playerA ? first.id : second.id, shots: p.shots, sunk: p.sunk, won: game.winner === p }))
+      });
+    };
+
+    const watchdog = setInterval(() => {
+      if (game.state === 'playing' && game.currentTurn > maxTurns) {
+        game.state = 'finished';
+        game.winner = null;
+        finish();
+      }
+    }, 100);
+
+    game.setGameEndCallback(finish);
+    game.startGame().catch(error => {
+      clearInterval(watchdog);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Round-robin every pairing of the era's captains
+ */
+async function runEra(engine, eraConfig, gameConfig, options) {
+  const captains = getCaptains(eraConfig);
+  const stats = new Map(captains.map(c => [c.id, {
+    id: c.id,
+    name: c.name,
+    strategy: c.strategy || 'random',
+    difficulty: c.difficulty ?? 1.0,
+    games: 0,
+    wins: 0,
+    draws: 0,
+    turnsToWin: 0,
+    shots: 0,
+    sunk: 0
+  }]));
+
+  let seed = options.seed;
+  const pairings = [];
+  for (let i = 0; i < captains.length; i++) {
+    for (let j = i + 1; j < captains.length; j++) {
+      pairings.push([captains[i], captains[j]]);
+    }
+  }
+
+  for (const [a, b] of pairings) {
+    for (let game = 0; game < options.games; game++) {
+      // Swap alliances every game - alliance 0 also fires first
+      const [first, second] = game % 2 === 0 ? [a, b] : [b, a];
+      const result = await playGame(engine, eraConfig, gameConfig, first, second, seed++);
+
+      for (const player of result.players) {
+        const s = stats.get(player.captainId);
+        s.games++;
+        s.shots += player.shots;
+        s.sunk += player.sunk;
+        if (player.won) {
+          s.wins++;
+          s.turnsToWin += result.turns;
+        } else if (!result.winnerId) {
+          s.draws++;
+        }
+      }
+    }
+    process.stderr.write(`  ${eraConfig.id}: ${a.name} vs ${b.name} done\n`);
+  }
+
+  const captainResults = Array.from(stats.values()).map(s => ({
+    ...s,
+    winRate: s.games > 0 ? s.wins / s.games : 0,
+    avgTurnsToWin: s.wins > 0 ? s.turnsToWin / s.wins : null,
+    shotsPerSink: s.sunk > 0 ? s.shots / s.sunk : null
+  }));
+
+  // Strategy totals (several captains can share a strategy across eras)
+  const strategies = new Map();
+  for (const c of captainResults) {
+    const s = strategies.get(c.strategy) || { strategy: c.strategy, games: 0, wins: 0, turnsToWin: 0, shots: 0, sunk: 0 };
+    s.games += c.games;
+    s.wins += c.wins;
+    s.turnsToWin += c.turnsToWin;
+    s.shots += c.shots;
+    s.sunk += c.sunk;
+    strategies.set(c.strategy, s);
+  }
+
+  const strategyResults = Array.from(strategies.values()).map(s => ({
+    strategy: s.strategy,
+    games: s.games,
+    winRate: s.games > 0 ? s.wins / s.games : 0,
+    avgTurnsToWin: s.wins > 0 ? s.turnsToWin / s.wins : null,
+    shotsPerSink: s.sunk > 0 ? s.shots / s.sunk : null
+  }));
+
+  // Higher difficulty should never lose more often than lower difficulty
+  const byDifficulty = [...captainResults].sort((x, y) => x.difficulty - y.difficulty);
+  const warnings = [];
+  for (let i = 1; i < byDifficulty.length; i++) {
+    const lower = byDifficulty[i - 1];
+    const higher = byDifficulty[i];
+    if (higher.difficulty > lower.difficulty && higher.winRate < lower.winRate) {
+      warnings.push(`${higher.name} (difficulty ${higher.difficulty}) wins less often than ${lower.name} (difficulty ${lower.difficulty})`);
+    }
+  }
+
+  return {
+    era: eraConfig.id,
+    name: eraConfig.name,
+    gamesPerPairing: options.games,
+    captains: captainResults,
+    strategies: strategyResults,
+    warnings
+  };
+}
+
+/**
+ * Print one era's results as tables
+ */
+function printEra(result) {
+  const pct = (v) => `${(v * 100).toFixed(1)}%`;
+  const num = (v) => (v === null ? '-' : v.toFixed(1));
+
+  console.log(`\n${result.name} (${result.era}) - ${result.gamesPerPairing} games per pairing`);
+  console.log('-'.repeat(86));
+  console.log(`${'Captain'.padEnd(26)}${'Strategy'.padEnd(20)}${'Diff'.padStart(6)}${'Games'.padStart(8)}${'Win'.padStart(9)}${'Turns/Win'.padStart(11)}${'Shots/Sink'.padStart(12)}`);
+  for (const c of [...result.captains].sort((x, y) => y.winRate - x.winRate)) {
+    console.log(`${c.name.padEnd(26)}${c.strategy.padEnd(20)}${c.difficulty.toFixed(1).padStart(6)}${String(c.games).padStart(8)}${pct(c.winRate).padStart(9)}${num(c.avgTurnsToWin).padStart(11)}${num(c.shotsPerSink).padStart(12)}`);
+  }
+
+  console.log(`\n${'Strategy'.padEnd(26)}${''.padEnd(26)}${'Games'.padStart(8)}${'Win'.padStart(9)}${'Turns/Win'.padStart(11)}${'Shots/Sink'.padStart(12)}`);
+  for (const s of [...result.strategies].sort((x, y) => y.winRate - x.winRate)) {
+    console.log(`${s.strategy.padEnd(52)}${String(s.games).padStart(8)}${pct(s.winRate).padStart(9)}${num(s.avgTurnsToWin).padStart(11)}${num(s.shotsPerSink).padStart(12)}`);
+  }
+
+  if (result.warnings.length > 0) {
+    console.log('\nDifficulty check:');
+    result.warnings.forEach(w => console.log(`  ! ${w}`));
+  } else {
+    console.log('\nDifficulty check: ratings match win rates');
+  }
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const options = parseArgs();
+  const { gameConfig, eras } = loadConfigs(options.eras);
+
+  const load = (file) => loadSource(file).then(m => m.default);
+
+  // The engine logs every shot - keep the report readable
+  const out = console.log;
+  const warn = console.warn;
+  const quiet = () => {
+    console.log = () => {};
+    console.warn = () => {};
+  };
+  const loud = () => {
+    console.log = out;
+    console.warn = warn;
+  };
+
+  quiet();
+  const engine = {
+    Game: await load('classes/Game.js'),
+    Board: await load('classes/Board.js'),
+    AiPlayer: await load('classes/AiPlayer.js')
+  };
+  loud();
+
+  if (!options.json) {
+    console.log(`AI Tournament Simulator ${version} (seed ${options.seed})`);
+  }
+
+  const results = [];
+  for (const eraConfig of eras) {
+    const captains = getCaptains(eraConfig);
+    if (eraConfig.game_rules?.multi_fleet_combat && eraConfig.alliances.some(a => a.pirate_fleets)) {
+      process.stderr.write(`Skipping ${eraConfig.id}: multi-fleet era\n`);
+      continue;
+    }
+    if (captains.length < 2 || (eraConfig.alliances || []).length < 2) {
+      process.stderr.write(`Skipping ${eraConfig.id}: needs two alliances and at least two ai_captains\n`);
+      continue;
+    }
+
+    quiet();
+    const result = await runEra(engine, eraConfig, gameConfig, options);
+    loud();
+
+    results.push(result);
+    if (!options.json) {
+      printEra(result);
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ version, seed: options.seed, results }, null, 2));
+  }
+}
+
+// Run the script
+main().catch(error => {
+  console.error('Script failed:', error);
+  process.exit(1);
+});
+// EOF
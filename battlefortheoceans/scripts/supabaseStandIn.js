@@ -0,0 +1,192 @@
+// scripts/supabaseStandIn.js
+// Copyright(c) 2025, Clint H. O'Connor
+// In-process stand-in for the Supabase client, for scripts that exercise server code locally
+// v0.1.2: gt, lte and in filters (rights_expiry_reminders.js)
+// v0.1.1: rpc(name, args) calls a function registered with onRpc (generate_voucher for gifts)
+// v0.1.0: Tables are arrays of rows held in memory
+//         - from(table) supports insert, select, update with eq / is filters, limit,
+//           single and maybeSingle - the subset netlify/functions/stripe_webhook.js uses
+//         - Primary keys reject duplicate inserts with Postgres' unique violation (23505)
+//         - failNext(table, operation) makes the next matching query return an error
+
+const version = 'v0.1.2';
+
+class Query {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.operation = 'select';
+    this.values = null;
+    this.filters = [];
+    this.returning = false;
+    this.maxRows = null;
+    this.mode = 'many'; // 'many', 'single' or 'maybeSingle'
+  }
+
+  insert(values) {
+    this.operation = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.values = values;
+    return this;
+  }
+
+  select() {
+    // Columns are ignored - whole rows come back
+    this.returning = true;
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push(row => row[column] === value);
+    return this;
+  }
+
+  is(column, value) {
+    this.filters.push(row => (row[column] ?? null) === value);
+    return this;
+  }
+
+  // Timestamps compare as ISO strings, as they are stored
+  gt(column, value) {
+    this.filters.push(row => row[column] != null && row[column] > value);
+    return this;
+  }
+
+  lte(column, value) {
+    this.filters.push(row => row[column] != null && row[column] <= value);
+    return this;
+  }
+
+  in(column, values) {
+    this.filters.push(row => values.includes(row[column]));
+    return this;
+  }
+
+  limit(count) {
+    this.maxRows = count;
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  execute() {
+    const failure = this.db.takeFailure(this.table, this.operation);
+    if (failure) {
+      return { data: null, error: failure };
+    }
+
+    const rows = this.db.table(this.table);
+
+    if (this.operation === 'insert') {
+      const key = this.db.primaryKeys[this.table];
+      for (const row of this.values) {
+        if (key && rows.some(existing => existing[key] === row[key])) {
+          return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint "${this.table}_pkey"` } };
+        }
+      }
+      const inserted = this.values.map(row => ({ ...row }));
+      rows.push(...inserted);
+      return { data: this.returning ? inserted : null, error: null };
+    }
+
+    let matched = rows.filter(row => this.filters.every(filter => filter(row)));
+
+    if (this.operation === 'update') {
+      matched.forEach(row => Object.assign(row, this.values));
+      return { data: this.returning ? matched.map(row => ({ ...row })) : null, error: null };
+    }
+
+    if (this.maxRows !== null) {
+      matched = matched.slice(0, this.maxRows);
+    }
+    if (this.mode === 'many') {
+      return { data: matched.map(row => ({ ...row })), error: null };
+    }
+    if (matched.length === 1) {
+      return { data: { ...matched[0] }, error: null };
+    }
+    if (matched.length === 0 && this.mode === 'maybeSingle') {
+      return { data: null, error: null };
+    }
+    return { data: null, error: { code: 'PGRST116', message: `expected 1 row, got ${matched.length}` } };
+  }
+}
+
+/**
+ * @param {Object} tables - { tableName: [rows] } starting data
+ * @param {Object} primaryKeys - { tableName: column } columns that reject duplicates
+ *
+ * @example
+ * const supabase = new SupabaseStandIn({ user_rights: [] }, { payment_events: 'stripe_event_id' });
+ * await supabase.from('user_rights').insert({ player_id: 'p1' });
+ */
+class SupabaseStandIn {
+  constructor(tables = {}, primaryKeys = {}) {
+    this.tables = {};
+    Object.entries(tables).forEach(([name, rows]) => {
+      this.tables[name] = rows.map(row => ({ ...row }));
+    });
+    this.primaryKeys = primaryKeys;
+    this.failures = [];
+    this.rpcs = {};
+  }
+
+  from(table) {
+    return new Query(this, table);
+  }
+
+  /**
+   * Stand in for a Postgres function - fn(args, db) returns the function's result
+   */
+  onRpc(name, fn) {
+    this.rpcs[name] = fn;
+  }
+
+  async rpc(name, args) {
+    const failure = this.takeFailure(name, 'rpc');
+    if (failure) {
+      return { data: null, error: failure };
+    }
+    if (!this.rpcs[name]) {
+      return { data: null, error: { code: 'PGRST202', message: `function ${name} not found` } };
+    }
+    return { data: this.rpcs[name](args, this), error: null };
+  }
+
+  table(name) {
+    if (!this.tables[name]) {
+      this.tables[name] = [];
+    }
+    return this.tables[name];
+  }
+
+  failNext(table, operation, message = 'simulated database error') {
+    this.failures.push({ table, operation, error: { code: 'XX000', message } });
+  }
+
+  takeFailure(table, operation) {
+    const index = this.failures.findIndex(f => f.table === table && f.operation === operation);
+    if (index === -1) return null;
+    return this.failures.splice(index, 1)[0].error;
+  }
+}
+
+module.exports = { SupabaseStandIn, version };
+// EOF
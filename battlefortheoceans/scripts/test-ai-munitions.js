@@ -0,0 +1,179 @@
+// scripts/test-ai-munitions.js
+// Copyright(c) 2025, Clint H. O'Connor
+// Run AI munitions through the real Game engine and check who gets the next turn
+// v0.1.1: Midway stocks no mines (no ship movement) - the fixture still hands the AI one
+// v0.1.0: Munitions that hit nothing must pass the turn, even right after an AI hit
+//         - Midway (turn_on_hit) - the AI fires first, the human (who never moves) second
+//         - The AI's makeMove() is pinned to the munition under test
+//         - Exit code 1 when any scenario fails
+
+const path = require('path');
+const fs = require('fs');
+const { loadSource } = require('./loadSource');
+
+const version = 'v0.1.1';
+
+const CONFIG_DIR = path.resolve(__dirname, '..', 'public', 'config');
+const ERA_ID = 'midway';
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, file), 'utf8'));
+
+/**
+ * Midway game with the AI to move, its last shot a hit, and one of each munition in stock
+ */
+async function createGame(engine) {
+  const { Game, Board, AiPlayer, HumanPlayer } = engine;
+  const eraConfig = readJson(`era-${ERA_ID}.json`);
+
+  const game = new Game(eraConfig, readJson('game-config.json'), 1);
+  game.initializeAlliances();
+  game.setBoard(new Board(eraConfig.rows, eraConfig.cols, eraConfig.terrain));
+  game.updateAnimationSettings({ speedFactor: 0 });
+
+  const [allianceA, allianceB] = eraConfig.alliances;
+  const ai = new AiPlayer('ai-fixture', 'AI Fixture', 'random', 1.0);
+  const human = new HumanPlayer('human-fixture', 'Human Fixture');
+  game.addPlayer(ai, allianceA.name);
+  game.addPlayer(human, allianceB.name);
+
+  for (const player of game.players) {
+    player.setBoard(game.board);
+    await game.autoPlaceShips(player);
+  }
+  // Stock set directly - the turn rules are the same whether or not the era stocks the munition
+  game.initializeMunitions(ai, { starShells: 1, aerialRecon: 1, mines: 1 });
+
+  game.state = 'playing';
+  game.currentPlayerIndex = 0;
+  game.lastAttackResult = { result: 'hit', ships: [] };
+
+  return { game, ai, human };
+}
+
+/**
+ * First cell of the given terrain without a human ship on it
+ */
+function findEmptyCell(game, human, terrain) {
+  for (let row = 0; row < game.board.rows; row++) {
+    for (let col = 0; col < game.board.cols; col++) {
+      if (terrain.includes(game.board.terrain[row][col]) && !human.getShipAt(row, col)) {
+        return { row, col };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Run the AI's queued turn with makeMove() pinned to decision, and wait for the queue to drain
+ * @returns {Promise<number>} makeMove() calls - more than one means the AI was given another turn
+ */
+async function playAiTurn(game, ai, decision) {
+  let moves = 0;
+  ai.makeMove = () => {
+    moves++;
+    return decision;
+  };
+  await game.executeAITurnQueued(ai);
+
+  for (let wait = 0; game.isProcessingAction && wait < 500; wait++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return moves;
+}
+
+const SCENARIOS = [
+  {
+    name: 'star shell after a hit passes the turn',
+    run: async ({ game, ai, human }, expect) => {
+      const moves = await playAiTurn(game, ai, { action: 'starShell', row: 6, col: 6 });
+      expect(moves === 1, 'AI moved once');
+      expect(game.getMunitionsFor(ai).fired.starShells === 1, 'star shell fired');
+      expect(game.lastAttackResult?.result === 'miss', 'last result is a miss');
+      expect(game.getCurrentPlayer() === human, 'human moves next');
+    }
+  },
+  {
+    name: 'aerial recon after a hit passes the turn',
+    run: async ({ game, ai, human }, expect) => {
+      const moves = await playAiTurn(game, ai, { action: 'aerialRecon', row: 6, col: 6 });
+      expect(moves === 1, 'AI moved once');
+      expect(game.getMunitionsFor(ai).fired.aerialRecon === 1, 'aerial recon flown');
+      expect(game.lastAttackResult?.result === 'miss', 'last result is a miss');
+      expect(game.getCurrentPlayer() === human, 'human moves next');
+    }
+  },
+  {
+    name: 'mine that does not go off after a hit passes the turn',
+    run: async ({ game, ai, human }, expect) => {
+      const cell = findEmptyCell(game, human, ['shallow', 'shoal']);
+      expect(cell !== null, 'era has open shallow water');
+      if (!cell) return;
+
+      const moves = await playAiTurn(game, ai, { action: 'mine', ...cell });
+      expect(moves === 1, 'AI moved once');
+      expect(game.mines.length === 1, 'mine laid');
+      expect(game.lastAttackResult?.result === 'miss', 'last result is a miss');
+      expect(game.getCurrentPlayer() === human, 'human moves next');
+    }
+  }
+];
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log(`AI Munitions Turn Test ${version}\n`);
+
+  const load = (file) => loadSource(file).then(m => m.default);
+  const engine = {
+    Game: await load('classes/Game.js'),
+    Board: await load('classes/Board.js'),
+    AiPlayer: await load('classes/AiPlayer.js'),
+    HumanPlayer: await load('classes/HumanPlayer.js')
+  };
+
+  // Engine logging would bury the results
+  const log = console.log;
+  const warn = console.warn;
+  const logError = console.error;
+  const quiet = () => {};
+
+  let valid = true;
+  for (const scenario of SCENARIOS) {
+    const failures = [];
+    const expect = (condition, description) => {
+      if (!condition) failures.push(description);
+    };
+
+    console.log = quiet;
+    console.warn = quiet;
+    console.error = quiet;
+    try {
+      await scenario.run(await createGame(engine), expect);
+    } catch (error) {
+      failures.push(`threw: ${error.message}`);
+    }
+    console.log = log;
+    console.warn = warn;
+    console.error = logError;
+
+    if (failures.length === 0) {
+      console.log(`✓ ${scenario.name}`);
+    } else {
+      console.log(`✗ ${scenario.name}`);
+      failures.forEach(failure => console.log(`    - ${failure}`));
+      valid = false;
+    }
+  }
+
+  console.log(valid ? '\nAll AI munition scenarios passed' : '\nAI munition scenarios failed');
+  process.exit(valid ? 0 : 1);
+}
+
+// Run the script
+main().catch(error => {
+  console.error('Script failed:', error);
+  process.exit(1);
+});
+// EOF
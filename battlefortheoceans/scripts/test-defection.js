@@ -0,0 +1,225 @@
+// scripts/test-defection.js
+// Copyright(c) 2025, Clint H. O'Connor
+// Run alliance defections (game_rules.change_alliance) through the real Game engine
+// v0.1.0: AiPlayer.considerDefection(), Game.changeAlliance() and the game end rule for defectors
+//         - Classic Battleship with change_alliance on: one human against two AI captains
+//         - Rolls come from the game's SeededRandom - the same seed gives the same decisions
+//         - An alliance is out once its last human is sunk, whatever defectors it took in
+//         - Exit code 1 when any scenario fails
+
+const path = require('path');
+const fs = require('fs');
+const { loadSource } = require('./loadSource');
+
+const version = 'v0.1.0';
+
+const CONFIG_DIR = path.resolve(__dirname, '..', 'public', 'config');
+const ERA_ID = 'traditional';
+const SEED = 7;
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, file), 'utf8'));
+
+/**
+ * One human against two AI captains, every fleet placed
+ */
+async function createGame(engine, seed = SEED) {
+  const { Game, Board, AiPlayer, HumanPlayer } = engine;
+  const eraConfig = readJson(`era-${ERA_ID}.json`);
+  eraConfig.max_players = 3;
+  eraConfig.game_rules = { ...eraConfig.game_rules, change_alliance: true, defection_health: 0.5, defection_chance: 0.25 };
+
+  const game = new Game(eraConfig, readJson('game-config.json'), seed);
+  game.initializeAlliances();
+  game.setBoard(new Board(eraConfig.rows, eraConfig.cols, eraConfig.terrain));
+  game.updateAnimationSettings({ speedFactor: 0 });
+
+  const [humanSide, aiSide] = eraConfig.alliances.map(alliance => alliance.name);
+  const human = new HumanPlayer('human-fixture', 'Human Fixture');
+  const turncoat = new AiPlayer('ai-turncoat', 'Turncoat', 'methodical_random', 1.0);
+  const loyalist = new AiPlayer('ai-loyalist', 'Loyalist', 'methodical_random', 1.0);
+  game.addPlayer(human, humanSide);
+  game.addPlayer(turncoat, aiSide);
+  game.addPlayer(loyalist, aiSide);
+
+  for (const player of game.players) {
+    player.setBoard(game.board);
+    await game.autoPlaceShips(player);
+  }
+
+  game.state = 'playing';
+  game.currentPlayerIndex = 0;
+  game.replay.start();
+
+  const allianceOf = (player) => game.alliances.get(game.playerAlliances.get(player.id));
+  return { game, human, turncoat, loyalist, humanAlliance: allianceOf(human), aiAlliance: allianceOf(turncoat), allianceOf };
+}
+
+/**
+ * Sink the first count ships of player's fleet (all of them by default)
+ */
+function sinkShips(player, count = player.fleet.ships.length) {
+  for (const ship of player.fleet.ships.slice(0, count)) {
+    for (let cellIndex = 0; cellIndex < ship.size; cellIndex++) {
+      ship.receiveHit(cellIndex, 1.0);
+    }
+  }
+}
+
+/**
+ * Both AI captains badly damaged - the AI side is now weaker than the untouched human
+ */
+function outgunAiSide({ turncoat, loyalist }) {
+  sinkShips(turncoat, 4);
+  sinkShips(loyalist, 3);
+}
+
+const SCENARIOS = [
+  {
+    name: 'healthy captain stays put',
+    run: async ({ game, turncoat }, expect) => {
+      expect(turncoat.fleet.getHealth() > 0.5, 'fleet above defection_health');
+      expect(turncoat.considerDefection(game, 0.5, 1.0) === null, 'no defection even at chance 1');
+    }
+  },
+  {
+    name: 'last captain afloat fights on',
+    run: async ({ game, turncoat, loyalist }, expect) => {
+      sinkShips(turncoat, 4);
+      sinkShips(loyalist);
+      expect(turncoat.considerDefection(game, 0.5, 1.0) === null, 'no defection with no mates left');
+    }
+  },
+  {
+    name: 'damaged captain on the weaker side defects to the strongest alliance',
+    run: async (fixture, expect) => {
+      const { game, turncoat, humanAlliance } = fixture;
+      sinkShips(turncoat, 4);
+      expect(turncoat.considerDefection(game, 0.5, 1.0) === null, 'no defection while its side is still stronger');
+
+      outgunAiSide(fixture);
+      expect(turncoat.considerDefection(game, 0.5, 1.0) === humanAlliance, 'joins the human alliance at chance 1');
+      expect(turncoat.considerDefection(game, 0.5, 0) === null, 'stays at chance 0');
+      expect(turncoat.considerDefection(game, 0.1, 1.0) === null, 'stays above a lower defection_health');
+    }
+  },
+  {
+    name: 'same seed, same defection rolls',
+    run: async (fixture, expect, engine) => {
+      const decisions = async (seed) => {
+        const battle = await createGame(engine, seed);
+        outgunAiSide(battle);
+        return Array.from({ length: 12 }, () => battle.turncoat.considerDefection(battle.game, 0.5, 0.5)?.name || 'stay');
+      };
+
+      const first = await decisions(SEED);
+      const second = await decisions(SEED);
+      expect(first.join() === second.join(), `same rolls with seed ${SEED}`);
+      expect(first.includes('stay') && first.some(decision => decision !== 'stay'), 'chance 0.5 both stays and defects');
+    }
+  },
+  {
+    name: 'changeAlliance moves the captain and it changes sides only once',
+    run: async (fixture, expect) => {
+      const { game, human, turncoat, loyalist, humanAlliance, aiAlliance, allianceOf } = fixture;
+      outgunAiSide(fixture);
+      turncoat.memory.targetQueue.push({ row: 0, col: 0 });
+      aiAlliance.changeOwner(turncoat.id);
+
+      game.gameRules.defection_chance = 1.0;
+      game.evaluateAllianceChanges();
+      expect(allianceOf(turncoat) === humanAlliance, 'turncoat is in the human alliance');
+      expect(allianceOf(loyalist) === aiAlliance, 'loyalist stays - it had no mates to leave behind');
+      expect(!aiAlliance.players.includes(turncoat) && humanAlliance.players.includes(turncoat), 'alliance rosters updated');
+      expect(game.isSameAlliance(human.id, turncoat.id), 'human and turncoat are allies');
+      expect(aiAlliance.owner === loyalist.id, 'ownership passes to the loyalist');
+      expect(turncoat.hasDefected && turncoat.memory.targetQueue.length === 0, 'hunt memory dropped');
+      expect(game.replay.events.some(event => event.type === 'alliance' && event.alliance === humanAlliance.name), 'replay records the change');
+      expect(game.changeAlliance(turncoat, humanAlliance) === false, 'no move to the alliance it is in');
+      expect(turncoat.considerDefection(game, 1.0, 1.0) === null, 'never defects twice');
+    }
+  },
+  {
+    name: 'game ends when the last human in an alliance is sunk',
+    run: async (fixture, expect) => {
+      const { game, human, turncoat, loyalist, humanAlliance, aiAlliance } = fixture;
+      game.changeAlliance(turncoat, humanAlliance);
+      expect(game.checkGameEnd() === false, 'battle goes on');
+
+      sinkShips(human);
+      expect(!turncoat.isDefeated(), 'defector still afloat');
+      expect(game.checkGameEnd() === true, 'game over');
+      expect(game.winningAlliance === aiAlliance && game.winner === loyalist, 'AI alliance wins');
+    }
+  },
+  {
+    name: 'sunk defector does not end the game for its human',
+    run: async (fixture, expect) => {
+      const { game, human, turncoat, humanAlliance } = fixture;
+      game.changeAlliance(turncoat, humanAlliance);
+      sinkShips(turncoat);
+      expect(game.checkGameEnd() === false, 'battle goes on');
+
+      sinkShips(fixture.loyalist);
+      expect(game.checkGameEnd() === true && game.winner === human, 'human wins once the AI side is sunk');
+    }
+  }
+];
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log(`Alliance Defection Test ${version}\n`);
+
+  const load = (file) => loadSource(file).then(m => m.default);
+  const engine = {
+    Game: await load('classes/Game.js'),
+    Board: await load('classes/Board.js'),
+    AiPlayer: await load('classes/AiPlayer.js'),
+    HumanPlayer: await load('classes/HumanPlayer.js')
+  };
+
+  // Engine logging would bury the results
+  const log = console.log;
+  const warn = console.warn;
+  const logError = console.error;
+  const quiet = () => {};
+
+  let valid = true;
+  for (const scenario of SCENARIOS) {
+    const failures = [];
+    const expect = (condition, description) => {
+      if (!condition) failures.push(description);
+    };
+
+    console.log = quiet;
+    console.warn = quiet;
+    console.error = quiet;
+    try {
+      await scenario.run(await createGame(engine), expect, engine);
+    } catch (error) {
+      failures.push(`threw: ${error.message}`);
+    }
+    console.log = log;
+    console.warn = warn;
+    console.error = logError;
+
+    if (failures.length === 0) {
+      console.log(`✓ ${scenario.name}`);
+    } else {
+      console.log(`✗ ${scenario.name}`);
+      failures.forEach(failure => console.log(`    - ${failure}`));
+      valid = false;
+    }
+  }
+
+  console.log(valid ? '\nAll defection scenarios passed' : '\nDefection scenarios failed');
+  process.exit(valid ? 0 : 1);
+}
+
+// Run the script
+main().catch(error => {
+  console.error('Script failed:', error);
+  process.exit(1);
+});
+// EOF
@@ -0,0 +1,170 @@
+// scripts/test-expiry-reminders.js
+// Copyright(c) 2025, Clint H. O'Connor
+// Run netlify/functions/rights_expiry_reminders.js locally against seeded user_rights
+// v0.1.0: No database or email needed
+//         - Supabase is the in-process stand-in (supabaseStandIn.js), emails are collected in memory
+//         - Rights are seeded relative to now and game-config rights_expiry.expiring_soon_days
+//         - Exit code 1 when any scenario fails
+
+const { SupabaseStandIn } = require('./supabaseStandIn');
+
+const version = 'v0.1.0';
+
+// The handler reads this when it runs
+process.env.BREVO_EXPIRY_TEMPLATE_ID = process.env.BREVO_EXPIRY_TEMPLATE_ID || 'expiry-reminder';
+
+const { createHandler, sendExpiryReminders } = require('../netlify/functions/rights_expiry_reminders');
+const { policy, DAY_MS } = require('../netlify/functions/utils/rightsExpiry');
+
+const PLAYER_ID = '6f1c2a9e-4b7d-4e2a-9c3f-1a2b3c4d5e6f';
+const OTHER_PLAYER_ID = '0b8e4d2c-7a1f-4c3e-8d5b-9f0a1b2c3d4e';
+
+const inDays = (days) => new Date(Date.now() + days * DAY_MS).toISOString();
+
+let nextId = 1;
+const right = (fields) => ({
+  id: `right-${nextId++}`,
+  player_id: PLAYER_ID,
+  rights_type: 'era',
+  rights_value: 'midway',
+  uses_remaining: -1,
+  revoked_at: null,
+  expiry_reminder_sent_at: null,
+  ...fields
+});
+
+/**
+ * Stand-in database with the given rights and an email outbox for one scenario
+ */
+function createDeps(rights) {
+  const emails = [];
+  return {
+    emails,
+    supabase: new SupabaseStandIn({
+      user_profiles: [
+        { id: PLAYER_ID, email: 'captain@example.com', game_name: 'Captain Fixture' },
+        { id: OTHER_PLAYER_ID, email: 'mate@example.com', game_name: 'First Mate' }
+      ],
+      user_rights: rights
+    }),
+    sendEmail: async (options) => {
+      emails.push(options);
+    }
+  };
+}
+
+const soon = Math.max(1, policy.expiring_soon_days - 1);
+
+const SCENARIOS = [
+  {
+    name: 'lapsing eras are reminded once, in one email per player',
+    rights: () => [
+      right({ expires_at: inDays(soon) }),
+      right({ rights_value: 'era', expires_at: inDays(1) }),
+      right({ player_id: OTHER_PLAYER_ID, rights_value: 'pirates', expires_at: inDays(soon) })
+    ],
+    run: async (deps, expect) => {
+      const first = await sendExpiryReminders(deps);
+      expect(first.reminded === 2, 'two players reminded');
+      expect(deps.emails.length === 2, 'two emails');
+
+      const captain = deps.emails.find(email => email.to[0].email === 'captain@example.com');
+      expect(captain?.params.ERAS === 'Midway, All exclusive eras', 'one email lists both eras');
+      expect(captain?.params.DAYS_LEFT === 1, 'days left counts from the soonest');
+      expect(deps.supabase.table('user_rights').every(r => r.expiry_reminder_sent_at), 'rights marked');
+
+      const second = await sendExpiryReminders(deps);
+      expect(second.lapsing === 0 && deps.emails.length === 2, 'next run sends nothing');
+    }
+  },
+  {
+    name: 'renewed, revoked, used-up and distant rights are not reminded',
+    rights: () => [
+      right({ expires_at: inDays(soon) }),
+      right({ expires_at: inDays(policy.era_days), stripe_payment_intent_id: 'pi_test_renewal' }),
+      right({ rights_value: 'pirates', expires_at: inDays(soon), revoked_at: inDays(-1) }),
+      right({ rights_value: 'super', uses_remaining: 0, expires_at: inDays(soon) }),
+      right({ rights_value: 'traditional', expires_at: inDays(policy.expiring_soon_days + 5) }),
+      right({ rights_value: 'traditional', rights_type: 'pass', expires_at: inDays(soon) })
+    ],
+    run: async (deps, expect) => {
+      const summary = await sendExpiryReminders(deps);
+      expect(summary.reminded === 0, 'no player reminded');
+      expect(deps.emails.length === 0, 'no emails');
+      expect(deps.supabase.table('user_rights').every(r => !r.expiry_reminder_sent_at), 'nothing marked');
+    }
+  },
+  {
+    name: 'failed email is tried again on the next run',
+    rights: () => [right({ expires_at: inDays(soon) })],
+    run: async (deps, expect) => {
+      const sendEmail = deps.sendEmail;
+      deps.sendEmail = async () => {
+        throw new Error('simulated Brevo outage');
+      };
+      await sendExpiryReminders(deps);
+      expect(!deps.supabase.table('user_rights')[0].expiry_reminder_sent_at, 'not marked after failure');
+
+      deps.sendEmail = sendEmail;
+      const summary = await sendExpiryReminders(deps);
+      expect(summary.reminded === 1 && deps.emails.length === 1, 'reminded on retry');
+    }
+  },
+  {
+    name: 'scheduled handler returns the run summary',
+    rights: () => [right({ expires_at: inDays(soon) })],
+    run: async (deps, expect) => {
+      const response = await createHandler(() => deps)({});
+      expect(response.statusCode === 200, 'returns 200');
+      expect(JSON.parse(response.body).reminded === 1, 'summary counts the reminder');
+    }
+  }
+];
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log(`Rights Expiry Reminder Test ${version}\n`);
+
+  // Function logging would bury the results
+  const log = console.log;
+  const logError = console.error;
+  const quiet = () => {};
+
+  let valid = true;
+  for (const scenario of SCENARIOS) {
+    const failures = [];
+    const expect = (condition, description) => {
+      if (!condition) failures.push(description);
+    };
+
+    console.log = quiet;
+    console.error = quiet;
+    try {
+      await scenario.run(createDeps(scenario.rights()), expect);
+    } catch (error) {
+      failures.push(`threw: ${error.message}`);
+    }
+    console.log = log;
+    console.error = logError;
+
+    if (failures.length === 0) {
+      console.log(`✓ ${scenario.name}`);
+    } else {
+      console.log(`✗ ${scenario.name}`);
+      failures.forEach(failure => console.log(`    - ${failure}`));
+      valid = false;
+    }
+  }
+
+  console.log(valid ? '\nAll reminder scenarios passed' : '\nReminder scenarios failed');
+  process.exit(valid ? 0 : 1);
+}
+
+// Run the script
+main().catch(error => {
+  console.error('Script failed:', error);
+  process.exit(1);
+});
+// EOF
@@ -0,0 +1,296 @@
+// scripts/test-remote-match.js
+// Copyright(c) 2025, Clint H. O'Connor
+// Play online battles between two RemoteMatch instances in one process
+// v0.1.0: Two "browsers" - each a Game with its own captain and a RemotePlayer mirror of the other
+//         - Both matches talk over one LocalTransport (hello, ready, attack, result, rejected, reveal)
+//         - Full game, out-of-turn shot, bad reveal, silent opponent and missing reveal
+//         - Exit code 1 when any scenario fails (the missing reveal waits out REVEAL_TIMEOUT, 10s)
+
+const path = require('path');
+const fs = require('fs');
+const { loadSource } = require('./loadSource');
+
+const version = 'v0.1.0';
+
+const CONFIG_DIR = path.resolve(__dirname, '..', 'public', 'config');
+const ERA_ID = 'traditional';
+const FORFEIT_SILENCE = 61000; // just past RemoteMatch FORFEIT_AFTER
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, file), 'utf8'));
+const tick = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+let matchCount = 0;
+
+/**
+ * One side of the battle - the Game, captain and RemotePlayer mirror a browser would hold
+ */
+function createSide(engine, eraConfig, gameConfig, local, opponent, role) {
+  const { Game, Board, HumanPlayer, RemotePlayer } = engine;
+
+  const game = new Game(eraConfig, gameConfig, role === 'host' ? 1 : 2);
+  game.initializeAlliances();
+  game.setBoard(new Board(eraConfig.rows, eraConfig.cols, eraConfig.terrain));
+  game.updateAnimationSettings({ speedFactor: 0 });
+
+  // Host takes the first alliance and fires first (GameLifecycleManager.initializeForPlacement)
+  const [first, second] = eraConfig.alliances;
+  const player = new HumanPlayer(local.id, local.name);
+  const remote = new RemotePlayer(opponent.id, opponent.name);
+  game.addPlayer(player, role === 'host' ? first.name : second.name);
+  game.addPlayer(remote, role === 'host' ? second.name : first.name);
+  if (role === 'guest') {
+    game.players.reverse();
+  }
+
+  return { game, player, remote };
+}
+
+/**
+ * Two connected matches with placed, committed fleets and started games
+ */
+async function createBattle(engine) {
+  const { RemoteMatch, LocalTransport } = engine;
+  const eraConfig = readJson(`era-${ERA_ID}.json`);
+  const gameConfig = readJson('game-config.json');
+
+  const hostCaptain = { id: 'captain-host', name: 'Host Captain' };
+  const guestCaptain = { id: 'captain-guest', name: 'Guest Captain' };
+  const matchId = `test-${process.pid}-${++matchCount}`;
+  const transport = new LocalTransport(`bfto-test-${process.pid}`);
+
+  const host = createSide(engine, eraConfig, gameConfig, hostCaptain, guestCaptain, 'host');
+  const guest = createSide(engine, eraConfig, gameConfig, guestCaptain, hostCaptain, 'guest');
+  host.match = new RemoteMatch(matchId, 'host', hostCaptain, guestCaptain);
+  guest.match = new RemoteMatch(matchId, 'guest', guestCaptain, hostCaptain);
+
+  await Promise.all([host.match.connect(transport), guest.match.connect(transport)]);
+
+  for (const side of [host, guest]) {
+    await side.game.autoPlaceShips(side.player);
+    side.match.attachGame(side.game, side.player, side.remote);
+  }
+  await Promise.all([host.match.sendReady(), guest.match.sendReady()]);
+  for (let wait = 0; (host.match.status !== 'ready' || guest.match.status !== 'ready') && wait < 200; wait++) {
+    await tick();
+  }
+
+  for (const side of [host, guest]) {
+    await side.game.startGame();
+    side.match.start();
+  }
+
+  return { host, guest };
+}
+
+/**
+ * Wait until no shot is on its way or being resolved on either side
+ */
+async function settle({ host, guest }) {
+  await tick();
+  for (let wait = 0; wait < 400; wait++) {
+    const busy = [host, guest].some(side =>
+      side.match.isAwaitingResult || side.match.opponentPending !== null || side.game.isProcessingAction);
+    if (!busy) {
+      return;
+    }
+    await tick();
+  }
+}
+
+// Every cell of the side's own fleet
+const fleetCells = (side) => side.player.fleet.ships.flatMap(ship => side.player.getShipCells(ship.id));
+
+// Cells of the side's fleet that can still take damage
+const liveCells = (side) => fleetCells(side).filter(({ row, col }) => {
+  const placement = side.player.getShipAt(row, col);
+  return side.player.getShip(placement.shipId).health[placement.cellIndex] > 0;
+});
+
+// A cell the opponent can fire at that holds none of the side's ships
+const openWater = (side, attacker) => {
+  for (let row = 0; row < side.game.board.rows; row++) {
+    for (let col = 0; col < side.game.board.cols; col++) {
+      if (!side.player.getShipAt(row, col) && attacker.game.isValidAttack(row, col, attacker.player)) {
+        return { row, col };
+      }
+    }
+  }
+  return null;
+};
+
+const fire = async (battle, side, { row, col }) => {
+  side.game.processPlayerAction('attack', { row, col });
+  await settle(battle);
+};
+
+/**
+ * Host misses, guest misses, then the host works through the guest's fleet while the guest keeps missing
+ * A hit does not always destroy a cell (damage model), so the host fires until nothing is left
+ */
+async function playToHostWin(battle) {
+  const { host, guest } = battle;
+  await fire(battle, host, openWater(guest, host));
+  await fire(battle, guest, openWater(host, guest));
+  for (let shot = 0; shot < 200 && host.game.state === 'playing'; shot++) {
+    if (host.game.getCurrentPlayer() === host.player) {
+      await fire(battle, host, liveCells(guest)[0]);
+    } else {
+      await fire(battle, guest, openWater(host, guest));
+    }
+  }
+}
+
+const closeBattle = async ({ host, guest }) => {
+  await Promise.all([host.match.close(), guest.match.close()]);
+};
+
+const SCENARIOS = [
+  {
+    name: 'full game - both fleets verify',
+    run: async (battle, expect) => {
+      const { host, guest } = battle;
+      await playToHostWin(battle);
+      expect(host.game.state === 'finished' && host.game.winner === host.player, 'host wins on the host');
+      expect(guest.game.state === 'finished' && guest.game.winner === guest.remote, 'host wins on the guest');
+      expect(guest.player.isDefeated(), 'guest fleet sunk');
+      expect(host.remote.isDefeated(), 'guest mirror sunk on the host');
+
+      const [hostVerified, guestVerified] = await Promise.all([host.match.finish(), guest.match.finish()]);
+      expect(hostVerified === true, 'host verifies the guest fleet');
+      expect(guestVerified === true, 'guest verifies the host fleet');
+    }
+  },
+  {
+    name: 'out-of-turn shot is refused and taken back',
+    run: async (battle, expect) => {
+      const { host, guest } = battle;
+      const target = fleetCells(host)[0];
+
+      // A modified client fires while it is the host's turn
+      guest.match.sendAttack(target.row, target.col);
+      await settle(battle);
+      expect(host.player.getShipAt(target.row, target.col) && host.remote.shots === 0, 'shot not applied on the host');
+      expect(host.game.getCurrentPlayer() === host.player, 'still the host\'s turn');
+      expect(!guest.match.isAwaitingResult && guest.match.seq === 0, 'guest took the shot back');
+
+      // Play goes on as normal
+      await fire(battle, host, openWater(guest, host));
+      await fire(battle, guest, target);
+      expect(host.remote.shots === 1 && host.remote.hits === 1, 'guest\'s next shot lands in turn');
+
+      // Shot numbers must follow on
+      guest.match.seq = 5;
+      const repeat = openWater(host, guest);
+      guest.match.sendAttack(repeat.row, repeat.col);
+      await settle(battle);
+      expect(host.remote.shots === 1, 'out-of-sequence shot not applied');
+      expect(guest.match.seq === 5, 'guest took the numbered shot back');
+    }
+  },
+  {
+    name: 'revealed fleet that does not match the commitment fails verification',
+    run: async (battle, expect) => {
+      const { host, guest } = battle;
+      await playToHostWin(battle);
+
+      // Guest reveals a different fleet than the one it committed to
+      guest.match.placements = guest.match.placements.map(([shipIndex, row, col, cellIndex]) => [shipIndex, row, col, cellIndex + 1]);
+      const [hostVerified, guestVerified] = await Promise.all([host.match.finish(), guest.match.finish()]);
+      expect(hostVerified === false, 'host refuses the guest fleet');
+      expect(guestVerified === true, 'guest still verifies the host fleet');
+      expect(host.game.gameLog.some(entry => entry.message.includes('Fleet check failed')), 'battle log says so');
+    }
+  },
+  {
+    name: 'silent opponent forfeits the battle',
+    run: async (battle, expect) => {
+      const { host, guest } = battle;
+      await guest.match.close();
+
+      host.match.lastMessageAt = Date.now() - FORFEIT_SILENCE;
+      host.match.heartbeat();
+      await settle(battle);
+      expect(host.remote.forfeited, 'guest forfeited');
+      expect(host.game.state === 'finished' && host.game.winner === host.player, 'host wins');
+      expect(await host.match.finish() === true, 'a forfeit needs no fleet check');
+    }
+  },
+  {
+    name: 'opponent who never reveals fails verification',
+    run: async (battle, expect) => {
+      const { host, guest } = battle;
+      await playToHostWin(battle);
+
+      // Guest disappears after the last shot
+      await guest.match.close();
+      expect(await host.match.finish() === false, 'host gives up on the reveal');
+      expect(host.game.gameLog.some(entry => entry.message.includes('no fleet revealed')), 'battle log says so');
+    }
+  }
+];
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log(`Remote Match Test ${version}\n`);
+
+  const load = (file) => loadSource(file).then(m => m.default);
+  const engine = {
+    Game: await load('classes/Game.js'),
+    Board: await load('classes/Board.js'),
+    HumanPlayer: await load('classes/HumanPlayer.js'),
+    RemotePlayer: await load('classes/RemotePlayer.js'),
+    RemoteMatch: await load('classes/RemoteMatch.js'),
+    LocalTransport: await loadSource('utils/RealtimeTransport.js').then(m => m.LocalTransport)
+  };
+
+  // Engine and match logging would bury the results
+  const log = console.log;
+  const warn = console.warn;
+  const logError = console.error;
+  const quiet = () => {};
+
+  let valid = true;
+  for (const scenario of SCENARIOS) {
+    const failures = [];
+    const expect = (condition, description) => {
+      if (!condition) failures.push(description);
+    };
+
+    console.log = quiet;
+    console.warn = quiet;
+    console.error = quiet;
+    let battle = null;
+    try {
+      battle = await createBattle(engine);
+      await scenario.run(battle, expect);
+    } catch (error) {
+      failures.push(`threw: ${error.message}`);
+    }
+    if (battle) {
+      await closeBattle(battle);
+    }
+    console.log = log;
+    console.warn = warn;
+    console.error = logError;
+
+    if (failures.length === 0) {
+      console.log(`✓ ${scenario.name}`);
+    } else {
+      console.log(`✗ ${scenario.name}`);
+      failures.forEach(failure => console.log(`    - ${failure}`));
+      valid = false;
+    }
+  }
+
+  console.log(valid ? '\nAll remote match scenarios passed' : '\nRemote match scenarios failed');
+  process.exit(valid ? 0 : 1);
+}
+
+// Run the script
+main().catch(error => {
+  console.error('Script failed:', error);
+  process.exit(1);
+});
+// EOF
@@ -0,0 +1,289 @@
+// scripts/test-replay.js
+// Copyright(c) 2025, Clint H. O'Connor
+// Play seeded battles through the real Game engine and rebuild them from their replays
+// v0.1.0: ReplayRecorder.toJSON() round trip through ReplayRecorder.buildPosition() (what ReplayViewer shows)
+//         - Each battle is played to the end, its replay serialised to JSON and parsed back
+//         - The rebuilt final position must match the Game: placements, ship damage, fleets
+//           (captures), cells marked don't-shoot, and the winner
+//         - Classic (human and AI), Midway (munitions, weather), Super Battleship (salvos) and
+//           First Texas Navy (ship movement) - the human fires at the first open cell
+//         - Exit code 1 when any scenario fails
+
+const path = require('path');
+const fs = require('fs');
+const { loadSource } = require('./loadSource');
+
+const version = 'v0.1.0';
+
+const CONFIG_DIR = path.resolve(__dirname, '..', 'public', 'config');
+const SEED = 11;
+const MAX_ACTIONS = 2000;
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, file), 'utf8'));
+
+/**
+ * Seeded game in eraId, fleets placed and munitions stocked from the era, not yet started
+ * @param {boolean} withHuman - Human captain in the first alliance, else two AI captains
+ */
+async function createGame(engine, eraId, withHuman, seed = SEED) {
+  const { Game, Board, AiPlayer, HumanPlayer, MUNITIONS } = engine;
+  const eraConfig = readJson(`era-${eraId}.json`);
+
+  const game = new Game(eraConfig, readJson('game-config.json'), seed);
+  game.initializeAlliances();
+  game.setBoard(new Board(eraConfig.rows, eraConfig.cols, eraConfig.terrain));
+  game.updateAnimationSettings({ speedFactor: 0 });
+
+  const [allianceA, allianceB] = eraConfig.alliances;
+  const first = withHuman
+    ? new HumanPlayer('human-fixture', 'Human Fixture')
+    : new AiPlayer('ai-first', 'First Captain', 'ai-hunt', 1.0);
+  const second = new AiPlayer('ai-second', 'Second Captain', 'methodical_random', 1.0);
+  game.addPlayer(first, allianceA.name);
+  game.addPlayer(second, allianceB.name);
+
+  // Stocked as GameLifecycleManager does for one opponent - torpedoes ride on submarines
+  for (const player of game.players) {
+    player.setBoard(game.board);
+    await game.autoPlaceShips(player);
+
+    const counts = {};
+    Object.values(MUNITIONS).filter(munition => !munition.carriedBy).forEach(munition => {
+      counts[munition.stockKey] = eraConfig.munitions?.[munition.countKey] || 0;
+    });
+    game.initializeMunitions(player, counts);
+  }
+
+  return { game, first, second };
+}
+
+/**
+ * Wait for queued actions (AI turns) to drain
+ */
+async function settle(game) {
+  for (let wait = 0; game.isProcessingAction && wait < 500; wait++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Cell the human fires at - the next salvo candidate, or the first open cell
+ */
+function humanTarget(game, human) {
+  if (game.isSalvoGame()) {
+    return game.getSalvoCandidates(human)[0] || null;
+  }
+  for (let row = 0; row < game.board.rows; row++) {
+    for (let col = 0; col < game.board.cols; col++) {
+      if (game.isValidAttack(row, col, human) && human.canShootAt(row, col)) {
+        return { row, col };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Start the game and play it to the end
+ */
+async function playToEnd(game) {
+  await game.startGame();
+  await settle(game);
+
+  for (let action = 0; action < MAX_ACTIONS && game.state === 'playing'; action++) {
+    const current = game.getCurrentPlayer();
+    if (current.type === 'human') {
+      const target = humanTarget(game, current);
+      if (!target) break;
+      game.processPlayerAction('attack', target);
+    } else if (!game.isProcessingAction) {
+      await game.checkAndTriggerAITurn();
+    }
+    await settle(game);
+  }
+}
+
+// Loaded in main() - buildPosition() is what ReplayViewer renders each step from
+let ReplayRecorder = null;
+
+/**
+ * Serialise the game's replay and rebuild the position after step events (default: all of them)
+ */
+function rebuild(game, step = null) {
+  const replay = JSON.parse(JSON.stringify(game.replay.toJSON()));
+  return { replay, position: ReplayRecorder.buildPosition(replay, step ?? replay.events.length) };
+}
+
+// Comparable views of a player - rebuilt players are plain Players, so only state is compared
+const placementsOf = (player) => Array.from(player.shipPlacements.entries())
+  .map(([key, p]) => `${key}:${p.shipId}:${p.cellIndex}`).sort();
+const healthOf = (player) => player.fleet.ships
+  .map(ship => `${ship.id}:${ship.health.map(h => h.toFixed(6)).join('/')}`).sort();
+const dontShootOf = (player) => player.getDontShoot().map(({ row, col }) => `${row},${col}`).sort();
+const same = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+/**
+ * Compare the rebuilt position with the live game, player by player
+ */
+function expectSamePosition(game, position, expect) {
+  expect(position.players.length === game.players.length, 'every player rebuilt');
+  for (const player of game.players) {
+    const rebuilt = position.players.find(p => p.id === player.id);
+    if (!rebuilt) {
+      expect(false, `${player.name} missing from the replay`);
+      continue;
+    }
+    expect(same(placementsOf(rebuilt), placementsOf(player)), `${player.name}: ship placements`);
+    expect(same(healthOf(rebuilt), healthOf(player)), `${player.name}: fleet and ship damage`);
+    expect(same(dontShootOf(rebuilt), dontShootOf(player)), `${player.name}: cells marked don't-shoot`);
+    expect(rebuilt.isDefeated() === player.isDefeated(), `${player.name}: ${player.isDefeated() ? 'sunk' : 'afloat'}`);
+  }
+}
+
+/**
+ * Battle played to the end rebuilds to the final board
+ * @param {Function} check - Extra expectations on the replay
+ */
+const roundTrip = (eraId, withHuman, check = () => {}) => async (engine, expect) => {
+  const { game } = await createGame(engine, eraId, withHuman);
+  await playToEnd(game);
+  expect(game.state === 'finished', 'battle played to the end');
+
+  const { replay, position } = rebuild(game);
+  expect(replay.seed === SEED && replay.eraId === eraId, 'replay names its seed and era');
+  expect(replay.winner && replay.winner === game.winner?.id, 'replay names the winner');
+  expectSamePosition(game, position, expect);
+  check(replay, expect, game);
+};
+
+const eventTypes = (replay) => new Set(replay.events.map(event => event.type));
+
+/**
+ * Replay JSON with ship ids (random per Ship) swapped for the ship's place in its fleet
+ */
+function withFleetShipIds(replay) {
+  const names = new Map();
+  replay.players.forEach(player => player.ships.forEach((ship, i) => names.set(ship.id, `${player.id}#${i}`)));
+  return JSON.stringify(replay, (key, value) => (typeof value === 'string' && names.get(value)) || value);
+}
+
+const SCENARIOS = [
+  {
+    name: 'Classic Battleship - human and AI to the last ship',
+    run: roundTrip('traditional', true, (replay, expect) => {
+      expect(eventTypes(replay).has('shot'), 'shots recorded');
+    })
+  },
+  {
+    name: 'Midway - two AI captains with munitions and weather',
+    run: roundTrip('midway', false, (replay, expect) => {
+      const types = eventTypes(replay);
+      expect(types.has('weather'), 'weather recorded');
+      expect(['starShell', 'depthCharge', 'aerialRecon', 'torpedo'].some(type => types.has(type)), 'munitions recorded');
+    })
+  },
+  {
+    name: 'Super Battleship - salvos',
+    run: roundTrip('super', true, (replay, expect) => {
+      expect(eventTypes(replay).has('salvo'), 'salvos recorded');
+    })
+  },
+  {
+    name: 'First Texas Navy - ship movement',
+    run: roundTrip('firsttexasnavy', false, (replay, expect) => {
+      expect(eventTypes(replay).has('move'), 'moves recorded');
+    })
+  },
+  {
+    name: 'opening position and a position mid-battle',
+    run: async (engine, expect) => {
+      const { game } = await createGame(engine, 'traditional', true);
+      await game.startGame();
+      await settle(game);
+      const { position: opening } = rebuild(game, 0);
+      expectSamePosition(game, opening, expect);
+
+      // Ten human shots and the AI's replies, then compare again
+      for (let shot = 0; shot < 10 && game.state === 'playing'; shot++) {
+        game.processPlayerAction('attack', humanTarget(game, game.getCurrentPlayer()));
+        await settle(game);
+      }
+      const { replay, position } = rebuild(game);
+      expect(replay.events.length >= 10 && replay.winner === null, 'battle still on');
+      expectSamePosition(game, position, expect);
+    }
+  },
+  {
+    name: 'same seed, same replay',
+    run: async (engine, expect) => {
+      const play = async () => {
+        const { game } = await createGame(engine, 'midway', false);
+        await playToEnd(game);
+        return withFleetShipIds(game.replay.toJSON());
+      };
+      const first = await play();
+      expect(first === await play(), `identical replays with seed ${SEED}`);
+    }
+  }
+];
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log(`Replay Round Trip Test ${version}\n`);
+
+  const load = (file) => loadSource(file).then(m => m.default);
+  const engine = {
+    Game: await load('classes/Game.js'),
+    Board: await load('classes/Board.js'),
+    AiPlayer: await load('classes/AiPlayer.js'),
+    HumanPlayer: await load('classes/HumanPlayer.js'),
+    MUNITIONS: await loadSource('constants/Munitions.js').then(m => m.MUNITIONS)
+  };
+  ReplayRecorder = await load('classes/ReplayRecorder.js');
+
+  // Engine logging would bury the results
+  const log = console.log;
+  const warn = console.warn;
+  const logError = console.error;
+  const quiet = () => {};
+
+  let valid = true;
+  for (const scenario of SCENARIOS) {
+    const failures = [];
+    const expect = (condition, description) => {
+      if (!condition) failures.push(description);
+    };
+
+    console.log = quiet;
+    console.warn = quiet;
+    console.error = quiet;
+    try {
+      await scenario.run(engine, expect);
+    } catch (error) {
+      failures.push(`threw: ${error.message}`);
+    }
+    console.log = log;
+    console.warn = warn;
+    console.error = logError;
+
+    if (failures.length === 0) {
+      console.log(`✓ ${scenario.name}`);
+    } else {
+      console.log(`✗ ${scenario.name}`);
+      failures.forEach(failure => console.log(`    - ${failure}`));
+      valid = false;
+    }
+  }
+
+  console.log(valid ? '\nAll replay scenarios passed' : '\nReplay scenarios failed');
+  process.exit(valid ? 0 : 1);
+}
+
+// Run the script
+main().catch(error => {
+  console.error('Script failed:', error);
+  process.exit(1);
+});
+// EOF
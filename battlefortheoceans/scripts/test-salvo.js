@@ -0,0 +1,226 @@
+// scripts/test-salvo.js
+// Copyright(c) 2025, Clint H. O'Connor
+// Run the salvo rule (game_rules.salvo) through the real Game engine
+// v0.1.0: Salvo size, human target picking, firing a salvo and AI salvo aiming
+//         - Super Battleship (salvo on) - the human moves first, the AI second
+//         - Salvo size follows the ships afloat and game_rules.salvo_guns; 1 with salvo off (Traditional)
+//         - Exit code 1 when any scenario fails
+
+const path = require('path');
+const fs = require('fs');
+const { loadSource } = require('./loadSource');
+
+const version = 'v0.1.0';
+
+const CONFIG_DIR = path.resolve(__dirname, '..', 'public', 'config');
+const ERA_ID = 'super';
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, file), 'utf8'));
+
+/**
+ * Game in the given era with the human to move and both fleets placed
+ */
+async function createGame(engine, eraId = ERA_ID, strategy = 'ai-hunt') {
+  const { Game, Board, AiPlayer, HumanPlayer } = engine;
+  const eraConfig = readJson(`era-${eraId}.json`);
+
+  const game = new Game(eraConfig, readJson('game-config.json'), 1);
+  game.initializeAlliances();
+  game.setBoard(new Board(eraConfig.rows, eraConfig.cols, eraConfig.terrain));
+  game.updateAnimationSettings({ speedFactor: 0 });
+
+  const [allianceA, allianceB] = eraConfig.alliances;
+  const human = new HumanPlayer('human-fixture', 'Human Fixture');
+  const ai = new AiPlayer('ai-fixture', 'AI Fixture', strategy, 1.0);
+  game.addPlayer(human, allianceA.name);
+  game.addPlayer(ai, allianceB.name);
+
+  for (const player of game.players) {
+    player.setBoard(game.board);
+    await game.autoPlaceShips(player);
+  }
+
+  game.state = 'playing';
+  game.currentPlayerIndex = 0;
+
+  return { game, human, ai };
+}
+
+/**
+ * Sink one of player's ships outright
+ */
+function sinkShip(ship) {
+  for (let cellIndex = 0; cellIndex < ship.size; cellIndex++) {
+    ship.receiveHit(cellIndex, 1.0);
+  }
+}
+
+/**
+ * Wait for queued actions (the AI's reply) to drain
+ */
+async function settle(game) {
+  for (let wait = 0; game.isProcessingAction && wait < 500; wait++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const sameCell = (a, b) => a.row === b.row && a.col === b.col;
+const isDistinct = (cells) => cells.every((cell, i) => cells.findIndex(other => sameCell(cell, other)) === i);
+
+const SCENARIOS = [
+  {
+    name: 'salvo size follows the ships afloat',
+    run: async ({ game, human, ai }, expect, engine) => {
+      const ships = human.fleet.ships.length;
+      expect(game.isSalvoGame(), 'salvo rule on in Super Battleship');
+      expect(game.getSalvoSize(human) === ships, `one shot per ship (${ships})`);
+
+      sinkShip(human.fleet.ships[0]);
+      expect(game.getSalvoSize(human) === ships - 1, 'a sunk ship loses its shot');
+
+      game.gameRules.salvo_guns = { Battleship: 3 };
+      expect(game.getSalvoSize(human) === ships + 1, 'salvo_guns gives the battleship three shots');
+      expect(game.getSalvoSize(ai) === ai.fleet.ships.length + 2, 'salvo_guns counts for the AI too');
+
+      const classic = await createGame(engine, 'traditional');
+      expect(!classic.game.isSalvoGame(), 'salvo rule off in Classic Battleship');
+      expect(classic.game.getSalvoSize(classic.human) === 1, 'one shot a turn without the rule');
+    }
+  },
+  {
+    name: 'human picks, takes back and tops out salvo targets',
+    run: async ({ game, human }, expect) => {
+      const size = game.getSalvoSize(human);
+      const cells = game.getSalvoCandidates(human).slice(0, size + 1);
+
+      game.toggleSalvoTarget(cells[0].row, cells[0].col);
+      expect(game.salvoTargets.length === 1, 'first target picked');
+      game.toggleSalvoTarget(cells[0].row, cells[0].col);
+      expect(game.salvoTargets.length === 0, 'second click takes it back');
+
+      cells.forEach(cell => game.toggleSalvoTarget(cell.row, cell.col));
+      expect(game.salvoTargets.length === size, `salvo tops out at ${size}`);
+      expect(!game.salvoTargets.some(t => sameCell(t, cells[size])), 'extra target not picked');
+      expect(game.getSalvoCandidates(human).length === game.getSalvoCandidates(human, []).length - size,
+        'picked cells are no longer candidates');
+
+      game.currentPlayerIndex = 1;
+      expect(game.toggleSalvoTarget(cells[size].row, cells[size].col) === null, 'no picking on the AI\'s turn');
+    }
+  },
+  {
+    name: 'fired salvo lands together and passes the turn',
+    run: async ({ game, human, ai }, expect) => {
+      const size = game.getSalvoSize(human);
+      const shipCells = ai.fleet.ships.flatMap(ship => ai.getShipCells(ship.id));
+      const targets = [shipCells[0], ...game.getSalvoCandidates(human).filter(cell => !ai.getShipAt(cell.row, cell.col))]
+        .slice(0, size);
+      targets.forEach(cell => game.toggleSalvoTarget(cell.row, cell.col));
+
+      const outcome = game.fireSalvo();
+      await settle(game);
+      expect(outcome && outcome.wasHit, 'salvo reports the hit');
+      expect(outcome && outcome.cells.length === size, `${size} shots resolved`);
+      expect(human.shots === size && human.hits === 1 && human.salvos === 1, 'one salvo, one hit');
+      expect(game.salvoTargets.length === 0, 'targets cleared');
+      expect(ai.salvos === 1 && ai.shots === game.getSalvoSize(ai), 'a hit still passes the turn - AI fires its salvo');
+      expect(game.getCurrentPlayer() === human, 'human moves next');
+      expect(game.fireSalvo() === false, 'nothing to fire without targets');
+    }
+  },
+  {
+    name: 'AI aims a full salvo - opening shot, hunt queue, then the heat map',
+    run: async ({ game, ai }, expect) => {
+      const size = game.getSalvoSize(ai);
+      const available = ai.getAvailableTargets(game);
+      const first = available[10];
+      const queued = available[20];
+      ai.memory.targetQueue.push({ row: queued.row, col: queued.col });
+
+      const targets = ai.selectSalvoTargets(game, size, first);
+      expect(targets.length === size, `${size} targets`);
+      expect(isDistinct(targets), 'no cell twice');
+      expect(targets.every(t => available.some(cell => sameCell(cell, t))), 'only open cells');
+      expect(sameCell(targets[0], first), 'opening shot first');
+      expect(targets.some(t => sameCell(t, queued)), 'hunt queue cell included');
+
+      // Cells already shot at are never picked again
+      const shot = available[0];
+      ai.recordDontShoot(shot.row, shot.col);
+      const again = ai.selectSalvoTargets(game, size);
+      expect(!again.some(t => sameCell(t, shot)), 'cell shot at is skipped');
+    }
+  },
+  {
+    name: 'random AI scatters a full salvo',
+    run: async (fixture, expect, engine) => {
+      const { game, ai } = await createGame(engine, ERA_ID, 'random');
+      const size = game.getSalvoSize(ai);
+      const available = ai.getAvailableTargets(game);
+
+      const targets = ai.selectSalvoTargets(game, size);
+      expect(targets.length === size && isDistinct(targets), `${size} different targets`);
+      expect(targets.every(t => available.some(cell => sameCell(cell, t))), 'only open cells');
+      expect(ai.selectSalvoTargets(game, available.length + 5).length === available.length, 'never more than the open cells');
+    }
+  }
+];
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log(`Salvo Rule Test ${version}\n`);
+
+  const load = (file) => loadSource(file).then(m => m.default);
+  const engine = {
+    Game: await load('classes/Game.js'),
+    Board: await load('classes/Board.js'),
+    AiPlayer: await load('classes/AiPlayer.js'),
+    HumanPlayer: await load('classes/HumanPlayer.js')
+  };
+
+  // Engine logging would bury the results
+  const log = console.log;
+  const warn = console.warn;
+  const logError = console.error;
+  const quiet = () => {};
+
+  let valid = true;
+  for (const scenario of SCENARIOS) {
+    const failures = [];
+    const expect = (condition, description) => {
+      if (!condition) failures.push(description);
+    };
+
+    console.log = quiet;
+    console.warn = quiet;
+    console.error = quiet;
+    try {
+      await scenario.run(await createGame(engine), expect, engine);
+    } catch (error) {
+      failures.push(`threw: ${error.message}`);
+    }
+    console.log = log;
+    console.warn = warn;
+    console.error = logError;
+
+    if (failures.length === 0) {
+      console.log(`✓ ${scenario.name}`);
+    } else {
+      console.log(`✗ ${scenario.name}`);
+      failures.forEach(failure => console.log(`    - ${failure}`));
+      valid = false;
+    }
+  }
+
+  console.log(valid ? '\nAll salvo scenarios passed' : '\nSalvo scenarios failed');
+  process.exit(valid ? 0 : 1);
+}
+
+// Run the script
+main().catch(error => {
+  console.error('Script failed:', error);
+  process.exit(1);
+});
+// EOF
@@ -0,0 +1,295 @@
+// scripts/test-ship-movement.js
+// Copyright(c) 2025, Clint H. O'Connor
+// Run ship movement (game_rules.ship_movement) through the real Game engine
+// v0.1.0: Game.getShipMoves() / moveShip() / resolveShipMove(), AiPlayer.selectShipMove() and onShipMoved()
+//         - First Texas Navy (ship movement, range 2) - the human moves first, the AI second
+//         - Each captain's fleet is cleared and the ships under test placed by hand, so every
+//           move and blocked step is known (row 6 and 8 run from land at column 0 into deep water)
+//         - Exit code 1 when any scenario fails
+
+const path = require('path');
+const fs = require('fs');
+const { loadSource } = require('./loadSource');
+
+const version = 'v0.1.0';
+
+const CONFIG_DIR = path.resolve(__dirname, '..', 'public', 'config');
+const ERA_ID = 'firsttexasnavy';
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, file), 'utf8'));
+
+/**
+ * Game with the human to move, fleets placed, and no munitions - the AI's only choices are
+ * a shot or a move
+ */
+async function createGame(engine) {
+  const { Game, Board, AiPlayer, HumanPlayer } = engine;
+  const eraConfig = readJson(`era-${ERA_ID}.json`);
+
+  const game = new Game(eraConfig, readJson('game-config.json'), 1);
+  game.initializeAlliances();
+  game.setBoard(new Board(eraConfig.rows, eraConfig.cols, eraConfig.terrain));
+  game.updateAnimationSettings({ speedFactor: 0 });
+
+  const [allianceA, allianceB] = eraConfig.alliances;
+  const human = new HumanPlayer('human-fixture', 'Human Fixture');
+  const ai = new AiPlayer('ai-fixture', 'AI Fixture', 'methodical_random', 1.0);
+  game.addPlayer(human, allianceA.name);
+  game.addPlayer(ai, allianceB.name);
+
+  for (const player of game.players) {
+    player.setBoard(game.board);
+    await game.autoPlaceShips(player);
+    game.initializeMunitions(player, {});
+  }
+
+  game.state = 'playing';
+  game.currentPlayerIndex = 0;
+  game.replay.start();
+
+  return { game, human, ai };
+}
+
+/**
+ * Clear player's placements and put the given ships down by hand, left to right
+ * @param {Array} layout - [{ ship, row, col }]
+ */
+function placeFleet(player, layout) {
+  player.shipPlacements.clear();
+  layout.forEach(({ ship, row, col }) => {
+    for (let cellIndex = 0; cellIndex < ship.size; cellIndex++) {
+      player.placeShip(row, col + cellIndex, ship.id, cellIndex, 0);
+    }
+  });
+}
+
+/**
+ * Wait for queued actions (the AI's turn) to drain
+ */
+async function settle(game) {
+  for (let wait = 0; game.isProcessingAction && wait < 500; wait++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Ships of the given size that sail deep and shallow water
+const shipsOfSize = (player, size) => player.fleet.ships.filter(ship => ship.size === size &&
+  ship.terrain.includes('deep') && ship.terrain.includes('shallow'));
+
+const moveKeys = (moves) => moves.map(move => `${move.dRow},${move.dCol}`).sort().join(' ');
+const cellKeys = (cells) => cells.map(cell => `${cell.row},${cell.col},${cell.cellIndex}`).join(' ');
+
+const SCENARIOS = [
+  {
+    name: 'open water - straight lines up to ship_movement_range',
+    run: async ({ game, human, ai }, expect) => {
+      const [ship] = shipsOfSize(human, 3);
+      placeFleet(human, [{ ship, row: 7, col: 5 }]);
+
+      const moves = game.getShipMoves(human, ship);
+      expect(moveKeys(moves) === '-1,0 -2,0 0,-1 0,-2 0,1 0,2 1,0 2,0', 'two steps each way');
+      const up = moves.find(move => move.dRow === -2);
+      expect(up && cellKeys(up.cells) === '5,5,0 5,6,1 5,7,2', 'cells shift with their cellIndex');
+
+      game.gameRules.ship_movement_range = 1;
+      expect(game.getShipMoves(human, ship).length === 4, 'one step each way at range 1');
+
+      expect(game.getShipMoves(ai, ai.fleet.ships[0]).length === 0, 'no moves off turn');
+      expect(game.getShipMoves(human, ai.fleet.ships[0]).length === 0, 'no moving the enemy\'s ships');
+
+      game.gameRules.ship_movement = false;
+      expect(game.getShipMoves(human, ship).length === 0, 'no moves without the rule');
+    }
+  },
+  {
+    name: 'land and the captain\'s own ships stop a move',
+    run: async ({ game, human }, expect) => {
+      const [ship, blocker] = shipsOfSize(human, 3);
+      placeFleet(human, [{ ship, row: 6, col: 1 }, { ship: blocker, row: 8, col: 1 }]);
+
+      const moves = game.getShipMoves(human, ship);
+      expect(!moves.some(move => move.dCol < 0), 'land at column 0 stops every move left');
+      expect(moves.some(move => move.dRow === 1) && !moves.some(move => move.dRow === 2), 'own ship two rows down stops the second step');
+      expect(moves.every(move => game.board.canPlaceShip(move.cells, ship.terrain)), 'every move suits the ship\'s terrain');
+
+      const before = cellKeys(human.getShipCells(ship.id));
+      expect(game.resolveShipMove(human, ship.id, 0, -1) === null, 'move onto land refused');
+      expect(game.moveShip(ship.id, 2, 0) === false, 'move through own ship refused');
+      expect(cellKeys(human.getShipCells(ship.id)) === before, 'ship stays where it was');
+      expect(game.getCurrentPlayer() === human, 'refused move keeps the turn');
+    }
+  },
+  {
+    name: 'damaged and sunk ships cannot move',
+    run: async ({ game, human }, expect) => {
+      const [damaged, sunk] = shipsOfSize(human, 3);
+      placeFleet(human, [{ ship: damaged, row: 6, col: 5 }, { ship: sunk, row: 9, col: 5 }]);
+
+      damaged.receiveHit(1, 0.25);
+      for (let cellIndex = 0; cellIndex < sunk.size; cellIndex++) {
+        sunk.receiveHit(cellIndex, 1.0);
+      }
+
+      expect(!game.canMoveShip(human, damaged) && game.getShipMoves(human, damaged).length === 0, 'damaged ship has no moves');
+      expect(!game.canMoveShip(human, sunk), 'sunk ship has no moves');
+      expect(game.moveShip(damaged.id, 0, 1) === false, 'moveShip refuses the damaged ship');
+      expect(game.getCurrentPlayer() === human, 'still the human\'s turn');
+    }
+  },
+  {
+    name: 'human move spends the turn and is recorded',
+    run: async ({ game, human, ai }, expect) => {
+      const [ship] = shipsOfSize(human, 3);
+      placeFleet(human, [{ ship, row: 7, col: 5 }]);
+
+      expect(game.moveShip(ship.id, 0, 2) === true, 'ship moved');
+      expect(cellKeys(human.getShipCells(ship.id)) === '7,7,0 7,8,1 7,9,2', 'ship on its new cells');
+      expect(!human.getShipAt(7, 5) && !human.getShipAt(7, 6), 'old cells empty');
+      expect(human.shots === 0, 'a move is not a shot');
+
+      const event = game.replay.events.find(e => e.type === 'move');
+      expect(event && event.shipId === ship.id && event.dRow === 0 && event.dCol === 2, 'replay records the move');
+
+      await settle(game);
+      expect(ai.shots === 1, 'AI takes its turn');
+      expect(game.getCurrentPlayer() === human, 'human moves next');
+    }
+  },
+  {
+    name: 'moving onto an enemy mine sets it off',
+    run: async ({ game, human, ai }, expect) => {
+      const [ship] = shipsOfSize(human, 3);
+      placeFleet(human, [{ ship, row: 7, col: 5 }]);
+
+      // Stock set directly - First Texas Navy carries no mines
+      game.mines.push({ row: 7, col: 9, ownerId: ai.id, damage: 1.0 });
+      game.mines.push({ row: 9, col: 9, ownerId: ai.id, damage: 1.0 });
+
+      const outcome = game.resolveShipMove(human, ship.id, 0, 2);
+      expect(outcome && outcome.detonated.length === 1, 'one mine went off');
+      expect(outcome && outcome.detonated[0]?.row === 7 && outcome.detonated[0]?.col === 9, 'the mine on the cell entered');
+      expect(ship.health[2] < 1 && ship.hitCount === 1, 'bow takes the damage');
+      expect(game.mines.length === 1 && game.mines[0].row === 9, 'mine off the ship\'s path stays');
+      expect(!game.canMoveShip(human, ship), 'damaged ship cannot move again');
+    }
+  },
+  {
+    name: 'enemy forgets the area a ship left',
+    run: async ({ game, human, ai }, expect) => {
+      const [ship] = shipsOfSize(human, 3);
+      placeFleet(human, [{ ship, row: 7, col: 5 }]);
+
+      // AI misses around the ship and far away, a sighting queued nearby, and one next to a hit
+      [[6, 5], [8, 7], [7, 3], [2, 18]].forEach(([row, col]) => ai.recordDontShoot(row, col));
+      ai.memory.hits.set('9,4', { row: 9, col: 4 });
+      ai.memory.targetQueue.push({ row: 5, col: 6 }, { row: 9, col: 3 }, { row: 12, col: 20 });
+      ai.memory.heatMap = [];
+
+      const outcome = game.resolveShipMove(human, ship.id, -1, 0);
+      expect(outcome !== null, 'ship moved');
+      expect(ai.canShootAt(6, 5) && ai.canShootAt(8, 7) && ai.canShootAt(7, 3), 'misses around the old position can be fired on again');
+      expect(!ai.canShootAt(2, 18), 'far miss still marked');
+
+      const queued = ai.memory.targetQueue.map(t => `${t.row},${t.col}`);
+      expect(!queued.includes('5,6'), 'stale sighting dropped');
+      expect(queued.includes('9,3'), 'target next to a hit kept');
+      expect(queued.includes('12,20'), 'target outside the area kept');
+      expect(ai.memory.heatMap === null, 'heat map rebuilt');
+
+      const event = game.replay.events.find(e => e.type === 'move');
+      const cleared = (event?.cleared || []).map(([row, col]) => `${row},${col}`);
+      expect(cleared.length === 3 && ['6,5', '8,7', '7,3'].every(key => cleared.includes(key)), 'replay lists the cleared cells');
+    }
+  },
+  {
+    name: 'AI slips a ship away from enemy shots',
+    run: async ({ game, human, ai }, expect) => {
+      const [ship] = shipsOfSize(ai, 3);
+      placeFleet(ai, [{ ship, row: 7, col: 5 }]);
+
+      expect(ai.selectShipMove(game) === null, 'no enemy shots, no move');
+
+      // Human shots landing on both sides of it
+      [[6, 5], [8, 6], [7, 4]].forEach(([row, col]) => human.recordDontShoot(row, col));
+      game.currentPlayerIndex = 1;
+
+      ai.random = () => 0.9;
+      expect(ai.selectShipMove(game) === null, 'stays put on a high roll');
+
+      ai.random = () => 0.1;
+      const decision = ai.selectShipMove(game);
+      const legal = game.getShipMoves(ai, ship).find(move => move.dRow === decision?.dRow && move.dCol === decision?.dCol);
+      expect(decision?.action === 'move' && decision.shipId === ship.id, 'moves the ship under fire');
+      expect(legal && !legal.cells.some(cell => human.isDontShoot(cell.row, cell.col)), 'to a legal spot off the shots');
+
+      await game.executeAITurnQueued(ai);
+      await settle(game);
+      const moved = cellKeys(ai.getShipCells(ship.id));
+      expect(legal && moved === cellKeys(legal.cells), 'queued ai_move moves it');
+      expect(ai.shots === 0, 'the move was the AI\'s turn');
+      expect(game.getCurrentPlayer() === human, 'human moves next');
+
+      ai.behavior = 'random';
+      expect(ai.selectShipMove(game) === null, 'random captains never move');
+    }
+  }
+];
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log(`Ship Movement Test ${version}\n`);
+
+  const load = (file) => loadSource(file).then(m => m.default);
+  const engine = {
+    Game: await load('classes/Game.js'),
+    Board: await load('classes/Board.js'),
+    AiPlayer: await load('classes/AiPlayer.js'),
+    HumanPlayer: await load('classes/HumanPlayer.js')
+  };
+
+  // Engine logging would bury the results
+  const log = console.log;
+  const warn = console.warn;
+  const logError = console.error;
+  const quiet = () => {};
+
+  let valid = true;
+  for (const scenario of SCENARIOS) {
+    const failures = [];
+    const expect = (condition, description) => {
+      if (!condition) failures.push(description);
+    };
+
+    console.log = quiet;
+    console.warn = quiet;
+    console.error = quiet;
+    try {
+      await scenario.run(await createGame(engine), expect);
+    } catch (error) {
+      failures.push(`threw: ${error.message}`);
+    }
+    console.log = log;
+    console.warn = warn;
+    console.error = logError;
+
+    if (failures.length === 0) {
+      console.log(`✓ ${scenario.name}`);
+    } else {
+      console.log(`✗ ${scenario.name}`);
+      failures.forEach(failure => console.log(`    - ${failure}`));
+      valid = false;
+    }
+  }
+
+  console.log(valid ? '\nAll ship movement scenarios passed' : '\nShip movement scenarios failed');
+  process.exit(valid ? 0 : 1);
+}
+
+// Run the script
+main().catch(error => {
+  console.error('Script failed:', error);
+  process.exit(1);
+});
+// EOF
@@ -0,0 +1,379 @@
+// scripts/test-stripe-webhook.js
+// Copyright(c) 2025, Clint H. O'Connor
+// Replay Stripe fixture events through netlify/functions/stripe_webhook.js locally
+// v0.1.4: Gift retried after a crash past voucher generation makes no second voucher (stripe_webhook v0.2.5)
+// v0.1.3: Refunded and disputed gifts (stripe_webhook v0.2.4)
+// v0.1.2: Abandoned and in-flight 'processing' claims (stripe_webhook v0.2.3)
+// v0.1.1: Pass pack, exclusive eras bundle and gift scenarios (stripe_webhook v0.2.1)
+// v0.1.0: No Stripe account, database or email needed
+//         - Fixture events in scripts/fixtures/stripe/*.json
+//         - Supabase is the in-process stand-in (supabaseStandIn.js), emails are collected in memory
+//         - Signed deliveries go through the real handler (stripe.webhooks signature check)
+//         - Exit code 1 when any scenario fails
+
+const path = require('path');
+const fs = require('fs');
+const Stripe = require('stripe');
+const { SupabaseStandIn } = require('./supabaseStandIn');
+
+const version = 'v0.1.4';
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'stripe');
+const WEBHOOK_SECRET = 'whsec_local_fixture_secret';
+
+// The handler reads these when it runs
+process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+process.env.BREVO_PURCHASE_TEMPLATE_ID = process.env.BREVO_PURCHASE_TEMPLATE_ID || 'purchase-confirmation';
+process.env.BREVO_GIFT_TEMPLATE_ID = process.env.BREVO_GIFT_TEMPLATE_ID || 'gift-voucher';
+
+const { createHandler, processStripeEvent } = require('../netlify/functions/stripe_webhook');
+
+const PLAYER_ID = '6f1c2a9e-4b7d-4e2a-9c3f-1a2b3c4d5e6f';
+const RECIPIENT_ID = '0b8e4d2c-7a1f-4c3e-8d5b-9f0a1b2c3d4e';
+
+/**
+ * Load a fixture event, optionally with a different event id (a new delivery of the same change)
+ */
+function fixture(name, eventId = null) {
+  const event = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf8'));
+  return eventId ? { ...event, id: eventId } : event;
+}
+
+/**
+ * Fresh stand-in database, Stripe stub and email outbox for one scenario
+ */
+function createDeps() {
+  const emails = [];
+  const stripe = Stripe('sk_test_local_fixture');
+  const supabase = new SupabaseStandIn({
+    user_profiles: [{ id: PLAYER_ID, email: 'captain@example.com', game_name: 'Captain Fixture' }],
+    user_rights: [],
+    payment_events: [],
+    vouchers: []
+  }, {
+    payment_events: 'stripe_event_id'
+  });
+
+  // As supabase-functions/add_gift_voucher_payment_intent.sql - one voucher per payment intent,
+  // same code format as update_generate_voucher_created_for.sql
+  supabase.onRpc('generate_gift_voucher', (args, db) => {
+    const vouchers = db.table('vouchers');
+    const existing = vouchers.find(voucher => voucher.stripe_payment_intent_id === args.p_stripe_payment_intent_id);
+    if (existing) {
+      return existing.voucher_code;
+    }
+    const code = `${args.p_type}-${args.p_value}-00000000-0000-4000-8000-${String(vouchers.length + 1).padStart(12, '0')}`;
+    vouchers.push({
+      voucher_code: code,
+      purpose: 'gift',
+      created_by: args.p_created_by,
+      email_sent_to: args.p_email_sent_to,
+      stripe_payment_intent_id: args.p_stripe_payment_intent_id
+    });
+    return code;
+  });
+
+  return {
+    emails,
+    supabase,
+    stripe: {
+      webhooks: stripe.webhooks,
+      // Disputes name the charge - the fixture charge belongs to the fixture payment intent
+      charges: { retrieve: async (id) => ({ id, payment_intent: 'pi_test_midway' }) }
+    },
+    sendEmail: async (options) => {
+      emails.push(options);
+    }
+  };
+}
+
+const activeRights = (deps) => deps.supabase.table('user_rights')
+  .filter(right => !right.expires_at || new Date(right.expires_at) > new Date());
+const auditRow = (deps, eventId) => deps.supabase.table('payment_events')
+  .find(row => row.stripe_event_id === eventId);
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+/**
+ * Audit row left by an attempt that never finished (crash or function timeout)
+ */
+const seedProcessing = (deps, claimedAt) => deps.supabase.table('payment_events').push({
+  stripe_event_id: 'evt_test_pi_succeeded',
+  event_type: 'payment_intent.succeeded',
+  status: 'processing',
+  created_at: claimedAt,
+  claimed_at: claimedAt
+});
+
+const SCENARIOS = [
+  {
+    name: 'payment succeeded grants the era and sends one email',
+    run: async (deps, expect) => {
+      await processStripeEvent(fixture('payment_intent.succeeded'), deps);
+      expect(activeRights(deps).length === 1, 'one active user_rights row');
+      expect(activeRights(deps)[0]?.rights_value === 'midway', 'rights_value is midway');
+      expect(deps.emails.length === 1, 'one confirmation email');
+      expect(deps.emails[0]?.params.ERA_ID === 'midway', 'email names the era');
+      expect(auditRow(deps, 'evt_test_pi_succeeded')?.status === 'processed', 'audit row processed');
+    }
+  },
+  {
+    name: 'retried delivery is a duplicate',
+    run: async (deps, expect) => {
+      await processStripeEvent(fixture('payment_intent.succeeded'), deps);
+      const outcome = await processStripeEvent(fixture('payment_intent.succeeded'), deps);
+      expect(outcome.duplicate === true, 'second delivery reported as duplicate');
+      expect(deps.supabase.table('user_rights').length === 1, 'still one user_rights row');
+      expect(deps.emails.length === 1, 'still one email');
+    }
+  },
+  {
+    name: 'new event for a granted payment intent grants nothing',
+    run: async (deps, expect) => {
+      await processStripeEvent(fixture('payment_intent.succeeded'), deps);
+      await processStripeEvent(fixture('payment_intent.succeeded', 'evt_test_pi_succeeded_again'), deps);
+      expect(deps.supabase.table('user_rights').length === 1, 'still one user_rights row');
+      expect(auditRow(deps, 'evt_test_pi_succeeded_again')?.status === 'ignored', 'audit row ignored');
+    }
+  },
+  {
+    name: 'failed handling is retried',
+    run: async (deps, expect) => {
+      deps.supabase.failNext('user_rights', 'insert');
+      let threw = false;
+      try {
+        await processStripeEvent(fixture('payment_intent.succeeded'), deps);
+      } catch (error) {
+        threw = true;
+      }
+      expect(threw, 'first delivery throws (handler returns 500)');
+      expect(auditRow(deps, 'evt_test_pi_succeeded')?.status === 'failed', 'audit row failed');
+
+      const outcome = await processStripeEvent(fixture('payment_intent.succeeded'), deps);
+      expect(outcome.duplicate === false, 'retry is handled');
+      expect(activeRights(deps).length === 1, 'retry grants the era');
+    }
+  },
+  {
+    name: 'event being handled now is in flight',
+    run: async (deps, expect) => {
+      seedProcessing(deps, minutesAgo(1));
+      const outcome = await processStripeEvent(fixture('payment_intent.succeeded'), deps);
+      expect(outcome.inFlight === true, 'delivery reported as in flight (409)');
+      expect(deps.supabase.table('user_rights').length === 0, 'nothing granted');
+    }
+  },
+  {
+    name: 'abandoned processing claim is taken over',
+    run: async (deps, expect) => {
+      seedProcessing(deps, minutesAgo(30));
+      const outcome = await processStripeEvent(fixture('payment_intent.succeeded'), deps);
+      expect(outcome.inFlight === false && outcome.duplicate === false, 'retry is handled');
+      expect(activeRights(deps).length === 1, 'retry grants the era');
+      expect(auditRow(deps, 'evt_test_pi_succeeded')?.status === 'processed', 'audit row processed');
+      expect(auditRow(deps, 'evt_test_pi_succeeded')?.claimed_at > minutesAgo(1), 'claim time renewed');
+    }
+  },
+  {
+    name: 'payment failed is recorded with the decline message',
+    run: async (deps, expect) => {
+      await processStripeEvent(fixture('payment_intent.payment_failed'), deps);
+      const row = auditRow(deps, 'evt_test_pi_failed');
+      expect(row?.status === 'processed', 'audit row processed');
+      expect(row?.error === 'Your card has insufficient funds.', 'decline message stored');
+      expect(deps.supabase.table('user_rights').length === 0, 'no rights granted');
+    }
+  },
+  {
+    name: 'partial refund keeps access',
+    run: async (deps, expect) => {
+      await processStripeEvent(fixture('payment_intent.succeeded'), deps);
+      await processStripeEvent(fixture('charge.refunded.partial'), deps);
+      expect(activeRights(deps).length === 1, 'era still active');
+      expect(auditRow(deps, 'evt_test_ch_refunded_partial')?.status === 'ignored', 'audit row ignored');
+    }
+  },
+  {
+    name: 'full refund revokes access',
+    run: async (deps, expect) => {
+      await processStripeEvent(fixture('payment_intent.succeeded'), deps);
+      await processStripeEvent(fixture('charge.refunded'), deps);
+      const right = deps.supabase.table('user_rights')[0];
+      expect(activeRights(deps).length === 0, 'era expired');
+      expect(right?.revoked_reason === 'refund', 'revoked_reason is refund');
+      expect(auditRow(deps, 'evt_test_ch_refunded')?.player_id === PLAYER_ID, 'audit row names the player');
+    }
+  },
+  {
+    name: 'dispute revokes access (payment intent looked up from the charge)',
+    run: async (deps, expect) => {
+      await processStripeEvent(fixture('payment_intent.succeeded'), deps);
+      await processStripeEvent(fixture('charge.dispute.created'), deps);
+      expect(activeRights(deps).length === 0, 'era expired');
+      expect(deps.supabase.table('user_rights')[0]?.revoked_reason === 'dispute', 'revoked_reason is dispute');
+    }
+  },
+  {
+    name: 'pass pack credits bundle passes for two years',
+    run: async (deps, expect) => {
+      await processStripeEvent(fixture('payment_intent.succeeded.pass_pack'), deps);
+      const right = activeRights(deps)[0];
+      expect(activeRights(deps).length === 1, 'one active user_rights row');
+      expect(right?.rights_type === 'pass' && right?.rights_value === 'bundle', 'pass row with bundle source');
+      expect(right?.uses_remaining === 25, '25 passes');
+      expect(new Date(right?.expires_at) > new Date(Date.now() + 700 * 24 * 60 * 60 * 1000), 'expires in two years');
+      expect(deps.emails[0]?.params.PRODUCT === '25 Passes', 'email names the product');
+      expect(auditRow(deps, 'evt_test_pi_pass_pack')?.product_id === 'passes_25', 'audit row names the product');
+    }
+  },
+  {
+    name: 'exclusive eras bundle grants the generic era right',
+    run: async (deps, expect) => {
+      await processStripeEvent(fixture('payment_intent.succeeded.era_bundle'), deps);
+      const right = activeRights(deps)[0];
+      expect(activeRights(deps).length === 1, 'one active user_rights row');
+      expect(right?.rights_type === 'era' && right?.rights_value === 'era', 'generic era row');
+      expect(right?.uses_remaining === -1 && right?.stripe_payment_intent_id === 'pi_test_exclusive_eras', 'unlimited purchase');
+    }
+  },
+  {
+    name: 'gift generates one voucher for the recipient and grants the buyer nothing',
+    run: async (deps, expect) => {
+      await processStripeEvent(fixture('payment_intent.succeeded.gift'), deps);
+      await processStripeEvent(fixture('payment_intent.succeeded.gift', 'evt_test_pi_gift_again'), deps);
+      const vouchers = deps.supabase.table('vouchers');
+      expect(deps.supabase.table('user_rights').length === 0, 'no user_rights row');
+      expect(vouchers.length === 1, 'one voucher');
+      expect(vouchers[0]?.voucher_code.startsWith('pass-25-'), 'pass-25 voucher');
+      expect(vouchers[0]?.email_sent_to === 'shipmate@example.com' && vouchers[0]?.created_by === PLAYER_ID, 'voucher bound to recipient, created by buyer');
+      expect(deps.emails.some(email => email.to[0].email === 'shipmate@example.com' && email.params.VOUCHER_CODE === vouchers[0]?.voucher_code), 'recipient emailed the code');
+      expect(deps.emails.some(email => email.to[0].email === 'captain@example.com' && email.params.GIFT_EMAIL === 'shipmate@example.com'), 'buyer confirmation');
+      expect(auditRow(deps, 'evt_test_pi_gift')?.voucher_code === vouchers[0]?.voucher_code, 'audit row keeps the code');
+      expect(auditRow(deps, 'evt_test_pi_gift_again')?.status === 'ignored', 'second event ignored');
+    }
+  },
+  {
+    name: 'gift retried after a crash past voucher generation keeps one voucher',
+    run: async (deps, expect) => {
+      // The run dies before finishEvent records the outcome - the claim is left 'processing'
+      deps.supabase.failNext('payment_events', 'update');
+      await processStripeEvent(fixture('payment_intent.succeeded.gift'), deps);
+      expect(auditRow(deps, 'evt_test_pi_gift')?.status === 'processing', 'first attempt left unfinished');
+
+      auditRow(deps, 'evt_test_pi_gift').claimed_at = minutesAgo(30);
+      const outcome = await processStripeEvent(fixture('payment_intent.succeeded.gift'), deps);
+      const vouchers = deps.supabase.table('vouchers');
+      expect(outcome.inFlight === false && outcome.duplicate === false, 'abandoned claim is taken over');
+      expect(vouchers.length === 1, 'one voucher');
+      expect(vouchers[0]?.stripe_payment_intent_id === 'pi_test_gift_passes', 'voucher keyed by the payment intent');
+      expect(auditRow(deps, 'evt_test_pi_gift')?.voucher_code === vouchers[0]?.voucher_code, 'audit row keeps the code');
+      expect(deps.emails.filter(email => email.to[0].email === 'shipmate@example.com')
+        .every(email => email.params.VOUCHER_CODE === vouchers[0]?.voucher_code), 'recipient only ever gets that code');
+    }
+  },
+  {
+    name: 'refunded gift revokes the unredeemed voucher',
+    run: async (deps, expect) => {
+      await processStripeEvent(fixture('payment_intent.succeeded.gift'), deps);
+      await processStripeEvent(fixture('charge.refunded.gift'), deps);
+      const voucher = deps.supabase.table('vouchers')[0];
+      expect(voucher?.revoked_at, 'voucher revoked');
+      expect(deps.supabase.table('user_rights').length === 0, 'no user_rights row');
+      expect(auditRow(deps, 'evt_test_ch_refunded_gift')?.status === 'processed', 'audit row processed');
+      expect(auditRow(deps, 'evt_test_ch_refunded_gift')?.voucher_code === voucher?.voucher_code, 'audit row names the voucher');
+    }
+  },
+  {
+    name: 'disputed gift revokes what the recipient redeemed',
+    run: async (deps, expect) => {
+      await processStripeEvent(fixture('payment_intent.succeeded.gift'), deps);
+
+      // The recipient redeems it (redeem_voucher_v2)
+      const voucher = deps.supabase.table('vouchers')[0];
+      voucher.redeemed_at = new Date().toISOString();
+      voucher.redeemed_by = RECIPIENT_ID;
+      deps.supabase.table('user_rights').push({
+        id: 'right-gift',
+        player_id: RECIPIENT_ID,
+        rights_type: 'pass',
+        rights_value: 'voucher',
+        uses_remaining: 25,
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        voucher_used: voucher.voucher_code
+      });
+
+      deps.stripe.charges.retrieve = async (id) => ({ id, payment_intent: 'pi_test_gift_passes' });
+      await processStripeEvent(fixture('charge.dispute.created'), deps);
+      const right = deps.supabase.table('user_rights')[0];
+      expect(activeRights(deps).length === 0, 'redeemed passes expired');
+      expect(right?.revoked_reason === 'dispute', 'revoked_reason is dispute');
+      expect(!voucher.revoked_at, 'redeemed voucher left as it was');
+      expect(auditRow(deps, 'evt_test_dispute_created')?.status === 'processed', 'audit row processed');
+    }
+  },
+  {
+    name: 'signed delivery through the handler',
+    run: async (deps, expect) => {
+      const handler = createHandler(() => deps);
+      const body = JSON.stringify(fixture('payment_intent.succeeded'));
+      const signature = deps.stripe.webhooks.generateTestHeaderString({ payload: body, secret: WEBHOOK_SECRET });
+
+      const bad = await handler({ httpMethod: 'POST', headers: { 'stripe-signature': 't=1,v1=bad' }, body });
+      expect(bad.statusCode === 400, 'bad signature returns 400');
+
+      const good = await handler({ httpMethod: 'POST', headers: { 'stripe-signature': signature }, body });
+      expect(good.statusCode === 200, 'signed event returns 200');
+
+      const again = await handler({ httpMethod: 'POST', headers: { 'stripe-signature': signature }, body });
+      expect(JSON.parse(again.body).duplicate === true, 'signed retry is a duplicate');
+      expect(activeRights(deps).length === 1, 'one active user_rights row');
+    }
+  }
+];
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log(`Stripe Webhook Fixture Test ${version}\n`);
+
+  // Webhook logging would bury the results
+  const log = console.log;
+  const logError = console.error;
+  const quiet = () => {};
+
+  let valid = true;
+  for (const scenario of SCENARIOS) {
+    const failures = [];
+    const expect = (condition, description) => {
+      if (!condition) failures.push(description);
+    };
+
+    console.log = quiet;
+    console.error = quiet;
+    try {
+      await scenario.run(createDeps(), expect);
+    } catch (error) {
+      failures.push(`threw: ${error.message}`);
+    }
+    console.log = log;
+    console.error = logError;
+
+    if (failures.length === 0) {
+      console.log(`✓ ${scenario.name}`);
+    } else {
+      console.log(`✗ ${scenario.name}`);
+      failures.forEach(failure => console.log(`    - ${failure}`));
+      valid = false;
+    }
+  }
+
+  console.log(valid ? '\nAll webhook scenarios passed' : '\nWebhook scenarios failed');
+  process.exit(valid ? 0 : 1);
+}
+
+// Run the script
+main().catch(error => {
+  console.error('Script failed:', error);
+  process.exit(1);
+});
+// EOF
@@ -0,0 +1,213 @@
+// scripts/validate-eras.js
+// Copyright(c) 2025, Clint H. O'Connor
+// Validate every config file in public/config before it ships
+// v0.1.0: Schema + cross-checks from src/utils/ConfigValidator.js (same checks ConfigLoader runs)
+//         - era-list.json ids must have an era-{id}.json (and every era file should be listed)
+//         - Asset checks on disk: ship silhouettes, captain avatars, era images and videos
+//           (a missing video is a warning - it may only be on the CDN)
+//         - Exit code 1 when any file has errors (usable in CI / pre-deploy)
+
+const path = require('path');
+const fs = require('fs');
+const { loadSource } = require('./loadSource');
+
+const version = 'v0.1.0';
+
+const PUBLIC_DIR = path.resolve(__dirname, '..', 'public');
+const CONFIG_DIR = path.join(PUBLIC_DIR, 'config');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    eras: null,
+    assets: true
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-era' && i + 1 < args.length) {
+      options.eras = args[i + 1].split(',').map(e => e.trim()).filter(Boolean);
+      i++;
+    } else if (arg === '--no-assets') {
+      options.assets = false;
+    } else if (arg === '--help' || arg === '-h') {
+      showUsage();
+      process.exit(0);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Show usage information
+ */
+function showUsage() {
+  console.log(`
+Era Config Validator ${version}
+
+Usage: node scripts/validate-eras.js [options]
+
+Options:
+  -era <ids>      Comma-separated era ids (default: every era-*.json in public/config)
+  --no-assets     Skip the asset checks (ship silhouettes, captain avatars, images, videos)
+  -h, --help      Show this help message
+
+Checks game-config.json, era-list.json and era-*.json against the schema in
+src/utils/ConfigValidator.js. Exits with code 1 if any file has errors.
+
+Examples:
+  node scripts/validate-eras.js
+  node scripts/validate-eras.js -era pirates --no-assets
+`);
+}
+
+/**
+ * Read and parse a config file - a JSON syntax error is reported like any other error
+ * @returns {{ data: Object|null, errors: Array<string> }}
+ */
+function readConfig(file) {
+  try {
+    return { data: JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, file), 'utf8')), errors: [] };
+  } catch (error) {
+    return { data: null, errors: [error.message] };
+  }
+}
+
+/**
+ * Assets the era config points at must exist under public/assets/eras/{id}/
+ * Ship silhouettes follow ConfigLoader.getEraShipPath() naming (lowercase, hyphenated class)
+ * @returns {{ errors: Array<string>, warnings: Array<string> }}
+ */
+function checkEraAssets(eraConfig) {
+  const errors = [];
+  const warnings = [];
+  const eraDir = path.join(PUBLIC_DIR, 'assets', 'eras', eraConfig.id);
+  const missing = (relativePath) => !fs.existsSync(path.join(eraDir, relativePath));
+
+  const ships = eraConfig.alliances.flatMap(alliance => [
+    ...(alliance.ships || []),
+    ...(alliance.pirate_fleets || []).flatMap(fleet => fleet.ships)
+  ]);
+  const shipClasses = new Set(ships.map(ship => ship.class));
+  shipClasses.forEach(shipClass => {
+    const file = `ships/${shipClass.toLowerCase().replace(/\s+/g, '-')}.svg`;
+    if (missing(file)) {
+      errors.push(`ship class "${shipClass}" has no silhouette (${file})`);
+    }
+  });
+
+  // Alliance avatars are not drawn anywhere yet, so only captain avatars are checked
+  const avatars = eraConfig.alliances.flatMap(alliance => [
+    ...(alliance.ai_captains || []).map(captain => captain.avatar),
+    ...(alliance.pirate_fleets || []).map(fleet => fleet.ai_captain.avatar)
+  ]).filter(Boolean);
+  // The promotional image is only shown for eras players pay for (GetAccessPage, PurchasePage)
+  const images = [
+    eraConfig.promotional?.background_image,
+    eraConfig.free ? null : eraConfig.promotional?.promotional_image
+  ].filter(Boolean);
+
+  [...avatars, ...images].forEach(file => {
+    if (missing(file)) {
+      errors.push(`asset not found: assets/eras/${eraConfig.id}/${file}`);
+    }
+  });
+
+  Object.entries(eraConfig.videos || {}).forEach(([key, file]) => {
+    if (missing(file)) {
+      warnings.push(`video "${key}" not in public/ (assets/eras/${eraConfig.id}/${file}) - remove the key to play the generic fallback`);
+    }
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Print one file's result
+ * @returns {boolean} True when the file is valid
+ */
+function report(file, errors, warnings = []) {
+  if (errors.length === 0) {
+    console.log(`✓ ${file}`);
+  } else {
+    console.log(`✗ ${file} (${errors.length} error${errors.length === 1 ? '' : 's'})`);
+    errors.forEach(error => console.log(`    - ${error}`));
+  }
+  warnings.forEach(warning => console.log(`    ! ${warning}`));
+  return errors.length === 0;
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const options = parseArgs();
+  const {
+    validateGameConfig,
+    validateEraList,
+    validateEraConfig
+  } = await loadSource('utils/ConfigValidator.js');
+
+  console.log(`Era Config Validator ${version}\n`);
+
+  let valid = true;
+
+  const gameConfig = readConfig('game-config.json');
+  const gameConfigErrors = gameConfig.data ? validateGameConfig(gameConfig.data) : gameConfig.errors;
+  valid = report('game-config.json', gameConfigErrors) && valid;
+
+  const eraList = readConfig('era-list.json');
+  const eraListErrors = eraList.data ? validateEraList(eraList.data) : eraList.errors;
+  const listedIds = eraListErrors.length === 0 ? eraList.data.map(era => era.id) : [];
+  const eraFiles = fs.readdirSync(CONFIG_DIR).filter(file => /^era-.+\.json$/.test(file) && file !== 'era-list.json');
+  const fileIds = eraFiles.map(file => file.slice('era-'.length, -'.json'.length));
+
+  listedIds.filter(id => !fileIds.includes(id)).forEach(id => {
+    eraListErrors.push(`era "${id}" is listed but era-${id}.json does not exist`);
+  });
+  const unlisted = fileIds
+    .filter(id => !listedIds.includes(id))
+    .map(id => `era-${id}.json is not in era-list.json (players will not see it)`);
+  valid = report('era-list.json', eraListErrors, unlisted) && valid;
+
+  const ids = options.eras || fileIds;
+  for (const id of ids) {
+    const file = `era-${id}.json`;
+    if (!fileIds.includes(id)) {
+      valid = report(file, ['file not found']) && valid;
+      continue;
+    }
+
+    const era = readConfig(file);
+    if (!era.data) {
+      valid = report(file, era.errors) && valid;
+      continue;
+    }
+
+    const errors = validateEraConfig(era.data, gameConfig.data);
+    if (era.data.id !== id) {
+      errors.push(`id "${era.data.id}" does not match the file name (ConfigLoader loads era-{id}.json)`);
+    }
+    let warnings = [];
+    if (errors.length === 0 && options.assets) {
+      const assets = checkEraAssets(era.data);
+      errors.push(...assets.errors);
+      warnings = assets.warnings;
+    }
+    valid = report(file, errors, warnings) && valid;
+  }
+
+  console.log(valid ? '\nAll config files are valid' : '\nConfig errors found');
+  process.exit(valid ? 0 : 1);
+}
+
+// Run the script
+main().catch(error => {
+  console.error('Script failed:', error);
+  process.exit(1);
+});
+// EOF
@@ -1,5 +1,9 @@
 // src/App.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.4.12: Added Voucher Console overlay (admin/developer, menu item in NavBar)
+// v0.4.11: ChallengeNotice for challenges from other captains (era and opponent states)
+// v0.4.10: MatchmakingPage for the matchmaking and waiting states (online battles)
+// v0.4.9: Added Era Editor overlay (admin/developer, menu item in NavBar)
 // v0.4.8: Wrapped ErrorConsole in modal-overlay for consistency with Stats/Achievements
 // v0.4.7: Added ErrorBoundary to catch and handle React component errors gracefully
 // v0.4.6: Added code to reposition help for achievements
@@ -36,21 +40,25 @@ import SelectOpponentPage from './pages/SelectOpponentPage';
 import PlacementPage from './pages/PlacementPage';
 import PlayingPage from './pages/PlayingPage';
 import OverPage from './pages/OverPage';
+import MatchmakingPage from './pages/MatchmakingPage';
 import ResetPasswordPage from './pages/ResetPasswordPage';
 import EmailConfirmedPage from './pages/EmailConfirmedPage';
 import AchievementsPage from './pages/AchievementsPage';
 import StatsPage from './pages/StatsPage';
 import InactivityWarning from './components/InactivityWarning';
+import ChallengeNotice from './components/ChallengeNotice';
 import GameGuide from './components/GameGuide';
 import AboutPage from './pages/AboutPage';
 import TestSuite from './tests/TestSuite';
 import ErrorConsole from './components/ErrorConsole';
 import AdminInvitePage from './pages/AdminInvitePage';
+import AdminVoucherPage from './pages/AdminVoucherPage';
+import EraEditorPage from './pages/EraEditorPage';
 import ErrorBoundary from './components/ErrorBoundary';
 import configLoader from './utils/ConfigLoader';
 import './App.css';
 
-const version = 'v0.4.8';
+const version = 'v0.4.12';
 const tag = "APP";
 const module = "App";
 let method = "";
@@ -88,7 +96,7 @@ const getHelpSection = (state) => {
 
 const SceneRenderer = () => {
   const { currentState, eraConfig, subscribeToUpdates, coreEngine } = useGame();
-  const [overlayPage, setOverlayPage] = useState(null); // 'stats' | 'achievements' | 'about' | 'help' | 'test' | 'errorconsole' | 'admininvite' | null
+  const [overlayPage, setOverlayPage] = useState(null); // 'stats' | 'achievements' | 'about' | 'help' | 'test' | 'errorconsole' | 'admininvite' | 'adminvouchers' | 'eraeditor' | null
     const [achievementsPosition, setAchievementsPosition] = useState(null);  // ← ADD THIS LINE
   const [autoShowedSections, setAutoShowedSections] = useState(new Set());
 
@@ -370,6 +378,8 @@ const SceneRenderer = () => {
         onShowTest={() => setOverlayPage('test')}
         onShowErrorConsole={() => setOverlayPage('errorconsole')}
         onShowAdminInvite={() => setOverlayPage('admininvite')}
+        onShowAdminVouchers={() => setOverlayPage('adminvouchers')}
+        onShowEraEditor={() => setOverlayPage('eraeditor')}
         onCloseOverlay={closeOverlay}
         hasActiveOverlay={overlayPage !== null}
       />
@@ -380,6 +390,7 @@ const SceneRenderer = () => {
           {currentState === 'login' && <LoginPage />}
           {currentState === 'era' && <SelectEraPage />}
           {currentState === 'opponent' && <SelectOpponentPage />}
+          {(currentState === 'matchmaking' || currentState === 'waiting') && <MatchmakingPage />}
           {currentState === 'placement' && <PlacementPage />}
           {currentState === 'play' && <PlayingPage />}
           {currentState === 'over' && <OverPage />}
@@ -434,6 +445,25 @@ const SceneRenderer = () => {
         </div>
       )}
       
+      {overlayPage === 'adminvouchers' && (
+        <div className="modal-overlay">
+          <AdminVoucherPage onClose={closeOverlay} />
+        </div>
+      )}
+      
+      {overlayPage === 'eraeditor' && (
+        <div className="modal-overlay">
+          <EraEditorPage onClose={closeOverlay} />
+        </div>
+      )}
+      
+      {/* Challenge from another captain (online battles) */}
+      <ChallengeNotice
+        challenge={coreEngine.incomingChallenges[0] || null}
+        onAccept={(challenge) => coreEngine.acceptChallenge(challenge)}
+        onDecline={(challenge) => coreEngine.declineChallenge(challenge)}
+      />
+      
       {/* Inactivity warning modal */}
       <InactivityWarning
         show={showInactivityWarning}
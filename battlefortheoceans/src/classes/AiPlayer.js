@@ -1,5 +1,40 @@
-// src/classes/AiPlayer.js v0.5.0
+// src/classes/AiPlayer.js v0.6.7
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.6.7: Adaptive captains pick the move's behavior at the top of makeMove(), so munition and
+//         movement decisions use it too (was chosen in selectTarget, after both had run)
+// v0.6.6: Ship movement (game_rules.ship_movement)
+//         - selectShipMove(): an undamaged ship with enemy shots landing around it slips away
+//           (makeMove returns { action: 'move', shipId, dRow, dCol }); random captains never move
+//         - onShipMoved(): drops queued targets and the heat map for the area an enemy ship
+//           moved in - hits stay (damaged ships cannot move)
+// v0.6.5: Salvo rule - selectSalvoTargets() aims a whole salvo (see Game.getSalvoSize)
+//         - First shot as usual, then queued hunt targets, then the hottest heat-map cells
+//         - Random (novice) captains scatter the rest of the salvo
+// v0.6.4: Munition registry (constants/Munitions.js) - processMunitionResult() learns by effect
+//         - Aerial recon over the least explored row, depth charges into unexplored deep water
+// v0.6.3: Munition stock moved to Game (one per player, Game.getMunitionsFor) - this.munitions removed
+// v0.6.2: Munitions - makeMove() returns { action, row, col }; action is 'shot', 'starShell',
+//         'scatterShot' or 'torpedo' (see selectMunitionMove)
+//         - Torpedo along the submarine's longest unexplored line (ai-hunt weighs it by the heat map)
+//         - Scatter shot over a fresh hit while the hunt has no direction yet
+//         - Star shell while searching: ai-hunt over its heat-map hotspot, others over the
+//           least explored area; lit ship cells go to the hunt queue
+//         - Random (novice) captains stick to their guns
+//         - this.munitions - star shells / scatter shot stock (set by GameLifecycleManager)
+// v0.6.1: captainId - era config ai_captain id, for captain defeat tracking (GameStatsService)
+// v0.6.0: 'adaptive' strategy - blends Methodical Random, Aggressive and AI-Hunt per move
+//         - adaptTo() sets a base strength from the human's profile and recent game_results
+//         - Strength shifts during the game with the fleet health gap (aim: ~50% win rate)
+//         - this.behavior is the strategy actually playing this move (= strategy for fixed captains);
+//           hunt features (reversal, recursion, diagonals) follow the behavior
+//         - this.difficulty (scoring multiplier) = average multiplier of the behaviors used so far
+// v0.5.3: 'hunt-target' named explicitly (random search + hunt mode) - era configs use it,
+//         ConfigValidator rejects strategies that are not in the switch
+// v0.5.2: All target selection and defection rolls use this.random() (game SeededRandom)
+//         - Same seed + same moves = same AI move sequence
+// v0.5.1: Alliance defection (change_alliance game rule)
+//         - considerDefection() picks a stronger opposing alliance when fleet health is low
+//         - onAllianceChanged() drops hunt memory aimed at new allies
 // v0.5.0: MAJOR OVERHAUL - Fixed all strategies and hunt modes
 //         - Novice (0.7x): Random only, no hunt
 //         - Methodical Random (1.0x): Checkerboard + basic hunt (reverse on line)
@@ -10,14 +45,46 @@
 // v0.4.9: Updated to match Game.js 4-state attack results
 
 import Player from './Player.js';
+import { getMunition } from '../constants/Munitions.js';
 
-const version = "v0.5.0";
+const version = "v0.6.7";
+
+// Behaviors an adaptive captain blends, with the difficulty multiplier of the fixed captain
+// that plays each one (era configs: Flynn 1.0x, Halsey 1.7x, Sonnet 2.0x)
+const ADAPTIVE_BEHAVIORS = {
+  methodical_random: 1.0,
+  aggressive: 1.7,
+  'ai-hunt': 2.0
+};
+
+// Games of 50% win rate assumed before the player's own record counts (new players start neutral)
+const ADAPTIVE_PRIOR_GAMES = 5;
+
+// Chance per eligible turn to spend a star shell or torpedo (stock is small - spread it out)
+const MUNITION_CHANCE = 0.25;
+
+// Unexplored cells a torpedo line needs before it is worth a torpedo
+const TORPEDO_MIN_UNEXPLORED = 6;
+
+// Torpedo range (Game.resolveTorpedo)
+const TORPEDO_RANGE = 10;
 
 export class AiPlayer extends Player {
   constructor(id, name, strategy = 'random', difficulty = 1.0) {
     super(id, name, 'ai', difficulty);
     
     this.strategy = strategy;
+    this.behavior = strategy === 'adaptive' ? 'methodical_random' : strategy;
+    
+    // Adaptive blend - strength 0.0 (all Methodical Random) to 1.0 (all AI-Hunt)
+    this.adaptive = strategy === 'adaptive' ? {
+      baseStrength: 0.5,
+      strength: 0.5,
+      used: { methodical_random: 0, aggressive: 0, 'ai-hunt': 0 }
+    } : null;
+    if (this.adaptive) {
+      this.difficulty = this.getBlendDifficulty(this.getBlendWeights(this.adaptive.strength));
+    }
     
     // AI memory system
     this.memory = {
@@ -35,10 +102,20 @@ export class AiPlayer extends Player {
       recursiveHunt: []         // Stack for recursive hunt mode
     };
     
+    this.hasDefected = false;   // Captains only change sides once per game
+    this.captainId = null;      // era config ai_captain id (set by GameLifecycleManager)
+    
     console.log(`AiPlayer ${name} created with strategy: ${strategy}, difficulty: ${difficulty}`);
   }
 
-  makeMove(gameInstance) {
+  /**
+   * Decide this turn's action
+   * @param {Game} gameInstance
+   * @param {Object} options - { munitions: false } to fire a plain shot,
+   *                           { retry: true } when Game asks again in the same turn (keeps the behavior)
+   * @returns {Object|null} { action, row, col }
+   */
+  makeMove(gameInstance, options = {}) {
     if (!gameInstance) {
       console.error('AiPlayer.makeMove: Invalid game instance');
       return null;
@@ -50,8 +127,216 @@ export class AiPlayer extends Player {
       return null;
     }
 
+    // One behavior per move - every decision below follows it
+    if (this.adaptive && !options.retry) {
+      this.chooseAdaptiveBehavior(gameInstance);
+    }
+
+    if (options.munitions !== false) {
+      const munitionMove = this.selectMunitionMove(availableTargets, gameInstance);
+      if (munitionMove) {
+        console.log(`AI ${this.name} (${this.behavior}): ${munitionMove.action} at ${munitionMove.row},${munitionMove.col}`);
+        return munitionMove;
+      }
+      
+      const shipMove = this.selectShipMove(gameInstance);
+      if (shipMove) {
+        return shipMove;
+      }
+    }
+
     const target = this.selectTarget(availableTargets, gameInstance);
-    return { row: target.row, col: target.col };
+    return { action: 'shot', row: target.row, col: target.col };
+  }
+
+  /**
+   * Munition worth firing this turn, if any
+   * @returns {Object|null} { action, row, col }
+   */
+  selectMunitionMove(availableTargets, gameInstance) {
+    if (this.behavior === 'random') {
+      return null;
+    }
+
+    // Scatter shot over a fresh hit - the 3x3 finds which way the ship runs
+    if (this.memory.huntHits.length === 1 && !this.memory.huntDirection &&
+        gameInstance.canFireMunition(this, 'scatterShot')) {
+      const hit = this.memory.huntHits[0];
+      let openNeighbours = 0;
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const row = hit.row + dr;
+          const col = hit.col + dc;
+          if ((dr !== 0 || dc !== 0) &&
+              gameInstance.board?.isValidCoordinate(row, col) && this.canShootAt(row, col)) {
+            openNeighbours++;
+          }
+        }
+      }
+
+      const eager = this.behavior === 'aggressive' || this.behavior === 'ai-hunt';
+      if (openNeighbours >= 4 && (eager || this.random() < MUNITION_CHANCE)) {
+        return { action: 'scatterShot', row: hit.row, col: hit.col };
+      }
+    }
+
+    if (this.hasActiveHunt()) {
+      return null;
+    }
+
+    // Torpedo along a long stretch of unexplored water
+    if (gameInstance.canFireMunition(this, 'torpedo') && this.random() < MUNITION_CHANCE) {
+      const line = this.findTorpedoLine(gameInstance);
+      if (line) {
+        return { action: 'torpedo', row: line.row, col: line.col };
+      }
+    }
+
+    // Star shell over where ships are most likely to be
+    if (gameInstance.canFireMunition(this, 'starShell') && this.random() < MUNITION_CHANCE) {
+      const center = this.behavior === 'ai-hunt'
+        ? this.findHeatMapHotspot(availableTargets, gameInstance)
+        : this.findLeastExploredCenter(gameInstance);
+      if (center) {
+        return { action: 'starShell', row: center.row, col: center.col };
+      }
+    }
+
+    // Aerial recon down the row we know least about
+    if (gameInstance.canFireMunition(this, 'aerialRecon') && this.random() < MUNITION_CHANCE) {
+      const row = this.findLeastExploredRow(availableTargets);
+      if (row !== null) {
+        return { action: 'aerialRecon', row, col: 0 };
+      }
+    }
+
+    // Depth charge where it covers the most unexplored deep water (submarines hide there)
+    if (gameInstance.canFireMunition(this, 'depthCharge') && this.random() < MUNITION_CHANCE) {
+      const target = this.findDepthChargeTarget(availableTargets, gameInstance);
+      if (target) {
+        return { action: 'depthCharge', row: target.row, col: target.col };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Row with the most cells we have not shot at yet
+   * @returns {number|null}
+   */
+  findLeastExploredRow(availableTargets) {
+    const openByRow = {};
+    availableTargets.forEach(target => {
+      openByRow[target.row] = (openByRow[target.row] || 0) + 1;
+    });
+
+    let bestRow = null;
+    Object.entries(openByRow).forEach(([row, open]) => {
+      if (bestRow === null || open > openByRow[bestRow]) {
+        bestRow = Number(row);
+      }
+    });
+
+    return bestRow;
+  }
+
+  /**
+   * Unshot deep-water cell whose depth charge pattern covers the most unshot deep water
+   * @returns {Object|null} { row, col }
+   */
+  findDepthChargeTarget(availableTargets, gameInstance) {
+    const isOpenDeep = (cell) => gameInstance.board?.terrain[cell.row]?.[cell.col] === 'deep' &&
+      this.canShootAt(cell.row, cell.col);
+    let best = null;
+
+    for (const target of availableTargets) {
+      if (!gameInstance.canFireMunition(this, 'depthCharge', target.row, target.col)) continue;
+
+      const open = gameInstance.getMunitionCells('depthCharge', target.row, target.col).filter(isOpenDeep).length;
+      if (!best || open > best.open) {
+        best = { row: target.row, col: target.col, open };
+      }
+    }
+
+    return best && best.open >= 3 ? best : null;
+  }
+
+  /**
+   * Best of the 8 straight lines from our submarine's bow
+   * Paths ignore enemy ships (that would be cheating) - only our own misses and the terrain count
+   * @returns {Object|null} { row, col } to aim at, null when no line has enough unexplored water
+   */
+  findTorpedoLine(gameInstance) {
+    const launcher = gameInstance.findTorpedoLauncher(this);
+    if (!launcher) {
+      return null;
+    }
+
+    const heatMap = this.behavior === 'ai-hunt' ? this.createHeatMap(gameInstance) : null;
+    const { row: bowRow, col: bowCol } = launcher.position;
+    let best = null;
+
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        if (dr === 0 && dc === 0) continue;
+
+        const aim = { row: bowRow + dr * TORPEDO_RANGE, col: bowCol + dc * TORPEDO_RANGE };
+        const path = gameInstance.calculateLinePath(bowRow, bowCol, aim.row, aim.col, TORPEDO_RANGE);
+        const open = path.filter(cell => !this.hasShipAt(cell.row, cell.col) && this.canShootAt(cell.row, cell.col));
+        const score = heatMap
+          ? open.reduce((sum, cell) => sum + (heatMap[cell.row]?.[cell.col] || 0), 0)
+          : open.length;
+
+        if (open.length >= TORPEDO_MIN_UNEXPLORED && (!best || score > best.score)) {
+          best = { ...aim, score };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Unshot cell whose star shell area (5x5) holds the most heat
+   * @returns {Object|null} { row, col }
+   */
+  findHeatMapHotspot(availableTargets, gameInstance) {
+    const heatMap = this.createHeatMap(gameInstance);
+    let best = null;
+
+    for (const target of availableTargets) {
+      let heat = 0;
+      for (let dr = -2; dr <= 2; dr++) {
+        for (let dc = -2; dc <= 2; dc++) {
+          heat += heatMap[target.row + dr]?.[target.col + dc] || 0;
+        }
+      }
+      if (!best || heat > best.heat) {
+        best = { row: target.row, col: target.col, heat };
+      }
+    }
+
+    return best && best.heat > 0 ? best : null;
+  }
+
+  /**
+   * Center of the least explored 3x3 region (ties picked at random)
+   * @returns {Object|null} { row, col }, null once every region is half explored
+   */
+  findLeastExploredCenter(gameInstance) {
+    const regions = this.getExploredRegions(gameInstance);
+    const leastExplored = Math.min(...regions.map(region => region.explored));
+    if (leastExplored >= 0.5) {
+      return null;
+    }
+
+    const candidates = regions.filter(region => region.explored === leastExplored);
+    const region = candidates[Math.floor(this.random() * candidates.length)];
+    return {
+      row: Math.min(region.startRow + 1, gameInstance.eraConfig.rows - 1),
+      col: Math.min(region.startCol + 1, gameInstance.eraConfig.cols - 1)
+    };
   }
 
   getAvailableTargets(gameInstance) {
@@ -72,16 +357,16 @@ export class AiPlayer extends Player {
 
   selectTarget(availableTargets, gameInstance) {
     // Hunt mode for all strategies except random/novice
-    if (this.strategy !== 'random' && this.hasActiveHunt()) {
+    if (this.behavior !== 'random' && this.hasActiveHunt()) {
       const huntTarget = this.continueHunt(availableTargets, gameInstance);
       if (huntTarget) {
-        console.log(`AI ${this.name} (${this.strategy}): Hunt mode - targeting ${huntTarget.row},${huntTarget.col}`);
+        console.log(`AI ${this.name} (${this.behavior}): Hunt mode - targeting ${huntTarget.row},${huntTarget.col}`);
         return huntTarget;
       }
     }
 
     // Base strategy selection
-    switch (this.strategy) {
+    switch (this.behavior) {
       case 'random':
         return this.selectRandom(availableTargets);
         
@@ -97,13 +382,66 @@ export class AiPlayer extends Player {
       case 'ai-hunt':
         return this.selectAIHunt(availableTargets, gameInstance);
         
+      case 'hunt-target':
+        // Classic hunt/target: random search, hunt mode (above) once a ship is hit
+        return this.selectRandom(availableTargets);
+        
       default:
         return this.selectRandom(availableTargets);
     }
   }
 
+  /**
+   * Aim a salvo of count shots - all fired before any result comes back
+   * @param {Game} gameInstance
+   * @param {number} count - Salvo size
+   * @param {Object} first - Target makeMove() already chose (optional)
+   * @returns {Array} [{ row, col }] - at most count distinct cells
+   */
+  selectSalvoTargets(gameInstance, count, first = null) {
+    const availableTargets = this.getAvailableTargets(gameInstance);
+    const targets = [];
+    const isPicked = (cell) => targets.some(t => t.row === cell.row && t.col === cell.col);
+    const open = () => availableTargets.filter(cell => !isPicked(cell));
+
+    const opening = first || this.selectTarget(availableTargets, gameInstance);
+    if (opening) {
+      targets.push({ row: opening.row, col: opening.col });
+    }
+
+    if (this.behavior === 'random') {
+      while (targets.length < count && open().length > 0) {
+        const cell = this.selectRandom(open());
+        targets.push({ row: cell.row, col: cell.col });
+      }
+      return targets;
+    }
+
+    // Cells the hunt already wants (neighbours of hits, star shell sightings)
+    for (const queued of this.memory.targetQueue) {
+      if (targets.length >= count) break;
+      if (availableTargets.some(cell => cell.row === queued.row && cell.col === queued.col) && !isPicked(queued)) {
+        targets.push({ row: queued.row, col: queued.col });
+      }
+    }
+
+    // Fill with the most likely ship cells
+    const heatMap = this.createHeatMap(gameInstance);
+    const ranked = open()
+      .map(cell => ({ ...cell, heat: heatMap[cell.row]?.[cell.col] || 0, tiebreak: this.random() }))
+      .sort((a, b) => (b.heat - a.heat) || (a.tiebreak - b.tiebreak));
+
+    for (const cell of ranked) {
+      if (targets.length >= count) break;
+      targets.push({ row: cell.row, col: cell.col });
+    }
+
+    console.log(`AI ${this.name} (${this.behavior}): Salvo of ${targets.length} at`, targets);
+    return targets;
+  }
+
   selectRandom(availableTargets) {
-    return availableTargets[Math.floor(Math.random() * availableTargets.length)];
+    return availableTargets[Math.floor(this.random() * availableTargets.length)];
   }
 
   selectMethodicalRandom(availableTargets, gameInstance) {
@@ -123,7 +461,7 @@ export class AiPlayer extends Player {
     );
 
     if (checkerboardTargets.length > 0) {
-      return checkerboardTargets[Math.floor(Math.random() * checkerboardTargets.length)];
+      return checkerboardTargets[Math.floor(this.random() * checkerboardTargets.length)];
     }
 
     // Fallback to random if checkerboard exhausted
@@ -143,7 +481,7 @@ export class AiPlayer extends Player {
       });
       
       if (phase1Targets.length > 0) {
-        return phase1Targets[Math.floor(Math.random() * phase1Targets.length)];
+        return phase1Targets[Math.floor(this.random() * phase1Targets.length)];
       }
 
       // Phase 1 complete, switch to phase 2
@@ -173,7 +511,7 @@ export class AiPlayer extends Player {
         // Pick from closest ring
         const minDistance = phase1Targets[0].distance;
         const closestRing = phase1Targets.filter(t => t.distance === minDistance);
-        return closestRing[Math.floor(Math.random() * closestRing.length)];
+        return closestRing[Math.floor(this.random() * closestRing.length)];
       }
 
       // Phase 1 complete, switch to phase 2
@@ -224,13 +562,13 @@ export class AiPlayer extends Player {
 
     if (topTargets.length > 0) {
       // 90% pick from top targets, 10% add randomness
-      if (Math.random() < 0.9) {
-        const selected = topTargets[Math.floor(Math.random() * topTargets.length)];
+      if (this.random() < 0.9) {
+        const selected = topTargets[Math.floor(this.random() * topTargets.length)];
         return selected.target;
       } else {
         // Occasionally pick from top 50% for unpredictability
         const widerCount = Math.max(1, Math.floor(probabilities.length * 0.5));
-        const selected = probabilities[Math.floor(Math.random() * widerCount)];
+        const selected = probabilities[Math.floor(this.random() * widerCount)];
         console.log(`[AI-HUNT] ${this.name}: Random selection for unpredictability`);
         return selected.target;
       }
@@ -424,7 +762,7 @@ export class AiPlayer extends Player {
         
         // Both directions exhausted, search perpendicular (for methodical_optimal, aggressive, ai-hunt)
         if (!this.memory.perpendicularDone &&
-            (this.strategy === 'methodical_optimal' || this.strategy === 'aggressive' || this.strategy === 'ai-hunt')) {
+            (this.behavior === 'methodical_optimal' || this.behavior === 'aggressive' || this.behavior === 'ai-hunt')) {
           this.searchPerpendicular(gameInstance);
           this.memory.perpendicularDone = true;
         }
@@ -442,7 +780,7 @@ export class AiPlayer extends Player {
 
     // Check recursive hunt stack (for aggressive/ai-hunt)
     if (this.memory.recursiveHunt.length > 0 &&
-        (this.strategy === 'aggressive' || this.strategy === 'ai-hunt')) {
+        (this.behavior === 'aggressive' || this.behavior === 'ai-hunt')) {
       const recursiveState = this.memory.recursiveHunt.pop();
       this.memory.huntHits = recursiveState.huntHits;
       this.memory.huntDirection = recursiveState.huntDirection;
@@ -548,11 +886,11 @@ export class AiPlayer extends Player {
             this.canShootAt(candidate.row, candidate.col)) {
           
           // For aggressive strategy, add every other perpendicular cell
-          if (this.strategy === 'aggressive' || this.strategy === 'ai-hunt') {
+          if (this.behavior === 'aggressive' || this.behavior === 'ai-hunt') {
             perpendicularTargets.push(candidate);
           }
           // For methodical_optimal, add one random perpendicular
-          else if (this.strategy === 'methodical_optimal' && Math.random() < 0.5) {
+          else if (this.behavior === 'methodical_optimal' && this.random() < 0.5) {
             perpendicularTargets.push(candidate);
             break; // Only one random perpendicular
           }
@@ -571,7 +909,7 @@ export class AiPlayer extends Player {
       }
     }
 
-    console.log(`AI ${this.name} (${this.strategy}): Added ${perpendicularTargets.length} perpendicular targets`);
+    console.log(`AI ${this.name} (${this.behavior}): Added ${perpendicularTargets.length} perpendicular targets`);
   }
 
   processAttackResult(target, result, gameInstance) {
@@ -586,7 +924,7 @@ export class AiPlayer extends Player {
         timestamp: Date.now()
       });
 
-      if (this.strategy !== 'random') {
+      if (this.behavior !== 'random') {
         // Check if any ships fully sank using the ship's isSunk() method
         const anySunk = result.ships && result.ships.some(s => s.ship.isSunk());
         
@@ -601,7 +939,7 @@ export class AiPlayer extends Player {
             this.isPerpendicularToCurrentHunt(target);
 
           if (isPerpendicularHit &&
-              (this.strategy === 'aggressive' || this.strategy === 'ai-hunt')) {
+              (this.behavior === 'aggressive' || this.behavior === 'ai-hunt')) {
             // Save current hunt state and start recursive hunt
             console.log(`AI ${this.name}: Perpendicular hit! Starting recursive hunt`);
             this.memory.recursiveHunt.push({
@@ -637,6 +975,40 @@ export class AiPlayer extends Player {
     }
   }
 
+  /**
+   * Learn from a munition (Game 'ai_munition' action)
+   * @param {string} munitionType - Munition registry id
+   * @param {Object} target - { row, col } aimed at
+   * @param {Object} outcome - Game.resolveMunition() result
+   */
+  processMunitionResult(munitionType, target, outcome, gameInstance) {
+    const effect = getMunition(munitionType)?.effect;
+
+    if (effect === 'reveal') {
+      // Revealed ship cells become hunt targets
+      for (const cell of outcome.cells) {
+        const alreadyQueued = this.memory.targetQueue.some(t => t.row === cell.row && t.col === cell.col);
+        if (this.canShootAt(cell.row, cell.col) && !this.memory.hits.has(`${cell.row},${cell.col}`) && !alreadyQueued) {
+          this.memory.targetQueue.push({ row: cell.row, col: cell.col });
+        }
+      }
+      console.log(`AI ${this.name}: ${munitionType} revealed ${outcome.cells.length} ship cells`);
+      return;
+    }
+
+    if (outcome.hitCell) {
+      this.processAttackResult(outcome.hitCell, outcome.result, gameInstance);
+      return;
+    }
+
+    // Pattern cells (scatter shot, depth charge, mine) - a torpedo that missed has none
+    for (const cell of outcome.cells || []) {
+      if (!this.memory.hits.has(`${cell.row},${cell.col}`)) {
+        this.processAttackResult(cell, cell.result, gameInstance);
+      }
+    }
+  }
+
   isPerpendicularToCurrentHunt(target) {
     if (!this.memory.huntDirection || !this.memory.huntLine) return false;
 
@@ -662,7 +1034,7 @@ export class AiPlayer extends Player {
     ];
 
     // For ai-hunt, also add diagonals
-    if (this.strategy === 'ai-hunt') {
+    if (this.behavior === 'ai-hunt') {
       adjacent.push(
         { row: row - 1, col: col - 1 },
         { row: row - 1, col: col + 1 },
@@ -688,6 +1060,243 @@ export class AiPlayer extends Player {
     console.log(`AI ${this.name}: Hunt queue now has ${this.memory.targetQueue.length} targets`);
   }
 
+  /**
+   * Tune an adaptive captain to the human it is facing
+   * v0.6.0: Skill estimate = recent win rate (50%), lifetime win rate (30%) and accuracy (20%),
+   *         each pulled toward neutral while the player has few games - becomes the base strength
+   * @param {PlayerProfile} profile - Human opponent's profile (lifetime stats)
+   * @param {Array<Object>} recentResults - Newest first game_results rows ({ won, accuracy })
+   * @returns {number|null} Base strength (0.0 - 1.0), null for fixed strategies
+   */
+  adaptTo(profile, recentResults = []) {
+    if (!this.adaptive) {
+      return null;
+    }
+    
+    const winRate = (wins, games) => (wins + ADAPTIVE_PRIOR_GAMES * 0.5) / (games + ADAPTIVE_PRIOR_GAMES);
+    const lifetimeWinRate = winRate(profile?.total_wins || 0, profile?.total_games || 0);
+    
+    const recent = Array.isArray(recentResults) ? recentResults : [];
+    const recentWinRate = recent.length > 0
+      ? winRate(recent.filter(r => r.won).length, recent.length)
+      : lifetimeWinRate;
+    
+    // Accuracy is a percentage (Player.accuracy) - ~20% is blind fire, 60% and up is hard to beat
+    const accuracies = recent.map(r => Number(r.accuracy)).filter(a => !isNaN(a));
+    const accuracy = accuracies.length > 0
+      ? accuracies.reduce((sum, a) => sum + a, 0) / accuracies.length
+      : (profile?.best_accuracy || 0);
+    const accuracySkill = Math.min(1, Math.max(0, (accuracy - 20) / 40));
+    
+    const strength = Math.min(1, Math.max(0, 0.5 * recentWinRate + 0.3 * lifetimeWinRate + 0.2 * accuracySkill));
+    this.adaptive.baseStrength = strength;
+    this.adaptive.strength = strength;
+    if (this.shots === 0) {
+      this.difficulty = this.getBlendDifficulty(this.getBlendWeights(strength));
+    }
+    
+    console.log(`AI ${this.name} (adaptive): Strength ${strength.toFixed(2)} (recent ${(recentWinRate * 100).toFixed(0)}% of ${recent.length}, lifetime ${(lifetimeWinRate * 100).toFixed(0)}%, accuracy ${Number(accuracy).toFixed(1)}%)`);
+    return strength;
+  }
+
+  /**
+   * Blend weights for a strength - piecewise linear across the three behaviors
+   * 0.0 = all Methodical Random, 0.5 = all Aggressive, 1.0 = all AI-Hunt
+   * @param {number} strength - 0.0 - 1.0
+   * @returns {Object} Weight per behavior (sums to 1)
+   */
+  getBlendWeights(strength) {
+    if (strength <= 0.5) {
+      const t = strength / 0.5;
+      return { methodical_random: 1 - t, aggressive: t, 'ai-hunt': 0 };
+    }
+    const t = (strength - 0.5) / 0.5;
+    return { methodical_random: 0, aggressive: 1 - t, 'ai-hunt': t };
+  }
+
+  /**
+   * Scoring multiplier for a blend (weights or move counts), rounded like the era configs
+   * @param {Object} blend - Weight or count per behavior
+   * @returns {number} Difficulty multiplier
+   */
+  getBlendDifficulty(blend) {
+    const total = Object.values(blend).reduce((sum, n) => sum + n, 0);
+    if (total === 0) {
+      return ADAPTIVE_BEHAVIORS.methodical_random;
+    }
+    const weighted = Object.entries(blend)
+      .reduce((sum, [behavior, n]) => sum + ADAPTIVE_BEHAVIORS[behavior] * n, 0);
+    return Math.round((weighted / total) * 10) / 10;
+  }
+
+  /**
+   * Pick this move's behavior and update the scoring multiplier
+   * v0.6.0: Strength follows the fleet health gap - the captain plays harder while the
+   *         human is ahead and eases off while it is ahead itself
+   * @param {Game} gameInstance - Current game
+   */
+  chooseAdaptiveBehavior(gameInstance) {
+    const ownAllianceName = gameInstance.playerAlliances?.get(this.id);
+    const opponents = (gameInstance.players || []).filter(p =>
+      p !== this && !p.isDefeated() && gameInstance.playerAlliances?.get(p.id) !== ownAllianceName
+    );
+    
+    let strength = this.adaptive.baseStrength;
+    if (opponents.length > 0 && this.fleet) {
+      const opponentHealth = opponents.reduce((sum, p) => sum + p.fleet.getHealth(), 0) / opponents.length;
+      strength += 0.5 * (opponentHealth - this.fleet.getHealth());
+    }
+    this.adaptive.strength = Math.min(1, Math.max(0, strength));
+    
+    const weights = this.getBlendWeights(this.adaptive.strength);
+    let roll = this.random();
+    let chosen = 'methodical_random';
+    for (const [behavior, weight] of Object.entries(weights)) {
+      if (weight > 0) {
+        chosen = behavior;
+        if (roll < weight) break;
+        roll -= weight;
+      }
+    }
+    
+    this.behavior = chosen;
+    this.adaptive.used[chosen]++;
+    this.difficulty = this.getBlendDifficulty(this.adaptive.used);
+  }
+
+  /**
+   * Decide whether to defect to another alliance (change_alliance rule)
+   * v0.5.1: A captain defects when its fleet health is at or below defectionHealth,
+   *         its own side is outgunned, and it is not the last captain still fighting
+   * @param {Game} gameInstance - Current game
+   * @param {number} defectionHealth - Fleet health threshold (0.0 - 1.0)
+   * @param {number} defectionChance - Chance to defect once conditions are met
+   * @returns {Alliance|null} Alliance to join, or null to stay
+   */
+  considerDefection(gameInstance, defectionHealth = 0.5, defectionChance = 0.25) {
+    if (this.hasDefected || this.isDefeated()) {
+      return null;
+    }
+    
+    if (this.fleet.getHealth() > defectionHealth) {
+      return null;
+    }
+    
+    const ownAlliance = gameInstance.alliances.get(gameInstance.playerAlliances.get(this.id));
+    if (!ownAlliance) {
+      return null;
+    }
+    
+    // The last captain afloat fights on - leaving would simply hand over the game
+    const activeMates = ownAlliance.players.filter(p => !p.isDefeated());
+    if (activeMates.length <= 1) {
+      return null;
+    }
+    
+    // Alliance strength = health-weighted ship count of its surviving fleets
+    const strength = (alliance) => alliance.players
+      .filter(p => !p.isDefeated())
+      .reduce((sum, p) => sum + p.fleet.getHealth() * p.fleet.count, 0);
+    
+    const ownStrength = strength(ownAlliance);
+    let strongest = null;
+    let strongestStrength = ownStrength;
+    
+    for (const alliance of gameInstance.alliances.values()) {
+      if (alliance === ownAlliance) continue;
+      const allianceStrength = strength(alliance);
+      if (allianceStrength > strongestStrength) {
+        strongest = alliance;
+        strongestStrength = allianceStrength;
+      }
+    }
+    
+    if (!strongest) {
+      return null;
+    }
+    
+    const roll = this.random();
+    console.log(`AI ${this.name}: Defection roll ${roll.toFixed(3)} vs ${defectionChance} (fleet ${(this.fleet.getHealth() * 100).toFixed(0)}%, ${ownStrength.toFixed(1)} vs ${strongestStrength.toFixed(1)})`);
+    return roll < defectionChance ? strongest : null;
+  }
+
+  /**
+   * Ship worth moving out of harm's way this turn, if any (game_rules.ship_movement)
+   * Enemy shots landing next to an undamaged ship mean they are searching there - half the
+   * time it moves to the legal spot with the fewest enemy shots around it
+   * @param {Game} gameInstance
+   * @returns {Object|null} { action: 'move', shipId, dRow, dCol, row, col }
+   */
+  selectShipMove(gameInstance) {
+    if (!gameInstance.gameRules?.ship_movement || this.behavior === 'random' || !this.fleet) {
+      return null;
+    }
+    
+    const enemyShots = gameInstance.players
+      .filter(p => !gameInstance.isSameAlliance(this.id, p.id))
+      .flatMap(p => p.getDontShoot());
+    if (enemyShots.length === 0) {
+      return null;
+    }
+    
+    const pressure = (cells) => enemyShots.filter(shot =>
+      cells.some(cell => Math.abs(shot.row - cell.row) + Math.abs(shot.col - cell.col) <= 1)
+    ).length;
+    
+    let best = null;
+    for (const ship of this.fleet.ships) {
+      const current = pressure(this.getShipCells(ship.id));
+      if (current < 2) continue;
+      
+      for (const move of gameInstance.getShipMoves(this, ship)) {
+        const relief = current - pressure(move.cells);
+        if (relief > 0 && (!best || relief > best.relief)) {
+          best = { ship, move, relief };
+        }
+      }
+    }
+    
+    if (!best || this.random() >= 0.5) {
+      return null;
+    }
+    
+    const { ship, move } = best;
+    console.log(`AI ${this.name} (${this.behavior}): Moving ${ship.name} by (${move.dRow}, ${move.dCol})`);
+    return {
+      action: 'move',
+      shipId: ship.id,
+      dRow: move.dRow,
+      dCol: move.dCol,
+      row: move.cells[0].row,
+      col: move.cells[0].col
+    };
+  }
+
+  /**
+   * Called by Game when an enemy ship moved (game_rules.ship_movement)
+   * Queued targets in the area may be stale (star shell sightings) - keep only those next
+   * to a remembered hit, since damaged ships cannot move. The heat map is rebuilt.
+   * @param {Array} area - [{ row, col }] cells the ship may have left or entered
+   */
+  onShipMoved(area) {
+    const inArea = ({ row, col }) => area.some(cell => cell.row === row && cell.col === col);
+    const hitCells = Array.from(this.memory.hits.keys()).map(key => key.split(',').map(Number));
+    const nextToHit = ({ row, col }) => hitCells.some(([r, c]) => Math.abs(r - row) + Math.abs(c - col) === 1);
+    
+    this.memory.targetQueue = this.memory.targetQueue.filter(target => !inArea(target) || nextToHit(target));
+    this.memory.heatMap = null;
+  }
+
+  /**
+   * Called by Game after this player changes alliance
+   * v0.5.1: Queued hunt targets may now be allied ships - start fresh
+   */
+  onAllianceChanged() {
+    this.hasDefected = true;
+    this.resetHuntMode();
+    this.memory.heatMap = null;
+  }
+
   resetHuntMode() {
     this.memory.targetQueue = [];
     this.memory.huntDirection = null;
@@ -715,13 +1324,23 @@ export class AiPlayer extends Player {
       heatMap: null,
       recursiveHunt: []
     };
+    this.hasDefected = false;
+    if (this.adaptive) {
+      this.behavior = 'methodical_random';
+      this.adaptive.strength = this.adaptive.baseStrength;
+      this.adaptive.used = { methodical_random: 0, aggressive: 0, 'ai-hunt': 0 };
+      this.difficulty = this.getBlendDifficulty(this.getBlendWeights(this.adaptive.baseStrength));
+    }
     console.log(`AI ${this.name} memory reset for new game`);
   }
 
   getAIStats() {
     return {
       strategy: this.strategy,
+      behavior: this.behavior,
       difficulty: this.difficulty,
+      adaptiveStrength: this.adaptive?.strength ?? null,
+      adaptiveBlend: this.adaptive ? { ...this.adaptive.used } : null,
       hits: this.memory.hits.size,
       misses: this.misses,
       activeTargets: this.memory.targetQueue.length,
@@ -1,5 +1,6 @@
 // src/classes/Board.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.4.1: getRandomValidCell() draws from the game's SeededRandom (set by Game.setBoard)
 // v0.4.0: Phase 4 Refactor - COMPLETE CLEANUP
 //         Removed cellContents (replaced by player.shipPlacements)
 //         Removed cellHealthCache (computed from player.fleet on demand)
@@ -7,7 +8,7 @@
 //         Board now ONLY handles: dimensions, terrain, excluded cells, and coordinate validation
 //         Board is now a pure geometric/terrain data structure with no game state
 
-const version = "v0.4.0";
+const version = "v0.4.1";
 
 class Board {
   constructor(rows, cols, terrain) {
@@ -18,10 +19,19 @@ class Board {
     this.rows = rows;
     this.cols = cols;
     this.terrain = terrain;
+    this.rng = null;    // SeededRandom, set by Game via setRandom()
     
     console.log('Board: Created', { rows, cols });
   }
 
+  /**
+   * Share the game's seeded random generator (reproducible autoplacement)
+   * @param {SeededRandom} rng
+   */
+  setRandom(rng) {
+    this.rng = rng;
+  }
+
   /**
    * Check if coordinates are valid (within bounds and not excluded)
    */
@@ -92,7 +102,8 @@ class Board {
     }
     
     if (validCells.length === 0) return null;
-    return validCells[Math.floor(Math.random() * validCells.length)];
+    const roll = this.rng ? this.rng.next() : Math.random();
+    return validCells[Math.floor(roll * validCells.length)];
   }
 
   /**
@@ -1,5 +1,17 @@
 // src/classes/CombatResolver.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.1.7: calculateDamage() scales by the weather's accuracy (game.weather - fog, night, storms)
+// v0.1.6: Salvo fire (game_rules.salvo)
+//         - resolveSalvo() fires every target, results come back together as one replay action
+//         - processSalvo() adds validation, game end and turn progression (like processAttack)
+//         - Counts firingPlayer.salvos
+// v0.1.5: receiveAttack() reports each resolved cell to game.replay (ReplayRecorder)
+//         - hit results include the struck cellIndex
+// v0.1.4: Capture roll uses the game's SeededRandom (game.rng)
+// v0.1.3: Ship capture (game_rules.ship_capture / capture_chance)
+//         - Critically damaged ships (reveal_thresholds.critical_health_percent) roll for capture
+//         - Captured ship moves to attacker's Fleet and shipPlacements
+//         - Posts 'ship_captured' message, counts firingPlayer.captured
 // v0.1.2: Fixed video event type detection
 //         - Changed to use targetPlayer.isHuman getter instead of ID comparison
 //         - Now correctly identifies when player's ship is sunk vs opponent's ship
@@ -16,7 +28,7 @@
 
 import MessageHelper from '../utils/MessageHelper';
 
-const version = "v0.1.2";
+const version = "v0.1.7";
 
 /**
  * CombatResolver
@@ -46,7 +58,7 @@ class CombatResolver {
   }
   
   /**
-   * Calculate final damage with boosts and ship defense
+   * Calculate final damage with boosts, ship defense and weather
    * 
    * @param {Player} firingPlayer - Attacking player
    * @param {Player} targetPlayer - Defending player
@@ -75,10 +87,14 @@ class CombatResolver {
       console.log(`[DAMAGE] Ship ${targetShip.name} (${targetShip.class}) defense: ${targetShip.defense}x`);
     }
 
+    // Apply weather - gunners hit less squarely in fog, darkness and heavy seas
+    const accuracy = this.game.weather?.accuracy ?? 1.0;
+    finalDamage *= accuracy;
+
     const result = Math.max(0, finalDamage);
     
-    if (attackBoost > 0 || defenseBoost > 0 || targetShip?.defense !== 1.0) {
-      console.log(`[DAMAGE] ${baseDamage.toFixed(2)} base -> ${finalDamage.toFixed(3)} final (attack: ${(1 + attackBoost).toFixed(2)}x, defense: ${(1 - defenseBoost).toFixed(2)}x, ship: ${targetShip?.defense?.toFixed(2) || 1.0}x)`);
+    if (attackBoost > 0 || defenseBoost > 0 || targetShip?.defense !== 1.0 || accuracy !== 1.0) {
+      console.log(`[DAMAGE] ${baseDamage.toFixed(2)} base -> ${finalDamage.toFixed(3)} final (attack: ${(1 + attackBoost).toFixed(2)}x, defense: ${(1 - defenseBoost).toFixed(2)}x, ship: ${targetShip?.defense?.toFixed(2) || 1.0}x, weather: ${accuracy.toFixed(2)}x)`);
     }
 
     return result;
@@ -163,6 +179,7 @@ class CombatResolver {
       
       const result = { result: 'miss', ships: [] };
       this.game.lastAttackResult = result;
+      this.game.replay.recordAttack(row, col, firingPlayer, result);
       return result;
     }
     
@@ -183,6 +200,7 @@ class CombatResolver {
       
       const result = { result: 'all_destroyed', ships: [] };
       this.game.lastAttackResult = result;
+      this.game.replay.recordAttack(row, col, firingPlayer, result);
       return result;
     }
     
@@ -206,10 +224,12 @@ class CombatResolver {
       hitResults.push({
         ship: ship,
         player: targetPlayer,
+        cellIndex: cellIndex,
         damage: finalDamage,
         shipHealth: shipHealth,
         shipSunk: shipNowSunk,
-        revealLevel: revealLevel
+        revealLevel: revealLevel,
+        shipCaptured: false
       });
       
       // Handle ship sunk
@@ -293,6 +313,12 @@ class CombatResolver {
           [this.game.message.channels.CONSOLE, this.game.message.channels.LOG]);
         
         this.game.battleLog(`t${this.game.currentTurn}-HIT: ${ship.name} (${targetPlayer.name}) at ${cellName} by ${firingPlayer.name} [${revealLevel}]`, 'hit');
+        
+        // v0.1.3: Critically damaged ships may be captured by the attacker
+        if (this.rollForCapture(ship)) {
+          hitResults[hitResults.length - 1].shipCaptured =
+            this.captureShip(firingPlayer, targetPlayer, ship, cellName);
+        }
       }
     }
     
@@ -345,11 +371,101 @@ class CombatResolver {
       cellFullyDestroyed: cellNowFullyDestroyed
     };
     this.game.lastAttackResult = result;
+    this.game.replay.recordAttack(row, col, firingPlayer, result);
     
     console.log(`[TARGETING] Final result: ${resultType}`);
     return result;
   }
   
+  /**
+   * Check whether a damaged ship is captured on this hit
+   * v0.1.3: Requires game_rules.ship_capture, health at or below
+   *         reveal_thresholds.critical_health_percent, and a roll under capture_chance
+   *
+   * @param {Ship} ship - Ship that was just hit (not sunk)
+   * @returns {boolean} True if the ship should be captured
+   */
+  rollForCapture(ship) {
+    const rules = this.game.gameRules || {};
+    const captureChance = rules.capture_chance || 0;
+    
+    if (!rules.ship_capture || captureChance <= 0 || ship.isSunk()) {
+      return false;
+    }
+    
+    const criticalPercent = this.game.gameConfig?.reveal_thresholds?.critical_health_percent ?? 0.5;
+    if (ship.getHealthPercent() > criticalPercent) {
+      return false;
+    }
+    
+    const roll = this.game.rng.next();
+    console.log(`[CAPTURE] ${ship.name} at ${(ship.getHealthPercent() * 100).toFixed(0)}% health, roll ${roll.toFixed(3)} vs ${captureChance}`);
+    return roll < captureChance;
+  }
+  
+  /**
+   * Transfer a ship from the target's fleet to the attacker's fleet
+   * v0.1.3: Ship keeps its position and damage; placements move between players
+   *
+   * @param {Player} firingPlayer - Capturing player
+   * @param {Player} targetPlayer - Player losing the ship
+   * @param {Ship} ship - Ship being captured
+   * @param {string} cellName - Cell name for messages
+   * @returns {boolean} True if the ship changed hands
+   */
+  captureShip(firingPlayer, targetPlayer, ship, cellName) {
+    if (!firingPlayer.fleet || firingPlayer.isDefeated()) {
+      return false;
+    }
+    
+    const cells = targetPlayer.getShipCells(ship.id);
+    
+    // Captor cannot hold two of its own ships on the same cell
+    if (cells.some(({ row, col }) => firingPlayer.hasShipAt(row, col))) {
+      console.log(`[CAPTURE] ${ship.name} overlaps ${firingPlayer.name}'s fleet - capture skipped`);
+      return false;
+    }
+    
+    if (!firingPlayer.fleet.addShip(ship)) {
+      return false;
+    }
+    targetPlayer.fleet.removeShip(ship);
+    
+    const orientation = targetPlayer.getShipAt(cells[0].row, cells[0].col)?.orientation || 0;
+    for (const { row, col, cellIndex } of cells) {
+      targetPlayer.removeShipAt(row, col);
+      firingPlayer.placeShip(row, col, ship.id, cellIndex, orientation);
+      
+      // Captor and allies no longer target their own prize
+      for (const player of this.game.players) {
+        if (this.game.isSameAlliance(firingPlayer.id, player.id)) {
+          player.recordDontShoot(row, col);
+        }
+      }
+    }
+    
+    ship.capturedBy = firingPlayer.id;
+    firingPlayer.captured++;
+    
+    // Same reward as a sinking (difficulty multiplier)
+    const multiplier = (firingPlayer.type === 'human' && targetPlayer.type === 'ai')
+      ? (targetPlayer.difficulty || 1.0)
+      : 1.0;
+    firingPlayer.score += Math.round(10 * multiplier);
+    
+    this.game.message.post('ship_captured', {
+      attacker: firingPlayer,
+      target: targetPlayer,
+      shipName: ship.name,
+      shipClass: ship.class,
+      cell: cellName
+    }, [this.game.message.channels.CONSOLE, this.game.message.channels.LOG]);
+    
+    this.game.battleLog(`t${this.game.currentTurn}-CAPTURED: ${ship.name} (${targetPlayer.name}) at ${cellName} by ${firingPlayer.name}`, 'captured');
+    
+    return true;
+  }
+  
   /**
    * Validate and register ship placement
    * 
@@ -443,6 +559,74 @@ class CombatResolver {
     return result;
   }
   
+  /**
+   * Fire a salvo - every target is shot before any result is known
+   * v0.1.6: No turn progression (shared by processSalvo and the queued 'ai_salvo' action)
+   *
+   * @param {Player} attacker - Attacking player
+   * @param {Array} targets - Target cells [{ row, col }]
+   * @returns {Object} { wasHit, cells: [{ row, col, result }] }
+   */
+  resolveSalvo(attacker, targets) {
+    this.log(`${attacker.name} fires a salvo of ${targets.length}`);
+    this.game.replay.beginAction('salvo', attacker, targets[0].row, targets[0].col);
+
+    const cells = targets.map(({ row, col }) => ({
+      row,
+      col,
+      result: this.receiveAttack(row, col, attacker)
+    }));
+
+    this.game.replay.endAction();
+    attacker.salvos++;
+
+    // Summarize the salvo in lastAttackResult (like a scatter shot)
+    const anyHit = cells.some(c => c.result.result === 'hit' || c.result.result === 'destroyed');
+    const anyDestroyed = cells.some(c => c.result.result === 'destroyed');
+    this.game.lastAttackResult = {
+      result: anyDestroyed ? 'destroyed' : (anyHit ? 'hit' : 'miss'),
+      ships: cells.flatMap(c => c.result.ships || []),
+      salvoCells: cells
+    };
+
+    return { wasHit: anyHit, cells };
+  }
+
+  /**
+   * Process a salvo with full game flow (validation, damage, turn progression)
+   *
+   * @param {Player} attacker - Attacking player
+   * @param {Array} targets - Target cells [{ row, col }]
+   * @returns {Object} { wasHit, cells } from resolveSalvo()
+   */
+  processSalvo(attacker, targets) {
+    if (this.game.state !== 'playing') {
+      throw new Error('Game is not in playing state');
+    }
+
+    if (targets.length === 0 || !targets.every(({ row, col }) => this.isValidAttack(row, col, attacker))) {
+      throw new Error('Invalid salvo targets');
+    }
+
+    // Play attack sound for human players
+    if (attacker.type === 'human') {
+      this.game.playSound('cannonBlast');
+    }
+
+    const outcome = this.resolveSalvo(attacker, targets);
+
+    // Check if game ended
+    if (this.game.checkGameEnd()) {
+      this.game.endGame();
+      return outcome;
+    }
+
+    // Handle turn progression (a salvo always ends the turn - see Game.handleTurnProgression)
+    this.game.handleTurnProgression(outcome.wasHit);
+
+    return outcome;
+  }
+
   /**
    * Validate attack coordinates
    * 
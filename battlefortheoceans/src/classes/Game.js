@@ -8,9 +8,95 @@ import Message from './Message.js';
 import CombatResolver from './CombatResolver.js';
 import SoundManager from '../utils/SoundManager.js';
 import GameLifecycleManager from './GameLifecycleManager.js';
+import SeededRandom from '../utils/SeededRandom.js';
+import ReplayRecorder from './ReplayRecorder.js';
+import { MUNITIONS, getMunition, getPatternCells } from '../constants/Munitions.js';
+import { resolveWeather } from '../constants/Weather.js';
 
-const version = "v0.8.14";
+const version = "v0.8.30";
 /**
+ * v0.8.30: receiveRemoteAttack() drops a shot fired out of turn, out of sequence or while the
+ *          previous one is still resolving, and tells the opponent (RemoteMatch.rejectAttack)
+ * v0.8.29: Laying a mine (and aerial recon, via the reveal branch) sets lastAttackResult to a
+ *          miss first - only a mine that goes off leaves a hit
+ * v0.8.28: Reveal munitions (star shell) set lastAttackResult to a miss - an earlier hit no
+ *          longer gives the AI another turn
+ * v0.8.27: AI fallback shot (munition or move not allowed) keeps the behavior makeMove() chose
+ * v0.8.26: Weather (era config weather: { change_every, conditions: [{ id, weight, ... }] })
+ *          - rollWeather() picks a condition from the era's table at startGame() and every
+ *            change_every turns (weighted, seeded) - this.weather is the current condition
+ *          - Shots do less damage in poor weather (CombatResolver.calculateDamage) and star shells
+ *            shrink to the condition's starShellRadius (getMunitionCells)
+ *          - Changes post a 'weather_changed' message and a 'weather' replay event
+ *          - Online battles stay clear (weather is not synced)
+ * v0.8.25: Ship movement (game_rules.ship_movement / ship_movement_range)
+ *          - A captain may spend a turn moving one undamaged ship up to ship_movement_range cells
+ *            in a straight line - every step must suit the ship's terrain (Board.canPlaceShip)
+ *            and stay clear of the captain's other ships
+ *          - getShipMoves() lists the legal moves; moveShip() (human) / queued 'ai_move' (AI)
+ *          - Opponents forget what they knew of the area around the ship: misses there can be
+ *            targeted again (Player.clearDontShoot) and AI captains drop stale targets
+ *            (AiPlayer.onShipMoved) - the area is wider than the move, so it gives nothing away
+ *          - Moving onto an enemy mine sets it off; recorded in the replay as a 'move' event
+ * v0.8.24: Salvo rule (game_rules.salvo)
+ *          - getSalvoSize(): one shot per ship afloat, or game_rules.salvo_guns per ship class
+ *          - Human targets collect in this.salvoTargets (toggleSalvoTarget) until fireSalvo();
+ *            'attack' actions (autoplay, shot clock) add a target and fire once the salvo is full
+ *          - AI salvos run as a queued 'ai_salvo' (AiPlayer.selectSalvoTargets)
+ *          - Results resolve together (CombatResolver.resolveSalvo); one salvo (or munition) per
+ *            turn - turn_on_hit / turn_on_miss do not apply
+ *          - getGameStats() reports salvos per player
+ * v0.8.23: Munition registry (constants/Munitions.js)
+ *          - initializeMunitions(player, counts) takes counts keyed by registry stockKey
+ *          - canFireMunition()/resolveMunition() follow each munition's pattern, effect, damage,
+ *            target classes, terrain and required ship - no per-munition branches
+ *          - New depth charges (submarines in deep water), mines and aerial recon (needs a carrier)
+ *          - Mines wait in this.mines until an enemy ship is on their cell (detonateMines())
+ *          - notifyOpponentMunition() replaces notifyOpponentStarShell() for every munition
+ *          - Human munitions that finish the last enemy ship end the game at once
+ * v0.8.22: Munitions per player
+ *          - this.munitions is keyed by player id (like this.boosts): { starShells, scatterShot, fired }
+ *          - initializeMunitions(player, starShells, scatterShot) sets one player's stock
+ *          - getMunitionInventory(player) - stock plus torpedoes left in the player's submarines (UI)
+ *          - fired counts star shells, scatter shot and torpedoes; reported in getGameStats()
+ * v0.8.21: AI captains fire munitions
+ *          - AI decisions carry an action: 'shot' (default), 'starShell', 'scatterShot' or 'torpedo';
+ *            munition actions run as a queued 'ai_munition' with the shot timing and sounds
+ *          - resolveMunition()/resolveTorpedo() fire for any player; fireMunition()/fireTorpedo()
+ *            stay the human entry points
+ *          - AI captains fire from their own stock (AiPlayer.munitions, see getMunitionsFor());
+ *            torpedoes still come from their submarines
+ *          - A star shell tells the AI which enemy ship cells it lit up (submarines stay hidden);
+ *            the human sees it burst over their fleet (notifyOpponentStarShell)
+ * v0.8.20: Online battles (RemoteMatch / RemotePlayer)
+ *          - setRemoteMatch(); the local captain's shots go to the opponent's browser and
+ *            resolve when their result arrives (applyRemoteResult)
+ *          - receiveRemoteAttack() queues the opponent's shot like an AI shot ('remote_attack')
+ *            and reports the result back
+ *          - handleTurnTimeout() tells the opponent when the local captain runs out of time
+ *          - Torpedoes are not available online (munitions are initialized to zero)
+ * v0.8.19: Structured battle replay (ReplayRecorder)
+ *          - game.replay records placements at startGame() and every resolved attack
+ *          - fireMunition()/fireTorpedo() group scatter cells and torpedo paths into one event
+ *          - Star shells, shot clock timeouts and alliance changes are recorded too
+ * v0.8.18: Seeded randomness (reproducible battles)
+ *          - Constructor takes an optional seed; game.rng (SeededRandom) is shared with
+ *            the Board and every Player, game.seed is reported in getGameStats()
+ *          - Game.id is built from the seed instead of Math.random()
+ *          - reset() rewinds the generator (see GameLifecycleManager)
+ * v0.8.17: Hot-seat support (two HumanPlayers on one device)
+ *          - humanPlayerId stays on the first human added (the logged-in player)
+ *          - getHumanPlayers() lists every human in the game
+ *          - getPlayerStats(viewerId) reports stats from the given human's point of view
+ * v0.8.16: Per-turn shot clock using maxTurnTime / turnTimeout
+ *          - maxTurnTime from era game_rules.shot_clock_seconds, else game-config shot_clock
+ *          - turnTimeout holds the current deadline (ms timestamp), null when no clock runs
+ *          - startShotClock(), clearShotClock(), getShotClockRemaining(), handleTurnTimeout()
+ *          - on_expire 'random_shot' (UI fires a random shot) or 'forfeit' (turn passes)
+ * v0.8.15: Alliance changes (change_alliance game rule)
+ *          - changeAlliance() moves a player between alliances and updates playerAlliances
+ *          - evaluateAllianceChanges() lets AI captains defect when the turn passes
+ *          - isSameAlliance() targeting re-evaluates automatically from playerAlliances
  * v0.8.14: Removed gameMode parameter - game is always turn-based
  *          - Constructor now takes (eraConfig, gameConfig) instead of (eraConfig, gameMode, gameConfig)
  *          - Removed this.gameMode property
@@ -85,7 +171,7 @@ const version = "v0.8.14";
  */
 
 class Game {
-  constructor(eraConfig, gameConfig = null) {
+  constructor(eraConfig, gameConfig = null, seed = null) {
     if (!eraConfig.game_rules) {
       throw new Error(`Era "${eraConfig.name}" is missing game_rules configuration`);
     }
@@ -97,7 +183,10 @@ class Game {
       throw new Error(`Era "${eraConfig.name}" missing game rules: ${missingRules.join(', ')}`);
     }
 
-    this.id = `game-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    // All gameplay randomness comes from this generator - same seed, same battle
+    this.rng = new SeededRandom(seed);
+    this.seed = this.rng.seed;
+    this.id = `game-${Date.now()}-${this.seed.toString(36)}`;
     this.eraConfig = eraConfig;
     this.gameConfig = gameConfig;
     
@@ -129,8 +218,13 @@ class Game {
     this.gameLog = [];
     this.startTime = null;
     this.endTime = null;
-    this.turnTimeout = null;
-    this.maxTurnTime = 30000;
+    
+    // v0.8.16: Shot clock - era shot_clock_seconds overrides game-config shot_clock (0 = off)
+    const shotClock = gameConfig?.shot_clock || {};
+    const clockSeconds = eraConfig.game_rules.shot_clock_seconds ?? (shotClock.enabled ? shotClock.seconds : 0);
+    this.turnTimeout = null; // deadline for the current human turn
+    this.maxTurnTime = clockSeconds > 0 ? clockSeconds * 1000 : null;
+    this.shotClockExpireAction = eraConfig.game_rules.shot_clock_on_expire || shotClock.on_expire || 'random_shot';
     this.uiUpdateCallback = null;
     this.gameEndCallback = null;
     this.onShipSunk = null; // v0.8.1: Callback for ship sunk events
@@ -138,15 +232,24 @@ class Game {
     this.battleBoardRef = null;
     this.humanPlayerId = null;
     this.lastAttackResult = null;
+    this.remoteMatch = null; // v0.8.20: set for online battles (RemoteMatch)
     
     // Boost system (for future weapon upgrades)
     this.boosts = {};
     
     // v0.8.8: Munitions management (star shells, scatter shot, etc.)
-    this.munitions = {
-      starShells: 0,
-      scatterShot: 0
-    };
+    // v0.8.22: Keyed by player id - { starShells, scatterShot, fired }
+    // v0.8.23: One count per registry stockKey
+    this.munitions = {};
+    
+    // v0.8.23: Mines laid and not yet set off - [{ row, col, ownerId, damage }]
+    this.mines = [];
+    
+    // v0.8.24: Human salvo targets picked but not yet fired - [{ row, col }]
+    this.salvoTargets = [];
+    
+    // v0.8.26: Current weather condition (constants/Weather.js) - null when the era has none
+    this.weather = null;
     
     // Torpedo path for rendering (set when torpedo is fired)
     this.torpedoPath = null;
@@ -160,6 +263,9 @@ class Game {
     // Lifecycle manager (v0.8.6)
     this.lifecycleManager = new GameLifecycleManager(this);
     
+    // Replay recorder (v0.8.19)
+    this.replay = new ReplayRecorder(this);
+    
     console.log(`[GAME] ${this.id} Game created: ${this.id}`);
   }
 
@@ -208,7 +314,7 @@ class Game {
     // Skip animation delays when speedFactor is 0 (instant mode for autoplay)
     const skipAnimations = speedFactor === 0;
     
-    if (type === 'ai_attack') {
+    if (type === 'ai_attack' || type === 'remote_attack') {
       this.playSound('cannonBlast');
       this.notifyOpponentShot(target.row, target.col, 'firing');
       
@@ -232,6 +338,86 @@ class Game {
       
       return result;
     }
+    
+    if (type === 'ai_munition') {
+      const { action: munitionType, row, col } = target;
+      
+      this.playSound('cannonBlast');
+      this.notifyOpponentShot(row, col, 'firing');
+      
+      if (!skipAnimations) {
+        await this.delay(this.animationSettings.shotAnimation * speedFactor);
+      }
+      
+      const munition = getMunition(munitionType);
+      const outcome = this.resolveMunition(player, munitionType, row, col);
+      
+      if (!outcome) {
+        // Nothing left to fire - the turn is spent, like a miss
+        this.lastAttackResult = { result: 'miss', ships: [] };
+        return this.lastAttackResult;
+      }
+      
+      // Mines are laid unseen - only the ones that go off show
+      if (munition.effect === 'reveal' || munition.effect === 'damage') {
+        this.notifyOpponentMunition(munitionType, row, col);
+      }
+      
+      if (outcome.hitCell) {
+        this.notifyOpponentShot(outcome.hitCell.row, outcome.hitCell.col, outcome.result.result);
+      } else if (munition.effect !== 'reveal') {
+        (outcome.cells || []).forEach(cell => this.notifyOpponentShot(cell.row, cell.col, cell.result.result));
+      }
+      
+      this.notifyUIUpdate();
+      
+      if (!skipAnimations) {
+        await this.delay(this.animationSettings.resultAnimation * speedFactor);
+      }
+      
+      if (player.processMunitionResult) {
+        player.processMunitionResult(munitionType, target, outcome, this);
+      }
+      
+      return this.lastAttackResult;
+    }
+    
+    if (type === 'ai_move') {
+      if (!skipAnimations) {
+        await this.delay(this.animationSettings.shotAnimation * speedFactor);
+      }
+      
+      // Nothing to animate - the move is hidden; a mine it sets off shows on the next render
+      if (!this.resolveShipMove(player, target.shipId, target.dRow, target.dCol)) {
+        this.lastAttackResult = { result: 'miss', ships: [] };
+      }
+      this.notifyUIUpdate();
+      
+      return this.lastAttackResult;
+    }
+    
+    if (type === 'ai_salvo') {
+      this.playSound('cannonBlast');
+      target.targets.forEach(cell => this.notifyOpponentShot(cell.row, cell.col, 'firing'));
+      
+      if (!skipAnimations) {
+        await this.delay(this.animationSettings.shotAnimation * speedFactor);
+      }
+      
+      const outcome = this.combatResolver.resolveSalvo(player, target.targets);
+      outcome.cells.forEach(cell => this.notifyOpponentShot(cell.row, cell.col, cell.result.result));
+      this.notifyUIUpdate();
+      
+      if (!skipAnimations) {
+        await this.delay(this.animationSettings.resultAnimation * speedFactor);
+      }
+      
+      if (player.processAttackResult) {
+        outcome.cells.forEach(cell => player.processAttackResult(cell, cell.result, this));
+      }
+      
+      return this.lastAttackResult;
+    }
   }
 
   delay(ms) {
@@ -269,6 +455,10 @@ class Game {
     this.battleBoardRef = ref;
   }
 
+  setRemoteMatch(match) {
+    this.remoteMatch = match;
+  }
+
   notifyUIUpdate() {
     if (this.uiUpdateCallback) {
       this.uiUpdateCallback();
@@ -287,12 +477,19 @@ class Game {
     }
   }
 
+  notifyOpponentMunition(munitionType, row, col) {
+    if (this.battleBoardRef?.current?.recordOpponentMunition) {
+      this.battleBoardRef.current.recordOpponentMunition(munitionType, row, col);
+    }
+  }
+
   addPlayer(player, allianceName) {
     if (this.players.length >= (this.eraConfig.max_players || 2)) {
       throw new Error(`Maximum ${this.eraConfig.max_players || 2} players allowed`);
     }
 
     player.reset();
+    player.setRandom(this.rng);
 
     if (this.board) {
       player.setBoard(this.board);
@@ -315,7 +512,7 @@ class Game {
     
     this.players.push(player);
     
-    if (player.type === 'human') {
+    if (player.type === 'human' && !this.humanPlayerId) {
       this.humanPlayerId = player.id;
     }
     
@@ -338,6 +535,7 @@ class Game {
       }
 
       player.reset();
+      player.setRandom(this.rng);
 
       if (this.board) {
         player.setBoard(this.board);
@@ -361,7 +559,7 @@ class Game {
       
       this.players.push(player);
       
-      if (player.type === 'human') {
+      if (player.type === 'human' && !this.humanPlayerId) {
         this.humanPlayerId = player.id;
       }
       
@@ -391,6 +589,68 @@ class Game {
     return alliance1 === alliance2;
   }
 
+  /**
+   * Move a player to another alliance mid-battle
+   * v0.8.15: Used by change_alliance defections; ownership passes on if the owner leaves
+   * @param {Player} player - Player changing sides
+   * @param {Alliance} newAlliance - Alliance to join
+   * @returns {boolean} True if the player changed alliance
+   */
+  changeAlliance(player, newAlliance) {
+    const oldAlliance = this.alliances.get(this.playerAlliances.get(player.id));
+    if (!newAlliance || oldAlliance === newAlliance) {
+      return false;
+    }
+    
+    if (oldAlliance) {
+      oldAlliance.removePlayer(player);
+      if (oldAlliance.owner === player.id) {
+        oldAlliance.changeOwner(oldAlliance.players[0]?.id || null);
+      }
+    }
+    
+    newAlliance.addPlayer(player);
+    this.playerAlliances.set(player.id, newAlliance.id);
+    this.replay.recordEvent('alliance', player, { alliance: newAlliance.name });
+    
+    if (player.onAllianceChanged) {
+      player.onAllianceChanged(this);
+    }
+    
+    this.message.post('alliance_changed', {
+      player: player.name,
+      from: oldAlliance?.name || 'their allies',
+      to: newAlliance.name
+    }, [this.message.channels.CONSOLE, this.message.channels.LOG]);
+    
+    this.battleLog(`t${this.currentTurn}-DEFECTION: ${player.name} leaves ${oldAlliance?.name || 'no alliance'} for ${newAlliance.name}`, 'alliance');
+    this.notifyUIUpdate();
+    
+    return true;
+  }
+
+  /**
+   * Give AI captains a chance to change sides (change_alliance rule)
+   * v0.8.15: Thresholds from game_rules.defection_health / defection_chance
+   */
+  evaluateAllianceChanges() {
+    if (!this.gameRules.change_alliance || this.state !== 'playing') {
+      return;
+    }
+    
+    const defectionHealth = this.gameRules.defection_health ?? 0.5;
+    const defectionChance = this.gameRules.defection_chance ?? 0.25;
+    
+    for (const player of this.players) {
+      if (!player.considerDefection) continue;
+      
+      const newAlliance = player.considerDefection(this, defectionHealth, defectionChance);
+      if (newAlliance) {
+        this.changeAlliance(player, newAlliance);
+      }
+    }
+  }
+
   calculateDamage(firingPlayer, targetPlayer, targetShip, baseDamage = 1.0) {
     return this.combatResolver.calculateDamage(firingPlayer, targetPlayer, targetShip, baseDamage);
   }
@@ -409,6 +669,7 @@ class Game {
 
   setBoard(board) {
     this.board = board;
+    board.setRandom(this.rng);
 
     console.log(`[BOARD] setBoard called - Players count: ${this.players.length}`);
 
@@ -426,6 +687,7 @@ class Game {
     
     if (!this.board) {
       this.board = new Board(this.eraConfig.rows, this.eraConfig.cols, this.eraConfig.terrain);
+      this.board.setRandom(this.rng);
     }
 
     this.players.forEach(player => {
@@ -448,12 +710,16 @@ class Game {
     this.startTime = new Date();
     this.currentPlayerIndex = 0;
     
+    // Every fleet is placed now - snapshot for the replay
+    this.replay.start();
+    
     this.message.post(this.message.types.GAME_START, {
       eraName: this.eraConfig.name,
       players: this.players
     }, [this.message.channels.CONSOLE, this.message.channels.LOG]);
     
     this.battleLog('Game started');
+    this.rollWeather();
     this.postTurnMessage();
     
     // Notify UI that game state has changed (message system will update turn message)
@@ -489,19 +755,411 @@ class Game {
     return this.players[this.currentPlayerIndex];
   }
 
+  /**
+   * All human players in the game (more than one in hot-seat mode)
+   * v0.8.17: New method
+   * @returns {Array<Player>}
+   */
+  getHumanPlayers() {
+    return this.players.filter(p => p.type === 'human');
+  }
+
   processPlayerAction(action, data) {
     const currentPlayer = this.getCurrentPlayer();
     
     if (action === 'attack') {
+      if (this.remoteMatch) {
+        return this.sendRemoteAttack(currentPlayer, data.row, data.col);
+      }
+      if (this.getSalvoSize(currentPlayer) > 1) {
+        return this.addSalvoShot(currentPlayer, data.row, data.col);
+      }
       return this.processAttack(currentPlayer, data.row, data.col);
     }
     
     throw new Error(`Unknown action: ${action}`);
   }
 
+  /**
+   * Fire at the opponent in an online battle
+   * v0.8.20: The opponent's browser resolves the shot - applyRemoteResult() finishes it
+   * @returns {Object} { result: 'pending', ships: [] }
+   */
+  sendRemoteAttack(attacker, row, col) {
+    if (this.state !== 'playing') {
+      throw new Error('Game is not in playing state');
+    }
+    
+    if (this.remoteMatch.isAwaitingResult) {
+      throw new Error('Previous shot has not landed yet');
+    }
+    
+    if (!this.isValidAttack(row, col, attacker)) {
+      throw new Error('Invalid attack position');
+    }
+    
+    this.playSound('cannonBlast');
+    const result = this.remoteMatch.sendAttack(row, col);
+    this.notifyUIUpdate();
+    return result;
+  }
+
+  /**
+   * Opponent's browser reported the result of our shot
+   * v0.8.20: Reveals the ship cells they reported on the RemotePlayer mirror, then resolves
+   *          the shot here exactly like a local one (damage, messages, turn, game end)
+   * @param {Object} message - { row, col, result, ships: [{ shipIndex, cellIndex, orientation }] }
+   * @returns {Object|null} Local attack result
+   */
+  applyRemoteResult({ row, col, result, ships = [] }) {
+    const { localPlayer, remotePlayer } = this.remoteMatch;
+    
+    ships.forEach(cell => {
+      remotePlayer.revealShipCell(row, col, cell.shipIndex, cell.cellIndex, cell.orientation);
+    });
+    
+    try {
+      const localResult = this.processAttack(localPlayer, row, col);
+      if (localResult.result !== result) {
+        console.warn(`[GAME] ${this.id} Remote result ${result} at ${row},${col} resolved here as ${localResult.result}`);
+      }
+      this.notifyUIUpdate();
+      return localResult;
+    } catch (error) {
+      console.error(`[GAME] ${this.id} Failed to apply remote result at ${row},${col}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Opponent fired at us in an online battle
+   * v0.8.20: Resolved against our fleet, result sent back before the turn moves on
+   * v0.8.30: Refused unless it is their turn and the shot is the next one in sequence
+   * @param {number} seq - Opponent's shot number (echoed in the result)
+   * @returns {boolean} True if the shot was accepted
+   */
+  receiveRemoteAttack(row, col, seq) {
+    const { remotePlayer } = this.remoteMatch;
+    
+    let rejection = null;
+    if (this.state !== 'playing' || this.getCurrentPlayer() !== remotePlayer) {
+      rejection = 'not your turn';
+    } else if (this.remoteMatch.opponentPending !== null) {
+      rejection = 'previous shot still resolving';
+    } else if (seq !== this.remoteMatch.opponentSeq + 1) {
+      rejection = `expected shot ${this.remoteMatch.opponentSeq + 1}`;
+    }
+    
+    if (rejection) {
+      console.warn(`[GAME] ${this.id} ${remotePlayer.name} shot ${seq} at ${row},${col} refused: ${rejection}`);
+      this.remoteMatch.rejectAttack(seq, row, col, rejection);
+      return false;
+    }
+    
+    this.remoteMatch.acceptAttack(seq);
+    this.queueAction({
+      type: 'remote_attack',
+      player: remotePlayer,
+      target: { row, col },
+      onComplete: () => {
+        this.remoteMatch.sendResult(seq, row, col, this.lastAttackResult);
+        
+        if (this.checkGameEnd()) {
+          this.endGame();
+          return;
+        }
+        
+        const wasHit = (this.lastAttackResult?.result === 'hit' ||
+                       this.lastAttackResult?.result === 'destroyed');
+        
+        this.handleTurnProgression(wasHit);
+        this.notifyUIUpdate();
+      }
+    });
+  }
+
   processAttack(attacker, row, col) {
     return this.combatResolver.processAttack(attacker, row, col);
   }
+
+  /**
+   * Salvo rule in force? Online battles fire single shots (salvos are not synced)
+   */
+  isSalvoGame() {
+    return !!this.gameRules.salvo && !this.remoteMatch;
+  }
+
+  /**
+   * Shots in player's next salvo
+   * v0.8.24: One per ship afloat, or game_rules.salvo_guns[ship class] guns per ship (default 1)
+   * @param {Player} player
+   * @returns {number} 1 when salvo is off
+   */
+  getSalvoSize(player) {
+    if (!this.isSalvoGame() || !player?.fleet) {
+      return 1;
+    }
+    
+    const guns = this.gameRules.salvo_guns || {};
+    const size = player.fleet.ships
+      .filter(ship => !ship.isSunk())
+      .reduce((total, ship) => total + (guns[ship.class] ?? guns[ship.class?.toLowerCase()] ?? 1), 0);
+    
+    return Math.max(1, size);
+  }
+
+  /**
+   * Cells player could still add to a salvo
+   * @returns {Array} [{ row, col }] - valid, not yet shot at, not already picked
+   */
+  getSalvoCandidates(player, picked = this.salvoTargets) {
+    const candidates = [];
+    
+    for (let row = 0; row < this.eraConfig.rows; row++) {
+      for (let col = 0; col < this.eraConfig.cols; col++) {
+        if (this.board?.isValidCoordinate(row, col) && player.canShootAt(row, col) &&
+            !picked.some(t => t.row === row && t.col === col)) {
+          candidates.push({ row, col });
+        }
+      }
+    }
+    
+    return candidates;
+  }
+
+  /**
+   * Pick or unpick a salvo target on the human's turn (board click)
+   * @returns {Array|null} Targets picked so far, null when not the human's salvo turn
+   */
+  toggleSalvoTarget(row, col) {
+    const currentPlayer = this.getCurrentPlayer();
+    if (this.state !== 'playing' || currentPlayer?.type !== 'human' ||
+        !this.isValidAttack(row, col, currentPlayer) || !currentPlayer.canShootAt(row, col)) {
+      return null;
+    }
+    
+    const index = this.salvoTargets.findIndex(t => t.row === row && t.col === col);
+    if (index >= 0) {
+      this.salvoTargets.splice(index, 1);
+    } else if (this.salvoTargets.length < this.getSalvoSize(currentPlayer)) {
+      this.salvoTargets.push({ row, col });
+    }
+    
+    this.notifyUIUpdate();
+    return this.salvoTargets;
+  }
+
+  /**
+   * Add one target to player's salvo - fires once the salvo is full (or no cells are left)
+   * Used by 'attack' actions in salvo games (autoplay, shot clock random shots)
+   * @returns {Object} Salvo summary (lastAttackResult) once fired, else { result: 'pending', ships: [] }
+   */
+  addSalvoShot(player, row, col) {
+    if (!this.salvoTargets.some(t => t.row === row && t.col === col)) {
+      this.salvoTargets.push({ row, col });
+    }
+    
+    if (this.salvoTargets.length < this.getSalvoSize(player) &&
+        this.getSalvoCandidates(player).length > 0) {
+      this.notifyUIUpdate();
+      return { result: 'pending', ships: [] };
+    }
+    
+    this.fireSalvo();
+    return this.lastAttackResult;
+  }
+
+  /**
+   * Fire the human's picked salvo targets
+   * @returns {Object|false} { wasHit, cells } or false when there is nothing to fire
+   */
+  fireSalvo() {
+    const currentPlayer = this.getCurrentPlayer();
+    if (this.state !== 'playing' || currentPlayer?.type !== 'human' || this.salvoTargets.length === 0) {
+      console.log(`[GAME] ${this.id} Salvo blocked - not the human's turn or no targets picked`);
+      return false;
+    }
+    
+    const targets = this.salvoTargets;
+    this.salvoTargets = [];
+    
+    const outcome = this.combatResolver.processSalvo(currentPlayer, targets);
+    this.notifyUIUpdate();
+    return outcome;
+  }
+
+  /**
+   * Can player spend this turn moving ship? (game_rules.ship_movement)
+   * Only undamaged ships move - online battles have no movement (not synced)
+   */
+  canMoveShip(player, ship) {
+    return !!this.gameRules.ship_movement && !this.remoteMatch && this.state === 'playing' &&
+      this.getCurrentPlayer() === player && !!ship && !!player.getShip(ship.id) &&
+      !ship.isSunk() && ship.hitCount === 0;
+  }
+
+  /**
+   * Legal moves for one of player's ships
+   * Straight lines up to ship_movement_range cells (default 2); the ship stops at the first
+   * step that leaves its terrain or runs into another of the player's ships
+   * @returns {Array} [{ dRow, dCol, cells: [{ row, col, cellIndex }] }]
+   */
+  getShipMoves(player, ship) {
+    if (!this.canMoveShip(player, ship)) {
+      return [];
+    }
+    
+    const range = this.gameRules.ship_movement_range ?? 2;
+    const cells = player.getShipCells(ship.id);
+    const moves = [];
+    
+    for (const [stepRow, stepCol] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+      for (let distance = 1; distance <= range; distance++) {
+        const moved = cells.map(cell => ({
+          row: cell.row + stepRow * distance,
+          col: cell.col + stepCol * distance,
+          cellIndex: cell.cellIndex
+        }));
+        
+        const blocked = moved.some(cell => {
+          const placement = player.getShipAt(cell.row, cell.col);
+          return placement && placement.shipId !== ship.id;
+        });
+        if (blocked || !this.board.canPlaceShip(moved, ship.terrain)) {
+          break;
+        }
+        
+        moves.push({ dRow: stepRow * distance, dCol: stepCol * distance, cells: moved });
+      }
+    }
+    
+    return moves;
+  }
+
+  /**
+   * Human captain moves a ship - spends the turn
+   * @param {string} shipId
+   * @param {number} dRow - Rows to move (negative = up)
+   * @param {number} dCol - Columns to move (negative = left)
+   * @returns {boolean} True if the ship moved
+   */
+  moveShip(shipId, dRow, dCol) {
+    const currentPlayer = this.getCurrentPlayer();
+    if (this.state !== 'playing' || currentPlayer?.type !== 'human') {
+      console.log(`[GAME] ${this.id} Move blocked - not the human's turn`);
+      return false;
+    }
+    
+    const outcome = this.resolveShipMove(currentPlayer, shipId, dRow, dCol);
+    if (!outcome) {
+      return false;
+    }
+    
+    this.notifyUIUpdate();
+    
+    if (this.checkGameEnd()) {
+      this.endGame();
+      return true;
+    }
+    
+    // A move is the whole turn, whatever a mine did
+    this.handleTurnProgression(false);
+    
+    return true;
+  }
+
+  /**
+   * Move player's ship - no turn progression
+   * Shared by moveShip() (human) and the queued 'ai_move' action
+   * @returns {Object|null} { cells, detonated } - new ship cells and mines set off,
+   *                        null when the move is not allowed
+   */
+  resolveShipMove(player, shipId, dRow, dCol) {
+    const ship = player.getShip(shipId);
+    const move = this.getShipMoves(player, ship).find(m => m.dRow === dRow && m.dCol === dCol);
+    if (!move) {
+      console.log(`[GAME] ${this.id} ${player.name} cannot move ${ship?.name || shipId} by (${dRow}, ${dCol})`);
+      return null;
+    }
+    
+    const oldCells = player.getShipCells(ship.id);
+    const orientation = player.getShipAt(oldCells[0].row, oldCells[0].col)?.orientation || 0;
+    
+    oldCells.forEach(cell => player.removeShipAt(cell.row, cell.col));
+    move.cells.forEach(cell => player.placeShip(cell.row, cell.col, ship.id, cell.cellIndex, orientation));
+    
+    console.log(`[GAME] ${this.id} ${player.name} moved ${ship.name} by (${dRow}, ${dCol})`);
+    
+    const cleared = this.forgetShipArea(player, oldCells, move.cells);
+    
+    this.message.post('ship_moved', {
+      player: player.name
+    }, [this.message.channels.CONSOLE, this.message.channels.LOG]);
+    
+    this.battleLog(`t${this.currentTurn}-MOVE: ${player.name} moved ${ship.name} by (${dRow}, ${dCol})`, 'move');
+    this.replay.recordEvent('move', player, {
+      row: move.cells[0].row,
+      col: move.cells[0].col,
+      shipId: ship.id,
+      dRow,
+      dCol,
+      cleared
+    });
+    
+    const detonated = this.detonateMines(move.cells);
+    this.lastAttackResult = { result: 'moved', ships: [] };
+    
+    return { cells: move.cells, detonated };
+  }
+
+  /**
+   * Opponents forget what they knew around a moved ship
+   * The area is the ship's old cells widened by the movement range on every side, so the
+   * clearing does not point at where the ship went. Cells holding dead ship cells stay marked
+   * (everyone can see a wreck) unless the ship moved onto them.
+   * @param {Player} player - Captain who moved
+   * @param {Array} oldCells - Cells the ship left
+   * @param {Array} newCells - Cells the ship now holds
+   * @returns {Array} [[row, col]] cells made targetable again
+   */
+  forgetShipArea(player, oldCells, newCells) {
+    const range = this.gameRules.ship_movement_range ?? 2;
+    const rows = oldCells.map(c => c.row);
+    const cols = oldCells.map(c => c.col);
+    const area = [];
+    
+    for (let row = Math.min(...rows) - range; row <= Math.max(...rows) + range; row++) {
+      for (let col = Math.min(...cols) - range; col <= Math.max(...cols) + range; col++) {
+        if (this.board.isValidCoordinate(row, col)) {
+          area.push({ row, col });
+        }
+      }
+    }
+    
+    const isNewCell = ({ row, col }) => newCells.some(c => c.row === row && c.col === col);
+    const isWreck = ({ row, col }) => this.players.some(p => {
+      const placement = p.getShipAt(row, col);
+      const ship = placement && p.getShip(placement.shipId);
+      return !!ship && ship.health[placement.cellIndex] <= 0;
+    });
+    
+    const cleared = new Set();
+    this.players.forEach(opponent => {
+      if (this.isSameAlliance(player.id, opponent.id)) return;
+      
+      area.forEach(cell => {
+        if ((isNewCell(cell) || !isWreck(cell)) && opponent.clearDontShoot(cell.row, cell.col)) {
+          cleared.add(`${cell.row},${cell.col}`);
+        }
+      });
+      
+      if (opponent.onShipMoved) {
+        opponent.onShipMoved(area, this);
+      }
+    });
+    
+    return Array.from(cleared).map(key => key.split(',').map(Number));
+  }
   
   checkGameEnd() {
     return this.lifecycleManager.checkGameEnd();
@@ -512,11 +1170,14 @@ class Game {
       return;
     }
     
-    const shouldContinue = (wasHit && this.gameRules.turn_on_hit) ||
-                         (!wasHit && this.gameRules.turn_on_miss);
+    // v0.8.24: A salvo is the whole turn - hits never earn another one
+    const shouldContinue = !this.isSalvoGame() &&
+                         ((wasHit && this.gameRules.turn_on_hit) ||
+                          (!wasHit && this.gameRules.turn_on_miss));
     
     if (!shouldContinue) {
       this.nextTurn();
+      this.evaluateAllianceChanges();
       this.checkAndTriggerAITurn();
     } else {
       this.checkAndTriggerAITurn();
@@ -567,8 +1228,34 @@ class Game {
       throw new Error(`AI Player ${aiPlayer.name} returned invalid target coordinates`);
     }
     
+    const action = aiDecision.action || 'shot';
+    const allowed = action === 'shot' ||
+      (action === 'move'
+        ? this.canMoveShip(aiPlayer, aiPlayer.getShip(aiDecision.shipId))
+        : this.canFireMunition(aiPlayer, action));
+    if (!allowed) {
+      console.warn(`[GAME] AI ${aiPlayer.name} cannot ${action} - firing a shot instead`);
+      aiDecision = aiPlayer.makeMove(this, { munitions: false, retry: true });
+      if (!aiDecision) {
+        throw new Error(`AI Player ${aiPlayer.name} returned no move decision`);
+      }
+    }
+    
+    // v0.8.24: In salvo games a shot becomes a full salvo (a munition still replaces the turn)
+    // v0.8.25: 'move' runs as 'ai_move'
+    let actionType = { shot: 'ai_attack', move: 'ai_move' }[aiDecision.action || 'shot'] || 'ai_munition';
+    const salvoSize = this.getSalvoSize(aiPlayer);
+    if (actionType === 'ai_attack' && salvoSize > 1 && aiPlayer.selectSalvoTargets) {
+      actionType = 'ai_salvo';
+      aiDecision = {
+        ...aiDecision,
+        action: 'salvo',
+        targets: aiPlayer.selectSalvoTargets(this, salvoSize, aiDecision)
+      };
+    }
+    
     this.queueAction({
-      type: 'ai_attack',
+      type: actionType,
       player: aiPlayer,
       target: aiDecision,
       onComplete: () => {
@@ -586,18 +1273,146 @@ class Game {
     });
   }
 
+  /**
+   * Start (or restart) the shot clock for the current turn
+   * v0.8.16: No-op when the shot clock is disabled
+   * @returns {number|null} Deadline timestamp or null
+   */
+  startShotClock() {
+    if (!this.maxTurnTime || this.state !== 'playing') {
+      this.turnTimeout = null;
+      return null;
+    }
+    
+    this.turnTimeout = Date.now() + this.maxTurnTime;
+    return this.turnTimeout;
+  }
+
+  clearShotClock() {
+    this.turnTimeout = null;
+  }
+
+  /**
+   * Milliseconds left on the shot clock (null when no clock is running)
+   */
+  getShotClockRemaining() {
+    return this.turnTimeout ? Math.max(0, this.turnTimeout - Date.now()) : null;
+  }
+
+  /**
+   * Shot clock expired for player
+   * v0.8.16: Records the timeout; 'forfeit' passes the turn here,
+   *          'random_shot' is left to the caller (UI targeting)
+   * v0.8.24: Salvo games fill the rest of the salvo at random and fire it here ('salvo')
+   * @param {Player} player - Player who ran out of time
+   * @returns {string} Expire action ('random_shot', 'forfeit' or 'salvo')
+   */
+  handleTurnTimeout(player) {
+    this.turnTimeout = null;
+    player.timeouts++;
+    
+    const action = this.shotClockExpireAction;
+    
+    this.message.post('turn_timeout', {
+      player: player.name,
+      action
+    }, [this.message.channels.CONSOLE, this.message.channels.LOG]);
+    
+    this.battleLog(`t${this.currentTurn}-TIMEOUT: ${player.name} ran out of time (${action})`, 'timeout');
+    this.replay.recordEvent('timeout', player, { action });
+    
+    if (this.remoteMatch && player !== this.remoteMatch.remotePlayer) {
+      this.remoteMatch.sendTimeout();
+    }
+    
+    if (action === 'random_shot' && this.state === 'playing' && player.type === 'human' &&
+        this.getSalvoSize(player) > 1) {
+      const candidates = this.getSalvoCandidates(player);
+      while (this.salvoTargets.length < this.getSalvoSize(player) && candidates.length > 0) {
+        this.salvoTargets.push(candidates.splice(this.rng.nextInt(candidates.length), 1)[0]);
+      }
+      this.fireSalvo();
+      return 'salvo';
+    }
+    
+    if (action === 'forfeit' && this.state === 'playing') {
+      this.nextTurn();
+      this.evaluateAllianceChanges();
+      this.checkAndTriggerAITurn();
+      this.notifyUIUpdate();
+    }
+    
+    return action;
+  }
+
   nextTurn() {
     const oldIndex = this.currentPlayerIndex;
     const oldPlayer = this.players[oldIndex];
     this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
     this.currentTurn++;
+    this.salvoTargets = [];
     const newPlayer = this.players[this.currentPlayerIndex];
     
     console.log(`[GAME] nextTurn: ${oldPlayer?.name} (index ${oldIndex}) -> ${newPlayer?.name} (index ${this.currentPlayerIndex}), turn ${this.currentTurn}`);
     
+    if (this.hasWeather() && this.currentTurn % this.getWeatherInterval() === 0) {
+      this.rollWeather();
+    }
+    
     this.postTurnMessage();
   }
 
+  /**
+   * Era has a weather table? Online battles stay clear (weather is not synced)
+   */
+  hasWeather() {
+    return (this.eraConfig.weather?.conditions?.length || 0) > 0 && !this.remoteMatch;
+  }
+
+  /**
+   * Turns between weather rolls (era weather.change_every, default 5)
+   */
+  getWeatherInterval() {
+    return Math.max(1, this.eraConfig.weather?.change_every || 5);
+  }
+
+  /**
+   * Pick the next condition from the era's weather table (weighted by weight, default 1)
+   * v0.8.26: Only a change is announced - the same condition rolled again just carries on
+   * @returns {Object|null} The current condition
+   */
+  rollWeather() {
+    if (!this.hasWeather()) {
+      return null;
+    }
+
+    const conditions = this.eraConfig.weather.conditions
+      .map(entry => ({ condition: resolveWeather(entry), weight: entry.weight ?? 1 }))
+      .filter(({ condition, weight }) => condition && weight > 0);
+    const totalWeight = conditions.reduce((sum, { weight }) => sum + weight, 0);
+    if (totalWeight <= 0) {
+      return this.weather;
+    }
+
+    let roll = this.rng.next() * totalWeight;
+    const picked = conditions.find(({ weight }) => (roll -= weight) < 0) || conditions[conditions.length - 1];
+
+    if (picked.condition.id === this.weather?.id) {
+      return this.weather;
+    }
+
+    this.weather = picked.condition;
+
+    this.message.post('weather_changed', {
+      weather: this.weather.label
+    }, [this.message.channels.CONSOLE, this.message.channels.LOG]);
+
+    this.battleLog(`t${this.currentTurn}-WEATHER: ${this.weather.label}`, 'weather');
+    this.replay.recordEvent('weather', this.getCurrentPlayer(), { weather: this.weather });
+
+    return this.weather;
+  }
+
   isValidAttack(row, col, firingPlayer) {
     return this.combatResolver.isValidAttack(row, col, firingPlayer);
   }
@@ -630,17 +1445,22 @@ class Game {
         hits: player.hits,
         misses: player.misses,
         sunk: player.sunk,
+        captured: player.captured,
+        timeouts: player.timeouts,
+        salvos: player.salvos,
         hitsDamage: player.hitsDamage,
         accuracy: player.accuracy,
         averageDamage: player.averageDamage,
         damagePerShot: player.damagePerShot,
         shipsRemaining: fleet ? fleet.ships.filter(s => !s.isSunk()).length : 0,
+        munitionsFired: this.getMunitionInventory(player).fired,
         score: player.score
       };
     });
 
     return {
       gameId: this.id,
+      seed: this.seed,
       duration: duration,
       totalTurns: this.currentTurn,
       winner: this.winner?.name || null,
@@ -650,10 +1470,118 @@ class Game {
   }
 
   // v0.8.8: Munitions management methods
-  initializeMunitions(starShells = 0, scatterShot = 0) {
-    this.munitions.starShells = starShells;
-    this.munitions.scatterShot = scatterShot;
-    console.log(`[GAME] ${this.id} Munitions initialized:`, this.munitions);
+  // v0.8.22: One stock per player
+  // v0.8.23: Stock holds every registry munition (counts keyed by stockKey)
+  initializeMunitions(player, counts = {}) {
+    const stock = { fired: {} };
+    Object.values(MUNITIONS).forEach(munition => {
+      stock.fired[munition.stockKey] = 0;
+      if (!munition.carriedBy) {
+        stock[munition.stockKey] = counts[munition.stockKey] || 0;
+      }
+    });
+
+    this.munitions[player.id] = stock;
+    console.log(`[GAME] ${this.id} Munitions initialized for ${player.name}:`, stock);
+  }
+
+  /**
+   * Munitions a player fires from
+   * @param {Player} player
+   * @returns {Object|null} { starShells, scatterShot, ..., fired } - null before initializeMunitions()
+   */
+  getMunitionsFor(player) {
+    return this.munitions[player?.id] || null;
+  }
+
+  /**
+   * Everything a player has left to fire, for the UI - one count per registry stockKey
+   * Torpedoes live on the player's submarines (Ship.getTorpedoes) - sunk submarines lose theirs
+   * @param {Player} player
+   * @returns {Object} { starShells, scatterShot, depthCharges, mines, aerialRecon, torpedoes, fired }
+   */
+  getMunitionInventory(player) {
+    const stock = this.getMunitionsFor(player);
+    const inventory = { fired: {} };
+
+    Object.values(MUNITIONS).forEach(munition => {
+      const key = munition.stockKey;
+      inventory.fired[key] = stock?.fired?.[key] || 0;
+
+      if (munition.carriedBy) {
+        inventory[key] = (player?.fleet?.ships || []).reduce((total, ship) =>
+          ship.class?.toLowerCase() === munition.carriedBy && !ship.isSunk()
+            ? total + (ship.getTorpedoes() || 0)
+            : total, 0);
+      } else {
+        inventory[key] = stock?.[key] || 0;
+      }
+    });
+
+    return inventory;
+  }
+
+  /**
+   * Can player fire this munition right now?
+   * Online battles have none - munitions are not synced between browsers
+   * @param {Player} player
+   * @param {string} munitionType - Registry id ('starShell', 'depthCharge', 'torpedo', ...)
+   * @param {number} row - Target row (optional - checks the munition's terrain restriction)
+   * @param {number} col - Target column
+   * @returns {boolean}
+   */
+  canFireMunition(player, munitionType, row = null, col = null) {
+    const munition = getMunition(munitionType);
+    if (!munition || this.remoteMatch) {
+      return false;
+    }
+
+    if (munition.requires && !this.hasShipClassAfloat(player, munition.requires)) {
+      return false;
+    }
+
+    if (munition.terrain && row !== null && col !== null &&
+        !munition.terrain.includes(this.board?.terrain[row]?.[col])) {
+      return false;
+    }
+
+    if (munition.effect === 'torpedo') {
+      return this.findTorpedoLauncher(player) !== null;
+    }
+
+    const munitions = this.getMunitionsFor(player);
+    return !!munitions && munitions[munition.stockKey] > 0;
+  }
+
+  hasShipClassAfloat(player, shipClass) {
+    return (player?.fleet?.ships || []).some(ship =>
+      ship.class?.toLowerCase() === shipClass && !ship.isSunk()
+    );
+  }
+
+  /**
+   * Board cells a munition fired at (row, col) affects
+   * @returns {Array} [{ row, col, opacity }]
+   */
+  getMunitionCells(munitionType, row, col) {
+    const munition = getMunition(munitionType);
+    if (!munition) {
+      return [];
+    }
+
+    // Eras can shrink the star shell to 3x3 (resources.star_shell_pattern)
+    let pattern = munitionType === 'starShell' && this.eraConfig?.resources?.star_shell_pattern === '3x3'
+      ? { ...munition.pattern, radius: 1 }
+      : munition.pattern;
+
+    // v0.8.26: Fog and storms cut the star shell's reach
+    const weatherRadius = this.weather?.starShellRadius;
+    if (munitionType === 'starShell' && weatherRadius != null && weatherRadius < pattern.radius) {
+      pattern = { ...pattern, radius: weatherRadius };
+    }
+
+    return getPatternCells({ ...munition, pattern }, row, col, this.eraConfig.rows, this.eraConfig.cols)
+      .filter(cell => this.board?.isValidCoordinate(cell.row, cell.col));
   }
 
   fireMunition(munitionType, row, col) {
@@ -668,71 +1596,209 @@ class Game {
       return false;
     }
     
-    // Validate munition type and availability
-    const munitionKey = munitionType === 'starShell' ? 'starShells' :
-                        munitionType === 'scatterShot' ? 'scatterShot' : null;
+    if (munitionType === 'torpedo') {
+      return this.fireTorpedo(row, col);
+    }
     
-    if (!munitionKey || !this.munitions || this.munitions[munitionKey] <= 0) {
-      console.log(`[GAME] ${this.id} ${munitionType} blocked - none remaining`);
+    const outcome = this.resolveMunition(currentPlayer, munitionType, row, col);
+    if (!outcome) {
       return false;
     }
     
-    console.log(`[GAME] ${this.id} ${munitionType} fired at (${row}, ${col})`);
+    // Notify UI update
+    this.notifyUIUpdate();
     
+    if (this.checkGameEnd()) {
+      this.endGame();
+      return true;
+    }
+
+    // Advance turn (munitions consume turn, but respect turn_on_hit rules)
+    this.handleTurnProgression(outcome.wasHit);
+
+    return true;
+  }
+
+  /**
+   * Fire a registry munition for player - no turn progression
+   * v0.8.21: Shared by fireMunition() (human) and the queued 'ai_munition' action
+   * v0.8.23: Driven by the munition registry (constants/Munitions.js)
+   * @param {Player} player - Firing player
+   * @param {string} munitionType - Registry id
+   * @param {number} row - Target row
+   * @param {number} col - Target column
+   * @returns {Object|null} { wasHit, cells } - cells damaged ({ row, col, result }) or enemy ship
+   *                        cells revealed ({ row, col }); torpedoes add hitCell/result;
+   *                        null when the munition could not be fired
+   */
+  resolveMunition(player, munitionType, row, col) {
+    const munition = getMunition(munitionType);
+
+    // Validate munition type, availability and target terrain
+    if (!munition || !this.canFireMunition(player, munitionType, row, col)) {
+      console.log(`[GAME] ${this.id} ${munitionType} blocked - none remaining or not allowed here`);
+      return null;
+    }
+
+    if (munition.effect === 'torpedo') {
+      return this.resolveTorpedo(player, row, col);
+    }
+
+    console.log(`[GAME] ${this.id} ${player.name} ${munitionType} fired at (${row}, ${col})`);
+
     // Decrement munition count
-    this.munitions[munitionKey] = Math.max(0, this.munitions[munitionKey] - 1);
+    const munitions = this.getMunitionsFor(player);
+    munitions[munition.stockKey] = Math.max(0, munitions[munition.stockKey] - 1);
+    munitions.fired[munition.stockKey]++;
     
-    // Handle scatter shot damage pattern (3x3, damage from config)
-    if (munitionType === 'scatterShot') {
-      const scatterDamage = this.gameConfig?.munitions_damage?.scatter_shot ?? 0.1;
-      const hitCells = [];
-      
-      // 3x3 pattern centered on target cell
-      for (let dr = -1; dr <= 1; dr++) {
-        for (let dc = -1; dc <= 1; dc++) {
-          const targetRow = row + dr;
-          const targetCol = col + dc;
-          
-          // Validate coordinates
-          if (this.board?.isValidCoordinate(targetRow, targetCol)) {
-            // Apply damage to this cell
-            const attackResult = this.receiveAttack(targetRow, targetCol, currentPlayer, scatterDamage);
-            if (attackResult && attackResult.result !== 'invalid') {
-              hitCells.push({ row: targetRow, col: targetCol, result: attackResult });
-            }
-          }
-        }
+    const damage = this.gameConfig?.munitions_damage?.[munition.damageKey] ?? munition.damage;
+    const cells = this.getMunitionCells(munitionType, row, col);
+
+    if (munition.effect === 'reveal') {
+      this.replay.recordEvent(munitionType, player, { row, col });
+      // Nothing was hit - the queued AI turn reads lastAttackResult to decide who goes next
+      this.lastAttackResult = { result: 'miss', ships: [] };
+      return { wasHit: false, cells: this.getRevealedCells(player, munition, cells) };
+    }
+
+    if (munition.effect === 'mine') {
+      cells.forEach(cell => this.mines.push({ row: cell.row, col: cell.col, ownerId: player.id, damage }));
+      // detonateMines() only sets lastAttackResult when a mine goes off
+      this.lastAttackResult = { result: 'miss', ships: [] };
+      this.replay.beginAction(munitionType, player, row, col);
+      const detonated = this.detonateMines(cells);
+      this.replay.endAction();
+      return {
+        wasHit: detonated.some(h => h.result.result === 'hit' || h.result.result === 'destroyed'),
+        cells: detonated
+      };
+    }
+
+    // Damage pattern - only cells holding a ship it can hurt when the munition has targets
+    const hitCells = [];
+    this.replay.beginAction(munitionType, player, row, col);
+
+    for (const cell of cells) {
+      if (munition.targets && !this.hasEnemyShipClassAt(player, cell.row, cell.col, munition.targets)) {
+        continue;
       }
-      
-      console.log(`[GAME] ${this.id} Scatter shot hit ${hitCells.length} cells`);
-      
-      // Update last attack result with scatter shot summary
-      let anyHit = false;
-      if (hitCells.length > 0) {
-        anyHit = hitCells.some(h => h.result.result === 'hit' || h.result.result === 'destroyed');
-        const anyDestroyed = hitCells.some(h => h.result.result === 'destroyed');
-        
-        this.lastAttackResult = {
-          result: anyDestroyed ? 'destroyed' : (anyHit ? 'hit' : 'miss'),
-          ships: hitCells.flatMap(h => h.result.ships || []),
-          scatterCells: hitCells
-        };
-      } else {
-        this.lastAttackResult = { result: 'miss', ships: [] };
+
+      const attackResult = this.receiveAttack(cell.row, cell.col, player, damage);
+      if (attackResult && attackResult.result !== 'invalid') {
+        hitCells.push({ row: cell.row, col: cell.col, result: attackResult });
+      }
+    }
+
+    this.replay.endAction();
+    console.log(`[GAME] ${this.id} ${munition.label} hit ${hitCells.length} cells`);
+
+    // Update last attack result with the pattern summary
+    let anyHit = false;
+    if (hitCells.length > 0) {
+      anyHit = hitCells.some(h => h.result.result === 'hit' || h.result.result === 'destroyed');
+      const anyDestroyed = hitCells.some(h => h.result.result === 'destroyed');
+
+      this.lastAttackResult = {
+        result: anyDestroyed ? 'destroyed' : (anyHit ? 'hit' : 'miss'),
+        ships: hitCells.flatMap(h => h.result.ships || []),
+        scatterCells: hitCells
+      };
+    } else {
+      this.lastAttackResult = { result: 'miss', ships: [] };
+    }
+
+    return { wasHit: anyHit, cells: hitCells };
+  }
+
+  /**
+   * Live enemy ship cell at (row, col)? shipClasses narrows it to those classes
+   */
+  hasEnemyShipClassAt(player, row, col, shipClasses = null) {
+    return this.players.some(targetPlayer => {
+      if (this.isSameAlliance(player.id, targetPlayer.id)) return false;
+
+      const placement = targetPlayer.getShipAt(row, col);
+      const ship = placement && targetPlayer.getShip(placement.shipId);
+      return !!ship && !ship.isSunk() &&
+        (!shipClasses || shipClasses.includes(ship.class?.toLowerCase())) &&
+        ship.health[placement.cellIndex] > 0;
+    });
+  }
+
+  /**
+   * Enemy ship cells a reveal munition lights up for player
+   * Ships of the munition's hides classes stay hidden (star shells never show submarines),
+   * damaged-out cells are skipped
+   * @param {Player} player
+   * @param {Object} munition - Registry entry
+   * @param {Array} cells - Cells the munition covers
+   * @returns {Array} [{ row, col }]
+   */
+  getRevealedCells(player, munition, cells) {
+    const hides = munition.hides || [];
+
+    return cells.filter(({ row, col }) => this.players.some(targetPlayer => {
+      if (this.isSameAlliance(player.id, targetPlayer.id)) return false;
+
+      const placement = targetPlayer.getShipAt(row, col);
+      const ship = placement && targetPlayer.getShip(placement.shipId);
+      return !!ship && !ship.isSunk() &&
+        !hides.includes(ship.class?.toLowerCase()) &&
+        ship.health[placement.cellIndex] > 0;
+    })).map(({ row, col }) => ({ row, col }));
+  }
+
+  /**
+   * Set off mines under enemy ships in these cells
+   * Mines lie in wait until an enemy ship is on their cell - laid on a ship they go off at once
+   * @param {Array} cells - Cells to check ({ row, col })
+   * @returns {Array} [{ row, col, result }] detonations
+   */
+  detonateMines(cells) {
+    const detonated = [];
+
+    for (const cell of cells) {
+      const mine = this.mines.find(m => m.row === cell.row && m.col === cell.col);
+      const owner = mine && this.getPlayer(mine.ownerId);
+      if (!owner || !this.hasEnemyShipClassAt(owner, cell.row, cell.col)) {
+        continue;
+      }
+
+      this.mines = this.mines.filter(m => m !== mine);
+      const attackResult = this.receiveAttack(cell.row, cell.col, owner, mine.damage);
+      console.log(`[GAME] ${this.id} Mine laid by ${owner.name} went off at (${cell.row}, ${cell.col}):`, attackResult?.result);
+      if (attackResult && attackResult.result !== 'invalid') {
+        this.lastAttackResult = attackResult;
+        detonated.push({ row: cell.row, col: cell.col, result: attackResult });
+      }
+    }
+
+    return detonated;
+  }
+
+  /**
+   * Submarine that fires player's next torpedo, with its bow position
+   * Torpedoes fire from the bow: cellIndex 0 is ALWAYS the stern, cellIndex size-1 is ALWAYS the bow
+   * @param {Player} player
+   * @returns {Object|null} { submarine, position: { row, col } }
+   */
+  findTorpedoLauncher(player) {
+    for (const ship of player?.fleet?.ships || []) {
+      if (ship.class?.toLowerCase() !== 'submarine' ||
+          ship.isSunk() ||
+          ship.getTorpedoes() <= 0) {
+        continue;
+      }
+
+      for (const [key, placement] of player.shipPlacements.entries()) {
+        if (placement.shipId === ship.id && placement.cellIndex === ship.size - 1) {
+          const [row, col] = key.split(',').map(Number);
+          return { submarine: ship, position: { row, col } };
+        }
       }
-      
-      // Notify UI update
-      this.notifyUIUpdate();
-      
-      // Advance turn (munitions consume turn, but respect turn_on_hit rules)
-      this.handleTurnProgression(anyHit);
-      return true;
     }
     
-    // Advance turn (star shells and other munitions consume turn)
-    this.handleTurnProgression();
-    
-    return true;
+    return null;
   }
   
   /**
@@ -754,56 +1820,42 @@ class Game {
       return false;
     }
     
-    // Find a submarine with torpedoes available
-    let submarine = null;
-    let submarinePosition = null;
-    
-    if (currentPlayer.fleet?.ships) {
-      for (const ship of currentPlayer.fleet.ships) {
-        if (ship.class?.toLowerCase() === 'submarine' && 
-            !ship.isSunk() && 
-            ship.getTorpedoes() > 0) {
-          // Find submarine bow position
-          // Torpedoes fire from the bow, not the stern
-          // cellIndex 0 is ALWAYS the stern, cellIndex size-1 is ALWAYS the bow
-          console.log(`[GAME] ${this.id} Searching for submarine ${ship.name} bow (cellIndex=${ship.size - 1})...`);
-          
-          // Collect all cells for this submarine for debugging
-          const allSubmarineCells = [];
-          for (let row = 0; row < this.board.rows; row++) {
-            for (let col = 0; col < this.board.cols; col++) {
-              const placement = currentPlayer.getShipAt(row, col);
-              if (placement && placement.shipId === ship.id) {
-                allSubmarineCells.push({ row, col, cellIndex: placement.cellIndex, orientation: placement.orientation || 0 });
-                // Check if this is the bow (cellIndex size-1)
-                if (placement.cellIndex === ship.size - 1) {
-                  submarine = ship;
-                  submarinePosition = { row, col };
-                  console.log(`[GAME] ${this.id} Found submarine bow at (${row}, ${col}), cellIndex=${placement.cellIndex}, ship size=${ship.size}, orientation=${placement.orientation || 0}°`);
-                }
-              }
-            }
-          }
-          
-          // Debug: log all cells if we found the submarine
-          if (submarine && allSubmarineCells.length > 0) {
-            console.log(`[GAME] ${this.id} All submarine cells:`, allSubmarineCells);
-            const sternCell = allSubmarineCells.find(c => c.cellIndex === 0);
-            const bowCell = allSubmarineCells.find(c => c.cellIndex === ship.size - 1);
-            console.log(`[GAME] ${this.id} Stern cell:`, sternCell, `Bow cell:`, bowCell);
-            console.log(`[GAME] ${this.id} Torpedo will fire from bow at (${submarinePosition.row}, ${submarinePosition.col})`);
-          }
-          
-          if (submarine) break;
-        }
-      }
+    if (this.remoteMatch) {
+      console.log(`[GAME] ${this.id} Torpedo blocked - not available in online battles`);
+      return false;
     }
     
-    if (!submarine || !submarinePosition) {
-      console.log(`[GAME] ${this.id} Torpedo blocked - no submarine with torpedoes available`);
+    const outcome = this.resolveTorpedo(currentPlayer, targetRow, targetCol);
+    if (!outcome) {
       return false;
     }
-    
+
+    // Notify UI update
+    this.notifyUIUpdate();
+
+    // Advance turn
+    this.handleTurnProgression(outcome.wasHit);
+
+    return true;
+  }
+
+  /**
+   * Fire player's torpedo toward (targetRow, targetCol) - no turn progression
+   * v0.8.21: Shared by fireTorpedo() (human) and the queued 'ai_munition' action
+   * @returns {Object|null} { wasHit, hitCell, result } - null when no torpedo could be fired
+   */
+  resolveTorpedo(player, targetRow, targetCol) {
+    // Find a submarine with torpedoes available
+    const launcher = this.findTorpedoLauncher(player);
+
+    if (!launcher) {
+      console.log(`[GAME] ${this.id} Torpedo blocked - no submarine with torpedoes available`);
+      return null;
+    }
+
+    const { submarine, position: submarinePosition } = launcher;
+    console.log(`[GAME] ${this.id} ${player.name} submarine ${submarine.name} bow at (${submarinePosition.row}, ${submarinePosition.col})`);
+
     // Calculate straight line path using Bresenham's line algorithm
     // Path travels up to 10 cells in the direction of the target, but stops at land/excluded/enemy ship
     const path = this.calculateLinePath(
@@ -812,12 +1864,12 @@ class Game {
       targetRow, 
       targetCol,
       10, // max range - travel up to 10 cells in target direction
-      currentPlayer // firing player - for enemy ship detection
+      player // firing player - for enemy ship detection
     );
     
     if (path.length === 0) {
       console.log(`[GAME] ${this.id} Torpedo blocked - invalid path`);
-      return false;
+      return null;
     }
     
     // Calculate the actual end point (last cell in path)
@@ -835,6 +1887,10 @@ class Game {
     
     // Use torpedo
     submarine.useTorpedo();
+    const munitions = this.getMunitionsFor(player);
+    if (munitions) {
+      munitions.fired.torpedoes++;
+    }
     
     // Check if last cell in path contains an enemy ship (path calculation stops at first enemy ship)
     let hitTarget = null;
@@ -846,7 +1902,7 @@ class Game {
       if (lastCell.row !== submarinePosition.row || lastCell.col !== submarinePosition.col) {
         // Check for enemy ships at the last cell (where path stopped)
       for (const targetPlayer of this.players) {
-        if (this.isSameAlliance(currentPlayer.id, targetPlayer.id)) {
+        if (this.isSameAlliance(player.id, targetPlayer.id)) {
           continue;
         }
         
@@ -864,6 +1920,8 @@ class Game {
       }
     }
     
+    this.replay.beginAction('torpedo', player, targetRow, targetCol);
+
     // Apply damage if target found (only if torpedo didn't stop at land/excluded)
     if (hitTarget && !stoppedAtLand) {
       // Get torpedo damage from config
@@ -872,7 +1930,7 @@ class Game {
       const attackResult = this.receiveAttack(
         hitCell.row, 
         hitCell.col, 
-        currentPlayer, 
+        player,
         torpedoDamage
       );
       
@@ -901,13 +1959,14 @@ class Game {
       startTime: Date.now()
     };
     
-    // Notify UI update
-    this.notifyUIUpdate();
+    const { startTime, ...replayPath } = this.torpedoPath;
+    this.replay.endAction({ path: replayPath });
     
-    // Advance turn
-    this.handleTurnProgression(hitTarget !== null);
-    
-    return true;
+    return {
+      wasHit: hitTarget !== null,
+      hitCell: hitTarget && !stoppedAtLand ? hitCell : null,
+      result: this.lastAttackResult
+    };
   }
   
   /**
@@ -998,7 +2057,14 @@ class Game {
     return path;
   }
 
-  getPlayerStats() {
+  /**
+   * Player vs opponent stats for the UI
+   * v0.8.17: viewerId selects whose point of view (defaults to the logged-in human);
+   *          opponents are every player outside the viewer's alliance
+   * @param {string} viewerId - Human player id
+   * @returns {Object} { player, opponent }
+   */
+  getPlayerStats(viewerId = this.humanPlayerId) {
     if (!this.players || this.players.length === 0) {
       return {
         player: { hits: 0, shots: 0, accuracy: 0 },
@@ -1006,11 +2072,14 @@ class Game {
       };
     }
     
-    const humanPlayerInGame = this.players.find(p => p.type === 'human');
-    const aiPlayers = this.players.filter(p => p.type === 'ai');
+    const humanPlayerInGame = this.players.find(p => p.id === viewerId)
+      || this.players.find(p => p.type === 'human');
+    const opponentPlayers = this.players.filter(p =>
+      p.id !== humanPlayerInGame?.id && !this.isSameAlliance(humanPlayerInGame?.id, p.id)
+    );
     
     // Aggregate opponent stats (supports multi-fleet)
-    const opponentAggregateStats = aiPlayers.reduce((acc, ai) => ({
+    const opponentAggregateStats = opponentPlayers.reduce((acc, ai) => ({
       hits: acc.hits + (ai.hits || 0),
       shots: acc.shots + (ai.shots || 0),
       misses: acc.misses + (ai.misses || 0),
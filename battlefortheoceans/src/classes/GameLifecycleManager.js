@@ -31,7 +31,9 @@ import Game from './Game.js';
 import Board from './Board.js';
 import HumanPlayer from './HumanPlayer.js';
 import AiPlayer from './AiPlayer.js';
+import RemotePlayer from './RemotePlayer.js';
 import Player from './Player.js';
+import { MUNITIONS } from '../constants/Munitions.js';
 import { supabase } from '../utils/supabaseClient';
 import PlayerProfileService from '../services/PlayerProfileService.js';
 import RightsService from '../services/RightsService.js';
@@ -40,12 +42,56 @@ import { startGameErrorCollection, endGameErrorCollection } from '../utils/Error
 // Note: Don't import coreEngine from GameContext - causes circular dependency
 // Use this.coreEngine (passed to constructor) instead
 
-const version = "v0.2.13";
+const version = "v0.2.30";
 const tag = "LIFECYCLE";
 const module = "GameLifecycleManager";
 let method = "";
 
 /**
+ * v0.2.30: checkGameEnd() - an alliance with human captains is out once they are all sunk, even if
+ *          AI defectors (change_alliance) in it are still afloat; the game no longer runs on without them
+ * v0.2.29: Hot-seat games are saved as opponent_type 'hotseat' for the logged-in captain's history only -
+ *          career stats, streaks and the leaderboard are left alone; results come from their own
+ *          point of view (Game.getPlayerStats(playerId)), not from whichever human is listed first
+ * v0.2.28: Online battles wait for RemoteMatch.finish() (the opponent's fleet check) before
+ *          saving - a failed check is recorded as unverified and leaves the profile stats alone
+ * v0.2.27: consumeRights gets the game id - the rights ledger records which game used the play
+ * v0.2.26: reset() clears the weather (Game.rollWeather picks it again at startGame)
+ * v0.2.25: Munition counts for every munition in the registry (constants/Munitions.js) -
+ *          era munitions countKey plus countKey_boost, so new munitions need no code here
+ * v0.2.24: Munitions per player - every captain (human, hot-seat, AI) gets its own stock,
+ *          boosted by the number of captains it faces (a Pirates AI captain facing one human
+ *          gets the base amount, the human facing three gets the boost)
+ * v0.2.23: AI captains get the era's base star shells and scatter shot (aiPlayer.munitions) -
+ *          the multi-opponent boost stays with the human
+ * v0.2.22: AI players remember their era config captain (aiPlayer.captainId) for defeat tracking
+ * v0.2.21: Win streaks
+ *          - startGame() passes the incomplete_games count to PlayerProfile.applyAbandonedGames()
+ *            (games left unfinished end the streaks) and keeps the in-memory count in step
+ *          - endGame() lowers the in-memory count too, so save() does not write a stale value back
+ * v0.2.20: Online opponents (type 'remote', matched by MatchService)
+ *          - Become a RemotePlayer attached to coreEngine.remoteMatch; coreEngine.remotePlayers tracks them
+ *          - Host fires first on both browsers; in eras without alliance choice the guest
+ *            takes the second alliance so both browsers build the same fleets
+ *          - No munitions or ship capture online (not synced between browsers)
+ *          - endGame() finishes the match (fleet reveal and check)
+ * v0.2.19: Adaptive AI captains (strategy 'adaptive')
+ *          - Tuned to playerProfile straight away, then again once the player's recent
+ *            game_results arrive (fire-and-forget - placement does not wait on the network)
+ * v0.2.18: Headless games (scripts/simulate-tournament.js)
+ *          - Without a CoreEngine (plain Node ESM, no React) coreEngine is null
+ *          - endGame() then skips sounds, videos, database and board capture,
+ *            closes the replay and calls notifyGameEnd() straight away
+ * v0.2.17: endGame() closes the replay (game.replay.finish) before results are calculated
+ * v0.2.16: Seeded games - Game created with coreEngine.replaySeed (null = fresh seed)
+ *          - Seed included in the error collection context so bug reports can be replayed
+ *          - reset() rewinds game.rng to the start of the seed
+ * v0.2.15: Hot-seat opponents (type 'local') become a second HumanPlayer
+ *          - Local captains join the opposing alliance with the alliance fleet
+ *          - coreEngine.localPlayers tracks them; an AI opponent is no longer required
+ * v0.2.14: checkGameEnd() handles alliances changed mid-battle (change_alliance)
+ *          - Logs the final alliance layout
+ *          - Prefers a surviving human as winner of a mixed human/AI alliance
  * v0.2.13: Removed gameMode parameter when creating Game instance
  *          - Game constructor now called with (eraConfig, gameConfig)
  *          - Removed gameMode from error collection context
@@ -107,8 +153,11 @@ class GameLifecycleManager {
       // Parent is Game instance - need to get coreEngine reference
       this.game = parent;
       // Import coreEngine dynamically to avoid circular dependency at module load time
-      const { coreEngine: engineInstance } = require('../context/GameContext');
-      this.coreEngine = engineInstance;
+      // Headless runs load Game as plain ESM without React - no require(), no CoreEngine
+      const { coreEngine: engineInstance } = typeof require === 'function'
+        ? require('../context/GameContext')
+        : {};
+      this.coreEngine = engineInstance || null;
       this.log(`Initialized for game ${parent.id}`);
     } else {
       // Parent is CoreEngine
@@ -150,7 +199,7 @@ class GameLifecycleManager {
    * Creates:
    * - Game instance with era config
    * - Board with terrain
-   * - Players (human + AI opponents)
+   * - Players (human + AI or hot-seat opponents)
    * - Alliances
    * - Munitions with multi-opponent boost
    *
@@ -172,6 +221,8 @@ class GameLifecycleManager {
     this.coreEngine.gameInstance = null;
     this.coreEngine.board = null;
     this.coreEngine.aiPlayers = [];
+    this.coreEngine.localPlayers = [];
+    this.coreEngine.remotePlayers = [];
       
       //key data - see CoreEngine handle{state}
       const gameConfig = this.coreEngine.gameConfig;
@@ -217,7 +268,8 @@ class GameLifecycleManager {
     // Create Game instance
     this.game = new Game(
       selectedEraConfig,
-      this.coreEngine.gameConfig
+      this.coreEngine.gameConfig,
+      this.coreEngine.replaySeed
     );
     this.coreEngine.gameInstance = this.game;
       this.log('DEBUG new Game instance', this.game);
@@ -229,7 +281,8 @@ class GameLifecycleManager {
         eraId: selectedEraConfig.id,
         eraName: selectedEraConfig.name,
         opponent: selectedOpponent.name,
-        opponentType: selectedOpponent.type
+        opponentType: selectedOpponent.type,
+        seed: this.game.seed
       });
     } catch (error) {
       this.logerror('Error starting error collection', error);
@@ -263,6 +316,13 @@ class GameLifecycleManager {
       opponentAlliance = selectedEraConfig.alliances?.[1]?.name || 'Opponent';
     }
     
+    // Online: both browsers must agree on who sails which alliance's fleet
+    const remoteMatch = this.coreEngine.remoteMatch;
+    const isOnline = selectedOpponent?.type === 'remote';
+    if (isOnline && remoteMatch?.role === 'guest' && !selectedEraConfig.game_rules?.choose_alliance) {
+      [playerAlliance, opponentAlliance] = [opponentAlliance, playerAlliance];
+    }
+    
     if (!opponentAlliance) {
       throw new Error('Cannot determine opponent alliance');
     }
@@ -271,10 +331,35 @@ class GameLifecycleManager {
     const humanPlayerAdded = this.game.addPlayer(player, playerAlliance);
     
     // Add multiple AI opponents
-    this.log(`Adding ${this.coreEngine.selectedOpponents.length} AI opponent(s) to ${opponentAlliance}`);
+    this.log(`Adding ${this.coreEngine.selectedOpponents.length} opponent(s) to ${opponentAlliance}`);
     
     for (let i = 0; i < selectedOpponents.length; i++) {
       const aiCaptain = selectedOpponents[i];
+      
+      // Hot seat: second human sharing this device
+      if (aiCaptain.type === 'local') {
+        const localPlayer = new HumanPlayer(aiCaptain.id, aiCaptain.name);
+        this.game.addPlayer(localPlayer, opponentAlliance);
+        this.coreEngine.localPlayers.push(localPlayer);
+        this.log(`Added hot-seat captain ${aiCaptain.name} to ${opponentAlliance}`);
+        continue;
+      }
+      
+      // Online: captain on another browser
+      if (aiCaptain.type === 'remote') {
+        if (!remoteMatch?.isOpen) {
+          this.logwarn(`No open match for online opponent ${aiCaptain.name}`);
+          this.coreEngine.handleKeyDataError('placement', 'remote opponent without an open match', 'Connection to your opponent was lost');
+          return;
+        }
+        const remotePlayer = new RemotePlayer(aiCaptain.id, aiCaptain.name);
+        this.game.addPlayer(remotePlayer, opponentAlliance);
+        this.coreEngine.remotePlayers.push(remotePlayer);
+        remoteMatch.attachGame(this.game, player, remotePlayer);
+        this.log(`Added online captain ${aiCaptain.name} to ${opponentAlliance} (${remoteMatch.role === 'host' ? 'guest' : 'host'})`);
+        continue;
+      }
+      
       const aiId = `ai-${aiCaptain.id}-${i}`;
       
       const aiPlayer = new AiPlayer(
@@ -283,6 +368,17 @@ class GameLifecycleManager {
         aiCaptain.strategy || 'random',
         aiCaptain.difficulty || 1.0
       );
+      aiPlayer.captainId = aiCaptain.id;
+      
+      if (aiCaptain.strategy === 'adaptive') {
+        aiPlayer.adaptTo(playerProfile);
+        (async () => {
+          const recentResults = await GameStatsService.getRecentResults(playerProfile.id);
+          if (recentResults.length > 0) {
+            aiPlayer.adaptTo(playerProfile, recentResults);
+          }
+        })();
+      }
       
       if (aiCaptain.ships && Array.isArray(aiCaptain.ships)) {
         this.game.addPlayerWithFleet(aiPlayer, opponentAlliance, aiCaptain.ships);
@@ -295,32 +391,46 @@ class GameLifecycleManager {
       this.coreEngine.aiPlayers.push(aiPlayer);
     }
     
-    if (!humanPlayerAdded || this.coreEngine.aiPlayers.length === 0) {
+    const opponentsAdded = this.coreEngine.aiPlayers.length +
+      this.coreEngine.localPlayers.length +
+      this.coreEngine.remotePlayers.length;
+    if (!humanPlayerAdded || opponentsAdded === 0) {
       throw new Error('Failed to add players to game');
     }
+    
+    if (isOnline) {
+      // Host fires first on both browsers
+      if (remoteMatch.role === 'guest') {
+        this.game.players.reverse();
+      }
+      this.game.gameRules.ship_capture = false;
+    }
 
     // Set board on game
     this.game.setBoard(this.coreEngine.board);
     
-      // Calculate munitions with multi-opponent boost
-      const opponentCount = this.coreEngine.selectedOpponents.length;
-      const starShells = this.calculateMunitionWithBoost(
-        selectedEraConfig.munitions?.star_shells,
-        selectedEraConfig.munitions?.star_shells_boost,
-        opponentCount
-      );
-      const scatterShot = this.calculateMunitionWithBoost(
-        selectedEraConfig.munitions?.scatter_shot,
-        selectedEraConfig.munitions?.scatter_shot_boost,
-        opponentCount
-      );
-
       // Initialize munitions on game instance (Game owns munitions, not CoreEngine)
-      this.game.initializeMunitions(starShells, scatterShot);
+      // One stock per captain, boosted by the number of captains it faces
+      // Online battles have none - munitions are not synced between browsers
+      this.game.players.forEach(gamePlayer => {
+        const opponentCount = this.game.players.filter(other =>
+          !this.game.isSameAlliance(gamePlayer.id, other.id)
+        ).length;
+        // Torpedoes ride on submarines (carriedBy) - everything else comes from the era
+        const counts = {};
+        Object.values(MUNITIONS).filter(munition => !munition.carriedBy).forEach(munition => {
+          counts[munition.stockKey] = isOnline ? 0 : this.calculateMunitionWithBoost(
+            selectedEraConfig.munitions?.[munition.countKey],
+            selectedEraConfig.munitions?.[`${munition.countKey}_boost`],
+            opponentCount
+          );
+        });
 
-      this.log(`Munitions initialized: starShells=${starShells}, scatterShot=${scatterShot}`);
+        this.game.initializeMunitions(gamePlayer, counts);
+        this.log(`Munitions initialized for ${gamePlayer.name}: ${JSON.stringify(counts)}`);
+      });
       
-    this.log(`Game initialized with ${this.game.players.length} players (1 human + ${this.coreEngine.aiPlayers.length} AI)`);
+    this.log(`Game initialized with ${this.game.players.length} players (${1 + this.coreEngine.localPlayers.length} human + ${this.coreEngine.remotePlayers.length} online + ${this.coreEngine.aiPlayers.length} AI)`);
   }
 
   /**
@@ -373,12 +483,29 @@ class GameLifecycleManager {
   // DEATH: Game Termination
   // ============================================================================
 
+  /**
+   * End a game that runs without UI or CoreEngine (AI-vs-AI simulations)
+   * v0.2.18: No sounds, videos, database writes or board capture
+   */
+  endHeadlessGame() {
+    method = 'endHeadlessGame';
+
+    this.game.battleLog(
+      this.game.winner ? `Game ended: ${this.game.winner.name} wins!` : 'Game ended: Draw',
+      this.game.winner ? 'victory' : 'draw'
+    );
+    this.game.replay.finish(this.game.winner);
+    this.cleanupTemporaryAlliances();
+    this.game.notifyGameEnd();
+  }
+
   /**
    * Check if the game has ended
    *
    * Game ends when:
    * - One or fewer active alliances remain
    * - All players in losing alliances are defeated
+   * - An alliance with human captains is defeated once all its humans are (AI defectors don't count)
    *
    * @returns {boolean} True if game is over
    */
@@ -388,6 +515,12 @@ class GameLifecycleManager {
     const activeAlliances = Array.from(this.game.alliances.values()).filter(alliance => {
       if (alliance.players.length === 0) return false;
       
+      // Defectors fight for the humans they joined - with the last human sunk, the alliance is out
+      const humans = alliance.players.filter(player => player.type === 'human');
+      if (humans.length > 0) {
+        return humans.some(player => !player.isDefeated());
+      }
+      
       return alliance.players.some(player => {
         return !player.isDefeated();
       });
@@ -399,8 +532,12 @@ class GameLifecycleManager {
         const survivingPlayers = winningAlliance.players.filter(player => {
           return !player.isDefeated();
         });
-        this.game.winner = survivingPlayers[0] || winningAlliance.players[0];
+        // Defectors can leave a human and AI captains on the same side
+        this.game.winner = survivingPlayers.find(player => player.type === 'human')
+          || survivingPlayers[0]
+          || winningAlliance.players[0];
         this.game.winningAlliance = winningAlliance;
+        this.log(`Winning alliance ${winningAlliance.name}: ${winningAlliance.players.map(p => p.name).join(', ')}`);
       } else {
         this.game.winner = null;
         this.game.winningAlliance = null;
@@ -415,6 +552,7 @@ class GameLifecycleManager {
     /**
      * game start
      * - Increments incomplete_games counter
+     * - Ends win streaks if earlier games were abandoned
      * Called when CoreEngine transitions to 'play' state
      *
      * @param {string} playerId - Player's user ID
@@ -433,8 +571,16 @@ class GameLifecycleManager {
         }
         
       try {
-        await PlayerProfileService.incrementIncompleteGames(playerId);
+        const previousIncomplete = await PlayerProfileService.incrementIncompleteGames(playerId);
         this.log(`Game start tracked for user ${playerId}, era ${eraId}`);
+        
+        const playerProfile = this.coreEngine.playerProfile;
+        if (previousIncomplete !== null && playerProfile?.id === playerId) {
+          playerProfile.incomplete_games = previousIncomplete + 1;
+          if (playerProfile.applyAbandonedGames(previousIncomplete)) {
+            await PlayerProfileService.save(playerProfile);
+          }
+        }
       } catch (error) {
         this.logerror('Exception tracking game start:', error);
       }
@@ -471,6 +617,11 @@ class GameLifecycleManager {
     this.game.state = 'finished';
     this.game.endTime = new Date();
     
+    if (!this.coreEngine) {
+      this.endHeadlessGame();
+      return;
+    }
+    
       const playerId = this.coreEngine.playerId;
       const playerProfile = this.coreEngine.playerProfile;
       const eraId = this.coreEngine.selectedEraId;
@@ -512,6 +663,16 @@ class GameLifecycleManager {
     } else {
       this.game.battleLog('Game ended: Draw', 'draw');
     }
+    
+    this.game.replay.finish(this.game.winner);
+    
+    // Online: reveal our fleet and check the opponent's - the result counts only if theirs checks out
+    const verification = this.game.remoteMatch
+      ? this.game.remoteMatch.finish().catch(error => {
+        this.logerror('Failed to finish online match', error);
+        return false;
+      })
+      : Promise.resolve(true);
 
       // End error collection and send summary to Supabase (non-blocking)
       try {
@@ -541,12 +702,14 @@ class GameLifecycleManager {
       // Decrement incomplete_games counter and consume rights (non-blocking)
       // Fire-and-forget pattern - don't block game end sequence on network issues
       if (Player.isHuman(playerId)) {
+        // Captured now - the IIFE may outlive this game
+        const gameId = this.game.id;
         // Run asynchronously without blocking
         (async () => {
           try {
             this.log('Starting async game end housekeeping');
             await PlayerProfileService.decrementIncompleteGames(playerId);
-            const consumeResult = await RightsService.consumeRights(playerId, this.coreEngine.selectedEraConfig);
+            const consumeResult = await RightsService.consumeRights(playerId, this.coreEngine.selectedEraConfig, gameId);
             this.log(`Incomplete game counter decremented and rights consumed (method: ${consumeResult.method})`);
             
             // Notify subscribers to refresh NavBar (for both passes and vouchers)
@@ -563,11 +726,12 @@ class GameLifecycleManager {
     // Cleanup and calculate results synchronously
     this.cleanupTemporaryAlliances();
     
-      // Calculate game results from player statistics
+      // Calculate game results from player statistics (the logged-in captain's own point of view)
       const gameResults = GameStatsService.calculateGameResults(
         this.game,
         this.coreEngine.selectedEraConfig,
-        this.coreEngine.selectedOpponents
+        this.coreEngine.selectedOpponents,
+        playerId
       );
 
       if (!gameResults) {
@@ -584,11 +748,22 @@ class GameLifecycleManager {
           (async () => {
             try {
               // Update SSOT (Single Source of Truth) in-memory
-              this.coreEngine.playerProfile.applyGameResults(gameResults);
-              this.log('PlayerProfile stats updated in-memory');
+              // This game is no longer incomplete (decrementIncompleteGames runs alongside)
+              const playerProfile = this.coreEngine.playerProfile;
+              playerProfile.incomplete_games = Math.max(playerProfile.incomplete_games - 1, 0);
+
+              gameResults.verified = await verification;
+              if (gameResults.opponent_type === 'hotseat') {
+                this.log('Hot-seat game - saved to game history only, stats unchanged');
+              } else if (gameResults.verified) {
+                playerProfile.applyGameResults(gameResults);
+                this.log('PlayerProfile stats updated in-memory');
+              } else {
+                this.logwarn('Opponent fleet failed verification - result recorded as unverified, stats unchanged');
+              }
 
               // Persist PlayerProfile to database
-              await PlayerProfileService.save(this.coreEngine.playerProfile);
+              await PlayerProfileService.save(playerProfile);
               this.log('PlayerProfile persisted to database');
 
               // Insert game result record
@@ -706,6 +881,8 @@ class GameLifecycleManager {
     this.game.actionQueue = [];
     this.game.isProcessingAction = false;
     this.game.lastAttackResult = null;
+    this.game.weather = null;
+    this.game.rng.reset();
     
     if (this.game.board) {
       this.game.board.clear();
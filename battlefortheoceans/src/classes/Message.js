@@ -3,9 +3,29 @@
 
 import MessageHelper from '../utils/MessageHelper.js';
 
-const version = "v0.1.6";
+const version = "v0.1.12";
 
 /**
+ * v0.1.12: Weather message
+ * - Added WEATHER_CHANGED legacy type ('weather_changed') with generateWeatherChangedMessage()
+ *
+ * v0.1.11: Ship movement message
+ * - Added SHIP_MOVED legacy type ('ship_moved') with generateShipMovedMessage()
+ * - Names the captain only - where the ship went stays hidden
+ *
+ * v0.1.10: Hot-seat turn messages
+ * - With more than one human in the game, turn and game-over messages name the captain
+ *
+ * v0.1.9: Shot clock message
+ * - Added TURN_TIMEOUT legacy type ('turn_timeout') with generateTurnTimeoutMessage()
+ *
+ * v0.1.8: Alliance change message
+ * - Added ALLIANCE_CHANGED legacy type ('alliance_changed') with generateAllianceChangedMessage()
+ *
+ * v0.1.7: Ship capture message
+ * - Added CAPTURED legacy type ('ship_captured') with generateCapturedMessage() fallback
+ * - Era configs may override with their own ship_captured template
+ *
  * v0.1.6: Fixed turn message not updating on game start
  * - getCurrentMessages() now always uses computed turn message
  * - Ensures messages update correctly when game transitions from setup -> playing
@@ -56,6 +76,11 @@ class Message {
       HIT: 'hit',
       MISS: 'miss',
       SUNK: 'sunk',
+      CAPTURED: 'ship_captured',
+      ALLIANCE_CHANGED: 'alliance_changed',
+      TURN_TIMEOUT: 'turn_timeout',
+      SHIP_MOVED: 'ship_moved',
+      WEATHER_CHANGED: 'weather_changed',
       TURN: 'turn',
       GAME_START: 'game_start',
       GAME_END: 'game_end',
@@ -121,9 +146,13 @@ class Message {
     if (!this.gameInstance) return 'Initializing game...';
     
     const currentPlayer = this.gameInstance.getCurrentPlayer();
+    const isHotSeat = this.gameInstance.players.filter(p => p.type === 'human').length > 1;
     
     if (this.gameInstance.state === 'finished') {
       const winner = this.gameInstance.winner;
+      if (isHotSeat && winner) {
+        return `Victory for ${winner.name}!`;
+      }
       if (winner?.type === 'human') {
         return this.getEraMessage('victory') || 'Victory! You sank the enemy fleet!';
       } else {
@@ -134,6 +163,9 @@ class Message {
     if (this.gameInstance.state === 'playing') {
       if (currentPlayer?.type === 'human') {
         const gameRules = this.gameInstance.gameRules;
+        if (isHotSeat) {
+          return `${currentPlayer.name}'s turn - click to fire!`;
+        }
         if (!gameRules.turn_required) {
           return this.getEraMessage('rapid_fire') || 'Rapid Fire! Click to fire continuously!';
         } else {
@@ -226,6 +258,21 @@ class Message {
         case this.types.SUNK:
           messageText = this.generateSunkMessage(data);
           break;
+        case this.types.CAPTURED:
+          messageText = this.generateCapturedMessage(data);
+          break;
+        case this.types.ALLIANCE_CHANGED:
+          messageText = this.generateAllianceChangedMessage(data);
+          break;
+        case this.types.TURN_TIMEOUT:
+          messageText = this.generateTurnTimeoutMessage(data);
+          break;
+        case this.types.SHIP_MOVED:
+          messageText = this.generateShipMovedMessage(data);
+          break;
+        case this.types.WEATHER_CHANGED:
+          messageText = this.generateWeatherChangedMessage(data);
+          break;
         case this.types.TURN:
           messageText = this.generateTurnMessage(data);
           break;
@@ -342,6 +389,59 @@ class Message {
     }
   }
 
+  /**
+   * Generate capture message (fallback when era has no ship_captured template)
+   * v0.1.7: Captured ship name is revealed to everyone
+   */
+  generateCapturedMessage({ attacker, target, shipName, cell }) {
+    const captor = attacker?.name || 'Opponent';
+    const ship = shipName || 'Ship';
+    const where = cell || 'unknown';
+    
+    if (attacker?.type === 'human') {
+      return `You captured the ${ship} at ${where}!`;
+    }
+    if (target?.type === 'human') {
+      return `${captor} captured your ${ship} at ${where}!`;
+    }
+    return `${captor} captured ${target?.name || 'Opponent'}'s ${ship} at ${where}!`;
+  }
+
+  /**
+   * Generate alliance change message (fallback when era has no alliance_changed template)
+   * v0.1.8: data.player/from/to are names (strings)
+   */
+  generateAllianceChangedMessage({ player, from, to }) {
+    return `${player || 'A captain'} abandons ${from || 'their allies'} and joins ${to || 'the enemy'}!`;
+  }
+
+  /**
+   * Generate shot clock timeout message
+   * v0.1.9: data.player is a name, data.action is 'random_shot' or 'forfeit'
+   */
+  generateTurnTimeoutMessage({ player, action }) {
+    const who = player || 'Player';
+    return action === 'forfeit'
+      ? `${who} ran out of time - turn forfeited!`
+      : `${who} ran out of time - the gunners fire at will!`;
+  }
+
+  /**
+   * Generate ship movement message
+   * v0.1.11: data.player is a name (string)
+   */
+  generateShipMovedMessage({ player }) {
+    return `${player || 'A captain'} repositions a ship - the sea churns nearby!`;
+  }
+
+  /**
+   * Generate weather change message
+   * v0.1.12: data.weather is the condition label (string)
+   */
+  generateWeatherChangedMessage({ weather }) {
+    return `The weather turns - ${weather || 'the sky changes'} over the battle!`;
+  }
+
   /**
    * Generate turn message
    */
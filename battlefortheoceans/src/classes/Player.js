@@ -1,8 +1,19 @@
 // src/classes/Player.js
 // Copyright(c) 2025, Clint H. O'Connor
 
-const version = "v0.9.5";
+const version = "v0.9.10";
 /**
+ * v0.9.10: clearDontShoot() - cells an enemy ship may have moved into (game_rules.ship_movement)
+ *
+ * v0.9.9: Added salvos stat (salvos fired, game_rules.salvo - see CombatResolver v0.1.6)
+ *
+ * v0.9.8: Seeded randomness - random() uses the game's SeededRandom (set by Game via setRandom())
+ *         - autoPlaceShips() orientation roll is reproducible from the game seed
+ *
+ * v0.9.7: Added timeouts stat (shot clock expirations, see Game v0.8.16)
+ *
+ * v0.9.6: Added captured stat (ships captured by this player, see CombatResolver v0.1.3)
+ *
  * v0.9.5: Fixed double-write in autoPlaceShips causing placement inconsistencies
  *         - Removed duplicate placeShip() calls after registerShipPlacement()
  *         - registerShipPlacement() already calls player.placeShip() for each cell
@@ -69,6 +80,10 @@ class Player {
     // Set by Game via setBoard()
     this.board = null;
     
+    // RANDOM SOURCE (v0.9.8)
+    // Game's SeededRandom, set by Game via setRandom() - falls back to Math.random()
+    this.rng = null;
+    
     // FLEET REFERENCE (v0.8.0 - Phase 3 Refactor)
     // Reference to this player's Fleet instance
     // Set by Game via setFleet() when player joins game
@@ -79,6 +94,9 @@ class Player {
     this.hits = 0; // successful shots that hit ships
     this.misses = 0; // shots that missed
     this.sunk = 0; // ships sunk by this player
+    this.captured = 0; // ships captured by this player (ship_capture rule)
+    this.timeouts = 0; // turns where the shot clock ran out
+    this.salvos = 0; // salvos fired (salvo rule)
     this.hitsDamage = 0.0; // cumulative damage dealt
     this.score = 0; // calculated game score
       this.totalDamage = 0;  // new - cumulative damage across all games for achievements
@@ -111,6 +129,22 @@ class Player {
     console.log(`[BOARD] ${this.name} board set: ${!!this.board}`);
   }
 
+  /**
+   * Share the game's seeded random generator
+   * @param {SeededRandom} rng
+   */
+  setRandom(rng) {
+    this.rng = rng;
+  }
+
+  /**
+   * Random float in [0, 1) - seeded when in a game, Math.random() otherwise
+   * @returns {number}
+   */
+  random() {
+    return this.rng ? this.rng.next() : Math.random();
+  }
+
   /**
    * Set the fleet reference when joining a game
    * v0.8.0: Phase 3 - Player owns their fleet
@@ -172,7 +206,7 @@ class Player {
         }
         
         // Randomly choose from all four orientations
-        const orientation = validOrientations[Math.floor(Math.random() * validOrientations.length)];
+        const orientation = validOrientations[Math.floor(this.random() * validOrientations.length)];
         
         // Generate cell positions for ship based on orientation
         const cells = [];
@@ -365,6 +399,15 @@ class Player {
     this.dontShoot.add(`${row},${col}`);
   }
 
+  /**
+   * Make a cell targetable again
+   * v0.9.10: Called by Game.resolveShipMove() - an enemy ship may have moved into it
+   * @returns {boolean} True if the cell was marked
+   */
+  clearDontShoot(row, col) {
+    return this.dontShoot.delete(`${row},${col}`);
+  }
+
   /**
    * Get all coordinates marked as don't shoot
    * v0.9.0: Renamed from getMissedShots() - returns both misses and destroyed cells
@@ -411,6 +454,9 @@ class Player {
     this.hits = 0;
     this.misses = 0;
     this.sunk = 0;
+    this.captured = 0;
+    this.timeouts = 0;
+    this.salvos = 0;
     this.hitsDamage = 0.0;
     this.score = 0;
       this.totalDamage = 0;
@@ -435,6 +481,9 @@ class Player {
       hits: this.hits,
       misses: this.misses,
       sunk: this.sunk,
+      captured: this.captured,
+      timeouts: this.timeouts,
+      salvos: this.salvos,
       hitsDamage: this.hitsDamage,
         totalDamage: this.totalDamage,
       score: this.score,
@@ -1,13 +1,20 @@
-// src/classes/PlayerProfile.js v0.1.1
+// src/classes/PlayerProfile.js v0.1.3
 // Copyright(c) 2025, Clint H. O'Connor
 // Represents a player's persistent profile and cumulative statistics
+// v0.1.3: Captains defeated - { [eraId]: { [captainId]: { name, strategy, defeats, first_defeated_at } } }
+//         - applyGameResults() records gameResults.captains_defeated
+//         - getDefeatsByStrategy() for the defeat_ai_hunt achievement
+// v0.1.2: Win streaks - current and best, overall and per era (win_streaks)
+//         - applyGameResults() extends or ends the streaks
+//         - applyAbandonedGames() ends them when games were left unfinished
+//           (incomplete_games grew past streak_incomplete_games)
 // v0.1.1: Add pirate_fleets_sunk tracking for achievements
 //         - Track pirate fleet victories in Pirates era
 //         - Increments when player wins a game in Pirates era
 //         - Used by AchievementService for pirate fleet achievements
 // v0.1.0: Initial class creation
 
-const version = "v0.1.1";
+const version = "v0.1.3";
 const tag = "PROFILE";
 const module = "PlayerProfile";
 let method = "";
@@ -34,6 +41,15 @@ class PlayerProfile {
     this.eras_won = data.eras_won || [];
     this.pirate_fleets_sunk = data.pirate_fleets_sunk || 0;
     
+    // Win streaks
+    this.current_win_streak = data.current_win_streak || 0;
+    this.best_win_streak = data.best_win_streak || 0;
+    this.win_streaks = data.win_streaks || {};    // { [eraId]: { current, best } }
+    this.streak_incomplete_games = data.streak_incomplete_games || 0; // incomplete_games already counted against the streaks
+    
+    // AI captains beaten, per era
+    this.captains_defeated = data.captains_defeated || {};
+    
     // UI Preferences
     this.show_game_guide = data.show_game_guide !== false;
     
@@ -81,7 +97,111 @@ class PlayerProfile {
       this.pirate_fleets_sunk += 1;
     }
     
+    this.updateWinStreaks(gameResults.era_id, gameResults.won);
+    this.recordCaptainDefeats(gameResults.era_id, gameResults.captains_defeated || []);
+    
+    this.updated_at = new Date().toISOString();
+  }
+  
+  /**
+   * Extend the overall and era streaks on a win, end them on a loss
+   * @param {string} eraId - Era of the finished game
+   * @param {boolean} won - Did the player win
+   */
+  updateWinStreaks(eraId, won) {
+    const eraStreak = this.getEraWinStreak(eraId);
+    
+    if (won) {
+      this.current_win_streak += 1;
+      eraStreak.current += 1;
+    } else {
+      this.current_win_streak = 0;
+      eraStreak.current = 0;
+    }
+    
+    this.best_win_streak = Math.max(this.best_win_streak, this.current_win_streak);
+    eraStreak.best = Math.max(eraStreak.best, eraStreak.current);
+    this.win_streaks = { ...this.win_streaks, [eraId]: eraStreak };
+  }
+  
+  /**
+   * Streak for one era
+   * @param {string} eraId
+   * @returns {Object} { current, best } (a copy)
+   */
+  getEraWinStreak(eraId) {
+    const streak = this.win_streaks?.[eraId];
+    return { current: streak?.current || 0, best: streak?.best || 0 };
+  }
+  
+  /**
+   * Add the captains whose fleets were sunk this game
+   * @param {string} eraId - Era of the finished game
+   * @param {Array<Object>} captains - [{ captain_id, name, strategy }] from GameStatsService.calculateGameResults()
+   */
+  recordCaptainDefeats(eraId, captains) {
+    if (captains.length === 0) {
+      return;
+    }
+    
+    const eraCaptains = { ...(this.captains_defeated?.[eraId] || {}) };
+    captains.forEach(captain => {
+      const record = eraCaptains[captain.captain_id];
+      eraCaptains[captain.captain_id] = {
+        name: captain.name,
+        strategy: captain.strategy,
+        defeats: (record?.defeats || 0) + 1,
+        first_defeated_at: record?.first_defeated_at || new Date().toISOString()
+      };
+    });
+    this.captains_defeated = { ...this.captains_defeated, [eraId]: eraCaptains };
+  }
+  
+  /**
+   * Captains beaten in one era
+   * @param {string} eraId
+   * @returns {Object} { [captainId]: { name, strategy, defeats, first_defeated_at } }
+   */
+  getCaptainsDefeated(eraId) {
+    return this.captains_defeated?.[eraId] || {};
+  }
+  
+  /**
+   * Total defeats of captains playing a strategy, across eras
+   * @param {string} strategy - e.g. 'ai-hunt'
+   * @returns {number}
+   */
+  getDefeatsByStrategy(strategy) {
+    return Object.values(this.captains_defeated || {})
+      .flatMap(eraCaptains => Object.values(eraCaptains))
+      .filter(captain => captain.strategy === strategy)
+      .reduce((total, captain) => total + (captain.defeats || 0), 0);
+  }
+  
+  /**
+   * Games started but never finished count as losses for the streaks
+   * Called when a game starts with the incomplete_games count before it (PlayerProfileService.incrementIncompleteGames)
+   * The abandoned game's era is unknown, so every current streak ends
+   *
+   * @param {number} incompleteGames - incomplete_games before the new game started
+   * @returns {boolean} True if abandoned games ended the streaks
+   */
+  applyAbandonedGames(incompleteGames) {
+    method = 'applyAbandonedGames';
+    
+    const abandoned = incompleteGames - this.streak_incomplete_games;
+    this.streak_incomplete_games = incompleteGames;
+    if (abandoned <= 0) {
+      return false;
+    }
+    
+    this.log(`${abandoned} abandoned game(s) - win streaks reset`);
+    this.current_win_streak = 0;
+    this.win_streaks = Object.fromEntries(
+      Object.entries(this.win_streaks || {}).map(([eraId, streak]) => [eraId, { ...streak, current: 0 }])
+    );
     this.updated_at = new Date().toISOString();
+    return true;
   }
   
   /**
@@ -97,6 +217,11 @@ class PlayerProfile {
     this.eras_played = [];
     this.eras_won = [];
     this.pirate_fleets_sunk = 0;
+    this.current_win_streak = 0;
+    this.best_win_streak = 0;
+    this.win_streaks = {};
+    this.streak_incomplete_games = this.incomplete_games;
+    this.captains_defeated = {};
     this.updated_at = new Date().toISOString();
   }
   
@@ -118,6 +243,11 @@ class PlayerProfile {
       eras_played: this.eras_played,
       eras_won: this.eras_won,
       pirate_fleets_sunk: this.pirate_fleets_sunk,
+      current_win_streak: this.current_win_streak,
+      best_win_streak: this.best_win_streak,
+      win_streaks: this.win_streaks,
+      streak_incomplete_games: this.streak_incomplete_games,
+      captains_defeated: this.captains_defeated,
       show_game_guide: this.show_game_guide,
       incomplete_games: this.incomplete_games,
       updated_at: this.updated_at
@@ -0,0 +1,621 @@
+// src/classes/RemoteMatch.js
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.2: finish() resolves with the fleet check - false when the revealed fleet does not match
+//         the commitment or the reported results, or no reveal arrives within REVEAL_TIMEOUT
+//         (GameLifecycleManager records such a game as unverified)
+// v0.1.1: Opponent shots are numbered - Game.receiveRemoteAttack() accepts only the next one, on
+//         their turn; a refused shot is answered with 'rejected' and the sender takes it back
+// v0.1.0: One online battle between two browsers (see MatchService for how they meet)
+//         - Messages over a RealtimeTransport channel: hello, ping, ready, attack, result,
+//           timeout, reveal, leave
+//         - Each browser resolves shots at its own fleet and reports the CombatResolver
+//           result; the attacker replays it against its RemotePlayer mirror
+//         - Placements are committed (SHA-256 of placements + salt) before the battle and
+//           revealed after it, so every reported result can be checked
+//         - Heartbeat: opponent shown offline after 20s of silence, forfeits after 60s
+
+const version = "v0.1.2";
+const tag = "MATCH";
+const module = "RemoteMatch";
+let method = "";
+
+const HEARTBEAT_INTERVAL = 5000;   // ping while the match is open
+const HELLO_INTERVAL = 1000;       // repeat hello until the opponent answers
+const CONNECT_TIMEOUT = 15000;     // opponent never joined the match channel
+const DISCONNECT_AFTER = 20000;    // silence before the opponent is shown offline
+const FORFEIT_AFTER = 60000;       // silence before the opponent loses the match
+const REVEAL_TIMEOUT = 10000;      // wait for the opponent's reveal after the game
+
+/**
+ * SHA-256 of the placements and salt (hex), null where Web Crypto is unavailable
+ * @param {Array<Array<number>>} placements - [shipIndex, row, col, cellIndex] rows
+ * @param {string} salt - Random salt, revealed after the game
+ * @returns {Promise<string|null>}
+ */
+export const hashPlacements = async (placements, salt) => {
+  const subtle = typeof crypto !== 'undefined' ? crypto.subtle : null;
+  if (!subtle) {
+    return null;
+  }
+  const data = new TextEncoder().encode(JSON.stringify([salt, placements]));
+  const digest = await subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+const createSalt = () => {
+  const bytes = new Uint8Array(16);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    crypto.getRandomValues(bytes);
+  } else {
+    bytes.forEach((_, i) => { bytes[i] = Math.floor(Math.random() * 256); });
+  }
+  return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * RemoteMatch
+ *
+ * Status: connecting → connected → ready (both fleets committed) → playing → finished,
+ * or closed when either captain leaves. onStatusChange(status, match) reports every change.
+ *
+ * Ships are identified by their position in fleet.ships - both browsers build the same
+ * fleets from the era config, ship ids are random per browser.
+ *
+ * @example
+ * const match = new RemoteMatch('m-123', 'host', { id, name }, { id: otherId, name: otherName });
+ * await match.connect(transport);
+ * match.attachGame(game, localPlayer, remotePlayer);
+ * await match.sendReady();
+ */
+class RemoteMatch {
+  /**
+   * @param {string} matchId - Shared match id (channel name)
+   * @param {string} role - 'host' (fires first) or 'guest'
+   * @param {Object} local - { id, name } of the captain on this device
+   * @param {Object} opponent - { id, name, alliance } of the captain on the other device
+   */
+  constructor(matchId, role, local, opponent) {
+    method = 'constructor';
+
+    this.matchId = matchId;
+    this.role = role;
+    this.local = local;
+    this.opponent = opponent;
+
+    this.status = 'connecting';
+    this.closeReason = null;       // 'left', 'timeout' or 'opponent_left'
+    this.onStatusChange = null;
+
+    this.channel = null;
+    this.game = null;
+    this.localPlayer = null;
+    this.remotePlayer = null;
+
+    this.peerJoined = false;
+    this.opponentOnline = true;
+    this.lastMessageAt = Date.now();
+    this.heartbeatTimer = null;
+    this.closeTimer = null;
+
+    // Fleet commitment
+    this.localReady = false;
+    this.placements = null;
+    this.salt = null;
+    this.opponentReady = false;
+    this.opponentCommitment = null;
+    this.opponentReveal = null;
+    this.verified = null;          // null until the opponent's fleet has been checked
+    this.verification = null;      // finish() - resolves with verified
+    this.resolveVerification = null;
+
+    // Shots
+    this.seq = 0;
+    this.pendingAttack = null;     // our shot waiting for the opponent's result
+    this.results = [];             // results the opponent reported for our shots
+    this.inbox = [];               // opponent shots that arrived before the battle started
+    this.opponentSeq = 0;          // last opponent shot accepted
+    this.opponentPending = null;   // opponent shot being resolved here
+
+    this.log(`Match ${matchId} created (${role}) vs ${opponent.name}`);
+  }
+
+  // Logging
+  log(message) {
+    console.log(`[${tag}] ${version} ${module}.${method} : ${message}`);
+  }
+  logwarn(message) {
+    console.warn(`[${tag}] ${version} ${module}.${method}: ${message}`);
+  }
+  logerror(message, error = null) {
+    if (error) {
+      console.error(`[${tag}] ${version} ${module}.${method}: ${message}`, error);
+    } else {
+      console.error(`[${tag}] ${version} ${module}.${method}: ${message}`);
+    }
+  }
+
+  // ============================================================================
+  // CONNECTION
+  // ============================================================================
+
+  /**
+   * Join the match channel and wait for the opponent to answer
+   * @param {RealtimeTransport} transport
+   * @returns {Promise<RemoteMatch>}
+   * @throws {Error} If the opponent does not join within CONNECT_TIMEOUT
+   */
+  async connect(transport) {
+    method = 'connect';
+
+    const joined = new Promise((resolve) => {
+      this.resolveJoined = resolve;
+    });
+
+    this.channel = await transport.subscribe(`bfto-match-${this.matchId}`, (message) => this.handleMessage(message));
+
+    this.send('hello');
+    const helloTimer = setInterval(() => this.send('hello'), HELLO_INTERVAL);
+    let connectTimer = null;
+    const timedOut = new Promise((resolve) => {
+      connectTimer = setTimeout(() => resolve(false), CONNECT_TIMEOUT);
+    });
+
+    const ok = await Promise.race([joined.then(() => true), timedOut]);
+    clearInterval(helloTimer);
+    clearTimeout(connectTimer);
+
+    if (!ok) {
+      await this.close('timeout');
+      throw new Error(`${this.opponent.name} did not join the match`);
+    }
+
+    this.lastMessageAt = Date.now();
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL);
+    this.setStatus('connected');
+    this.log(`Connected to ${this.opponent.name}`);
+    return this;
+  }
+
+  /**
+   * Broadcast a message to the opponent
+   * @param {string} type - Message type
+   * @param {Object} data - Message fields
+   */
+  send(type, data = {}) {
+    if (!this.channel) {
+      return;
+    }
+    Promise.resolve(this.channel.send({ type, from: this.local.id, matchId: this.matchId, ...data }))
+      .catch(error => this.logerror(`Failed to send ${type}:`, error));
+  }
+
+  /**
+   * Route an incoming message
+   * Only messages from this match's opponent are accepted
+   */
+  handleMessage(message) {
+    method = 'handleMessage';
+
+    if (!message || message.from !== this.opponent.id || message.matchId !== this.matchId) {
+      return;
+    }
+
+    this.lastMessageAt = Date.now();
+    this.remotePlayer?.touch();
+    if (!this.opponentOnline) {
+      this.opponentOnline = true;
+      this.setStatus(this.status);
+    }
+
+    switch (message.type) {
+      case 'hello':
+        if (!this.peerJoined) {
+          this.peerJoined = true;
+          this.send('hello');
+          this.resolveJoined?.();
+        }
+        break;
+      case 'ping':
+        break;
+      case 'ready':
+        this.opponentReady = true;
+        this.opponentCommitment = message.commitment || null;
+        this.checkReady();
+        break;
+      case 'attack':
+        if (this.status === 'playing' && this.game) {
+          this.game.receiveRemoteAttack(message.row, message.col, message.seq);
+        } else {
+          this.inbox.push(message);
+        }
+        break;
+      case 'result':
+        this.handleResult(message);
+        break;
+      case 'rejected':
+        this.handleRejected(message);
+        break;
+      case 'timeout':
+        if (this.game && this.remotePlayer) {
+          this.game.handleTurnTimeout(this.remotePlayer);
+        }
+        break;
+      case 'reveal':
+        this.opponentReveal = message;
+        this.verifyOpponent().then((verified) => {
+          if (this.status === 'finished') {
+            this.resolveVerification?.(verified);
+            this.close();
+          }
+        });
+        break;
+      case 'leave':
+        this.handleOpponentLeft('opponent_left');
+        break;
+      default:
+        this.logwarn(`Unknown message type ${message.type}`);
+    }
+  }
+
+  /**
+   * Ping the opponent and notice when they go quiet
+   */
+  heartbeat() {
+    method = 'heartbeat';
+
+    this.send('ping');
+    const silence = Date.now() - this.lastMessageAt;
+
+    if (silence > FORFEIT_AFTER && this.isOpen) {
+      this.logwarn(`No word from ${this.opponent.name} for ${Math.round(silence / 1000)}s - forfeit`);
+      this.handleOpponentLeft('timeout');
+    } else if (silence > DISCONNECT_AFTER && this.opponentOnline) {
+      this.opponentOnline = false;
+      this.remotePlayer?.disconnect();
+      this.setStatus(this.status);
+    }
+  }
+
+  // ============================================================================
+  // GAME
+  // ============================================================================
+
+  /**
+   * Connect the match to the Game on this device
+   * @param {Game} game
+   * @param {Player} localPlayer - Captain on this device
+   * @param {RemotePlayer} remotePlayer - Mirror of the opponent
+   */
+  attachGame(game, localPlayer, remotePlayer) {
+    method = 'attachGame';
+
+    this.game = game;
+    this.localPlayer = localPlayer;
+    this.remotePlayer = remotePlayer;
+    game.setRemoteMatch(this);
+    this.log(`Attached to game ${game.id}`);
+  }
+
+  /**
+   * Fleet placed - commit to it and tell the opponent
+   */
+  async sendReady() {
+    method = 'sendReady';
+
+    if (!this.localPlayer?.fleet) {
+      throw new Error('sendReady() requires an attached game');
+    }
+
+    this.placements = this.getPlacements(this.localPlayer);
+    this.salt = createSalt();
+    const commitment = await hashPlacements(this.placements, this.salt);
+
+    this.localReady = true;
+    this.send('ready', { commitment });
+    this.log(`Fleet committed (${this.placements.length} cells)`);
+    this.checkReady();
+  }
+
+  checkReady() {
+    if (this.localReady && this.opponentReady && this.status === 'connected') {
+      this.setStatus('ready');
+    }
+  }
+
+  /**
+   * Battle started on this device - deliver shots that arrived early
+   */
+  start() {
+    method = 'start';
+
+    this.setStatus('playing');
+    const early = this.inbox;
+    this.inbox = [];
+    early.forEach(message => this.game.receiveRemoteAttack(message.row, message.col, message.seq));
+  }
+
+  /**
+   * Fire at the opponent - the result arrives later (handleResult)
+   * @returns {Object} Placeholder result { result: 'pending', ships: [] }
+   */
+  sendAttack(row, col) {
+    method = 'sendAttack';
+
+    this.seq++;
+    this.pendingAttack = { seq: this.seq, row, col };
+    this.send('attack', this.pendingAttack);
+    this.setStatus(this.status);
+    return { result: 'pending', ships: [] };
+  }
+
+  get isAwaitingResult() {
+    return this.pendingAttack !== null;
+  }
+
+  handleResult(message) {
+    method = 'handleResult';
+
+    if (message.seq !== this.pendingAttack?.seq) {
+      this.logwarn(`Result for shot ${message.seq} not expected (waiting on ${this.pendingAttack?.seq})`);
+      return;
+    }
+
+    this.pendingAttack = null;
+    this.results.push(message);
+    this.game?.applyRemoteResult(message);
+    this.setStatus(this.status);
+  }
+
+  /**
+   * The opponent's browser refused our shot (out of turn or out of sequence) - take it back
+   * @param {Object} message - { seq, row, col, reason }
+   */
+  handleRejected(message) {
+    method = 'handleRejected';
+
+    if (message.seq !== this.pendingAttack?.seq) {
+      this.logwarn(`Rejection for shot ${message.seq} not expected (waiting on ${this.pendingAttack?.seq})`);
+      return;
+    }
+
+    this.logwarn(`Shot ${message.seq} at ${message.row},${message.col} refused: ${message.reason}`);
+    this.pendingAttack = null;
+    this.seq = message.seq - 1;
+    this.game?.battleLog(`Shot at ${message.row},${message.col} refused by ${this.opponent.name}: ${message.reason}`, 'warning');
+    this.setStatus(this.status);
+  }
+
+  /**
+   * Opponent's shot accepted by Game.receiveRemoteAttack() - the next one must follow it
+   * @param {number} seq - Opponent's shot number
+   */
+  acceptAttack(seq) {
+    this.opponentSeq = seq;
+    this.opponentPending = seq;
+  }
+
+  /**
+   * Refuse the opponent's shot - nothing was applied here
+   * @param {number} seq - Opponent's shot number
+   * @param {string} reason - Why (shown in their battle log)
+   */
+  rejectAttack(seq, row, col, reason) {
+    method = 'rejectAttack';
+
+    this.log(`Refusing shot ${seq} at ${row},${col}: ${reason}`);
+    this.send('rejected', { seq, row, col, reason });
+  }
+
+  /**
+   * Report the result of the opponent's shot at our fleet
+   * @param {number} seq - Opponent's shot number
+   * @param {Object} result - CombatResolver.receiveAttack() result
+   */
+  sendResult(seq, row, col, result) {
+    method = 'sendResult';
+
+    const ships = (result?.ships || [])
+      .filter(hit => hit.player === this.localPlayer)
+      .map(hit => ({
+        shipIndex: this.localPlayer.fleet.ships.indexOf(hit.ship),
+        cellIndex: hit.cellIndex,
+        orientation: this.localPlayer.getShipAt(row, col)?.orientation || 0
+      }));
+
+    this.opponentPending = null;
+    this.send('result', { seq, row, col, result: result?.result || 'miss', ships });
+  }
+
+  sendTimeout() {
+    this.send('timeout');
+  }
+
+  /**
+   * Game over on this device - reveal our fleet, check theirs, then close
+   * An opponent who left the battle forfeited - there is nothing of theirs to check
+   * @returns {Promise<boolean>} True when the opponent's fleet checked out
+   */
+  finish() {
+    method = 'finish';
+
+    if (this.verification) {
+      return this.verification;
+    }
+    if (!this.isOpen) {
+      return Promise.resolve(this.remotePlayer?.forfeited || this.verified === true);
+    }
+
+    this.setStatus('finished');
+    this.send('reveal', { placements: this.placements, salt: this.salt });
+
+    if (this.remotePlayer?.forfeited) {
+      this.verification = Promise.resolve(true);
+      this.close();
+    } else if (this.opponentReveal) {
+      this.verification = this.verifyOpponent().then((verified) => {
+        this.close();
+        return verified;
+      });
+    } else {
+      this.verification = new Promise((resolve) => {
+        this.resolveVerification = resolve;
+        this.closeTimer = setTimeout(() => {
+          this.failVerification(['no fleet revealed']);
+          resolve(false);
+          this.close();
+        }, REVEAL_TIMEOUT);
+      });
+    }
+    return this.verification;
+  }
+
+  /**
+   * Check the opponent's revealed fleet against their commitment and every result they reported
+   * @returns {Promise<boolean>}
+   */
+  async verifyOpponent() {
+    method = 'verifyOpponent';
+
+    const { placements, salt } = this.opponentReveal || {};
+    const problems = [];
+
+    if (!Array.isArray(placements)) {
+      problems.push('no fleet revealed');
+    } else {
+      const commitment = await hashPlacements(placements, salt);
+      if (commitment && !this.opponentCommitment) {
+        problems.push('fleet was never committed');
+      } else if (this.opponentCommitment && commitment && commitment !== this.opponentCommitment) {
+        problems.push('revealed fleet does not match the commitment');
+      }
+
+      const cells = new Map();
+      placements.forEach(([shipIndex, row, col, cellIndex]) => {
+        cells.set(`${row},${col}`, { shipIndex, cellIndex });
+      });
+
+      this.results.forEach(({ row, col, result, ships }) => {
+        const cell = cells.get(`${row},${col}`);
+        if (result === 'miss' && cell) {
+          problems.push(`${row},${col} reported miss but holds a ship`);
+        }
+        (ships || []).forEach(({ shipIndex, cellIndex }) => {
+          if (!cell || cell.shipIndex !== shipIndex || cell.cellIndex !== cellIndex) {
+            problems.push(`${row},${col} reported a hit that does not match the fleet`);
+          }
+        });
+      });
+    }
+
+    if (problems.length > 0) {
+      this.failVerification(problems);
+    } else {
+      this.verified = true;
+      this.log(`${this.opponent.name}'s fleet verified`);
+    }
+    return this.verified;
+  }
+
+  failVerification(problems) {
+    method = 'failVerification';
+
+    this.verified = false;
+    this.logwarn(`${this.opponent.name}'s fleet failed verification: ${problems.join('; ')}`);
+    this.game?.battleLog(`Fleet check failed for ${this.opponent.name}: ${problems[0]}`, 'warning');
+  }
+
+  /**
+   * Fleet cells as sortable rows [shipIndex, row, col, cellIndex]
+   */
+  getPlacements(player) {
+    return player.fleet.ships
+      .flatMap((ship, shipIndex) => player.getShipCells(ship.id)
+        .map(cell => [shipIndex, cell.row, cell.col, cell.cellIndex]))
+      .sort((a, b) => a[0] - b[0] || a[3] - b[3]);
+  }
+
+  // ============================================================================
+  // LEAVING
+  // ============================================================================
+
+  get isOpen() {
+    return this.status !== 'finished' && this.status !== 'closed';
+  }
+
+  /**
+   * Opponent left or went silent too long
+   * During the battle they forfeit (game ends on this device), before it the match closes
+   */
+  handleOpponentLeft(reason) {
+    method = 'handleOpponentLeft';
+
+    if (!this.isOpen) {
+      return;
+    }
+
+    this.log(`${this.opponent.name} left (${reason})`);
+    this.closeReason = reason;
+
+    if (this.status === 'playing' && this.game?.state === 'playing') {
+      this.remotePlayer?.forfeit();
+      this.game.battleLog(`${this.opponent.name} left the battle`, 'forfeit');
+      if (this.game.checkGameEnd()) {
+        this.game.endGame();
+      }
+      return;
+    }
+
+    this.close(reason);
+  }
+
+  /**
+   * Captain on this device leaves the match
+   */
+  async leave() {
+    method = 'leave';
+
+    if (this.isOpen) {
+      this.send('leave');
+    }
+    await this.close('left');
+  }
+
+  async close(reason = null) {
+    method = 'close';
+
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.closeTimer);
+    this.heartbeatTimer = null;
+    this.closeTimer = null;
+
+    if (reason && !this.closeReason) {
+      this.closeReason = reason;
+    }
+
+    const channel = this.channel;
+    this.channel = null;
+    if (channel) {
+      try {
+        await channel.close();
+      } catch (error) {
+        this.logerror('Failed to close channel:', error);
+      }
+    }
+
+    if (this.status !== 'closed') {
+      this.setStatus('closed');
+    }
+  }
+
+  setStatus(status) {
+    this.status = status;
+    if (this.onStatusChange) {
+      this.onStatusChange(status, this);
+    }
+  }
+}
+
+export default RemoteMatch;
+// EOF
@@ -0,0 +1,124 @@
+// src/classes/RemotePlayer.js
+// Copyright(c) 2025, Clint H. O'Connor
+
+import Player from './Player.js';
+
+const version = "v0.1.0"
+// v0.1.0: Human opponent playing from another browser (online battles, see RemoteMatch)
+//         - type 'remote' - Game waits for their moves instead of asking the UI or an AI
+//         - Their fleet is a mirror: ships come from the era config, cells are only known
+//           once the opponent's browser reports a hit on them (revealShipCell)
+//         - Same online hooks as HumanPlayer: setOnlineStatus(), disconnect(), reconnect()
+//         - forfeit() when they leave mid-battle - isDefeated() then ends the game
+
+class RemotePlayer extends Player {
+    // The other captain in an online battle. Their browser owns their fleet and resolves our shots at it.
+
+  constructor(id, name, difficulty = 1.0) {
+    super(id, name, 'remote', difficulty);
+
+    this.isOnline = true;
+    this.lastSeen = Date.now();
+    this.forfeited = false;
+
+    console.log(`RemotePlayer ${this.name} created`);
+  }
+
+  /**
+   * Record a ship cell the opponent's browser reported hit
+   * Ships are matched by fleet position - both browsers build the fleet from the same era config
+   * @param {number} row - Cell row
+   * @param {number} col - Cell column
+   * @param {number} shipIndex - Position of the ship in fleet.ships
+   * @param {number} cellIndex - Cell of the ship (0 = stern)
+   * @param {number} orientation - Ship orientation in degrees
+   * @returns {boolean} True if the cell is now known
+   */
+  revealShipCell(row, col, shipIndex, cellIndex, orientation = 0) {
+    const ship = this.fleet?.ships[shipIndex];
+    if (!ship) {
+      console.warn(`RemotePlayer ${this.name}: No ship at fleet index ${shipIndex}`);
+      return false;
+    }
+
+    const existing = this.getShipAt(row, col);
+    if (existing?.shipId === ship.id && existing.cellIndex === cellIndex) {
+      return true;
+    }
+
+    return this.placeShip(row, col, ship.id, cellIndex, orientation);
+  }
+
+  /**
+   * A remote captain is never the human on this device (videos, sounds, stats viewer)
+   */
+  get isHuman() {
+    return false;
+  }
+
+  /**
+   * Defeated when the fleet is sunk or the captain left the battle
+   */
+  isDefeated() {
+    return this.forfeited || super.isDefeated();
+  }
+
+  /**
+   * Captain left (or never came back) - the game ends at the next checkGameEnd()
+   */
+  forfeit() {
+    this.forfeited = true;
+    this.setOnlineStatus(false);
+    console.log(`RemotePlayer ${this.name} forfeited`);
+  }
+
+  /**
+   * Handle player going offline/online
+   */
+  setOnlineStatus(isOnline) {
+    if (this.isOnline !== isOnline) {
+      this.isOnline = isOnline;
+      this.lastSeen = Date.now();
+      console.log(`RemotePlayer ${this.name} is now ${isOnline ? 'online' : 'offline'}`);
+    }
+  }
+
+  /**
+   * Any message from their browser counts as a sign of life
+   */
+  touch() {
+    this.lastSeen = Date.now();
+    if (!this.isOnline && !this.forfeited) {
+      this.reconnect();
+    }
+  }
+
+  /**
+   * Handle disconnection
+   */
+  disconnect() {
+    this.setOnlineStatus(false);
+    console.log(`RemotePlayer ${this.name} disconnected`);
+  }
+
+  /**
+   * Handle reconnection
+   */
+  reconnect() {
+    this.setOnlineStatus(true);
+    console.log(`RemotePlayer ${this.name} reconnected`);
+  }
+
+  /**
+   * Reset for new game
+   */
+  reset() {
+    super.reset();
+    this.forfeited = false;
+    this.isOnline = true;
+    this.lastSeen = Date.now();
+  }
+}
+
+export default RemotePlayer;
+// EOF
@@ -0,0 +1,368 @@
+// src/classes/ReplayRecorder.js
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.2: 'weather' events (era weather table) - buildPosition() returns the weather at that step
+// v0.1.1: 'move' events (game_rules.ship_movement) - buildPosition() moves the ship and
+//         clears the opponents' marks the move cleared
+//         - Fixed buildPosition() players having no board (Player.placeShip refused every cell,
+//           so replays showed no ships)
+// v0.1.0: Structured battle replay (format 1)
+//         - start() snapshots every player's placements when the battle begins
+//         - recordAttack() logs each resolved cell (miss/hit/destroyed, damage, sinkings, captures)
+//         - beginAction()/endAction() group scatter shot cells and torpedo paths into one turn
+//         - recordEvent() logs star shells, shot clock timeouts and alliance changes
+//         - buildPosition() rebuilds the board after N events for the replay viewer
+
+import Player from './Player.js';
+import Fleet from './Fleet.js';
+import Ship from './Ship.js';
+import Board from './Board.js';
+
+const version = "v0.1.2";
+
+// Bump when the replay JSON changes shape - the viewer refuses formats it does not know
+export const REPLAY_FORMAT = 1;
+
+/**
+ * ReplayRecorder
+ *
+ * Records a battle as data rather than text (Game.gameLog / Message history),
+ * so the board can be rebuilt move by move. Owned by Game (game.replay).
+ *
+ * Replay shape:
+ * {
+ *   format, seed, eraId, eraName, rows, cols,
+ *   players: [{ id, name, type, alliance, ships: [{ id, name, class, size, terrain, orientation, cells: [[row, col, cellIndex]] }] }],
+ *   events: [{ turn, type, playerId, row, col, cells: [{ row, col, result, hits: [{ playerId, shipId, cellIndex, damage, sunk, captured }] }] }],
+ *   winner
+ * }
+ *
+ * Event types: 'shot', 'salvo', 'timeout' (adds action), 'alliance' (adds alliance),
+ * 'move' (adds shipId, dRow, dCol, cleared: [[row, col]]), 'weather' (adds weather - the
+ * condition from constants/Weather.js, playerId is the captain whose turn it opens) and one per munition
+ * id in constants/Munitions.js ('starShell', 'scatterShot', 'depthCharge', 'mine', 'aerialRecon',
+ * 'torpedo' - adds path)
+ *
+ * @example
+ * game.replay.start();
+ * const replay = game.replay.toJSON();
+ * const position = ReplayRecorder.buildPosition(replay, 12);
+ */
+class ReplayRecorder {
+  constructor(game) {
+    if (!game) {
+      throw new Error('ReplayRecorder requires Game instance');
+    }
+
+    this.game = game;
+    this.header = null;
+    this.events = [];
+    this.pendingAction = null;
+    this.winnerId = null;
+  }
+
+  log(message) {
+    console.log(`[REPLAY] ${version} ${message}`);
+  }
+
+  /**
+   * Is the recorder running (start() called)?
+   * @returns {boolean}
+   */
+  get isRecording() {
+    return this.header !== null;
+  }
+
+  /**
+   * Snapshot players and placements - called by Game.startGame() once every fleet is placed
+   */
+  start() {
+    this.header = {
+      seed: this.game.seed,
+      eraId: this.game.eraConfig.id || null,
+      eraName: this.game.eraConfig.name,
+      rows: this.game.eraConfig.rows,
+      cols: this.game.eraConfig.cols,
+      players: this.game.players.map(player => this.snapshotPlayer(player))
+    };
+    this.events = [];
+    this.pendingAction = null;
+    this.winnerId = null;
+
+    this.log(`Recording ${this.game.id} with ${this.header.players.length} players`);
+  }
+
+  /**
+   * Serialize a player's fleet and placements
+   * @param {Player} player
+   * @returns {Object}
+   */
+  snapshotPlayer(player) {
+    const ships = (player.fleet?.ships || []).map(ship => {
+      const cells = player.getShipCells(ship.id);
+      const orientation = cells.length > 0
+        ? (player.getShipAt(cells[0].row, cells[0].col)?.orientation || 0)
+        : 0;
+
+      return {
+        id: ship.id,
+        name: ship.name,
+        class: ship.class,
+        size: ship.size,
+        terrain: ship.terrain,
+        orientation,
+        cells: cells.map(({ row, col, cellIndex }) => [row, col, cellIndex])
+      };
+    });
+
+    return {
+      id: player.id,
+      name: player.name,
+      type: player.type,
+      alliance: this.allianceName(player.id),
+      ships
+    };
+  }
+
+  /**
+   * @param {string} playerId
+   * @returns {string|null} Alliance name
+   */
+  allianceName(playerId) {
+    return this.game.alliances.get(this.game.playerAlliances.get(playerId))?.name || null;
+  }
+
+  /**
+   * Open a multi-cell action (scatter shot, torpedo) - recordAttack() cells collect into it
+   * @param {string} type - Event type
+   * @param {Player} player - Firing player
+   * @param {number} row - Target row
+   * @param {number} col - Target column
+   */
+  beginAction(type, player, row, col) {
+    if (!this.isRecording) return;
+
+    this.pendingAction = {
+      turn: this.game.currentTurn,
+      type,
+      playerId: player.id,
+      row,
+      col,
+      cells: []
+    };
+  }
+
+  /**
+   * Close the open action and append it to the event list
+   * @param {Object} extra - Extra event fields (e.g. torpedo path)
+   */
+  endAction(extra = {}) {
+    if (!this.pendingAction) return;
+
+    this.events.push({ ...this.pendingAction, ...extra });
+    this.pendingAction = null;
+  }
+
+  /**
+   * Record one resolved cell (called by CombatResolver.receiveAttack)
+   * A plain shot becomes its own 'shot' event; inside beginAction() it joins the open action
+   * @param {number} row
+   * @param {number} col
+   * @param {Player} firingPlayer
+   * @param {Object} result - receiveAttack() result
+   */
+  recordAttack(row, col, firingPlayer, result) {
+    if (!this.isRecording || !result || result.result === 'invalid') return;
+
+    const cell = {
+      row,
+      col,
+      result: result.result,
+      hits: (result.ships || []).map(hit => ({
+        playerId: hit.player.id,
+        shipId: hit.ship.id,
+        cellIndex: hit.cellIndex,
+        damage: hit.damage,
+        sunk: hit.shipSunk,
+        captured: hit.shipCaptured
+      }))
+    };
+
+    if (this.pendingAction) {
+      this.pendingAction.cells.push(cell);
+      return;
+    }
+
+    this.events.push({
+      turn: this.game.currentTurn,
+      type: 'shot',
+      playerId: firingPlayer.id,
+      row,
+      col,
+      cells: [cell]
+    });
+  }
+
+  /**
+   * Record an event that does not resolve cells (star shell, timeout, alliance change)
+   * @param {string} type - Event type
+   * @param {Player} player - Acting player
+   * @param {Object} data - Extra event fields
+   */
+  recordEvent(type, player, data = {}) {
+    if (!this.isRecording) return;
+
+    this.events.push({
+      turn: this.game.currentTurn,
+      type,
+      playerId: player.id,
+      cells: [],
+      ...data
+    });
+  }
+
+  /**
+   * Mark the winner - called by GameLifecycleManager.endGame()
+   * @param {Player|null} winner
+   */
+  finish(winner) {
+    this.winnerId = winner?.id || null;
+    this.log(`Recorded ${this.events.length} events`);
+  }
+
+  /**
+   * @returns {Object|null} Replay JSON, null if the battle never started
+   */
+  toJSON() {
+    if (!this.isRecording) return null;
+
+    return {
+      format: REPLAY_FORMAT,
+      ...this.header,
+      events: this.events,
+      winner: this.winnerId
+    };
+  }
+
+  /**
+   * Rebuild players and fleets after the first `step` events of a replay
+   * Applies recorded outcomes directly - no rules, boosts or rolls are re-run
+   *
+   * @param {Object} replay - Replay JSON from toJSON()
+   * @param {number} step - Number of events to apply (0 = starting placements)
+   * @returns {Object} { players, torpedoPath, event, weather } - players render with CanvasBoard
+   */
+  static buildPosition(replay, step) {
+    if (replay?.format !== REPLAY_FORMAT) {
+      throw new Error(`Unsupported replay format: ${replay?.format}`);
+    }
+
+    // Terrain is not recorded - recorded cells were valid, so open water is enough to place them
+    const board = new Board(replay.rows, replay.cols,
+      Array.from({ length: replay.rows }, () => Array(replay.cols).fill('deep')));
+
+    const alliances = new Map();
+    const players = replay.players.map(snapshot => {
+      const player = new Player(snapshot.id, snapshot.name, snapshot.type);
+      const fleet = new Fleet(snapshot.id);
+      player.setBoard(board);
+
+      for (const shipData of snapshot.ships) {
+        const ship = new Ship(shipData.name, shipData.size, shipData.terrain, shipData.class);
+        ship.id = shipData.id;
+        ship.place();
+        fleet.ships.push(ship); // addShip() refuses an empty (defeated) fleet
+
+        for (const [row, col, cellIndex] of shipData.cells) {
+          player.placeShip(row, col, ship.id, cellIndex, shipData.orientation);
+        }
+      }
+
+      player.setFleet(fleet);
+      alliances.set(player.id, snapshot.alliance);
+      return player;
+    });
+
+    const findPlayer = (id) => players.find(p => p.id === id);
+    const markForAlliance = (firingPlayer, row, col) => {
+      for (const player of players) {
+        if (alliances.get(player.id) === alliances.get(firingPlayer.id)) {
+          player.recordDontShoot(row, col);
+        }
+      }
+    };
+
+    const events = replay.events.slice(0, Math.max(0, step));
+    let weather = null;
+
+    for (const event of events) {
+      if (event.type === 'weather') {
+        weather = event.weather;
+        continue;
+      }
+
+      const attacker = findPlayer(event.playerId);
+      if (!attacker) continue;
+
+      if (event.type === 'alliance') {
+        alliances.set(attacker.id, event.alliance);
+        continue;
+      }
+
+      if (event.type === 'move') {
+        const cells = attacker.getShipCells(event.shipId);
+        const orientation = attacker.getShipAt(cells[0]?.row, cells[0]?.col)?.orientation || 0;
+        cells.forEach(({ row, col }) => attacker.removeShipAt(row, col));
+        cells.forEach(({ row, col, cellIndex }) => {
+          attacker.placeShip(row + event.dRow, col + event.dCol, event.shipId, cellIndex, orientation);
+        });
+        for (const [row, col] of event.cleared || []) {
+          players
+            .filter(player => alliances.get(player.id) !== alliances.get(attacker.id))
+            .forEach(player => player.clearDontShoot(row, col));
+        }
+        continue;
+      }
+
+      for (const cell of event.cells) {
+        if (cell.result === 'miss') {
+          attacker.recordDontShoot(cell.row, cell.col);
+          continue;
+        }
+
+        for (const hit of cell.hits) {
+          const target = findPlayer(hit.playerId);
+          const ship = target?.getShip(hit.shipId);
+          if (!ship) continue;
+
+          ship.receiveHit(hit.cellIndex, hit.damage);
+
+          if (hit.captured) {
+            const cells = target.getShipCells(ship.id);
+            const orientation = target.getShipAt(cells[0].row, cells[0].col)?.orientation || 0;
+            target.fleet.removeShip(ship);
+            attacker.fleet.ships.push(ship);
+            for (const { row, col, cellIndex } of cells) {
+              target.removeShipAt(row, col);
+              attacker.placeShip(row, col, ship.id, cellIndex, orientation);
+              markForAlliance(attacker, row, col);
+            }
+          }
+        }
+
+        if (cell.result === 'destroyed' || cell.result === 'all_destroyed') {
+          markForAlliance(attacker, cell.row, cell.col);
+        }
+      }
+    }
+
+    const event = events[events.length - 1] || null;
+    const torpedoPath = event?.type === 'torpedo' && event.path
+      ? { ...event.path, startTime: Date.now() }
+      : null;
+
+    return { players, torpedoPath, event, weather };
+  }
+}
+
+export default ReplayRecorder;
+// EOF
@@ -1,8 +1,12 @@
 // src/classes/Ship.js
 // Copyright(c) 2025, Clint H. O'Connor
 
-const version = "v0.2.3";
+const version = "v0.2.4";
 /**
+ * v0.2.4: Ship capture
+ * - Added capturedBy (player id of captor, null if never captured)
+ * - Capture itself is resolved in CombatResolver at critical health
+ *
  * v0.2.3: Torpedoes from era config
  * - Torpedoes now read from era config munitions.torpedoes instead of hardcoded
  * - Only submarines get torpedoes (based on class)
@@ -32,7 +36,7 @@ const version = "v0.2.3";
  */
 
 class Ship {
-    // Ship is a battle unit that has a name, size (1-5 cells), and allowed terrain (could be cannon on land too).  Each cell has health, initially 1.0, and can go negative if receiving a high power (>1.0) shot or a partial shot (e.g. 0.1) followed by a full (1.0) shot.  The ship is sunk when its total health drops to 0. Allowed ships are defined in the era-config file for a game. [FUTURE] A Ship can be captured (random chance) when its health falls to zero.  In this instance, a ship is reset with a random health between 50% and 75% and fires 50% power shots.  This, of course, messes up player maps because the ship disappears after being sunk and then reappears as a new ship.
+    // Ship is a battle unit that has a name, size (1-5 cells), and allowed terrain (could be cannon on land too).  Each cell has health, initially 1.0, and can go negative if receiving a high power (>1.0) shot or a partial shot (e.g. 0.1) followed by a full (1.0) shot.  The ship is sunk when its total health drops to 0. Allowed ships are defined in the era-config file for a game. A Ship can be captured (random chance, era game_rules) when it is critically damaged.  It keeps its position and damage and simply changes fleets.
     
   constructor(name, size, terrain, shipClass, torpedoes = 0) {
     // Validate required shipClass parameter
@@ -54,6 +58,7 @@ class Ship {
     this.isPlaced = false;
     this.health = Array(size).fill(1.0); // Array of floats, 1.0 = undamaged, can go negative for overkill
     this.sunkAt = null; // timestamp when ship was sunk (initially null)
+    this.capturedBy = null; // player id of captor (ship_capture rule)
     
     // Fog of War tracking
     this.hitCount = 0; // Number of times this ship has been hit (for progressive reveal)
@@ -237,6 +242,7 @@ class Ship {
     this.isPlaced = false;
     this.health = Array(this.size).fill(1.0);
     this.sunkAt = null;
+    this.capturedBy = null;
     this.hitCount = 0; // Reset fog of war tracking
     // Reset torpedoes to initial count from era config
     this.torpedoes = this.initialTorpedoes;
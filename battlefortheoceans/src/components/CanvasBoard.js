@@ -1,6 +1,21 @@
 // src/components/CanvasBoard.js
 // Copyright(c) 2025, Clint H. O'Connor
 //
+// v0.4.21: Weather - the water is tinted with gameInstance.weather (TerrainRenderer.drawWeatherLayer)
+// v0.4.20: Ship movement - long press on one of our undamaged ships lists its legal moves
+//          (Game.getShipMoves) in the action menu; onShipMoved(shipId, dRow, dCol) moves it
+// v0.4.19: Salvo rule - in salvo games a click picks/unpicks a target (onSalvoTarget) instead of
+//          firing; picked targets are drawn as crosshairs, showSalvoResults() animates the salvo
+// v0.4.18: Munition registry (constants/Munitions.js)
+//          - onMunitionFired(type, row, col) replaces onStarShellFired/onScatterShotFired/onTorpedoFired
+//          - Reveal munitions (star shell, aerial recon) light their pattern; the munition's hides
+//            classes stay dark. Other munitions flash their pattern (AnimationManager 'munition')
+//          - recordOpponentMunition() replaces recordOpponentStarShell()
+//          - Our own mines are drawn where we laid them
+//          - Munitions not allowed on the chosen cell (terrain, no carrier) are greyed in the menu
+// v0.4.17: AI star shells - recordOpponentStarShell() lights up the area over our fleet
+//          (glow only - enemy ships are only outlined under our own star shells)
+// v0.4.16: Online battles - no splash for shots still awaiting the opponent's result ('pending')
 // v0.4.14: Star shells don't illuminate submarines
 //          - Submarines are excluded from star shell illumination (they're underwater)
 // v0.4.13: Pass starShellIllumination to HitOverlayRenderer for expanding ring effect
@@ -23,7 +38,7 @@
 //         - Pattern: Same as mode/gameState - read from ref, not captured closure
 // v0.4.7: Fixed ship placement validation - removed call to deleted Board.getShipDataAt()
 
-import React, { useRef, useEffect, useCallback, useState, useImperativeHandle, forwardRef } from 'react';
+import React, { useRef, useEffect, useCallback, useMemo, useState, useImperativeHandle, forwardRef } from 'react';
 import ReactDOM from 'react-dom';
 import { useGame } from '../context/GameContext';
 import TerrainRenderer from '../renderers/TerrainRenderer';
@@ -32,9 +47,9 @@ import HitOverlayRenderer from '../renderers/HitOverlayRenderer';
 import UXEngine from '../engines/UXEngine';
 import InputHandler from '../handlers/InputHandler';
 import TargetOptionsMenu from './TargetOptionsMenu';
-import useGameState from '../hooks/useGameState';
+import { getMunition } from '../constants/Munitions';
 
-const version = 'v0.4.15';
+const version = 'v0.4.21';
 
 // Constants
 const CELL_SIZE = 30;
@@ -48,15 +63,14 @@ const CanvasBoard = forwardRef(({
   viewMode = 'blended',
   gameState = null,
   onShotFired = null,
-  onStarShellFired = null,
-  onScatterShotFired = null,
-  onTorpedoFired = null,
+  onMunitionFired = null,
+  onSalvoTarget = null,
+  onShipMoved = null,
   currentShip = null,
   onShipPlaced = null,
   player = null,
 }, ref) => {
     const playerId = player?.id;
-    const { munitions } = useGameState();
     const canvasRef = useRef(null);
   const { subscribeToUpdates, playerProfile } = useGame();
   
@@ -118,6 +132,7 @@ const CanvasBoard = forwardRef(({
     mode,
     gameState,
     currentShip,
+    onSalvoTarget,
   });
 
   // Preload ship SVGs
@@ -177,66 +192,66 @@ const CanvasBoard = forwardRef(({
       mode,
       gameState,
       currentShip,
+      onSalvoTarget,
     };
-  }, [mode, gameState, currentShip]);
+  }, [mode, gameState, currentShip, onSalvoTarget]);
 
-  // Star shell illumination effect
-  const triggerStarShell = useCallback((centerRow, centerCol) => {
-      if (!munitions || munitions.starShells <= 0) return;
-      
-    console.log('[MUNITIONS]', version, 'Star shell at', centerRow, centerCol);
-    
-    const illuminatedCells = [];
-    
-    // Get pattern from era config (defaults to 5x5 for backward compatibility)
-    const pattern = eraConfig?.resources?.star_shell_pattern || '5x5';
-    
-    // Center cell: 100% opacity
-    illuminatedCells.push({ row: centerRow, col: centerCol, opacity: 1.0 });
+  // Reveal illumination (star shell, aerial recon) over the munition's pattern cells
+  // byOpponent: fired at our fleet, glow only; hides: ship classes the munition cannot see
+  const illuminate = useCallback((munition, row, col, byOpponent = false) => {
+    console.log('[MUNITIONS]', version, byOpponent ? `Opponent ${munition.id} at` : `${munition.id} at`, row, col);
     
-    // Adjacent 8 cells (distance 1): 50% opacity
-    for (let dr = -1; dr <= 1; dr++) {
-      for (let dc = -1; dc <= 1; dc++) {
-        if (dr === 0 && dc === 0) continue; // Skip center
-        const r = centerRow + dr;
-        const c = centerCol + dc;
-        if (r >= 0 && r < eraConfig.rows && c >= 0 && c < eraConfig.cols) {
-          illuminatedCells.push({ row: r, col: c, opacity: 0.5 });
-        }
-      }
-    }
-    
-    // Outer ring only for 5x5 pattern
-    if (pattern === '5x5') {
-      // All cells at distance 2 (full 5x5 square outer ring): 25% opacity
-      for (let dr = -2; dr <= 2; dr++) {
-        for (let dc = -2; dc <= 2; dc++) {
-          // Skip inner 3x3 already covered
-          if (Math.abs(dr) <= 1 && Math.abs(dc) <= 1) continue;
-          
-          const r = centerRow + dr;
-          const c = centerCol + dc;
-          if (r >= 0 && r < eraConfig.rows && c >= 0 && c < eraConfig.cols) {
-            illuminatedCells.push({ row: r, col: c, opacity: 0.25 });
-          }
-        }
-      }
-    }
+    const cells = gameInstance?.getMunitionCells?.(munition.id, row, col) || [{ row, col, opacity: 1.0 }];
     
     setStarShellIllumination({
-      cells: illuminatedCells,
-      startTime: Date.now()
+      cells,
+      center: { row, col },
+      hides: munition.hides || [],
+      color: munition.color,
+      startTime: Date.now(),
+      byOpponent
     });
     
     // Clear after 2 seconds
     setTimeout(() => {
       setStarShellIllumination(null);
     }, 2000);
+  }, [gameInstance]);
+
+  // Damage and mine munitions flash their pattern (AnimationManager 'munition')
+  const showMunitionAnimation = useCallback((munition, row, col) => {
+    const animId = Date.now() + Math.random();
+    const cells = gameInstance?.getMunitionCells?.(munition.id, row, col) || [{ row, col, opacity: 1.0 }];
+    
+    animationManagerRef.current.addMunitionAnimation(animId, munition, row, col, cells);
     
-      console.log('[MUNITIONS] Calling onStarShellFired for row:', centerRow, 'col:', centerCol);
-    onStarShellFired?.(centerRow, centerCol);
+    const startTime = Date.now();
+    const duration = 800;
     
-  }, [eraConfig, onStarShellFired]);
+    const animate = () => {
+      const elapsed = Date.now() - startTime;
+      const progress = Math.min(elapsed / duration, 1);
+      
+      animationManagerRef.current.updateAnimationProgress(animId, progress);
+      
+      if (progress < 1) {
+        requestAnimationFrame(animate);
+      } else {
+        animationManagerRef.current.removeAnimation(animId);
+      }
+    };
+    
+    requestAnimationFrame(animate);
+  }, [gameInstance]);
+
+  // Show a munition going off at (row, col) - torpedoes draw their own path (game.torpedoPath)
+  const showMunition = useCallback((munition, row, col, byOpponent = false) => {
+    if (munition.effect === 'reveal') {
+      illuminate(munition, row, col, byOpponent);
+    } else if (munition.effect !== 'torpedo') {
+      showMunitionAnimation(munition, row, col);
+    }
+  }, [illuminate, showMunitionAnimation]);
 
   // Render function
   const renderFrame = useCallback(() => {
@@ -258,6 +273,9 @@ const CanvasBoard = forwardRef(({
     terrainRendererRef.current.drawTerrainLayer(ctx, CELL_SIZE, LABEL_SIZE, offsetX, offsetY);
 
     if (props.mode === 'battle') {
+      // Weather tint under the markers so hits stay readable
+      terrainRendererRef.current.drawWeatherLayer(ctx, props.gameInstance.weather, CELL_SIZE, LABEL_SIZE, offsetX, offsetY);
+
       // Draw hit overlays
       hitOverlayRendererRef.current.drawHitOverlay(
         ctx,
@@ -344,6 +362,40 @@ const CanvasBoard = forwardRef(({
         }
       }
       
+      // Draw our own mines (laid unseen - opponents never see them)
+      (props.gameInstance.mines || []).forEach(mine => {
+        if (mine.ownerId !== props.playerId) return;
+        
+        ctx.save();
+        ctx.font = `${Math.round(CELL_SIZE * 0.6)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(
+          getMunition('mine').emoji,
+          offsetX + mine.col * CELL_SIZE + LABEL_SIZE + CELL_SIZE / 2,
+          offsetY + mine.row * CELL_SIZE + LABEL_SIZE + CELL_SIZE / 2
+        );
+        ctx.restore();
+      });
+      
+      // Draw salvo targets picked but not yet fired
+      (props.gameInstance.salvoTargets || []).forEach(({ row, col }) => {
+        const x = offsetX + col * CELL_SIZE + LABEL_SIZE + CELL_SIZE / 2;
+        const y = offsetY + row * CELL_SIZE + LABEL_SIZE + CELL_SIZE / 2;
+        
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 200, 0, 0.9)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, CELL_SIZE * 0.35, 0, Math.PI * 2);
+        ctx.moveTo(x - CELL_SIZE * 0.45, y);
+        ctx.lineTo(x + CELL_SIZE * 0.45, y);
+        ctx.moveTo(x, y - CELL_SIZE * 0.45);
+        ctx.lineTo(x, y + CELL_SIZE * 0.45);
+        ctx.stroke();
+        ctx.restore();
+      });
+      
       // Draw star shell illumination
       if (props.starShellIllumination) {
         const elapsed = Date.now() - props.starShellIllumination.startTime;
@@ -351,16 +403,18 @@ const CanvasBoard = forwardRef(({
         const fadeOpacity = 1.0 - progress; // Fade out over time
         
         props.starShellIllumination.cells.forEach(({ row, col, opacity }) => {
-          // Find enemy ships at this cell
-          const opponentPlayers = props.gameInstance.players.filter(p => p.id !== props.playerId);
+          // Find enemy ships at this cell (none when the opponent fired it)
+          const opponentPlayers = props.starShellIllumination.byOpponent
+            ? []
+            : props.gameInstance.players.filter(p => p.id !== props.playerId);
           
           opponentPlayers.forEach(opponent => {
             const shipPlacement = opponent.getShipAt(row, col);
             if (shipPlacement) {
               const ship = opponent.getShip(shipPlacement.shipId);
               
-              // Skip submarines - star shells don't illuminate them
-              if (ship.class?.toLowerCase() === 'submarine') {
+              // Skip hidden classes - star shells don't illuminate submarines
+              if (props.starShellIllumination.hides?.includes(ship.class?.toLowerCase())) {
                 return;
               }
               
@@ -397,9 +451,10 @@ const CanvasBoard = forwardRef(({
           const y = offsetY + row * CELL_SIZE + LABEL_SIZE + CELL_SIZE / 2;
           const glowOpacity = opacity * fadeOpacity * 0.3;
           
+          const glowColor = props.starShellIllumination.color || 'rgba(255, 255, 200, 1)';
           const gradient = ctx.createRadialGradient(x, y, 0, x, y, CELL_SIZE * 1.5);
-          gradient.addColorStop(0, `rgba(255, 255, 200, ${glowOpacity})`);
-          gradient.addColorStop(1, 'rgba(255, 255, 200, 0)');
+          gradient.addColorStop(0, glowColor.replace(/[\d.]+\)$/, `${glowOpacity})`));
+          gradient.addColorStop(1, glowColor.replace(/[\d.]+\)$/, '0)'));
           
           ctx.fillStyle = gradient;
           ctx.fillRect(
@@ -620,6 +675,9 @@ const CanvasBoard = forwardRef(({
 
   const showShotAnimation = useCallback((shotResult, row, col) => {
     const result = shotResult.result.result;
+    if (result === 'pending') {
+      return;
+    }
     const animId = Date.now() + Math.random();
 
     animationManagerRef.current.addAnimation(
@@ -673,6 +731,18 @@ const CanvasBoard = forwardRef(({
       }
     },
     
+    // Salvo fired from outside the board (FIRE SALVO button, shot clock) - cells from Game.fireSalvo()
+    showSalvoResults: (cells) => {
+      cells.forEach(cell => showShotAnimation(cell, cell.row, cell.col));
+    },
+    
+    recordOpponentMunition: (munitionType, row, col) => {
+      const munition = getMunition(munitionType);
+      if (munition) {
+        showMunition(munition, row, col, true);
+      }
+    },
+    
     captureBoard: () => {
       if (!canvasRef.current) return null;
       try {
@@ -731,7 +801,23 @@ const CanvasBoard = forwardRef(({
         return null;
       }
     }
-  }), [showOpponentAnimation, createExplosion, gameState, renderFrame]);
+  }), [showOpponentAnimation, createExplosion, showMunition, showShotAnimation, gameState, renderFrame]);
+  
+  // Moves for our own ship under the menu's cell (game_rules.ship_movement)
+  const menuShipMoves = useMemo(() => {
+    if (!actionMenuCell || !gameInstance?.getShipMoves || !player?.getShipAt) return [];
+    
+    const placement = player.getShipAt(actionMenuCell.row, actionMenuCell.col);
+    const ship = placement && player.getShip(placement.shipId);
+    const arrow = (dRow, dCol) => (dRow < 0 ? '⬆' : dRow > 0 ? '⬇' : dCol < 0 ? '⬅' : '➡');
+    
+    return gameInstance.getShipMoves(player, ship).map(move => ({
+      shipId: ship.id,
+      dRow: move.dRow,
+      dCol: move.dCol,
+      label: `Move ${arrow(move.dRow, move.dCol)} ${Math.abs(move.dRow || move.dCol)}`
+    }));
+  }, [actionMenuCell, gameInstance, player]);
   
   const handleTargetOptionsMenuChoice = useCallback((action) => {
     setShowActionMenu(false);
@@ -741,30 +827,42 @@ const CanvasBoard = forwardRef(({
     const { row, col } = actionMenuCell;
     
     if (action === 'shot') {
-      // Regular shot
-      if (onShotFired && gameState?.isPlayerTurn) {
+      // Salvo games pick the target, the salvo fires from the page
+      if (onSalvoTarget && gameState?.salvoSize > 1 && gameState?.isPlayerTurn) {
+        onSalvoTarget(row, col);
+      } else if (onShotFired && gameState?.isPlayerTurn) {
+        // Regular shot
         const shotResult = onShotFired(row, col);
         if (shotResult) {
           showShotAnimation(shotResult, row, col);
         }
       }
-    } else if (action === 'star') {
-      // Star shell
-      triggerStarShell(row, col);
-    } else if (action === 'scatter') {
-      // Scatter shot
-      if (onScatterShotFired && gameState?.isPlayerTurn) {
-        onScatterShotFired(row, col);
+    } else if (getMunition(action)) {
+      // Munition - shown once the game accepts it
+      if (onMunitionFired && gameState?.isPlayerTurn && onMunitionFired(action, row, col)) {
+        showMunition(getMunition(action), row, col);
       }
-    } else if (action === 'torpedo') {
-      // Torpedo
-      if (onTorpedoFired && gameState?.isPlayerTurn) {
-        onTorpedoFired(row, col);
+    } else if (action.startsWith('move-')) {
+      // Ship movement - the ship redraws where it lands
+      const move = menuShipMoves[Number(action.slice('move-'.length))];
+      if (move && onShipMoved && gameState?.isPlayerTurn) {
+        onShipMoved(move.shipId, move.dRow, move.dCol);
       }
     }
     
     setActionMenuCell(null);
-  }, [actionMenuCell, onShotFired, onScatterShotFired, onTorpedoFired, gameState, showShotAnimation, triggerStarShell]);
+  }, [actionMenuCell, menuShipMoves, onShotFired, onMunitionFired, onSalvoTarget, onShipMoved, gameState, showShotAnimation, showMunition]);
+
+  // Can the captain fire this munition at the menu's cell? (terrain, required ship)
+  const canFireAtMenuCell = useCallback((munitionType) => {
+    if (!actionMenuCell || !gameInstance?.canFireMunition) return false;
+    return gameInstance.canFireMunition(
+      gameInstance.getCurrentPlayer(),
+      munitionType,
+      actionMenuCell.row,
+      actionMenuCell.col
+    );
+  }, [actionMenuCell, gameInstance]);
 
   // Initialize InputHandler - ONLY ONCE
   useEffect(() => {
@@ -784,7 +882,11 @@ const CanvasBoard = forwardRef(({
         // Callbacks
         onShotFired: (row, col) => {
           // v0.4.6: Read fresh gameState from inputPropsRef to avoid stale closure
-          const currentGameState = inputPropsRef.current.gameState;
+          const { gameState: currentGameState, onSalvoTarget: pickSalvoTarget } = inputPropsRef.current;
+          if (pickSalvoTarget && currentGameState?.salvoSize > 1 && currentGameState?.isPlayerTurn) {
+            pickSalvoTarget(row, col);
+            return;
+          }
           if (onShotFired && currentGameState?.isPlayerTurn) {
             const shotResult = onShotFired(row, col);
             if (shotResult) {
@@ -870,6 +972,8 @@ const CanvasBoard = forwardRef(({
           x={actionMenuPos.x}
           y={actionMenuPos.y}
           onAction={handleTargetOptionsMenuChoice}
+          canFire={canFireAtMenuCell}
+          moves={menuShipMoves.map((move, index) => ({ id: `move-${index}`, label: move.label }))}
           onClose={() => setShowActionMenu(false)}
         />,
         document.body
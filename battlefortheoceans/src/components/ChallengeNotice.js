@@ -0,0 +1,85 @@
+// src/components/ChallengeNotice.js
+// Copyright(c) 2025, Clint H. O'Connor
+
+/**
+ * v0.1.0: Incoming challenge modal (PresenceService challenges)
+ *         - Shows the newest challenge while choosing an era or opponent
+ *         - Accept switches to the challenge's era and searches for the challenger
+ *         - Uses existing modal-overlay and content-pane CSS classes
+ */
+
+import React, { useState } from 'react';
+
+const version = 'v0.1.0';
+
+/**
+ * ChallengeNotice - Another captain wants to battle
+ *
+ * @param {Object|null} challenge - Challenge row ({ from_name, era_name, ... }), null hides the modal
+ * @param {function} onAccept - Callback with the challenge when accepted
+ * @param {function} onDecline - Callback with the challenge when declined
+ *
+ * @example
+ * <ChallengeNotice
+ *   challenge={coreEngine.incomingChallenges[0] || null}
+ *   onAccept={(challenge) => coreEngine.acceptChallenge(challenge)}
+ *   onDecline={(challenge) => coreEngine.declineChallenge(challenge)}
+ * />
+ */
+const ChallengeNotice = ({ challenge, onAccept, onDecline }) => {
+  const [answering, setAnswering] = useState(false);
+
+  if (!challenge) return null;
+
+  const answer = async (handler) => {
+    setAnswering(true);
+    try {
+      await handler(challenge);
+    } catch (error) {
+      console.error(`[CHALLENGE] ${version} ChallengeNotice.answer: Failed to answer challenge:`, error);
+    } finally {
+      setAnswering(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay modal-overlay--visible">
+      <div className="container flex flex-column flex-center">
+        <div className="content-pane content-pane--small">
+          <div className="card-header">
+            <h1 className="card-title text-center">⚔️ You've Been Challenged</h1>
+            <p className="card-subtitle text-center">
+              {challenge.from_name} wants to battle you
+            </p>
+          </div>
+
+          <div className="card-body flex flex-column flex-center">
+            <p className="text-center">
+              Era: {challenge.era_name || challenge.era_id}
+            </p>
+
+            <div className="btn-group">
+              <button
+                className="btn btn--primary btn--lg"
+                disabled={answering}
+                onClick={() => answer(onAccept)}
+              >
+                Accept
+              </button>
+              <button
+                className="btn btn--secondary btn--lg"
+                disabled={answering}
+                onClick={() => answer(onDecline)}
+              >
+                Decline
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChallengeNotice;
+// EOF
@@ -1,5 +1,7 @@
 // src/components/FleetStatusSidebar.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.2.5: Munitions listed from the munition registry (constants/Munitions.js)
+// v0.2.4: Torpedoes come from the munitions inventory (Game.getMunitionInventory)
 // v0.2.2: Compact munitions display - all on one line separated by |
 //         - Shows star shells, scatter shot, and torpedoes
 //         - Only displays when non-zero
@@ -16,8 +18,9 @@
 
 import React from 'react';
 import { coreEngine } from '../context/GameContext';
+import { MUNITIONS } from '../constants/Munitions';
 
-const version = 'v0.2.3';
+const version = 'v0.2.5';
 
 const FleetStatusSidebar = ({ fleet, fleets, title = 'Fleet', playerId, munitions }) => {
   // Debug log
@@ -76,25 +79,10 @@ const FleetStatusSidebar = ({ fleet, fleets, title = 'Fleet', playerId, munition
       
       {/* Munitions counter (only for Home/player fleet) - compact one-line display */}
       {title === 'Home' && munitions && (() => {
-        // Calculate total torpedoes from fleet submarines
-        const totalTorpedoes = fleet?.ships?.reduce((total, ship) => {
-          if (ship.class?.toLowerCase() === 'submarine' && !ship.isSunk() && ship.getTorpedoes) {
-            return total + (ship.getTorpedoes() || 0);
-          }
-          return total;
-        }, 0) || 0;
-        
         // Build munitions array (only non-zero)
-        const munitionsList = [];
-        if (munitions.starShells > 0) {
-          munitionsList.push({ icon: '✨', count: munitions.starShells });
-        }
-        if (munitions.scatterShot > 0) {
-          munitionsList.push({ icon: '💥', count: munitions.scatterShot });
-        }
-        if (totalTorpedoes > 0) {
-          munitionsList.push({ icon: '🚀', count: totalTorpedoes });
-        }
+        const munitionsList = Object.values(MUNITIONS)
+          .filter(munition => munitions[munition.stockKey] > 0)
+          .map(munition => ({ icon: munition.emoji, count: munitions[munition.stockKey] }));
         
         // Only render if there are any munitions
         if (munitionsList.length === 0) return null;
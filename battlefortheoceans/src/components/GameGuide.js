@@ -1,5 +1,10 @@
 // src/components/GameGuide.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.2.8: Weather in the battle guide
+// v0.2.7: Ship movement in the battle guide
+// v0.2.6: Salvo rule in the battle guide
+// v0.2.5: Depth charges, mines and aerial recon in the munitions list
+// v0.2.4: Munitions note - enemy captains carry star shells, scatter shot and torpedoes too
 // v0.2.3: Added long press and munitions information to battle guide
 //         - Added long press instructions for accessing action menu
 //         - Added comprehensive munitions section (star shells, scatter shot, torpedoes)
@@ -23,7 +28,7 @@ import React, { useState } from 'react';
 import { useGame } from '../context/GameContext';
 import InfoPanel from './InfoPanel';
 
-const version = 'v0.2.3';
+const version = 'v0.2.8';
 const tag = "GUIDE";
 const module = "GameGuide";
 let method = "";
@@ -199,6 +204,30 @@ const GameGuide = ({ section, manualOpen = false, onClose, forceShow = false, er
                 <li>Repeat until all enemy ships are sunk!</li>
               </ul>
 
+              <h4>Salvo Games</h4>
+              <p>
+                Some battles use the salvo rule: each turn you fire one shot per ship still afloat (or per gun, if the era
+                gives ship classes more guns). Click cells to pick your targets - click again to take one back - then
+                press <strong>FIRE SALVO</strong>. All shots land together, so your salvo shrinks as your fleet is sunk.
+                Firing a munition uses your whole turn.
+              </p>
+
+              <h4>Moving Ships</h4>
+              <p>
+                In eras with ship movement (Pirates, First Texas Navy) you may spend your turn moving one undamaged
+                ship instead of firing. Long press on the ship and pick a move - it sails up to 2 cells in a straight
+                line through water it can use. Your opponent only learns that a ship moved somewhere nearby, and
+                their old misses around it can be targeted again. Beware of enemy mines!
+              </p>
+
+              <h4>Weather</h4>
+              <p>
+                In eras with weather (Midway, Pirates) the sky changes every few turns and the current conditions
+                are shown above the battle messages. Night, fog and storms make every hit do less damage. Fog and
+                storms also shrink star shells to 3x3, and in fog your misses are not marked on the board - you
+                have to remember where you fired.
+              </p>
+
               <h4>Munitions (Long Press Menu)</h4>
               <p>
                 Long press on any cell to access special munitions. Available options depend on your era and remaining munitions.
@@ -207,10 +236,14 @@ const GameGuide = ({ section, manualOpen = false, onClose, forceShow = false, er
                 <li><strong>Standard Shot:</strong> Basic attack - always available</li>
                 <li><strong>Star Shell:</strong> Illuminates a 3x3 or 5x5 area, revealing enemy ships temporarily. Limited quantity per era.</li>
                 <li><strong>Scatter Shot:</strong> Attacks multiple adjacent cells simultaneously. Limited quantity per era.</li>
+                <li><strong>Depth Charge:</strong> Drops into deep water and damages only submarines in the target cell and the four cells around it.</li>
+                <li><strong>Mine:</strong> Laid in shallow water or shoals. It waits unseen and explodes under the first enemy ship on its cell.</li>
+                <li><strong>Aerial Recon:</strong> A carrier plane flies the target's whole row, revealing surface ships (not submarines). Needs a carrier still afloat.</li>
                 <li><strong>Torpedo:</strong> Straight-line attack from your submarine that travels up to 10 cells, stopping at first enemy ship, land, or excluded terrain. Only available if you have submarines with torpedoes remaining.</li>
               </ul>
               <p>
                 <strong>Note:</strong> Munitions are shown in your fleet status sidebar. Each era has different munition quantities.
+                Enemy captains carry the same munitions - a glow over your fleet means they fired a star shell.
               </p>
 
               <h4>AutoPlay</h4>
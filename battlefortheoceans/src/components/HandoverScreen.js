@@ -0,0 +1,71 @@
+// src/components/HandoverScreen.js
+// Copyright(c) 2025, Clint H. O'Connor
+
+/**
+ * v0.1.0: Initial hot-seat privacy screen
+ *         - Covers the board while the device is passed to the other captain
+ *         - "I'm Ready" hands the device over (coreEngine.setActivePlayer)
+ *         - Uses existing modal-overlay and content-pane CSS classes
+ */
+
+import React from 'react';
+
+const version = 'v0.1.0';
+
+/**
+ * HandoverScreen - Privacy screen between hot-seat turns
+ *
+ * Rendered INSTEAD of CanvasBoard, so the previous captain's fleet is never
+ * on screen while the next captain takes the device.
+ *
+ * @param {boolean} show - Whether to show the screen
+ * @param {string} playerName - Captain who should take the device
+ * @param {string} reason - Why the device is changing hands ('placement' or 'turn')
+ * @param {function} onReady - Callback when the next captain confirms
+ *
+ * @example
+ * <HandoverScreen
+ *   show={needsHandover}
+ *   playerName={currentPlayer.name}
+ *   reason="turn"
+ *   onReady={handleHandover}
+ * />
+ */
+const HandoverScreen = ({ show, playerName, reason = 'turn', onReady }) => {
+  if (!show) return null;
+
+  const instruction = reason === 'placement'
+    ? `${playerName}, place your fleet. No peeking at the other fleet!`
+    : `${playerName}, it's your turn to fire.`;
+
+  return (
+    <div className="modal-overlay modal-overlay--visible handover-screen">
+      <div className="container flex flex-column flex-center">
+        <div className="content-pane content-pane--small">
+          <div className="card-header">
+            <h1 className="card-title text-center">🔄 Hand Over the Device</h1>
+            <p className="card-subtitle text-center">
+              Pass the device to {playerName}
+            </p>
+          </div>
+
+          <div className="card-body flex flex-column flex-center">
+            <p className="text-center handover-screen__instruction">
+              {instruction}
+            </p>
+
+            <button
+              className="btn btn--primary btn--lg"
+              onClick={onReady}
+            >
+              I'm {playerName} - Ready
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HandoverScreen;
+// EOF
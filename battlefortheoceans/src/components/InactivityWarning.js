@@ -2,6 +2,8 @@
 // Copyright(c) 2025, Clint H. O'Connor
 
 /**
+ * v0.1.2: Player is away while the warning shows - PresenceService lists them as idle,
+ *         so they drop out of the Human Opponents lobby until "I'm Still Here"
  * v0.1.1: Simplified styling to match LaunchPage format
  *         - Uses same card structure as LaunchPage
  *         - Cleaner, centered layout
@@ -14,8 +16,9 @@
  */
 
 import React, { useEffect } from 'react';
+import PresenceService from '../services/PresenceService';
 
-const version = 'v0.1.1';
+const version = 'v0.1.2';
 
 /**
  * InactivityWarning - Modal warning for inactive users
@@ -35,6 +38,13 @@ const version = 'v0.1.1';
  * />
  */
 const InactivityWarning = ({ show, remainingSeconds, onDismiss }) => {
+  // Away from the lobby while the warning shows
+  useEffect(() => {
+    if (!show) return;
+    PresenceService.setAway(true);
+    return () => PresenceService.setAway(false);
+  }, [show]);
+
   if (!show) return null;
 
   // Format time as M:SS
@@ -1,5 +1,10 @@
 // src/components/NavBar.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.2.24: Added Voucher Console menu item for admins/developers (after Invite New Player)
+// v0.2.23: Expiring soon indicator - rights lapsing within game-config rights_expiry.expiring_soon_days
+//          - RightsService.getExpiringRights() fetched with the pass and voucher balances
+//          - Hourglass with the soonest days left; the tooltip lists what lapses
+// v0.2.22: Added Era Editor menu item for admins/developers (next to Invite New Player)
 // v0.2.21: Added Fullscreen toggle option under Help menu
 //          - Toggles fullscreen mode on/off
 //          - Shows "Fullscreen (Esc)" label
@@ -60,9 +65,9 @@ import RightsService from '../services/RightsService';
 import PlayerProfileService from '../services/PlayerProfileService';
 import VoucherService from '../services/VoucherService';
 import { coreEngine, useGame } from '../context/GameContext';
-import { Recycle, Menu, LogOut, HelpCircle, TestTube, Coins, Diamond, Maximize2, Minimize2, Terminal, Mail } from 'lucide-react';
+import { Recycle, Menu, LogOut, HelpCircle, TestTube, Coins, Diamond, Hourglass, Maximize2, Minimize2, Terminal, Mail, Ticket, Map as MapIcon } from 'lucide-react';
 
-const version = 'v0.2.21';
+const version = 'v0.2.24';
 const tag = "NAVBAR";
 const module = "NavBar";
 let method = "";
@@ -79,7 +84,7 @@ const logerror = (message, error = null) => {
   }
 };
 
-const NavBar = ({ onShowAbout, onShowStats, onShowAchievements, onShowHelp, onShowTest, onShowErrorConsole, onShowAdminInvite, onCloseOverlay, hasActiveOverlay }) => {
+const NavBar = ({ onShowAbout, onShowStats, onShowAchievements, onShowHelp, onShowTest, onShowErrorConsole, onShowAdminInvite, onShowAdminVouchers, onShowEraEditor, onCloseOverlay, hasActiveOverlay }) => {
   method = 'NavBar';
   
   const {
@@ -114,6 +119,7 @@ const NavBar = ({ onShowAbout, onShowStats, onShowAchievements, onShowHelp, onSh
   const menuElementRef = useRef(null); // Ref for the menu element in the portal
   const [passBalance, setPassBalance] = useState(0);
   const [voucherBalance, setVoucherBalance] = useState(0);
+  const [expiringRights, setExpiringRights] = useState([]);
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [menuPosition, setMenuPosition] = useState({ top: 0, right: 0 });
 
@@ -155,11 +161,25 @@ const NavBar = ({ onShowAbout, onShowStats, onShowAchievements, onShowHelp, onSh
     }
   }, [playerId, isGuest]);
 
+  const fetchExpiringRights = useCallback(async () => {
+    method = 'fetchExpiringRights';
+    
+    if (!playerId || isGuest) {
+      setExpiringRights([]);
+      return;
+    }
+
+    const rights = await RightsService.getExpiringRights(playerId);
+    setExpiringRights(rights);
+    log(`Expiring rights fetched: ${rights.length}`);
+  }, [playerId, isGuest]);
+
   useEffect(() => {
     // Fetch when playerId changes OR when returning to 'era' state (after game)
     fetchPassBalance();
     fetchVoucherBalance();
-  }, [playerId, isGuest, currentState, fetchPassBalance, fetchVoucherBalance]); // Added fetchPassBalance to dependencies
+    fetchExpiringRights();
+  }, [playerId, isGuest, currentState, fetchPassBalance, fetchVoucherBalance, fetchExpiringRights]); // Added fetchPassBalance to dependencies
 
   // Force re-render and refresh pass balance when game state changes
   useEffect(() => {
@@ -169,9 +189,10 @@ const NavBar = ({ onShowAbout, onShowStats, onShowAchievements, onShowHelp, onSh
       // This ensures passes are reflected immediately after credit/consume operations
       fetchPassBalance();
       fetchVoucherBalance();
+      fetchExpiringRights();
     });
     return unsubscribe;
-  }, [subscribeToUpdates, fetchPassBalance, fetchVoucherBalance]);
+  }, [subscribeToUpdates, fetchPassBalance, fetchVoucherBalance, fetchExpiringRights]);
   
   // Check initial fullscreen state
   useEffect(() => {
@@ -460,6 +481,26 @@ const NavBar = ({ onShowAbout, onShowStats, onShowAchievements, onShowHelp, onSh
       onShowAdminInvite();
     }
   };
+
+  const handleAdminVouchers = () => {
+    method = 'handleAdminVouchers';
+    log('User clicked voucher console');
+    setShowUserMenu(false);
+    
+    if (onShowAdminVouchers) {
+      onShowAdminVouchers();
+    }
+  };
+
+  const handleEraEditor = () => {
+    method = 'handleEraEditor';
+    log('User clicked era editor');
+    setShowUserMenu(false);
+    
+    if (onShowEraEditor) {
+      onShowEraEditor();
+    }
+  };
     
   // In your admin page/component
   const handleReset = async () => {
@@ -553,7 +594,7 @@ const NavBar = ({ onShowAbout, onShowStats, onShowAchievements, onShowHelp, onSh
           )}
         </div>
         
-        {(passBalance > 0 || voucherBalance > 0) && (
+        {(passBalance > 0 || voucherBalance > 0 || expiringRights.length > 0) && (
           <div className="nav-bar__passes" style={{ display: 'flex', gap: '1rem', alignItems: 'center', fontSize: '0.875rem' }}>
             {passBalance > 0 && (
               <div style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
@@ -569,6 +610,21 @@ const NavBar = ({ onShowAbout, onShowStats, onShowAchievements, onShowHelp, onSh
                 <span className="voucher-label">{voucherBalance === 1 ? ' Voucher' : ' Vouchers'}</span>
               </div>
             )}
+            {expiringRights.length > 0 && (
+              <div
+                className="expiring-soon"
+                style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', color: 'var(--warning)' }}
+                title={expiringRights.map(right => right.rights_type === 'pass'
+                  ? `${right.uses_remaining} passes expire ${right.expires_at.slice(0, 10)}`
+                  : `${right.rights_value === 'era' ? 'All exclusive eras' : right.rights_value} expires ${right.expires_at.slice(0, 10)}`
+                ).join('\n')}
+              >
+                <Hourglass size={16} />
+                <span className="expiring-label">
+                  {`${expiringRights[0].daysLeft}d left`}
+                </span>
+              </div>
+            )}
           </div>
         )}
         
@@ -751,6 +807,34 @@ const NavBar = ({ onShowAbout, onShowStats, onShowAchievements, onShowHelp, onSh
                       </div>
                     )}
                     
+                    {(isAdmin || isDeveloper) && (
+                      <div
+                        className="action-menu__item action-menu__item--admin"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleAdminVouchers();
+                          setShowUserMenu(false);
+                        }}
+                      >
+                        <Ticket size={20} className="action-menu__emoji" />
+                        <span className="action-menu__label">Voucher Console</span>
+                      </div>
+                    )}
+                    
+                    {(isAdmin || isDeveloper) && (
+                      <div
+                        className="action-menu__item action-menu__item--admin"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleEraEditor();
+                          setShowUserMenu(false);
+                        }}
+                      >
+                        <MapIcon size={20} className="action-menu__emoji" />
+                        <span className="action-menu__label">Era Editor</span>
+                      </div>
+                    )}
+                    
                     {(isAdmin || isDeveloper) && (
                       <div
                         className="action-menu__item action-menu__item--admin"
@@ -0,0 +1,213 @@
+// src/components/ReplayViewer.js
+// Copyright(c) 2025, Clint H. O'Connor
+
+/**
+ * v0.1.4: Weather events; the board shows the weather of the current step
+ * v0.1.3: Ship movement events
+ * v0.1.2: Salvo events list every target cell
+ * v0.1.1: Munition events are described from the munition registry (depth charges, mines, recon)
+ * v0.1.0: Initial battle replay viewer
+ *         - Steps through a ReplayRecorder replay on CanvasBoard (read-only battle mode)
+ *         - Play/pause, step, jump to start/end and a scrub bar
+ *         - "View as" switches the captain whose fleet and shots are shown
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import CanvasBoard from './CanvasBoard';
+import Board from '../classes/Board';
+import ReplayRecorder, { REPLAY_FORMAT } from '../classes/ReplayRecorder';
+import MessageHelper from '../utils/MessageHelper';
+import { getMunition } from '../constants/Munitions';
+
+const version = 'v0.1.4';
+
+const PLAYBACK_INTERVAL = 800; // ms per event while playing
+
+const EVENT_LABELS = {
+  shot: 'fires at',
+  scatterShot: 'fires a scatter shot at',
+  starShell: 'fires a star shell over',
+  torpedo: 'fires a torpedo toward',
+  mine: 'lays a mine at'
+};
+
+/**
+ * Describe a replay event in one line
+ * @param {Object} event - Replay event
+ * @param {Array} players - Replay player snapshots
+ * @returns {string}
+ */
+const describeEvent = (event, players) => {
+  const name = (id) => players.find(p => p.id === id)?.name || 'Unknown';
+  const actor = name(event.playerId);
+
+  if (event.type === 'timeout') {
+    return `${actor} ran out of time (${event.action})`;
+  }
+  if (event.type === 'alliance') {
+    return `${actor} defects to ${event.alliance}`;
+  }
+  if (event.type === 'weather') {
+    return `The weather turns: ${event.weather?.label || 'unknown'}`;
+  }
+  if (event.type === 'move') {
+    const shipName = players.flatMap(p => p.ships).find(s => s.id === event.shipId)?.name || 'a ship';
+    return `${actor} moves ${shipName} to ${MessageHelper.formatCell(event.row, event.col)}`;
+  }
+
+  const target = event.type === 'salvo'
+    ? event.cells.map(cell => MessageHelper.formatCell(cell.row, cell.col)).join(', ')
+    : MessageHelper.formatCell(event.row, event.col);
+  const hits = event.cells.flatMap(cell => cell.hits);
+  const outcome = hits.length > 0
+    ? `hit${hits.some(h => h.sunk) ? ' - ship sunk' : ''}${hits.some(h => h.captured) ? ' - ship captured' : ''}`
+    : ({ reveal: 'illuminated', mine: 'armed' }[getMunition(event.type)?.effect] || 'miss');
+  if (event.type === 'salvo') {
+    return `${actor} fires a salvo of ${event.cells.length} at ${target}: ${outcome}`;
+  }
+
+  const label = EVENT_LABELS[event.type] ||
+    (getMunition(event.type) ? `fires ${getMunition(event.type).label.toLowerCase()} at` : 'acts at');
+
+  return `${actor} ${label} ${target}: ${outcome}`;
+};
+
+/**
+ * ReplayViewer - Move-by-move battle replay
+ *
+ * Rebuilds the position for the current step with ReplayRecorder.buildPosition()
+ * and hands it to CanvasBoard as the gameInstance. No Game is created, so no
+ * sounds, messages or AI turns fire while watching.
+ *
+ * @param {Object} replay - Replay JSON (game.replay.toJSON() or game_results.replay)
+ * @param {Object} eraConfig - Era configuration the battle was played in (terrain, ship art)
+ *
+ * @example
+ * <ReplayViewer replay={gameResults.replay} eraConfig={selectedEraConfig} />
+ */
+const ReplayViewer = ({ replay, eraConfig }) => {
+  const totalSteps = replay?.events?.length || 0;
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [viewerId, setViewerId] = useState(
+    () => replay?.players?.find(p => p.type === 'human')?.id || replay?.players?.[0]?.id || null
+  );
+
+  const supported = replay?.format === REPLAY_FORMAT;
+
+  const gameBoard = useMemo(() => (
+    eraConfig ? new Board(eraConfig.rows, eraConfig.cols, eraConfig.terrain) : null
+  ), [eraConfig]);
+
+  const position = useMemo(() => (
+    supported ? ReplayRecorder.buildPosition(replay, step) : null
+  ), [replay, step, supported]);
+
+  // Advance one event per interval while playing
+  useEffect(() => {
+    if (!playing) return;
+
+    if (step >= totalSteps) {
+      setPlaying(false);
+      return;
+    }
+
+    const timer = setTimeout(() => setStep(s => s + 1), PLAYBACK_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [playing, step, totalSteps]);
+
+  const gameState = useMemo(() => ({
+    isPlayerTurn: false,
+    isGameActive: false,
+    playerId: viewerId
+  }), [viewerId]);
+
+  if (!supported) {
+    console.warn('[REPLAY]', version, 'Unsupported replay format:', replay?.format);
+    return <p className="text-center text-muted">This replay was recorded in a format this version cannot play.</p>;
+  }
+
+  if (!eraConfig || !gameBoard) {
+    return <p className="text-center text-muted">Era data for this replay is not loaded.</p>;
+  }
+
+  const viewer = position.players.find(p => p.id === viewerId);
+  const eventText = position.event
+    ? `Turn ${position.event.turn + 1}: ${describeEvent(position.event, replay.players)}`
+    : 'Fleets in position';
+  const winnerName = replay.players.find(p => p.id === replay.winner)?.name;
+
+  const handlePlayPause = () => {
+    if (!playing && step >= totalSteps) {
+      setStep(0);
+    }
+    setPlaying(!playing);
+  };
+
+  const handleScrub = (e) => {
+    setPlaying(false);
+    setStep(Number(e.target.value));
+  };
+
+  const stepTo = (value) => {
+    setPlaying(false);
+    setStep(Math.min(totalSteps, Math.max(0, value)));
+  };
+
+  return (
+    <div className="replay-viewer">
+      <div className="view-mode-controls">
+        {replay.players.map(p => (
+          <button
+            key={p.id}
+            className={`view-mode-btn ${viewerId === p.id ? 'view-mode-btn--active' : ''}`}
+            onClick={() => setViewerId(p.id)}
+          >
+            VIEW AS {p.name.toUpperCase()}
+          </button>
+        ))}
+      </div>
+
+      <div className="game-board-container">
+        <CanvasBoard
+          mode="battle"
+          viewMode="blended"
+          eraConfig={eraConfig}
+          gameBoard={gameBoard}
+          gameInstance={position}
+          gameState={gameState}
+          player={viewer}
+        />
+      </div>
+
+      <div className="replay-viewer__event text-center">
+        {eventText}
+        {step === totalSteps && winnerName && ` - ${winnerName} wins!`}
+      </div>
+
+      <input
+        type="range"
+        className="replay-viewer__scrubber"
+        min={0}
+        max={totalSteps}
+        value={step}
+        onChange={handleScrub}
+        aria-label="Replay position"
+      />
+
+      <div className="btn-group replay-viewer__controls">
+        <button className="btn btn--secondary btn--sm" onClick={() => stepTo(0)} title="Back to the start">⏮</button>
+        <button className="btn btn--secondary btn--sm" onClick={() => stepTo(step - 1)} title="Previous move">◀</button>
+        <button className="btn btn--primary btn--sm" onClick={handlePlayPause}>
+          {playing ? '⏸ Pause' : '▶ Play'}
+        </button>
+        <button className="btn btn--secondary btn--sm" onClick={() => stepTo(step + 1)} title="Next move">▶</button>
+        <button className="btn btn--secondary btn--sm" onClick={() => stepTo(totalSteps)} title="Jump to the end">⏭</button>
+        <span className="text-secondary text-sm">{step} / {totalSteps}</span>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
+// EOF
@@ -0,0 +1,155 @@
+// src/components/RightsLedger.js
+// Copyright(c) 2025, Clint H. O'Connor
+
+/**
+ * v0.1.0: Passes & Access history (StatsPage tab)
+ *         - Credits by source, plays used with era and game, refunds/disputes and expiries
+ *         - Reads RightsService.getRightsLedger() - rows written by supabase-functions/add_rights_ledger.sql
+ */
+
+import React, { useState, useEffect } from 'react';
+import RightsService from '../services/RightsService';
+
+const version = 'v0.1.0';
+
+// rights_ledger.source for credits (RightsService.creditPasses sources plus purchase)
+const SOURCE_LABELS = {
+  achievement: 'Achievement reward',
+  referral: 'Referral',
+  bundle: 'Pass pack',
+  admin: 'Granted by admin',
+  voucher: 'Voucher',
+  purchase: 'Purchase'
+};
+
+// rights_ledger.source for revocations (stripe_webhook.js revoked_reason)
+const REVOKED_LABELS = {
+  refund: 'Refunded',
+  dispute: 'Disputed payment'
+};
+
+/**
+ * Name of what an entry added or took - passes, one era or every exclusive era
+ * @param {Object} entry - getRightsLedger entry
+ * @param {Map} eras - coreEngine.eras
+ * @returns {string}
+ */
+const describeRights = (entry, eras) => {
+  if (entry.rightsType === 'pass') {
+    return 'Passes';
+  }
+  if (entry.rightsValue === 'era') {
+    return 'All exclusive eras';
+  }
+  return eras?.get(entry.rightsValue)?.name || entry.rightsValue;
+};
+
+/**
+ * One line title for an entry
+ * @param {Object} entry - getRightsLedger entry
+ * @param {Map} eras - coreEngine.eras
+ * @returns {string}
+ */
+const describeEntry = (entry, eras) => {
+  switch (entry.kind) {
+    case 'debit':
+      return `Played ${eras?.get(entry.eraId)?.name || entry.eraId || 'a game'}`;
+    case 'revoked':
+      return `${REVOKED_LABELS[entry.source] || 'Revoked'}: ${describeRights(entry, eras)}`;
+    case 'expired':
+      return `Expired: ${describeRights(entry, eras)}`;
+    default:
+      return `${SOURCE_LABELS[entry.source] || 'Credit'}: ${describeRights(entry, eras)}`;
+  }
+};
+
+/**
+ * +N / -N, or Unlimited for era access without a play count
+ * @param {Object} entry - getRightsLedger entry
+ * @returns {string}
+ */
+const formatAmount = (entry) => {
+  if (entry.amount === null || entry.amount === undefined) {
+    return entry.kind === 'credit' ? 'Unlimited' : 'Access ended';
+  }
+  return entry.amount > 0 ? `+${entry.amount}` : `${entry.amount}`;
+};
+
+/**
+ * RightsLedger - Where a player's passes and era access came from and went
+ *
+ * @param {string} playerId - Player whose history to show (not a guest)
+ * @param {Map} eras - coreEngine.eras, for era names
+ * @param {Function} formatDate - StatsPage date formatter
+ */
+const RightsLedger = ({ playerId, eras, formatDate }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadLedger = async () => {
+      setLoading(true);
+      const ledger = await RightsService.getRightsLedger(playerId);
+      if (!cancelled) {
+        console.log(`[STATS] ${version} RightsLedger.loadLedger: ${ledger.length} entries`);
+        setEntries(ledger);
+        setLoading(false);
+      }
+    };
+
+    loadLedger();
+    return () => {
+      cancelled = true;
+    };
+  }, [playerId]);
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner spinner--lg"></div>
+        <p>Loading history...</p>
+      </div>
+    );
+  }
+
+  if (entries.length === 0) {
+    return (
+      <div className="empty-state">
+        <p>No passes or era access yet.</p>
+        <p className="text-secondary">Rewards, purchases and vouchers will show up here.</p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <h3 className="section-title">Passes & Access History</h3>
+      <div className="scrollable-list">
+        {entries.map(entry => (
+          <div
+            key={entry.id}
+            className={`selectable-item ${entry.kind === 'credit' ? 'border-success' : 'border-error'}`}
+          >
+            <div className="flex-between">
+              <div>
+                <div className="item-name">{describeEntry(entry, eras)}</div>
+                {entry.gameId && (
+                  <div className="text-secondary text-sm">Game {entry.gameId}</div>
+                )}
+              </div>
+              <div className="text-right">
+                <div className="badge badge--primary">{formatAmount(entry)}</div>
+                <div className="text-secondary text-sm mt-xs">{formatDate(entry.createdAt)}</div>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+};
+
+export default RightsLedger;
+// EOF
@@ -1,5 +1,10 @@
 // src/components/TargetOptionsMenu.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.2.5: moves - ship movement options for our own ship under the cell (game_rules.ship_movement)
+// v0.2.4: Munition options come from the munition registry (constants/Munitions.js)
+//         - Action ids are registry ids ('starShell', 'depthCharge', ...), counts are munitions[stockKey]
+//         - canFire(id) greys out munitions the chosen cell does not allow (terrain, no carrier)
+// v0.2.3: Torpedo count comes from the current player's munitions inventory
 // v0.2.2: Filter out munitions with zero count from menu display
 // v0.2.1: Added torpedo option (only when submarine has torpedoes)
 // v0.2.0: Renamed from ActionMenu to TargetOptionsMenu (semantic accuracy)
@@ -11,39 +16,13 @@
 
 import React from 'react';
 import useGameState from '../hooks/useGameState';
+import { MUNITIONS } from '../constants/Munitions';
 
-const version = 'v0.2.2';
+const version = 'v0.2.5';
 
-const TargetOptionsMenu = ({ x, y, onAction, onClose }) => {
-  const { munitions, humanPlayer } = useGameState();
-    console.log('[MUNITIONS] Received munitions:', munitions);  // ADD THIS LINE
-
-    // Check if player has any submarine with torpedoes available
-    const getTotalTorpedoes = () => {
-      if (!humanPlayer?.fleet?.ships) {
-        console.log('[MUNITIONS] No humanPlayer or fleet.ships');
-        return 0;
-      }
-      
-      const submarines = humanPlayer.fleet.ships.filter(ship => {
-        const isSub = ship.class?.toLowerCase() === 'submarine';
-        const notSunk = !ship.isSunk();
-        const hasTorpedoes = ship.getTorpedoes && ship.getTorpedoes() > 0;
-        console.log('[MUNITIONS] Ship:', ship.name, 'class:', ship.class, 'isSub:', isSub, 'notSunk:', notSunk, 'torpedoes:', ship.getTorpedoes ? ship.getTorpedoes() : 'no method');
-        return isSub && notSunk && hasTorpedoes;
-      });
-      
-      const total = submarines.reduce((sum, ship) => {
-        const count = ship.getTorpedoes ? ship.getTorpedoes() : 0;
-        return sum + count;
-      }, 0);
-      
-      console.log('[MUNITIONS] Found', submarines.length, 'submarines with', total, 'total torpedoes');
-      return total;
-    };
-    
-    const totalTorpedoes = getTotalTorpedoes();
-    console.log('[MUNITIONS] Total torpedoes available:', totalTorpedoes);
+const TargetOptionsMenu = ({ x, y, onAction, onClose, canFire = null, moves = [] }) => {
+  const { munitions } = useGameState();
+    console.log('[MUNITIONS]', version, 'Received munitions:', munitions);
 
     const allActions = [
     {
@@ -52,32 +31,27 @@ const TargetOptionsMenu = ({ x, y, onAction, onClose }) => {
       emoji: '🎯',
       enabled: true
     },
-    {
-      id: 'star',
-      label: 'Star Shell',
-      emoji: '✨',
-        enabled: munitions.starShells > 0,
-        count: munitions.starShells
-    },
-    {
-      id: 'scatter',
-      label: 'Scatter Shot',
-      emoji: '💥',
-      enabled: munitions.scatterShot > 0,
-      count: munitions.scatterShot
-    },
-    {
-      id: 'torpedo',
-      label: 'Torpedo',
-      emoji: '🚀',
-      enabled: totalTorpedoes > 0,
-      count: totalTorpedoes
-    }
+    ...Object.values(MUNITIONS).map(munition => {
+      const count = munitions[munition.stockKey] || 0;
+      return {
+        id: munition.id,
+        label: munition.label,
+        emoji: munition.emoji,
+        enabled: count > 0 && (!canFire || canFire(munition.id)),
+        count
+      };
+    }),
+    ...moves.map(move => ({
+      id: move.id,
+      label: move.label,
+      emoji: '⛵',
+      enabled: true
+    }))
   ];
   
   // Filter out munitions with zero count (always show 'shot' as it's always available)
   const actions = allActions.filter(action => 
-    action.id === 'shot' || (action.enabled && (action.count === undefined || action.count > 0))
+    action.id === 'shot' || action.count === undefined || action.count > 0
   );
 
   const handleAction = (actionId) => {
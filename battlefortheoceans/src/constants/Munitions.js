@@ -0,0 +1,169 @@
+// src/constants/Munitions.js
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.1: gameRule - game_rules flag an era needs before it may stock the munition (mines need
+//         ship_movement; ConfigValidator checks it)
+// v0.1.0: Munition registry - every special weapon declared in one place
+//         - Game fires them, TargetOptionsMenu lists them, FleetStatusSidebar counts them and
+//           CanvasBoard/AnimationManager animate them from these entries (no hard-coded ids)
+//         - Star shell, scatter shot and torpedo as before; new depth charge, mine and aerial recon
+//         - Counts come from era config munitions (countKey, plus countKey_boost per extra opponent),
+//           damage from game-config munitions_damage (damageKey, registry damage as fallback)
+//         - No imports - safe to load from anywhere (like GameEvents)
+
+const version = "v0.1.1";
+
+/**
+ * Munition registry
+ *
+ * id         - action id (Game.fireMunition, TargetOptionsMenu)
+ * stockKey   - key in the player's inventory (Game.getMunitionInventory)
+ * countKey   - era config munitions count
+ * damageKey  - game-config munitions_damage entry
+ * damage     - damage when game-config has no entry
+ * pattern    - cells affected around the target:
+ *              { shape: 'single' | 'square' | 'plus' | 'row' | 'line', radius, falloff, range }
+ *              falloff: opacity halves with each ring (star shell glow)
+ * effect     - 'reveal' (show enemy ships), 'damage', 'mine' (lies in wait), 'torpedo' (runs a line)
+ * hides      - ship classes a reveal cannot see
+ * targets    - ship classes a damage munition can hurt (default: all)
+ * terrain    - terrain the target cell must be (default: anywhere on the board)
+ * requires   - ship class that must still be afloat to fire it
+ * carriedBy  - ship class that carries the stock (torpedoes live on Ship, not in the inventory)
+ * gameRule   - game_rules flag the era must turn on (a mine only goes off when a ship moves onto it)
+ * color      - animation color
+ */
+export const MUNITIONS = {
+  starShell: {
+    id: 'starShell',
+    label: 'Star Shell',
+    emoji: '✨',
+    stockKey: 'starShells',
+    countKey: 'star_shells',
+    damageKey: 'star_shell',
+    damage: 0,
+    pattern: { shape: 'square', radius: 2, falloff: true },
+    effect: 'reveal',
+    hides: ['submarine'],
+    color: 'rgba(255, 255, 200, 0.8)'
+  },
+  scatterShot: {
+    id: 'scatterShot',
+    label: 'Scatter Shot',
+    emoji: '💥',
+    stockKey: 'scatterShot',
+    countKey: 'scatter_shot',
+    damageKey: 'scatter_shot',
+    damage: 0.1,
+    pattern: { shape: 'square', radius: 1 },
+    effect: 'damage',
+    color: 'rgba(255, 140, 0, 0.8)'
+  },
+  depthCharge: {
+    id: 'depthCharge',
+    label: 'Depth Charge',
+    emoji: '💣',
+    stockKey: 'depthCharges',
+    countKey: 'depth_charges',
+    damageKey: 'depth_charge',
+    damage: 0.5,
+    pattern: { shape: 'plus', radius: 1 },
+    effect: 'damage',
+    targets: ['submarine'],
+    terrain: ['deep'],
+    color: 'rgba(0, 90, 170, 0.8)'
+  },
+  mine: {
+    id: 'mine',
+    label: 'Mine',
+    emoji: '⚓',
+    stockKey: 'mines',
+    countKey: 'mines',
+    damageKey: 'mine',
+    damage: 1.0,
+    pattern: { shape: 'single' },
+    effect: 'mine',
+    terrain: ['shallow', 'shoal'],
+    gameRule: 'ship_movement',
+    color: 'rgba(90, 90, 90, 0.9)'
+  },
+  aerialRecon: {
+    id: 'aerialRecon',
+    label: 'Aerial Recon',
+    emoji: '🛩️',
+    stockKey: 'aerialRecon',
+    countKey: 'aerial_recon',
+    damageKey: 'aerial_recon',
+    damage: 0,
+    pattern: { shape: 'row' },
+    effect: 'reveal',
+    hides: ['submarine'],
+    requires: 'carrier',
+    color: 'rgba(200, 230, 255, 0.8)'
+  },
+  torpedo: {
+    id: 'torpedo',
+    label: 'Torpedo',
+    emoji: '🚀',
+    stockKey: 'torpedoes',
+    countKey: 'torpedoes',
+    damageKey: 'torpedo',
+    damage: 1.0,
+    pattern: { shape: 'line', range: 10 },
+    effect: 'torpedo',
+    carriedBy: 'submarine',
+    color: 'rgba(255, 0, 0, 0.8)'
+  }
+};
+
+/**
+ * Registry entry for an id (undefined for unknown ids)
+ */
+export const getMunition = (munitionId) => MUNITIONS[munitionId];
+
+/**
+ * Cells a munition affects, with an opacity for reveal effects
+ * 'line' (torpedo) only returns the target - Game.calculateLinePath() plots the run
+ * @param {Object} munition - Registry entry
+ * @param {number} row - Target row
+ * @param {number} col - Target column
+ * @param {number} rows - Board rows
+ * @param {number} cols - Board columns
+ * @returns {Array} [{ row, col, opacity }] inside the board
+ */
+export const getPatternCells = (munition, row, col, rows, cols) => {
+  const { shape, radius = 0, falloff = false } = munition.pattern;
+  const cells = [];
+  const add = (r, c, distance) => {
+    if (r >= 0 && r < rows && c >= 0 && c < cols) {
+      cells.push({ row: r, col: c, opacity: falloff ? 1 / Math.pow(2, distance) : 1.0 });
+    }
+  };
+
+  if (shape === 'square') {
+    for (let dr = -radius; dr <= radius; dr++) {
+      for (let dc = -radius; dc <= radius; dc++) {
+        add(row + dr, col + dc, Math.max(Math.abs(dr), Math.abs(dc)));
+      }
+    }
+  } else if (shape === 'plus') {
+    add(row, col, 0);
+    for (let d = 1; d <= radius; d++) {
+      add(row - d, col, d);
+      add(row + d, col, d);
+      add(row, col - d, d);
+      add(row, col + d, d);
+    }
+  } else if (shape === 'row') {
+    for (let c = 0; c < cols; c++) {
+      add(row, c, 0);
+    }
+  } else {
+    add(row, col, 0);
+  }
+
+  return cells;
+};
+
+console.log(`[Munitions ${version}] ${Object.keys(MUNITIONS).length} munition types registered`);
+
+// EOF
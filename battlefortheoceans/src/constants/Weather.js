@@ -0,0 +1,91 @@
+// src/constants/Weather.js
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.0: Weather registry - every sea condition declared in one place
+//         - Game rolls the era's weather table (era config weather), CombatResolver scales damage
+//           by accuracy, star shells shrink to starShellRadius and the renderers draw tint/effect
+//         - Era table entries can override accuracy, star_shell_radius, hide_misses and label
+//         - No imports - safe to load from anywhere (like Munitions)
+
+const version = "v0.1.0";
+
+/**
+ * Weather registry
+ *
+ * id              - condition id (era config weather.conditions[].id)
+ * label           - shown in the message console and battle messages
+ * emoji           - weather badge
+ * accuracy        - damage multiplier for every shot fired in it (CombatResolver.calculateDamage)
+ * starShellRadius - largest star shell radius it allows (null: no limit)
+ * hideMisses      - water misses are not drawn while it lasts (the shots still count)
+ * tint            - TerrainRenderer wash over the water (null: none)
+ * effect          - HitOverlayRenderer animation: 'fog' (drifting banks), 'rain' (streaks) or null
+ */
+export const WEATHER = {
+  clear: {
+    id: 'clear',
+    label: 'Clear Skies',
+    emoji: '☀️',
+    accuracy: 1.0,
+    starShellRadius: null,
+    hideMisses: false,
+    tint: null,
+    effect: null
+  },
+  fog: {
+    id: 'fog',
+    label: 'Fog Bank',
+    emoji: '🌫️',
+    accuracy: 0.75,
+    starShellRadius: 1,
+    hideMisses: true,
+    tint: 'rgba(225, 230, 235, 0.45)',
+    effect: 'fog'
+  },
+  night: {
+    id: 'night',
+    label: 'Night',
+    emoji: '🌙',
+    accuracy: 0.85,
+    starShellRadius: null,
+    hideMisses: false,
+    tint: 'rgba(10, 20, 60, 0.35)',
+    effect: null
+  },
+  storm: {
+    id: 'storm',
+    label: 'Storm',
+    emoji: '⛈️',
+    accuracy: 0.6,
+    starShellRadius: 1,
+    hideMisses: false,
+    tint: 'rgba(60, 70, 90, 0.3)',
+    effect: 'rain'
+  }
+};
+
+/**
+ * Registry entry for an id (undefined for unknown ids)
+ */
+export const getWeather = (weatherId) => WEATHER[weatherId];
+
+/**
+ * Registry entry with an era table entry's overrides applied
+ * @param {Object} entry - Era config weather.conditions[] entry ({ id, weight, accuracy?, ... })
+ * @returns {Object|null} Condition, null for unknown ids
+ */
+export const resolveWeather = (entry) => {
+  const base = WEATHER[entry?.id];
+  if (!base) return null;
+
+  return {
+    ...base,
+    label: entry.label ?? base.label,
+    accuracy: entry.accuracy ?? base.accuracy,
+    starShellRadius: entry.star_shell_radius ?? base.starShellRadius,
+    hideMisses: entry.hide_misses ?? base.hideMisses
+  };
+};
+
+console.log(`[Weather ${version}] ${Object.keys(WEATHER).length} weather conditions registered`);
+
+// EOF
@@ -1,5 +1,30 @@
 // src/engines/CoreEngine.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.6.58: Weather - getUIState() weather (the game's current condition, null when the era has none)
+// v0.6.57: Ship movement - moveShip() wrapper (game_rules.ship_movement)
+// v0.6.56: Salvo rule - toggleSalvoTarget()/fireSalvo() wrappers; getUIState() salvo { size, targets }
+// v0.6.55: getUIState() munitions are the active player's inventory (Game.getMunitionInventory),
+//          including torpedoes
+// v0.6.54: Player presence and challenges (PresenceService)
+//          - updatePresence() after every transition: idle, in-era-select or in-battle
+//          - Matchmaking for a specific captain sends them a challenge for the selected era
+//          - acceptChallenge()/declineChallenge() for challenges sent to us
+//          - A declined or expired challenge stops the search (matchmakingError)
+//          - logout() leaves the lobby
+// v0.6.53: Online battles (MatchService / RemoteMatch)
+//          - matchmaking state: opponent → matchmaking → placement once a match is found
+//          - waiting state: placement → waiting → play once both fleets are committed
+//          - remoteMatch holds the open match; leaveRemoteMatch() when leaving for opponent/era/logout
+//          - Opponent leaving before the battle returns to opponent selection (matchmakingError)
+//          - isPlayerTurn is false while our shot waits for the opponent's result
+// v0.6.52: Config validation errors (ConfigLoader isConfigError) surface through handleKeyDataError()
+//          - handleKeyDataError() takes an optional player-facing message, shown even before login
+//          - An era that fails validation is left out of this.eras instead of crashing Game later
+// v0.6.51: replaySeed - when set, the next game uses this seed (replay a reported game exactly)
+// v0.6.50: Hot-seat (pass-and-play) support - no longer assumes a single this.player
+//          - activePlayer: the human whose fleet this device is showing
+//          - getActivePlayer()/setActivePlayer(), getHumanPlayers(), isHotSeat
+//          - handleAttack() fires for the current human, getUIState() stats follow activePlayer
 // v0.6.49: Fixed key data error appearing during logout
 //          - handleKeyDataError now skips error if player is null (planned logout)
 //          - handleEvent_launch clears keyDataError if this is a logout scenario
@@ -94,8 +119,10 @@ import GameLifecycleManager from '../classes/GameLifecycleManager.js';
 import ConfigLoader, { isNetworkError } from '../utils/ConfigLoader';
 import { retryWithBackoff, isNetworkErrorForRetry } from '../utils/retryWithBackoff';
 import { supabase } from '../utils/supabaseClient';
+import MatchService from '../services/MatchService.js';
+import PresenceService, { PRESENCE_STATUS } from '../services/PresenceService.js';
 
-const version = 'v0.6.49';
+const version = 'v0.6.58';
 const tag = "CORE";
 const module = "CoreEngine";
 let method = "";
@@ -137,7 +164,9 @@ class CoreEngine {
       LOGIN: Symbol('LOGIN'),
       SELECTERA: Symbol('SELECTERA'),
       SELECTOPPONENT: Symbol('SELECTOPPONENT'),
+      MATCHMAKING: Symbol('MATCHMAKING'),
       PLACEMENT: Symbol('PLACEMENT'),
+      WAITING: Symbol('WAITING'),
       PLAY: Symbol('PLAY'),
       OVER: Symbol('OVER')
     };
@@ -166,10 +195,25 @@ class CoreEngine {
       opponent: {
         on: {
           [this.events.PLACEMENT]: 'placement',
+          [this.events.MATCHMAKING]: 'matchmaking',
           [this.events.SELECTERA]: 'era',
         }
       },
+      matchmaking: {
+        on: {
+          [this.events.MATCHMAKING]: 'matchmaking',
+          [this.events.PLACEMENT]: 'placement',
+          [this.events.SELECTOPPONENT]: 'opponent',
+        }
+      },
       placement: {
+        on: {
+          [this.events.PLAY]: 'play',
+          [this.events.WAITING]: 'waiting',
+          [this.events.SELECTOPPONENT]: 'opponent',
+        }
+      },
+      waiting: {
         on: {
           [this.events.PLAY]: 'play',
           [this.events.SELECTOPPONENT]: 'opponent',
@@ -202,11 +246,16 @@ class CoreEngine {
     this.player = null;             // set during Login state, Player instance (per-game)
     this.playerProfile = null;      // set during Login state, PlayerProfile instance (persistent career stats)
     this.playerEmail = null;          // set during Login state
+    this.activePlayer = null;       // set during Placement state, human shown on this device (hot seat)
       
     this.eraConfig = null;
     this._selectedEraId = null;     // getter/setter, set during SelectEra state
     this._selectedOpponents = [];
     this._selectedAlliance = null;
+    this.replaySeed = null;         // set to a game_results/error report seed to replay that game
+    this.remoteMatch = null;        // set during Matchmaking state, open RemoteMatch (online battles)
+    this.matchmakingError = null;   // why the last online match ended before the battle
+    this.challengeId = null;        // set during Matchmaking state, challenge we sent (PresenceService)
     
     // Error state for graceful error handling
     this.keyDataError = null;       // stores key data error message when data is lost
@@ -234,6 +283,9 @@ class CoreEngine {
     
     this.navigationManager = new NavigationManager(this);
     
+    // Challenges arrive between transitions
+    PresenceService.subscribe(changes => this.handleChallengeChange(changes));
+    
     // =================================================================
     // SESSION RESTORATION
     // =================================================================
@@ -255,6 +307,10 @@ class CoreEngine {
           this.networkErrorHandled = false; // Reset on successful load
         })
         .catch(error => {
+          if (error.isConfigError) {
+            this.handleKeyDataError('config', error.message, 'Game configuration has errors, please try again later');
+            return;
+          }
           this.handleNetworkError('config', error);
         });
 
@@ -285,6 +341,10 @@ class CoreEngine {
               );
               this.eras.set(era.id, fullConfig);
             } catch (error) {
+              if (error.isConfigError) {
+                this.handleKeyDataError('era-config', error.message, `The ${era.id} era is unavailable - its configuration has errors`);
+                continue;
+              }
               // Log error but continue loading other eras
               this.logwarn(`Failed to load era config for ${era.id} after retries:`, error);
               // Don't break - continue loading other eras
@@ -361,6 +421,7 @@ class CoreEngine {
 
     // Save session
     this.saveSession();
+    this.updatePresence();
 
     // Notify UI
     this.notifySubscribers();
@@ -396,6 +457,7 @@ class CoreEngine {
     
     // Save session and notify
     this.saveSession();
+    this.updatePresence();
     this.notifySubscribers();
     
     this.log(`State restoration complete: ${state}`);
@@ -432,15 +494,17 @@ class CoreEngine {
    * Logs warning, saves error message, and navigates to Launch state
    * Bypasses normal state transition validation since this is an error recovery path
    * @param {string} stateName - Name of the state where error occurred
-   * @param {string} errorMessage - Error message to display
+   * @param {string} errorMessage - Error message to log (technical detail)
+   * @param {string|null} playerMessage - Message shown on LaunchPage (default: generic key data message)
    */
-  handleKeyDataError(stateName, errorMessage) {
+  handleKeyDataError(stateName, errorMessage, playerMessage = null) {
     method = 'handleKeyDataError';
     
     // Skip if this is a planned logout (player is null)
     // During logout, key data is intentionally cleared, so this is not an error
     // Launch page also doesn't require player data, so missing player there is expected
-    if (!this.player) {
+    // Config errors (playerMessage set) happen at startup, before anyone logs in - always show them
+    if (!this.player && !playerMessage) {
       this.log('Key data check with no player - skipping error (expected during logout or on launch page)');
       return;
     }
@@ -450,9 +514,15 @@ class CoreEngine {
     // Save error message - use simple, non-technical message for players
     this.keyDataError = {
       state: stateName,
-      message: `Key data lost, restarting game`
+      message: playerMessage || `Key data lost, restarting game`
     };
     
+    // Already on Launch (startup config errors) - just show the message
+    if (this.currentState === 'launch') {
+      this.notifySubscribers();
+      return;
+    }
+    
     // Directly transition to Launch state (bypasses dispatch validation)
     // This allows recovery from any state, not just states with defined LAUNCH transitions
     this.transition('launch');
@@ -519,8 +589,11 @@ class CoreEngine {
       // coreEngine.selectedEraConfig (from eras array)
     
     // Clear alliance and opponents - they're era-specific
+    this.activePlayer = null;
     this.selectedAlliance = null;
     this.selectedOpponents = [];
+    this.matchmakingError = null;
+    this.leaveRemoteMatch();
     this.log('Era selection state - cleared alliance and opponents');
   }
 
@@ -529,9 +602,85 @@ class CoreEngine {
       // SelectOpponent determines which opponent(s) the player will be facing.
       // upon dispatch to placement state, the following are known for the rest of the game:
       // coreEngine.selectedOpponents
+    this.leaveRemoteMatch();
     this.log('Opponent selection state');
   }
 
+  handleEvent_matchmaking() {
+    method = 'handleEvent_matchmaking';
+      // Matchmaking finds the human opponent chosen on SelectOpponent (or anyone for a quick match).
+      // upon dispatch to placement state, the following are known for the rest of the game:
+      // coreEngine.remoteMatch
+      // coreEngine.selectedOpponents ([{ id, name, type: 'remote' }])
+    this.leaveRemoteMatch();
+    this.matchmakingError = null;
+    
+    const opponent = this.selectedOpponent;
+    if (!this.player || !opponent || !this.selectedEraId) {
+      this.handleKeyDataError('matchmaking', `key data missing: player=${!!this.player}, opponent=${!!opponent}, era=${this.selectedEraId}`);
+      return;
+    }
+    
+    this.log(`Searching for ${opponent.id ? opponent.name : 'any captain'}`);
+    
+    // A specific captain is told we are waiting for them (unless we are answering their challenge)
+    if (opponent.id && !opponent.challengeId && PresenceService.isTracking) {
+      PresenceService.sendChallenge(
+        { id: opponent.id, name: opponent.name },
+        { id: this.selectedEraId, name: this.selectedEraConfig?.name },
+        this.selectedAlliance
+      )
+        .then(challenge => {
+          this.challengeId = challenge.id;
+        })
+        .catch(error => {
+          this.logerror('Failed to send challenge:', error);
+        });
+    }
+    
+    MatchService.findMatch({
+      eraId: this.selectedEraId,
+      player: { id: this.player.id, name: this.playerGameName || this.player.name },
+      opponentId: opponent.id || null,
+      alliance: this.selectedAlliance
+    })
+      .then(match => {
+        method = 'handleEvent_matchmaking';
+        if (this.currentState !== 'matchmaking') {
+          match.leave();
+          return;
+        }
+        this.remoteMatch = match;
+        this.challengeId = null;
+        match.onStatusChange = (status, changed) => this.handleRemoteMatchStatus(status, changed);
+        this.selectedOpponents = [{
+          id: match.opponent.id,
+          name: match.opponent.name,
+          description: 'Online captain',
+          type: 'remote'
+        }];
+        this.log(`Matched with ${match.opponent.name} (${match.role})`);
+        this.dispatch(this.events.PLACEMENT);
+      })
+      .catch(error => {
+        if (error.isCancelled) {
+          return;
+        }
+        method = 'handleEvent_matchmaking';
+        this.logerror('Matchmaking failed:', error);
+        this.matchmakingError = 'Could not reach the matchmaking service, please try again';
+        this.notifySubscribers();
+      });
+  }
+
+  /**
+   * Stop searching and go back to opponent selection
+   */
+  cancelMatchmaking() {
+    method = 'cancelMatchmaking';
+    this.dispatch(this.events.SELECTOPPONENT);
+  }
+
   handleEvent_placement() {
     method = 'handleEvent_placement';
 
@@ -557,6 +706,21 @@ class CoreEngine {
       this.log('Player stats reset for new game');
     }
     
+    // Logged-in player places first (hot seat hands over afterwards)
+    this.activePlayer = this.player;
+    
+    if (this.selectedOpponent?.type === 'remote') {
+      if (!this.remoteMatch?.isOpen) {
+        // Rematch - the last match closed when its battle ended, find the captain again
+        this.log(`Rematch with ${this.selectedOpponent.name} - back to matchmaking`);
+        this.selectedOpponents = [{ ...this.selectedOpponent, type: 'human' }];
+        this.transition('matchmaking');
+        return;
+      }
+    } else {
+      this.leaveRemoteMatch();
+    }
+    
     // Initialize placement (creates game, board, etc.)
     this.lifecycleManager.initializeForPlacement(this);
     
@@ -580,10 +744,176 @@ class CoreEngine {
             this.logerror('Failed to track game start:', error);
         });
 
-        this.gameInstance.startGame();
+        this.gameInstance.startGame().then(() => {
+          if (this.remoteMatch?.isOpen) {
+            this.remoteMatch.start();
+          }
+        });
         this.notifySubscribers();
     }
 
+  handleEvent_waiting() {
+    method = 'handleEvent_waiting';
+      // Waiting: our fleet is placed, the online opponent may still be placing theirs.
+      // RemoteMatch status 'ready' (both fleets committed) dispatches PLAY.
+    if (!this.remoteMatch?.isOpen || !this.gameInstance) {
+      this.logwarn('Waiting without an open match - back to opponent selection');
+      this.transition('opponent');
+      return;
+    }
+    
+    this.log(`Waiting for ${this.remoteMatch.opponent.name}`);
+    this.remoteMatch.sendReady().catch(error => {
+      this.logerror('Failed to send ready:', error);
+    });
+  }
+
+  /**
+   * RemoteMatch status changed (see RemoteMatch.setStatus)
+   * @param {string} status - New match status
+   * @param {RemoteMatch} match - Match that changed
+   */
+  handleRemoteMatchStatus(status, match) {
+    method = 'handleRemoteMatchStatus';
+    if (match !== this.remoteMatch) {
+      return;
+    }
+    
+    if (status === 'ready' && this.currentState === 'waiting') {
+      this.log('Both fleets ready - battle starts');
+      this.dispatch(this.events.PLAY);
+      return;
+    }
+    
+    if (status === 'closed' && ['placement', 'waiting'].includes(this.currentState) && match.closeReason !== 'left') {
+      this.logwarn(`${match.opponent.name} left before the battle (${match.closeReason})`);
+      this.matchmakingError = `${match.opponent.name} left before the battle started`;
+      this.remoteMatch = null;
+      this.dispatch(this.events.SELECTOPPONENT);
+      return;
+    }
+    
+    this.notifySubscribers();
+  }
+
+  /**
+   * Stop searching and leave the online match (if any) - the opponent is told we left
+   */
+  leaveRemoteMatch() {
+    method = 'leaveRemoteMatch';
+    MatchService.cancel();
+    if (this.challengeId) {
+      PresenceService.cancelChallenge(this.challengeId);
+      this.challengeId = null;
+    }
+    if (!this.remoteMatch) {
+      return;
+    }
+    const match = this.remoteMatch;
+    this.remoteMatch = null;
+    match.onStatusChange = null;
+    match.leave().catch(error => {
+      this.logerror('Failed to leave match:', error);
+    });
+    this.log(`Left match ${match.matchId}`);
+  }
+
+  // =================================================================
+  // PRESENCE AND CHALLENGES
+  // =================================================================
+
+  /**
+   * Tell the lobby where we are - called after every transition
+   * Guests are not listed (PresenceService.start ignores them)
+   */
+  updatePresence() {
+    if (!this.player) {
+      return;
+    }
+    PresenceService.start({ id: this.player.id, name: this.playerGameName || this.player.name });
+    
+    let status = PRESENCE_STATUS.IDLE;
+    if (['era', 'opponent', 'matchmaking'].includes(this.currentState)) {
+      status = PRESENCE_STATUS.ERA_SELECT;
+    } else if (['placement', 'waiting', 'play'].includes(this.currentState)) {
+      status = PRESENCE_STATUS.BATTLE;
+    }
+    const eraId = this.currentState === 'era' ? null : this.selectedEraId;
+    PresenceService.setStatus(status, eraId);
+  }
+
+  /**
+   * Challenges we can answer right now - only while choosing an era or opponent
+   */
+  get incomingChallenges() {
+    if (!['era', 'opponent'].includes(this.currentState)) {
+      return [];
+    }
+    return PresenceService.incoming.filter(challenge => this.eras.has(challenge.era_id));
+  }
+
+  /**
+   * PresenceService polled new challenges or an answer to ours
+   * @param {Object} changes - { incoming, outgoing }
+   */
+  handleChallengeChange({ outgoing }) {
+    method = 'handleChallengeChange';
+    
+    if (this.currentState === 'matchmaking' && outgoing?.id === this.challengeId
+        && ['declined', 'expired', 'cancelled'].includes(outgoing.status)) {
+      const name = this.selectedOpponent?.name || 'Your opponent';
+      this.log(`Challenge ${outgoing.status}`);
+      this.challengeId = null;
+      MatchService.cancel();
+      this.matchmakingError = outgoing.status === 'declined'
+        ? `${name} declined your challenge`
+        : `${name} did not answer your challenge`;
+    }
+    
+    this.notifySubscribers();
+  }
+
+  /**
+   * Accept a challenge - switches to its era and searches for the challenger
+   * @param {Object} challenge - Row from PresenceService.incoming
+   */
+  async acceptChallenge(challenge) {
+    method = 'acceptChallenge';
+    
+    const accepted = await PresenceService.respondToChallenge(challenge.id, true);
+    if (!accepted) {
+      this.logwarn(`Challenge from ${challenge.from_name} is no longer open`);
+      this.notifySubscribers();
+      return false;
+    }
+    
+    this.log(`Accepted ${challenge.from_name}'s challenge to ${challenge.era_name}`);
+    this.selectedEraId = challenge.era_id;
+    this.selectedAlliance = this.selectedEraConfig?.game_rules?.choose_alliance && challenge.alliance
+      ? this.lifecycleManager.getOpposingAlliance(challenge.alliance)
+      : null;
+    this.selectedOpponents = [{
+      id: challenge.from_player_id,
+      name: challenge.from_name,
+      description: 'Online captain',
+      type: 'human',
+      challengeId: challenge.id
+    }];
+    this.transition('matchmaking');
+    return true;
+  }
+
+  /**
+   * Decline a challenge sent to us
+   * @param {Object} challenge - Row from PresenceService.incoming
+   */
+  async declineChallenge(challenge) {
+    method = 'declineChallenge';
+    this.log(`Declined ${challenge.from_name}'s challenge`);
+    await PresenceService.respondToChallenge(challenge.id, false);
+    this.notifySubscribers();
+  }
+
   handleEvent_over() {
     method = 'handleEvent_over';
     this.log('Game over state');
@@ -666,8 +996,9 @@ class CoreEngine {
       return null;
     }
 
-    const player = this.gameInstance.players.find(p => p.type === 'human');
-    if (!player) {
+    // Hot seat has two humans - fire for whoever's turn it is
+    const player = this.gameInstance.getCurrentPlayer();
+    if (player?.type !== 'human') {
       this.logwarn('No human player found');
       return null;
     }
@@ -676,8 +1007,8 @@ class CoreEngine {
   }
 
   /**
-   * Fire a munition (star shell, scatter shot)
-   * @param {String} munitionType - Type of munition ('starShell', 'scatterShot')
+   * Fire a munition (star shell, scatter shot, depth charge, mine, aerial recon, torpedo)
+   * @param {String} munitionType - Munition registry id (constants/Munitions.js)
    * @param {Number} row - Target row
    * @param {Number} col - Target column
    * @returns {Boolean} Success
@@ -696,6 +1027,58 @@ class CoreEngine {
     
     return result;
   }
+
+  /**
+   * Move one of the current human's ships - spends the turn (game_rules.ship_movement)
+   * @param {String} shipId - Ship to move
+   * @param {Number} dRow - Rows to move (negative = up)
+   * @param {Number} dCol - Columns to move (negative = left)
+   * @returns {Boolean} Success
+   */
+  moveShip(shipId, dRow, dCol) {
+    method = 'moveShip';
+    this.log(`called with ${shipId} by ${dRow},${dCol}`);
+    
+    if (!this.gameInstance) {
+      this.log(`No game instance!`);
+      return false;
+    }
+    
+    return this.gameInstance.moveShip(shipId, dRow, dCol);
+  }
+
+  /**
+   * Pick or unpick a salvo target (game_rules.salvo)
+   * @param {Number} row - Target row
+   * @param {Number} col - Target column
+   * @returns {Array|null} Targets picked so far
+   */
+  toggleSalvoTarget(row, col) {
+    method = 'toggleSalvoTarget';
+    if (!this.gameInstance) {
+      this.logwarn('No game instance for salvo');
+      return null;
+    }
+    
+    return this.gameInstance.toggleSalvoTarget(row, col);
+  }
+
+  /**
+   * Fire the picked salvo targets
+   * @returns {Object|false} { wasHit, cells } or false when nothing was fired
+   */
+  fireSalvo() {
+    method = 'fireSalvo';
+    if (!this.gameInstance) {
+      this.logwarn('No game instance for salvo');
+      return false;
+    }
+    
+    const result = this.gameInstance.fireSalvo();
+    this.log(`fired ${result ? result.cells.length : 0} shots`);
+    
+    return result;
+  }
     
   /**
    * Register ship placement on board
@@ -745,10 +1128,16 @@ class CoreEngine {
     // Clear keyDataError - logout is planned, not an error
     this.keyDataError = null;
     
+    // Stop any online search or match, leave the lobby
+    this.leaveRemoteMatch();
+    this.matchmakingError = null;
+    PresenceService.stop();
+    
     // Clear local state FIRST (before async operations)
     this.player = null;
     this.playerProfile = null;
     this.playerEmail = null;
+    this.activePlayer = null;
 //    this.eraConfig = null;
     this.selectedOpponents = [];
     this.selectedAlliance = null;
@@ -800,7 +1189,8 @@ class CoreEngine {
                         (this.currentState === 'play' || this.currentState === 'placement');
     
     const currentPlayer = this.gameInstance?.getCurrentPlayer() || null;
-    const isPlayerTurn = currentPlayer?.type === 'human';
+    // Online: our shot is in flight until the opponent reports where it landed
+    const isPlayerTurn = currentPlayer?.type === 'human' && !this.remoteMatch?.isAwaitingResult;
     
     let gamePhase = 'setup';
     if (this.currentState === 'placement') gamePhase = 'placement';
@@ -809,22 +1199,36 @@ class CoreEngine {
     
     const winner = this.gameInstance?.winner || null;
     
-    // Get player stats from game instance
-    const playerStats = this.gameInstance?.getPlayerStats() || {
+    // Get player stats from game instance (from the active human's point of view)
+    const playerStats = this.gameInstance?.getPlayerStats(this.getActivePlayer()?.id) || {
       player: { hits: 0, misses: 0, shots: 0 },
       opponent: { hits: 0, misses: 0, shots: 0 }
     };
     
-    // Get munitions from game instance
-    const munitions = this.gameInstance?.munitions || {
+    // Get the active player's munitions from game instance
+    const munitions = this.gameInstance?.getMunitionInventory(this.getActivePlayer()) || {
       starShells: 0,
-      scatterShot: 0
+      scatterShot: 0,
+      torpedoes: 0
     };
+    
+    // Salvo rule - shots this turn and targets picked so far (size 1 when salvo is off)
+    const salvo = {
+      size: this.gameInstance?.getSalvoSize(currentPlayer) || 1,
+      targets: this.gameInstance?.salvoTargets || []
+    };
+    
+    // Weather condition (constants/Weather.js) - null when the era has no weather table
+    const weather = this.gameInstance?.weather || null;
 
     return {
       currentState: this.currentState,
       playerProfile: this.playerProfile,
       player: this.player,
+      activePlayer: this.getActivePlayer(),
+      isHotSeat: this.isHotSeat,
+      remoteMatch: this.remoteMatch,
+      matchmakingError: this.matchmakingError,
       eraConfig: this.eraConfig,
       selectedOpponents: this.selectedOpponents,
       selectedAlliance: this.selectedAlliance,
@@ -837,7 +1241,9 @@ class CoreEngine {
       gamePhase,
       winner,
       playerStats,
-      munitions
+      munitions,
+      salvo,
+      weather
     };
   }
 
@@ -876,6 +1282,45 @@ class CoreEngine {
   get playerGameName() {
     return this.playerProfile?.game_name || null;
   }
+
+  /**
+   * Hot seat: a second human captain shares this device
+   * @returns {Boolean}
+   */
+  get isHotSeat() {
+    return this.selectedOpponents.some(opponent => opponent?.type === 'local');
+  }
+
+  /**
+   * Human players in the current game (logged-in player first)
+   * @returns {Array<Player>}
+   */
+  getHumanPlayers() {
+    if (this.gameInstance) {
+      return this.gameInstance.getHumanPlayers();
+    }
+    return this.player ? [this.player] : [];
+  }
+
+  /**
+   * Human whose fleet is shown on this device
+   * Always this.player except when hot-seat players hand the device over
+   * @returns {Player|null}
+   */
+  getActivePlayer() {
+    return this.activePlayer || this.player;
+  }
+
+  /**
+   * Hand the device over to another human player
+   * @param {Player} player - Human player taking over the device
+   */
+  setActivePlayer(player) {
+    method = 'setActivePlayer';
+    this.activePlayer = player;
+    this.log(`Active player: ${player?.name}`);
+    this.notifySubscribers();
+  }
   
   get selectedEraId() {
     return this._selectedEraId;
@@ -1,5 +1,9 @@
 // src/hooks/useAutoPlay.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.1.8: selectRandomTarget() takes the game's SeededRandom so autoplay/timeout shots replay
+// v0.1.7: Fire for the current player (hot-seat games have two humans)
+// v0.1.6: Extracted findValidTargets() / selectRandomTarget() as named exports
+//         - Shared with useShotClock for the random shot when the clock expires
 // v0.1.5: Fixed autoplay stopping frequently
 //         - Removed battleMessage from useEffect dependencies (was causing timer resets)
 //         - Made timer recursive to continue firing shots automatically
@@ -23,7 +27,7 @@
 
 import { useState, useEffect, useCallback, useRef } from 'react';
 
-const version = 'v0.1.5';
+const version = 'v0.1.8';
 const tag = "AUTOPLAY";
 const module = "useAutoPlay";
 let method = "";
@@ -37,6 +41,39 @@ const logwarn = (message) => {
   console.warn(`[${tag}] ${version} ${module}.${method}: ${message}`);
 };
 
+/**
+ * Find every cell the player may still fire at
+ * Must pass BOTH isValidAttack() AND canShootAt()
+ *
+ * @param {Game} gameInstance - Game instance
+ * @param {Object} eraConfig - Era configuration (for board dimensions)
+ * @param {Player} player - Firing player
+ * @returns {Array} Array of {row, col}
+ */
+export const findValidTargets = (gameInstance, eraConfig, player) => {
+  const validTargets = [];
+  for (let row = 0; row < eraConfig.rows; row++) {
+    for (let col = 0; col < eraConfig.cols; col++) {
+      if (gameInstance.isValidAttack(row, col, player) && player.canShootAt(row, col)) {
+        validTargets.push({ row, col });
+      }
+    }
+  }
+  return validTargets;
+};
+
+/**
+ * Pick a random target from a list of valid targets
+ * @param {Array} validTargets - Targets from findValidTargets()
+ * @param {SeededRandom} rng - Game's seeded generator (optional, falls back to Math.random)
+ * @returns {Object|null} {row, col} or null when none remain
+ */
+export const selectRandomTarget = (validTargets, rng = null) => {
+  if (!validTargets || validTargets.length === 0) return null;
+  const roll = rng ? rng.next() : Math.random();
+  return validTargets[Math.floor(roll * validTargets.length)];
+};
+
 /**
  * useAutoPlay - Automated gameplay utility
  *
@@ -111,23 +148,14 @@ const useAutoPlay = ({
       return;
     }
 
-    const humanPlayerFromGame = gameInstance.players.find(p => p.type === 'human');
-    if (!humanPlayerFromGame) {
+    const humanPlayerFromGame = gameInstance.getCurrentPlayer();
+    if (humanPlayerFromGame?.type !== 'human') {
       logwarn('No human player found in game instance');
       return;
     }
 
     // Find all valid targets (must pass BOTH checks)
-    const validTargets = [];
-    for (let row = 0; row < selectedEraConfig.rows; row++) {
-      for (let col = 0; col < selectedEraConfig.cols; col++) {
-        // Check board validity AND that we haven't shot here before
-        if (gameInstance.isValidAttack(row, col, humanPlayerFromGame) &&
-            humanPlayerFromGame.canShootAt(row, col)) {
-          validTargets.push({ row, col });
-        }
-      }
-    }
+    const validTargets = findValidTargets(gameInstance, selectedEraConfig, humanPlayerFromGame);
 
     if (validTargets.length === 0) {
       log('No valid targets remaining - stopping');
@@ -136,8 +164,7 @@ const useAutoPlay = ({
     }
 
     // Select random target
-    const randomIndex = Math.floor(Math.random() * validTargets.length);
-    const target = validTargets[randomIndex];
+    const target = selectRandomTarget(validTargets, gameInstance.rng);
     
     log(`Firing at ${target.row},${target.col} (${validTargets.length} targets remaining)`);
     handleShotFired(target.row, target.col);
@@ -2,6 +2,8 @@
 // Copyright(c) 2025, Clint H. O'Connor
 //
 // PURPOSE:
+// v0.1.3: expiringEras - eras whose purchase or voucher lapses within rights_expiry.expiring_soon_days
+//         (badge expiringSoon from RightsService v0.3.2)
 // v0.1.2: use erasMap size instead to fix React rendering issue
 // v0.1.1: Accept erasMap instead of eras array
 //         - Prevents render loop by using stable string dependency
@@ -18,7 +20,7 @@ import RightsService from '../services/RightsService';
 import Player from '../classes/Player';
 import { coreEngine } from '../context/GameContext';
 
-const version = 'v0.1.2';
+const version = 'v0.1.3';
 const tag = "BADGES";
 const module = "useEraBadges";
 let method = "";
@@ -97,6 +99,12 @@ export function useEraBadges(playerId, erasMap) {
     }
     }, [playerId, eraCount]);
     
+  // Eras whose access is about to lapse, soonest first
+  const expiringEras = Array.from(eraBadges.entries())
+    .filter(([, badge]) => badge.expiringSoon)
+    .sort(([, a], [, b]) => a.daysLeft - b.daysLeft)
+    .map(([eraId, badge]) => ({ eraId, daysLeft: badge.daysLeft, expiresAt: badge.expiresAt }));
+
   // Refresh both pass balance and badges
   const refresh = useCallback(async () => {
     await Promise.all([
@@ -113,6 +121,7 @@ export function useEraBadges(playerId, erasMap) {
   return {
     passBalance,
     eraBadges,
+    expiringEras,
     loading,
     error,
     refresh
@@ -1,5 +1,8 @@
 // src/hooks/useGameState.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.4.7: weather - the battle's current weather condition (null when the era has none)
+// v0.4.6: moveShip() - ship movement (game_rules.ship_movement)
+// v0.4.5: Salvo rule - salvo { size, targets }, toggleSalvoTarget() and fireSalvo()
 // v0.4.0: CoreEngine subscription for synchronous store updates
 //          - Added coreEngine.subscribe() integration that bumps render trigger on mutations
 //          - Ensures components re-render when CoreEngine advances turns or updates player state
@@ -36,10 +39,13 @@
 import { useState, useEffect } from 'react';
 import { coreEngine } from '../context/GameContext';
 
-const version = "v0.4.2";
+const version = "v0.4.7";
 const tag = "GAME";
 const module = "useGameState";
 
+// v0.4.4: munitions is the active player's inventory (adds torpedoes)
+// v0.4.3: humanPlayer/playerId follow coreEngine.getActivePlayer() (hot seat hands the device over)
+//         - Added isHotSeat
 // v0.4.2: Removed gameMode from returned state (game is always turn-based)
 // v0.4.1: Minimize React usage - game is synchronous, React just for rendering
 // - Single subscription to trigger re-renders
@@ -65,7 +71,7 @@ const useGameState = () => {
   // Read directly from CoreEngine (synchronous, no React state)
   const gameInstance = coreEngine.gameInstance;
   const board = coreEngine.board;
-  const player = coreEngine.player;
+  const player = coreEngine.getActivePlayer();
   const playerProfile = coreEngine.playerProfile;
   const selectedEraConfig = coreEngine.selectedEraConfig;
   const selectedOpponent = coreEngine.selectedOpponents?.[0];
@@ -88,7 +94,10 @@ const useGameState = () => {
   const gamePhase = uiState.gamePhase;
   const winner = uiState.winner;
   const playerStats = uiState.playerStats;
-  const munitions = uiState.munitions || { starShells: 0, scatterShot: 0 };
+  const munitions = uiState.munitions || { starShells: 0, scatterShot: 0, torpedoes: 0 };
+  const salvo = uiState.salvo || { size: 1, targets: [] };
+  const weather = uiState.weather || null;
+  const isHotSeat = uiState.isHotSeat;
 
   // Compute placement progress directly (synchronous read)
   const placementProgress = (() => {
@@ -123,6 +132,18 @@ const useGameState = () => {
   const fireMunition = (munitionType, row, col) => {
     return coreEngine.fireMunition(munitionType, row, col);
   };
+  
+  const moveShip = (shipId, dRow, dCol) => {
+    return coreEngine.moveShip(shipId, dRow, dCol);
+  };
+  
+  const toggleSalvoTarget = (row, col) => {
+    return coreEngine.toggleSalvoTarget(row, col);
+  };
+  
+  const fireSalvo = () => {
+    return coreEngine.fireSalvo();
+  };
       
   const resetGame = () => {
     gameInstance?.reset();
@@ -157,6 +178,7 @@ const useGameState = () => {
     gamePhase,
     winner,
     playerId: player?.id,
+    isHotSeat,
     
     // v0.3.8: BOTH player objects from coreEngine singleton (not uiState passthroughs)
     playerProfile,        // Database object - for user display, services, leaderboards
@@ -184,11 +206,16 @@ const useGameState = () => {
     
     // v0.3.2: Munitions from CoreEngine (renamed from resources)
     munitions,
+    salvo,
+    weather,
     
     // Actions
     fireShot: handleAttack, // Alias for compatibility
     handleAttack,
     fireMunition,           // v0.3.2: Primary munition handler
+    toggleSalvoTarget,
+    fireSalvo,
+    moveShip,
     resetGame,
     
     // Data accessors - computed properties
@@ -0,0 +1,129 @@
+// src/hooks/useShotClock.js
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.1: Timeout shot drawn from the game's SeededRandom (gameInstance.rng)
+// v0.1.0: Initial shot clock hook
+//         - Runs Game.startShotClock() for each human shot/turn
+//         - Counts down via Game.getShotClockRemaining()
+//         - On expiry calls Game.handleTurnTimeout() and, for 'random_shot',
+//           fires a random valid shot using the useAutoPlay targeting
+
+import { useState, useEffect, useRef } from 'react';
+import { findValidTargets, selectRandomTarget } from './useAutoPlay';
+
+const version = 'v0.1.1';
+const tag = "SHOTCLOCK";
+const module = "useShotClock";
+let method = "";
+
+// Logging utilities
+const log = (message) => {
+  console.log(`[${tag}] ${version} ${module}.${method}: ${message}`);
+};
+
+const logwarn = (message) => {
+  console.warn(`[${tag}] ${version} ${module}.${method}: ${message}`);
+};
+
+/**
+ * useShotClock - Per-turn shot clock
+ *
+ * Enabled when gameInstance.maxTurnTime is set (era game_rules.shot_clock_seconds
+ * or game-config shot_clock). The clock restarts after every shot the player fires.
+ *
+ * @param {Object} params - Configuration object
+ * @param {Game} params.gameInstance - Game instance
+ * @param {Object} params.selectedEraConfig - Era configuration (for board dimensions)
+ * @param {boolean} params.isPlayerTurn - Whether it's the player's turn
+ * @param {boolean} params.isGameActive - Whether the game is active
+ * @param {Function} params.handleShotFired - Callback to fire a shot (row, col)
+ * @param {number} params.playerShots - Player shot count (restarts the clock)
+ * @param {boolean} params.paused - Stop the clock (autoplay, video popups)
+ *
+ * @returns {Object} { shotClockSeconds } - seconds left, or null when no clock is running
+ */
+const useShotClock = ({
+  gameInstance,
+  selectedEraConfig,
+  isPlayerTurn,
+  isGameActive,
+  handleShotFired,
+  playerShots,
+  paused = false
+}) => {
+  const [shotClockSeconds, setShotClockSeconds] = useState(null);
+  const handleShotFiredRef = useRef(handleShotFired);
+
+  useEffect(() => {
+    handleShotFiredRef.current = handleShotFired;
+  }, [handleShotFired]);
+
+  const enabled = !!gameInstance?.maxTurnTime;
+  const currentTurn = gameInstance?.currentTurn;
+
+  useEffect(() => {
+    method = 'useEffect[clock]';
+
+    if (!enabled || !isGameActive || !isPlayerTurn || paused) {
+      gameInstance?.clearShotClock?.();
+      setShotClockSeconds(null);
+      return;
+    }
+
+    gameInstance.startShotClock();
+
+    const expire = () => {
+      method = 'expire';
+      const player = gameInstance.getCurrentPlayer();
+      if (!player || player.type !== 'human') {
+        return;
+      }
+
+      const action = gameInstance.handleTurnTimeout(player);
+      log(`${player.name} timed out (${action})`);
+
+      if (action !== 'random_shot') {
+        return;
+      }
+
+      const target = selectRandomTarget(
+        findValidTargets(gameInstance, selectedEraConfig, player),
+        gameInstance.rng
+      );
+      if (!target) {
+        logwarn('No valid targets for timeout shot');
+        return;
+      }
+
+      handleShotFiredRef.current(target.row, target.col);
+    };
+
+    let interval = null;
+    const tick = () => {
+      const remaining = gameInstance.getShotClockRemaining();
+      if (remaining === null) {
+        return;
+      }
+
+      setShotClockSeconds(Math.ceil(remaining / 1000));
+
+      if (remaining <= 0) {
+        clearInterval(interval);
+        expire();
+      }
+    };
+
+    tick();
+    interval = setInterval(tick, 250);
+
+    return () => {
+      clearInterval(interval);
+    };
+  }, [enabled, isGameActive, isPlayerTurn, paused, playerShots, currentTurn, gameInstance, selectedEraConfig]);
+
+  return {
+    shotClockSeconds
+  };
+};
+
+export default useShotClock;
+// EOF
@@ -1,5 +1,6 @@
 // src/pages/AchievementsPage.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.1.6: Captain roster - every era's AI captains, marking those beaten (playerProfile.captains_defeated)
 // v0.1.5: Replace key data error throwing with graceful handling
 //         - Use logwarn instead of logerror and throw
 //         - Call coreEngine.handleKeyDataError() to save error and navigate to Launch
@@ -22,9 +23,10 @@ import { coreEngine, useGame } from '../context/GameContext';
 import AchievementService from '../services/AchievementService';
 import InfoPanel from '../components/InfoPanel';
 import Player from '../classes/Player';
+import configLoader from '../utils/ConfigLoader';
 import * as LucideIcons from 'lucide-react';
 
-const version = 'v0.1.5';
+const version = 'v0.1.6';
 const tag = "ACHIEVEMENTS";
 const module = "AchievementsPage";
 let method = "";
@@ -192,6 +194,26 @@ const AchievementsPage = ({ onClose, scrollPosition }) => {
       .sort((a, b) => new Date(b.unlocked_at) - new Date(a.unlocked_at));
   };
   
+  // Captains of each loaded era, with the player's defeats
+  const getCaptainRoster = () => {
+      method = 'getCaptainRoster';
+
+    return Array.from(eras?.values() || [])
+      .map(era => {
+        const defeated = playerProfile.captains_defeated?.[era.id] || {};
+        const captains = configLoader.getEraCaptains(era).map(captain => ({
+          ...captain,
+          defeats: defeated[captain.id]?.defeats || 0
+        }));
+        return {
+          era,
+          captains,
+          beaten: captains.filter(captain => captain.defeats > 0).length
+        };
+      })
+      .filter(entry => entry.captains.length > 0);
+  };
+  
   // Handle achievement card click
   const handleAchievementClick = (achievement) => {
       method = 'handleAchievementClick';
@@ -291,6 +313,7 @@ const AchievementsPage = ({ onClose, scrollPosition }) => {
   const top5 = getTop5();
   const challenges = getChallenges();
   const allEarned = getAllEarned();
+  const captainRoster = getCaptainRoster();
 
   return (
     <div className="container flex flex-column flex-center">
@@ -479,6 +502,53 @@ const AchievementsPage = ({ onClose, scrollPosition }) => {
           </>
         )}
 
+        {/* Captain Roster */}
+        {captainRoster.length > 0 && (
+          <>
+            <div className="achievements-section captain-roster">
+              <h3 className="achievements-title">⚓ Captain Roster</h3>
+              <p className="text-secondary text-center mb-md">The AI captains you've beaten in each era</p>
+              {captainRoster.map(({ era, captains, beaten }) => (
+                <div key={era.id} className="captain-roster__era">
+                  <div className="captain-roster__header">
+                    <h4>{era.name}</h4>
+                    <span className="text-secondary">{beaten} of {captains.length} beaten</span>
+                  </div>
+                  <div className="captain-roster__list">
+                    {captains.map(captain => (
+                      <div
+                        key={captain.id}
+                        className={`captain-roster__captain ${captain.defeats > 0 ? 'captain-roster__captain--defeated' : ''}`}
+                      >
+                        {captain.avatar && (
+                          <div className="opponent-avatar opponent-avatar--small">
+                            <img
+                              src={configLoader.getEraAssetPath(era.id, captain.avatar)}
+                              alt={captain.name}
+                              onError={(e) => {
+                                e.target.style.display = 'none';
+                              }}
+                            />
+                          </div>
+                        )}
+                        <div>
+                          <div className="captain-roster__name">{captain.name}</div>
+                          <div className="text-secondary text-sm">
+                            {captain.defeats > 0
+                              ? `Beaten ${captain.defeats} time${captain.defeats !== 1 ? 's' : ''}`
+                              : 'Not yet beaten'}
+                          </div>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div className="divider"></div>
+          </>
+        )}
+
         {/* All Earned Achievements */}
         {allEarned.length > 0 && (
           <div className="achievements-section">
@@ -0,0 +1,649 @@
+// src/pages/AdminVoucherPage.js
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.0: Voucher console (admins and developers only, opened from the NavBar like AdminInvitePage)
+//         - Vouchers: filter by type, purpose, status, creator and recipient email; revoke or
+//           extend the selected unredeemed vouchers; export the list as CSV
+//         - Generate: bulk VoucherService.generateVouchers() with CSV download - replaces
+//           scripts/vouchers.js for day-to-day use (no service key needed)
+//         - Referrals: invite chains built by VoucherService.getReferralChains()
+//         - Needs supabase-functions/add_voucher_admin.sql
+
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { coreEngine } from '../context/GameContext';
+import VoucherService from '../services/VoucherService';
+import { Download, Copy, Ban, CalendarPlus, Search } from 'lucide-react';
+
+const version = 'v0.1.0';
+const tag = "ADMIN_VOUCHERS";
+const module = "AdminVoucherPage";
+let method = "";
+
+const log = (message) => {
+  console.log(`[${tag}] ${version} ${module}.${method} : ${message}`);
+};
+
+const logerror = (message, error = null) => {
+  if (error) {
+    console.error(`[${tag}] ${version} ${module}.${method}: ${message}`, error);
+  } else {
+    console.error(`[${tag}] ${version} ${module}.${method}: ${message}`);
+  }
+};
+
+// Purposes the app writes (the filter also offers any others found in the list)
+const KNOWN_PURPOSES = ['admin_bulk', 'admin_invite', 'email_friend', 'referral_signup_reward', 'achievement', 'gift', 'manual'];
+
+const STATUS_FILTERS = [
+  { value: '', label: 'Any status' },
+  { value: 'unredeemed', label: 'Unredeemed' },
+  { value: 'redeemed', label: 'Redeemed' },
+  { value: 'revoked', label: 'Revoked' }
+];
+
+const STATUS_BADGES = {
+  active: 'badge--success',
+  redeemed: 'badge--primary',
+  expired: 'badge--warning',
+  revoked: 'badge--error'
+};
+
+const EMPTY_FILTERS = { type: '', purpose: '', status: '', createdBy: '', emailSentTo: '' };
+
+const CSV_COLUMNS = ['voucher_code', 'type', 'value', 'purpose', 'email_sent_to', 'created_at', 'expires_at', 'status'];
+
+/**
+ * CSV of vouchers - one row per voucher, values quoted
+ * @param {Array<Object>} vouchers - listVouchers() rows
+ * @returns {string}
+ */
+const toCsv = (vouchers) => {
+  const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const rows = vouchers.map(voucher => [
+    voucher.voucher_code,
+    voucher.parsed ? (voucher.parsed.voucherType === 'pass' ? 'pass' : voucher.parsed.rightsValue) : '',
+    voucher.parsed?.displayText || '',
+    voucher.purpose,
+    voucher.email_sent_to,
+    voucher.created_at,
+    voucher.expires_at,
+    voucher.status
+  ].map(quote).join(','));
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\n')}\n`;
+};
+
+const downloadCsv = (csv, filename) => {
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// End of the chosen day, so "expires 2025-12-31" still redeems on the 31st
+const endOfDay = (dateString) => new Date(`${dateString}T23:59:59`).toISOString();
+
+const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleDateString() : '-');
+
+/**
+ * One referrer and everyone they brought in, indented by generation
+ */
+const ReferralNode = ({ node, depth = 0 }) => (
+  <div className={depth > 0 ? 'admin-vouchers__referral-branch' : ''}>
+    <div className="item-name">
+      {node.gameName || node.playerId}
+      <span className="text-secondary text-sm"> - {node.invites.length} invite{node.invites.length === 1 ? '' : 's'}</span>
+    </div>
+    {node.invites.map(invite => (
+      <div key={invite.voucherCode} className="admin-vouchers__referral-invite">
+        <div className="flex-between">
+          <span>{invite.email}</span>
+          <span className={`badge ${STATUS_BADGES[invite.status]}`}>
+            {invite.signedUpAt ? `Signed up ${formatDate(invite.signedUpAt)}` : invite.status}
+          </span>
+        </div>
+        <div className="text-secondary text-sm">
+          Sent {formatDate(invite.sentAt)} • <code>{invite.voucherCode}</code>
+        </div>
+        {invite.signedUpAt && (
+          <div className="text-secondary text-sm">
+            Rewards: invitee {invite.inviteeReward ? <code>{invite.inviteeReward}</code> : 'not found'},
+            {' '}referrer {invite.referrerReward ? <code>{invite.referrerReward}</code> : 'not found'}
+          </div>
+        )}
+        {invite.invitee && invite.invitee.invites.length > 0 && (
+          <ReferralNode node={invite.invitee} depth={depth + 1} />
+        )}
+      </div>
+    ))}
+  </div>
+);
+
+function AdminVoucherPage({ onClose }) {
+  method = 'AdminVoucherPage';
+
+  const playerId = coreEngine.playerId;
+  const canManage = !!(coreEngine.playerProfile?.isAdmin || coreEngine.playerProfile?.isDeveloper);
+  const eras = coreEngine.eras;
+
+  const [tab, setTab] = useState('vouchers'); // 'vouchers' | 'generate' | 'referrals'
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // Vouchers tab
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS); // Search applies filters
+  const [vouchers, setVouchers] = useState([]);
+  const [creators, setCreators] = useState(new Map()); // Every creator seen, for the filter
+  const [selected, setSelected] = useState(new Set());
+  const [extendDate, setExtendDate] = useState('');
+
+  // Generate tab
+  const [genType, setGenType] = useState('pass');
+  const [genValue, setGenValue] = useState('10');
+  const [genCount, setGenCount] = useState(10);
+  const [genPurpose, setGenPurpose] = useState('admin_bulk');
+  const [genEmail, setGenEmail] = useState('');
+  const [genExpires, setGenExpires] = useState('');
+  const [generated, setGenerated] = useState([]);
+  const [copied, setCopied] = useState(false);
+
+  // Referrals tab
+  const [chains, setChains] = useState(null);
+
+  // 'pass', every era in the game and 'era' (all exclusive eras)
+  const typeOptions = useMemo(() => [
+    { value: 'pass', label: 'Passes' },
+    ...Array.from(eras?.values() || []).map(era => ({ value: era.id, label: era.name })),
+    { value: 'era', label: 'All exclusive eras' }
+  ], [eras]);
+
+  const purposeOptions = useMemo(() => (
+    [...new Set([...KNOWN_PURPOSES, ...vouchers.map(voucher => voucher.purpose).filter(Boolean)])]
+  ), [vouchers]);
+
+  const loadVouchers = useCallback(async (activeFilters) => {
+    method = 'loadVouchers';
+    setLoading(true);
+    setError(null);
+    try {
+      const list = await VoucherService.listVouchers({
+        ...activeFilters,
+        createdBy: activeFilters.createdBy === 'me' ? playerId : activeFilters.createdBy
+      });
+      setVouchers(list);
+      setCreators(prev => {
+        const next = new Map(prev);
+        list.filter(voucher => voucher.created_by && voucher.created_by !== playerId)
+          .forEach(voucher => next.set(voucher.created_by, voucher.created_by_name || voucher.created_by));
+        return next;
+      });
+      setSelected(new Set());
+      log(`Loaded ${list.length} vouchers`);
+    } catch (err) {
+      logerror('Failed to load vouchers:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [playerId]);
+
+  const loadChains = useCallback(async () => {
+    method = 'loadChains';
+    setLoading(true);
+    setError(null);
+    try {
+      setChains(await VoucherService.getReferralChains());
+    } catch (err) {
+      logerror('Failed to load referral chains:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (canManage && tab === 'vouchers') {
+      loadVouchers(appliedFilters);
+    }
+  }, [canManage, tab, appliedFilters, loadVouchers]);
+
+  // Referral chains are loaded once - they change slowly
+  useEffect(() => {
+    if (canManage && tab === 'referrals' && chains === null) {
+      loadChains();
+    }
+  }, [canManage, tab, chains, loadChains]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const toggleSelected = (code) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(code)) {
+        next.delete(code);
+      } else {
+        next.add(code);
+      }
+      return next;
+    });
+  };
+
+  // Only unredeemed, unrevoked vouchers can be revoked or extended
+  const selectable = vouchers.filter(voucher => voucher.status === 'active' || voucher.status === 'expired');
+  const allSelected = selectable.length > 0 && selectable.every(voucher => selected.has(voucher.voucher_code));
+
+  const toggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(selectable.map(voucher => voucher.voucher_code)));
+  };
+
+  const handleRevoke = async () => {
+    method = 'handleRevoke';
+    if (!window.confirm(`Revoke ${selected.size} voucher${selected.size === 1 ? '' : 's'}? They can no longer be redeemed.`)) {
+      return;
+    }
+    setError(null);
+    setSuccess(null);
+    try {
+      const count = await VoucherService.revokeVouchers([...selected]);
+      setSuccess(`Revoked ${count} voucher${count === 1 ? '' : 's'}`);
+      await loadVouchers(appliedFilters);
+    } catch (err) {
+      logerror('Failed to revoke vouchers:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleExtend = async () => {
+    method = 'handleExtend';
+    setError(null);
+    setSuccess(null);
+    try {
+      const count = await VoucherService.extendVouchers([...selected], endOfDay(extendDate));
+      setSuccess(`${count} voucher${count === 1 ? '' : 's'} now expire${count === 1 ? 's' : ''} ${extendDate}`);
+      await loadVouchers(appliedFilters);
+    } catch (err) {
+      logerror('Failed to extend vouchers:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleExportList = () => {
+    method = 'handleExportList';
+    const rows = selected.size > 0 ? vouchers.filter(voucher => selected.has(voucher.voucher_code)) : vouchers;
+    downloadCsv(toCsv(rows), `vouchers-${new Date().toISOString().slice(0, 10)}.csv`);
+    log(`Exported ${rows.length} vouchers`);
+  };
+
+  const handleGenerate = async () => {
+    method = 'handleGenerate';
+    setLoading(true);
+    setError(null);
+    setSuccess(null);
+    setCopied(false);
+    try {
+      const codes = await VoucherService.generateVouchers(genCount, genType, genValue.trim(), {
+        purpose: genPurpose.trim() || 'admin_bulk',
+        createdBy: playerId,
+        emailSentTo: genEmail.trim() || null,
+        expiresAt: genExpires ? endOfDay(genExpires) : null
+      });
+      // Parsed the same way the list is, so the CSV columns match
+      const now = new Date().toISOString();
+      setGenerated(codes.map(code => ({
+        voucher_code: code,
+        parsed: VoucherService.parseVoucherCode(code),
+        purpose: genPurpose.trim() || 'admin_bulk',
+        email_sent_to: genEmail.trim() || null,
+        created_at: now,
+        expires_at: genExpires ? endOfDay(genExpires) : null,
+        status: 'active'
+      })));
+      setSuccess(`Generated ${codes.length} voucher${codes.length === 1 ? '' : 's'}`);
+    } catch (err) {
+      logerror('Failed to generate vouchers:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDownloadGenerated = () => {
+    method = 'handleDownloadGenerated';
+    downloadCsv(toCsv(generated), `vouchers-${genType}-${genValue}-${generated.length}.csv`);
+  };
+
+  const handleCopyGenerated = async () => {
+    await navigator.clipboard.writeText(generated.map(voucher => voucher.voucher_code).join('\n'));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 3000);
+  };
+
+  // Same parser redemption uses - shows what the voucher will give, or why the value is wrong
+  const preview = VoucherService.getDisplayInfo(`${genType}-${genValue.trim()}-preview`);
+
+  if (!canManage) {
+    return (
+      <div className="container flex flex-column flex-center">
+        <div className="content-pane content-pane--narrow">
+          <div className="card-body">
+            <p className="text-center">The voucher console is only available to admins.</p>
+          </div>
+          <div className="card-footer">
+            <button className="btn btn--secondary" onClick={onClose}>CLOSE</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container flex flex-column flex-center">
+      <div className="content-pane content-pane--wide admin-vouchers">
+        <div className="card-header card-header--with-close">
+          <h2 className="card-title">Voucher Console</h2>
+          {onClose && (
+            <button
+              className="btn btn--secondary btn--sm"
+              onClick={onClose}
+              aria-label="Close"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+
+        <div className="card-body">
+          <div className="tab-buttons mb-lg">
+            {[['vouchers', 'Vouchers'], ['generate', 'Generate'], ['referrals', 'Referrals']].map(([value, label]) => (
+              <button
+                key={value}
+                className={tab === value ? 'btn btn--primary btn--sm' : 'btn btn--secondary btn--sm'}
+                onClick={() => {
+                  setTab(value);
+                  setError(null);
+                  setSuccess(null);
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {tab === 'vouchers' && (
+            <>
+              <div className="era-editor__row">
+                <div className="form-group">
+                  <label htmlFor="filterType">Type</label>
+                  <select id="filterType" className="input" value={filters.type} onChange={(e) => updateFilter('type', e.target.value)}>
+                    <option value="">Any type</option>
+                    {typeOptions.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="filterPurpose">Purpose</label>
+                  <select id="filterPurpose" className="input" value={filters.purpose} onChange={(e) => updateFilter('purpose', e.target.value)}>
+                    <option value="">Any purpose</option>
+                    {purposeOptions.map(purpose => <option key={purpose} value={purpose}>{purpose}</option>)}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="filterStatus">Status</label>
+                  <select id="filterStatus" className="input" value={filters.status} onChange={(e) => updateFilter('status', e.target.value)}>
+                    {STATUS_FILTERS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="filterCreatedBy">Created by</label>
+                  <select id="filterCreatedBy" className="input" value={filters.createdBy} onChange={(e) => updateFilter('createdBy', e.target.value)}>
+                    <option value="">Anyone</option>
+                    <option value="me">Me</option>
+                    <option value="system">System</option>
+                    {[...creators].map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="filterEmail">Sent to</label>
+                  <input
+                    id="filterEmail"
+                    type="text"
+                    className="input"
+                    placeholder="email contains..."
+                    value={filters.emailSentTo}
+                    onChange={(e) => updateFilter('emailSentTo', e.target.value)}
+                  />
+                </div>
+                <div className="form-group">
+                  <button className="btn btn--primary btn--sm" onClick={() => setAppliedFilters({ ...filters })} disabled={loading}>
+                    <Search size={16} className="admin-invite-icon" />
+                    {loading ? 'Loading...' : 'Search'}
+                  </button>
+                </div>
+              </div>
+
+              <div className="era-editor__row mb-md">
+                <span className="text-secondary">
+                  {vouchers.length} voucher{vouchers.length === 1 ? '' : 's'}{selected.size > 0 ? `, ${selected.size} selected` : ''}
+                </span>
+                <button className="btn btn--secondary btn--sm" onClick={handleRevoke} disabled={selected.size === 0}>
+                  <Ban size={16} className="admin-invite-icon" />
+                  Revoke
+                </button>
+                <input
+                  type="date"
+                  className="input"
+                  aria-label="New expiry date"
+                  value={extendDate}
+                  onChange={(e) => setExtendDate(e.target.value)}
+                />
+                <button className="btn btn--secondary btn--sm" onClick={handleExtend} disabled={selected.size === 0 || !extendDate}>
+                  <CalendarPlus size={16} className="admin-invite-icon" />
+                  Extend
+                </button>
+                <button className="btn btn--secondary btn--sm" onClick={handleExportList} disabled={vouchers.length === 0}>
+                  <Download size={16} className="admin-invite-icon" />
+                  Export CSV
+                </button>
+              </div>
+
+              <div className="admin-vouchers__table">
+                <table className="era-editor__ships">
+                  <thead>
+                    <tr>
+                      <th>
+                        <input type="checkbox" checked={allSelected} onChange={toggleAll} aria-label="Select all unredeemed" />
+                      </th>
+                      <th>Code</th>
+                      <th>Value</th>
+                      <th>Purpose</th>
+                      <th>Created by</th>
+                      <th>Sent to</th>
+                      <th>Created</th>
+                      <th>Expires</th>
+                      <th>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {vouchers.map(voucher => (
+                      <tr key={voucher.voucher_code}>
+                        <td>
+                          {(voucher.status === 'active' || voucher.status === 'expired') && (
+                            <input
+                              type="checkbox"
+                              checked={selected.has(voucher.voucher_code)}
+                              onChange={() => toggleSelected(voucher.voucher_code)}
+                              aria-label={`Select ${voucher.voucher_code}`}
+                            />
+                          )}
+                        </td>
+                        <td><code className="admin-invite-voucher-code">{voucher.voucher_code}</code></td>
+                        <td>{voucher.parsed?.displayText || '-'}</td>
+                        <td>{voucher.purpose || '-'}</td>
+                        <td>{voucher.created_by ? (voucher.created_by_name || voucher.created_by) : 'System'}</td>
+                        <td>{voucher.email_sent_to || '-'}</td>
+                        <td>{formatDate(voucher.created_at)}</td>
+                        <td>{formatDate(voucher.expires_at)}</td>
+                        <td><span className={`badge ${STATUS_BADGES[voucher.status]}`}>{voucher.status}</span></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {!loading && vouchers.length === 0 && (
+                  <p className="text-center text-secondary">No vouchers match these filters.</p>
+                )}
+              </div>
+            </>
+          )}
+
+          {tab === 'generate' && (
+            <>
+              <div className="era-editor__row">
+                <div className="form-group">
+                  <label htmlFor="genType">Type</label>
+                  <select id="genType" className="input" value={genType} onChange={(e) => setGenType(e.target.value)} disabled={loading}>
+                    {typeOptions.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="genValue">Value</label>
+                  <input
+                    id="genValue"
+                    type="text"
+                    className="input era-editor__number"
+                    placeholder="10 or days7"
+                    value={genValue}
+                    onChange={(e) => setGenValue(e.target.value)}
+                    disabled={loading}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="genCount">How many</label>
+                  <input
+                    id="genCount"
+                    type="number"
+                    min="1"
+                    max="100"
+                    className="input era-editor__number"
+                    value={genCount}
+                    onChange={(e) => setGenCount(Math.min(100, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                    disabled={loading}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="genPurpose">Purpose</label>
+                  <input
+                    id="genPurpose"
+                    type="text"
+                    className="input"
+                    value={genPurpose}
+                    onChange={(e) => setGenPurpose(e.target.value)}
+                    disabled={loading}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="genEmail">Sent to (optional)</label>
+                  <input
+                    id="genEmail"
+                    type="email"
+                    className="input"
+                    placeholder="anyone can redeem"
+                    value={genEmail}
+                    onChange={(e) => setGenEmail(e.target.value)}
+                    disabled={loading}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="genExpires">Redeem by (optional)</label>
+                  <input
+                    id="genExpires"
+                    type="date"
+                    className="input"
+                    value={genExpires}
+                    onChange={(e) => setGenExpires(e.target.value)}
+                    disabled={loading}
+                  />
+                </div>
+              </div>
+              <p className="form-help">
+                {preview.voucherType ? `Each voucher: ${preview.title} - ${preview.description}` : preview.description}
+              </p>
+              <button className="btn btn--primary" onClick={handleGenerate} disabled={loading || !genValue.trim()}>
+                {loading ? 'Generating...' : `GENERATE ${genCount}`}
+              </button>
+
+              {generated.length > 0 && (
+                <>
+                  <div className="era-editor__row mt-md">
+                    <button className="btn btn--secondary btn--sm" onClick={handleDownloadGenerated}>
+                      <Download size={16} className="admin-invite-icon" />
+                      Download CSV
+                    </button>
+                    <button className="btn btn--secondary btn--sm" onClick={handleCopyGenerated}>
+                      <Copy size={16} className="admin-invite-icon" />
+                      {copied ? 'Copied' : 'Copy codes'}
+                    </button>
+                  </div>
+                  <div className="admin-invite-voucher-list">
+                    {generated.map(voucher => (
+                      <div key={voucher.voucher_code} className="admin-invite-voucher-item">
+                        <code className="admin-invite-voucher-code">{voucher.voucher_code}</code>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </>
+          )}
+
+          {tab === 'referrals' && (
+            <>
+              {loading && (
+                <div className="loading">
+                  <div className="spinner spinner--lg"></div>
+                  <p>Loading referrals...</p>
+                </div>
+              )}
+              {!loading && chains && chains.length === 0 && (
+                <p className="text-center text-secondary">No referral invites yet.</p>
+              )}
+              {!loading && chains && chains.length > 0 && (
+                <div className="scrollable-list">
+                  {chains.map(root => (
+                    <div key={root.playerId} className="selectable-item">
+                      <ReferralNode node={root} />
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+
+          {error && (
+            <div className="message message--error mt-md">
+              {error}
+            </div>
+          )}
+
+          {success && (
+            <div className="message message--success mt-md">
+              {success}
+            </div>
+          )}
+        </div>
+
+        <div className="card-footer">
+          <button className="btn btn--secondary" onClick={onClose}>
+            CLOSE
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AdminVoucherPage;
+
+// EOF
@@ -0,0 +1,565 @@
+// src/pages/EraEditorPage.js
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.1: Munition fields come from the munition registry (count and boost per munition)
+// v0.1.0: Initial era/map editor (admins and developers only, opened from the NavBar like AdminInvitePage)
+//         - Starts from any loaded era; id/name/size, terrain, fleets, munitions and game_rules are editable
+//         - Terrain grid drawn with TerrainRenderer; click or drag to paint the selected terrain
+//         - Placement preview: Board.canPlaceShip() for every start cell of the selected ship
+//         - Export runs ConfigValidator - download/copy only once the era JSON is valid
+
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { coreEngine } from '../context/GameContext';
+import Board from '../classes/Board';
+import TerrainRenderer from '../renderers/TerrainRenderer';
+import { validateEraConfig, ERA_SCHEMA } from '../utils/ConfigValidator';
+import { MUNITIONS } from '../constants/Munitions';
+import { Download, Copy, Plus, Trash2 } from 'lucide-react';
+
+const version = 'v0.1.1';
+const tag = "ERA_EDITOR";
+const module = "EraEditorPage";
+let method = "";
+
+const log = (message) => {
+  console.log(`[${tag}] ${version} ${module}.${method} : ${message}`);
+};
+
+const CELL_SIZE = 24;
+const LABEL_SIZE = 20;
+const MIN_SIZE = 5;
+const MAX_SIZE = 30;
+
+// Terrain the brush can paint (TerrainRenderer colors them all)
+const BRUSHES = ['deep', 'shallow', 'shoal', 'land', 'excluded'];
+
+// Terrain a ship may be allowed to sail in
+const SHIP_TERRAIN = ['deep', 'shallow', 'shoal', 'marsh'];
+
+// Era munitions counts - torpedoes ride on submarines, so they get no per-opponent boost
+const MUNITION_KEYS = Object.values(MUNITIONS).flatMap(munition =>
+  munition.carriedBy ? [munition.countKey] : [munition.countKey, `${munition.countKey}_boost`]
+);
+
+// Editable game rules and their input type, straight from the era schema
+// (fleet_difficulty_multipliers and salvo_guns are maps - edit them in the exported JSON)
+const RULE_FIELDS = Object.entries(ERA_SCHEMA.game_rules)
+  .filter(([, type]) => typeof type === 'string')
+  .map(([key, type]) => ({ key: key.replace(/\?$/, ''), type }));
+
+/**
+ * Grow or shrink a terrain grid - new cells are deep water
+ * @param {Array<Array<string>>} terrain
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {Array<Array<string>>}
+ */
+const resizeTerrain = (terrain, rows, cols) => (
+  Array.from({ length: rows }, (_, row) => (
+    Array.from({ length: cols }, (_, col) => terrain[row]?.[col] || 'deep')
+  ))
+);
+
+/**
+ * Every ship list in the era: alliance fleets and pirate fleets
+ * @param {Object} draft - Era config being edited
+ * @returns {Array<Object>} [{ key, label, ships }]
+ */
+const getFleets = (draft) => draft.alliances.flatMap((alliance, a) => [
+  ...(alliance.ships ? [{ key: `${a}`, label: alliance.name, ships: alliance.ships }] : []),
+  ...(alliance.pirate_fleets || []).map((fleet, f) => ({
+    key: `${a}.${f}`,
+    label: `${alliance.name}: ${fleet.fleet_name}`,
+    ships: fleet.ships
+  }))
+]);
+
+/**
+ * Ship list for a fleet key from getFleets() (on a draft copy, for editing)
+ */
+const findShips = (draft, fleetKey) => {
+  const [a, f] = fleetKey.split('.').map(Number);
+  const alliance = draft.alliances[a];
+  return f === undefined || Number.isNaN(f) ? alliance.ships : alliance.pirate_fleets[f].ships;
+};
+
+/**
+ * Start cells (bow) where a ship fits, horizontally or vertically
+ * @param {Board} board
+ * @param {Object} ship - { size, terrain }
+ * @returns {Set<string>} "row,col" keys
+ */
+const findPlacements = (board, ship) => {
+  const starts = new Set();
+  for (let row = 0; row < board.rows; row++) {
+    for (let col = 0; col < board.cols; col++) {
+      const horizontal = Array.from({ length: ship.size }, (_, i) => ({ row, col: col + i }));
+      const vertical = Array.from({ length: ship.size }, (_, i) => ({ row: row + i, col }));
+      if (board.canPlaceShip(horizontal, ship.terrain) || board.canPlaceShip(vertical, ship.terrain)) {
+        starts.add(`${row},${col}`);
+      }
+    }
+  }
+  return starts;
+};
+
+function EraEditorPage({ onClose }) {
+  method = 'EraEditorPage';
+
+  const canEdit = !!(coreEngine.playerProfile?.isAdmin || coreEngine.playerProfile?.isDeveloper);
+  const eras = useMemo(() => Array.from(coreEngine.eras?.values() || []), []);
+
+  const [sourceEraId, setSourceEraId] = useState(eras[0]?.id || '');
+  const [draft, setDraft] = useState(() => (eras[0] ? structuredClone(eras[0]) : null));
+  const [brush, setBrush] = useState('land');
+  const [fleetKey, setFleetKey] = useState('0');
+  const [shipIndex, setShipIndex] = useState(0);
+  const [exportErrors, setExportErrors] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const canvasRef = useRef(null);
+  const rendererRef = useRef(new TerrainRenderer());
+  const paintingRef = useRef(false);
+
+  // Any edit invalidates the last export check
+  const update = (mutate) => {
+    setDraft(prev => {
+      const next = structuredClone(prev);
+      mutate(next);
+      return next;
+    });
+    setExportErrors(null);
+  };
+
+  const handleLoadEra = (eraId) => {
+    method = 'handleLoadEra';
+    const era = coreEngine.eras.get(eraId);
+    log(`Editing copy of ${eraId}`);
+    setSourceEraId(eraId);
+    setDraft(structuredClone(era));
+    setFleetKey('0');
+    setShipIndex(0);
+    setExportErrors(null);
+  };
+
+  const board = useMemo(() => (
+    draft ? new Board(draft.rows, draft.cols, draft.terrain) : null
+  ), [draft]);
+
+  const fleets = useMemo(() => (draft ? getFleets(draft) : []), [draft]);
+  const fleet = fleets.find(f => f.key === fleetKey) || fleets[0];
+  const ship = fleet?.ships[shipIndex] || null;
+
+  const placements = useMemo(() => (
+    board && ship ? findPlacements(board, ship) : new Set()
+  ), [board, ship]);
+
+  const fleetPlacements = useMemo(() => (
+    board && fleet ? fleet.ships.map(s => findPlacements(board, s).size) : []
+  ), [board, fleet]);
+
+  // Draw terrain, then tint the cells the selected ship can start from
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !draft) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const renderer = rendererRef.current;
+    renderer.setBoard(draft, board);
+    renderer.drawTerrainLayer(ctx, CELL_SIZE, LABEL_SIZE, 0, 0);
+
+    ctx.fillStyle = 'rgba(0, 200, 0, 0.35)';
+    placements.forEach(key => {
+      const [row, col] = key.split(',').map(Number);
+      ctx.fillRect(col * CELL_SIZE + LABEL_SIZE + 1, row * CELL_SIZE + LABEL_SIZE + 1, CELL_SIZE - 2, CELL_SIZE - 2);
+    });
+  }, [draft, board, placements]);
+
+  const paintAt = (e) => {
+    // The canvas may be scaled down by CSS on narrow screens
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const scale = canvas.width / rect.width;
+    const col = Math.floor(((e.clientX - rect.left) * scale - LABEL_SIZE) / CELL_SIZE);
+    const row = Math.floor(((e.clientY - rect.top) * scale - LABEL_SIZE) / CELL_SIZE);
+    if (row < 0 || row >= draft.rows || col < 0 || col >= draft.cols) return;
+    if (draft.terrain[row][col] === brush) return;
+
+    update(next => {
+      next.terrain[row][col] = brush;
+    });
+  };
+
+  const handleResize = (field, value) => {
+    const size = Math.min(MAX_SIZE, Math.max(MIN_SIZE, parseInt(value, 10) || MIN_SIZE));
+    update(next => {
+      next[field] = size;
+      next.terrain = resizeTerrain(next.terrain, next.rows, next.cols);
+    });
+  };
+
+  const updateShip = (index, changes) => {
+    update(next => {
+      Object.assign(findShips(next, fleet.key)[index], changes);
+    });
+  };
+
+  const toggleShipTerrain = (index, terrain) => {
+    const current = fleet.ships[index].terrain;
+    updateShip(index, {
+      terrain: current.includes(terrain) ? current.filter(t => t !== terrain) : [...current, terrain]
+    });
+  };
+
+  const handleAddShip = () => {
+    update(next => {
+      findShips(next, fleet.key).push({ name: 'New Ship', class: 'Destroyer', size: 2, terrain: ['deep'] });
+    });
+    setShipIndex(fleet.ships.length);
+  };
+
+  const handleRemoveShip = (index) => {
+    update(next => {
+      findShips(next, fleet.key).splice(index, 1);
+    });
+    setShipIndex(0);
+  };
+
+  const handleMunition = (key, value) => {
+    const count = parseInt(value, 10);
+    update(next => {
+      next.munitions = { ...(next.munitions || {}) };
+      if (Number.isNaN(count) || count < 0) {
+        delete next.munitions[key];
+      } else {
+        next.munitions[key] = count;
+      }
+    });
+  };
+
+  const handleRule = ({ key, type }, value) => {
+    update(next => {
+      if (type === 'boolean') {
+        next.game_rules[key] = value;
+      } else if (value === '') {
+        delete next.game_rules[key];
+      } else {
+        next.game_rules[key] = type === 'integer' ? parseInt(value, 10) : parseFloat(value);
+      }
+    });
+  };
+
+  const handleValidate = () => {
+    method = 'handleValidate';
+    const errors = validateEraConfig(draft, coreEngine.gameConfig);
+    log(`Validation: ${errors.length} errors`);
+    setExportErrors(errors);
+    return errors;
+  };
+
+  const exportJson = () => `${JSON.stringify(draft, null, 2)}\n`;
+
+  const handleDownload = () => {
+    method = 'handleDownload';
+    if (handleValidate().length > 0) return;
+
+    const url = URL.createObjectURL(new Blob([exportJson()], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `era-${draft.id}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    log(`Exported era-${draft.id}.json`);
+  };
+
+  const handleCopy = async () => {
+    method = 'handleCopy';
+    if (handleValidate().length > 0) return;
+
+    await navigator.clipboard.writeText(exportJson());
+    setCopied(true);
+    setTimeout(() => setCopied(false), 3000);
+  };
+
+  if (!canEdit || !draft) {
+    return (
+      <div className="container flex flex-column flex-center">
+        <div className="content-pane content-pane--narrow">
+          <div className="card-body">
+            <p className="text-center">
+              {canEdit ? 'No eras are loaded yet - try again in a moment.' : 'The era editor is only available to admins.'}
+            </p>
+          </div>
+          <div className="card-footer">
+            <button className="btn btn--secondary" onClick={onClose}>CLOSE</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container flex flex-column flex-center">
+      <div className="content-pane content-pane--wide">
+        <div className="card-header card-header--with-close">
+          <h2 className="card-title">Era Editor</h2>
+          {onClose && (
+            <button
+              className="btn btn--secondary btn--sm"
+              onClick={onClose}
+              aria-label="Close"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+
+        <div className="card-body era-editor">
+          <div className="era-editor__row">
+            <div className="form-group">
+              <label htmlFor="eraSource">Start from</label>
+              <select
+                id="eraSource"
+                className="input form-select"
+                value={sourceEraId}
+                onChange={(e) => handleLoadEra(e.target.value)}
+              >
+                {eras.map(era => <option key={era.id} value={era.id}>{era.name}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="eraId">Era id</label>
+              <input
+                id="eraId"
+                className="input"
+                value={draft.id}
+                onChange={(e) => update(next => { next.id = e.target.value.trim().toLowerCase(); })}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="eraName">Name</label>
+              <input
+                id="eraName"
+                className="input"
+                value={draft.name}
+                onChange={(e) => update(next => { next.name = e.target.value; })}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="eraRows">Rows</label>
+              <input
+                id="eraRows"
+                type="number"
+                className="input era-editor__number"
+                min={MIN_SIZE}
+                max={MAX_SIZE}
+                value={draft.rows}
+                onChange={(e) => handleResize('rows', e.target.value)}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="eraCols">Cols</label>
+              <input
+                id="eraCols"
+                type="number"
+                className="input era-editor__number"
+                min={MIN_SIZE}
+                max={MAX_SIZE}
+                value={draft.cols}
+                onChange={(e) => handleResize('cols', e.target.value)}
+              />
+            </div>
+          </div>
+
+          <div className="era-editor__brushes">
+            {BRUSHES.map(terrain => (
+              <button
+                key={terrain}
+                className={`btn btn--sm ${brush === terrain ? 'btn--primary' : 'btn--secondary'}`}
+                onClick={() => setBrush(terrain)}
+              >
+                <span
+                  className="era-editor__swatch"
+                  style={{ background: rendererRef.current.getTerrainColor(terrain) }}
+                />
+                {terrain}
+              </button>
+            ))}
+          </div>
+
+          <div className="era-editor__grid">
+            <canvas
+              ref={canvasRef}
+              width={draft.cols * CELL_SIZE + LABEL_SIZE}
+              height={draft.rows * CELL_SIZE + LABEL_SIZE}
+              onMouseDown={(e) => { paintingRef.current = true; paintAt(e); }}
+              onMouseMove={(e) => { if (paintingRef.current) paintAt(e); }}
+              onMouseUp={() => { paintingRef.current = false; }}
+              onMouseLeave={() => { paintingRef.current = false; }}
+            />
+            {ship && (
+              <p className="text-secondary text-sm">
+                Green cells: where {ship.name} ({ship.size}) can start - {placements.size} of {draft.rows * draft.cols}
+              </p>
+            )}
+          </div>
+
+          <h3>Fleets</h3>
+          <div className="era-editor__row">
+            <select
+              className="input form-select"
+              value={fleet?.key}
+              onChange={(e) => { setFleetKey(e.target.value); setShipIndex(0); }}
+            >
+              {fleets.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+            </select>
+            <button className="btn btn--secondary btn--sm" onClick={handleAddShip}>
+              <Plus size={16} /> Add ship
+            </button>
+          </div>
+
+          <table className="era-editor__ships">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Class</th>
+                <th>Size</th>
+                <th>Terrain</th>
+                <th>Placements</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {fleet?.ships.map((s, index) => (
+                <tr
+                  key={index}
+                  className={index === shipIndex ? 'era-editor__ship--selected' : ''}
+                  onClick={() => setShipIndex(index)}
+                >
+                  <td>
+                    <input className="input" value={s.name} onChange={(e) => updateShip(index, { name: e.target.value })} />
+                  </td>
+                  <td>
+                    <input className="input" value={s.class} onChange={(e) => updateShip(index, { class: e.target.value })} />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      className="input era-editor__number"
+                      min={1}
+                      max={MAX_SIZE}
+                      value={s.size}
+                      onChange={(e) => updateShip(index, { size: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                    />
+                  </td>
+                  <td>
+                    {SHIP_TERRAIN.map(terrain => (
+                      <label key={terrain} className="form-check era-editor__check">
+                        <input
+                          type="checkbox"
+                          checked={s.terrain.includes(terrain)}
+                          onChange={() => toggleShipTerrain(index, terrain)}
+                        />
+                        {terrain}
+                      </label>
+                    ))}
+                  </td>
+                  <td className={fleetPlacements[index] === 0 ? 'text-error' : ''}>
+                    {fleetPlacements[index] === 0 ? 'cannot be placed' : fleetPlacements[index]}
+                  </td>
+                  <td>
+                    <button
+                      className="btn btn--secondary btn--icon"
+                      onClick={(e) => { e.stopPropagation(); handleRemoveShip(index); }}
+                      aria-label={`Remove ${s.name}`}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3>Munitions</h3>
+          <div className="era-editor__row">
+            {MUNITION_KEYS.map(key => (
+              <div className="form-group" key={key}>
+                <label htmlFor={`munition-${key}`}>{key}</label>
+                <input
+                  id={`munition-${key}`}
+                  type="number"
+                  className="input era-editor__number"
+                  min={0}
+                  value={draft.munitions?.[key] ?? ''}
+                  onChange={(e) => handleMunition(key, e.target.value)}
+                />
+              </div>
+            ))}
+          </div>
+
+          <h3>Game rules</h3>
+          <div className="era-editor__row">
+            {RULE_FIELDS.map(field => (
+              field.type === 'boolean' ? (
+                <label key={field.key} className="form-check era-editor__check">
+                  <input
+                    type="checkbox"
+                    checked={!!draft.game_rules[field.key]}
+                    onChange={(e) => handleRule(field, e.target.checked)}
+                  />
+                  {field.key}
+                </label>
+              ) : (
+                <div className="form-group" key={field.key}>
+                  <label htmlFor={`rule-${field.key}`}>{field.key}</label>
+                  <input
+                    id={`rule-${field.key}`}
+                    type={field.type === 'string' ? 'text' : 'number'}
+                    step={field.type === 'number' ? '0.05' : '1'}
+                    className="input era-editor__number"
+                    value={draft.game_rules[field.key] ?? ''}
+                    onChange={(e) => handleRule(field, e.target.value)}
+                  />
+                </div>
+              )
+            ))}
+          </div>
+
+          {exportErrors && exportErrors.length > 0 && (
+            <div className="message message--error">
+              <p>era-{draft.id}.json has {exportErrors.length} error{exportErrors.length === 1 ? '' : 's'}:</p>
+              <ul>
+                {exportErrors.map((error, i) => <li key={i}>{error}</li>)}
+              </ul>
+            </div>
+          )}
+          {exportErrors && exportErrors.length === 0 && (
+            <div className="message message--success">
+              era-{draft.id}.json is valid{copied ? ' - copied to clipboard' : ''}
+            </div>
+          )}
+        </div>
+
+        <div className="card-footer">
+          <button className="btn btn--primary" onClick={handleDownload}>
+            <Download size={16} className="admin-invite-icon" />
+            DOWNLOAD JSON
+          </button>
+          <button className="btn btn--secondary" onClick={handleCopy}>
+            <Copy size={16} className="admin-invite-icon" />
+            COPY
+          </button>
+          <button className="btn btn--secondary" onClick={onClose}>
+            CLOSE
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EraEditorPage;
+
+// EOF
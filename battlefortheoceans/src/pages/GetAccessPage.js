@@ -1,5 +1,6 @@
 // src/pages/GetAccessPage.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.2.11: Progress for win_streak achievements (best_win_streak)
 // v0.2.10: Only fetch price info when purchase is enabled
 //          - Price fetching now checks purchaseEnabled before making API calls
 //          - Prevents unnecessary network requests when purchase is disabled
@@ -91,7 +92,7 @@ import { coreEngine, useGame } from '../context/GameContext';
 import configLoader from '../utils/ConfigLoader';
 import * as LucideIcons from 'lucide-react';
 
-const version = 'v0.2.10';
+const version = 'v0.2.11';
 const tag = "ACCESS";
 const module = "GetAccessPage";
 let method = "";
@@ -196,7 +197,7 @@ const GetAccessPage = ({ onComplete, onCancel }) => {
             // Get user stats for progress calculation
             const { data: stats } = await supabase
                 .from('user_profiles')
-                .select('total_games, total_wins, total_ships_sunk, total_damage')
+                .select('total_games, total_wins, total_ships_sunk, total_damage, best_win_streak')
                 .eq('id', playerId)
                 .single();
             
@@ -212,6 +213,8 @@ const GetAccessPage = ({ onComplete, onCancel }) => {
                         return userStats.total_ships_sunk || 0;
                     case 'total_damage':
                         return userStats.total_damage || 0;
+                    case 'win_streak':
+                        return userStats.best_win_streak || 0;
                     default:
                         return 0;
                 }
@@ -0,0 +1,104 @@
+// src/pages/MatchmakingPage.js
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.0: Online battle lobby screens
+//         - matchmaking state: searching for the chosen captain (or anyone), Cancel
+//         - waiting state: our fleet is committed, waiting for the opponent's
+//         - Shows coreEngine.matchmakingError with Try Again / Back
+
+import React, { useCallback } from 'react';
+import { coreEngine, useGame } from '../context/GameContext';
+
+const version = 'v0.1.0';
+const tag = "MATCHMAKING";
+const module = "MatchmakingPage";
+let method = "";
+
+const MatchmakingPage = () => {
+    // Logging utilities
+    const log = (message) => {
+      console.log(`[${tag}] ${version} ${module}.${method} : ${message}`);
+    };
+
+    const {
+      dispatch,
+      events
+    } = useGame();
+
+    const currentState = coreEngine.currentState;
+    const selectedEraConfig = coreEngine.selectedEraConfig;
+    const selectedOpponent = coreEngine.selectedOpponent;
+    const remoteMatch = coreEngine.remoteMatch;
+    const matchmakingError = coreEngine.matchmakingError;
+    const isWaiting = currentState === 'waiting';
+
+    const opponentName = remoteMatch?.opponent.name
+      || (selectedOpponent?.id ? selectedOpponent.name : null);
+
+    const handleCancel = useCallback(() => {
+      method = 'handleCancel';
+      log(isWaiting ? 'Leaving match' : 'Cancelling search');
+      coreEngine.cancelMatchmaking();
+    }, [isWaiting]);
+
+    const handleRetry = useCallback(() => {
+      method = 'handleRetry';
+      log('Retrying search');
+      dispatch(events.MATCHMAKING);
+    }, [dispatch, events]);
+
+    let title;
+    let message;
+    if (matchmakingError) {
+      title = 'Matchmaking Failed';
+      message = matchmakingError;
+    } else if (isWaiting) {
+      title = 'Fleet Ready';
+      message = `Waiting for ${opponentName || 'your opponent'} to place their fleet...`;
+    } else {
+      title = 'Finding an Opponent';
+      message = opponentName
+        ? `Waiting for ${opponentName} to join...`
+        : 'Searching for a captain to battle...';
+    }
+
+    return (
+      <div className="container flex flex-column flex-center">
+        <div className="content-pane content-pane--narrow">
+          <div className="card-header text-center">
+            <h2 className="card-title">{title}</h2>
+            <p className="card-subtitle">{selectedEraConfig?.name}</p>
+          </div>
+
+          <div className="card-body flex flex-column flex-center">
+            {!matchmakingError && (
+              <div className="spinner spinner--lg"></div>
+            )}
+            <p className="text-center">{message}</p>
+            {isWaiting && remoteMatch && !remoteMatch.opponentOnline && (
+              <p className="text-center text-dim">{opponentName} lost connection - waiting for them to return</p>
+            )}
+          </div>
+
+          <div className="card-footer">
+            {matchmakingError && (
+              <button
+                className="btn btn--primary"
+                onClick={handleRetry}
+              >
+                Try Again
+              </button>
+            )}
+            <button
+              className="btn btn--secondary"
+              onClick={handleCancel}
+            >
+              {matchmakingError ? 'Back' : isWaiting ? 'Leave Battle' : 'Cancel'}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+};
+
+export default MatchmakingPage;
+// EOF
@@ -1,5 +1,12 @@
-// src/pages/OverPage.js v0.5.16
+// src/pages/OverPage.js v0.5.20
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.5.20: No achievement check after hot-seat games (they do not count toward achievements)
+// v0.5.19: Battle Statistics show salvos fired in salvo games
+// v0.5.18: Battle replay - "Watch Replay" opens ReplayViewer under the final board
+//          - gameResults.replay (ReplayRecorder JSON) saved with the results (survives refresh)
+// v0.5.17: Hot-seat results - header names the winning captain instead of Victory/Defeat
+//          - gameResults.hotSeat saved with the results (survives refresh)
+//          - Battle Statistics already lists every player's own stats
 // v0.5.16: Sanitize HTML in snapshot display to prevent XSS attacks
 //          - Use sanitizeSnapshotHTML() before rendering snapshot HTML
 //          - Prevents malicious scripts in user-generated snapshot content
@@ -64,12 +71,13 @@ import PromotionalBox from '../components/PromotionalBox';
 import PurchasePage from './PurchasePage';
 import Player from '../classes/Player';
 import VideoPopup from '../components/VideoPopup';
+import ReplayViewer from '../components/ReplayViewer';
 import AchievementService from '../services/AchievementService';
 import configLoader from '../utils/ConfigLoader';
 import { sanitizeSnapshotHTML } from '../utils/sanitizeHTML';
 import * as LucideIcons from 'lucide-react';
 
-const version = 'v0.5.15';
+const version = 'v0.5.20';
 const tag = "OVER";
 const module = "OverPage";
 let method = "";
@@ -153,6 +161,7 @@ const OverPage = () => {
     // State for game results (from CoreEngine or sessionStorage)
     const [gameResults, setGameResults] = useState(null);
     const [showSnapshot, setShowSnapshot] = useState(false);
+    const [showReplay, setShowReplay] = useState(false);
     
     // State for achievements
     const [newAchievements, setNewAchievements] = useState([]);
@@ -224,6 +233,8 @@ const OverPage = () => {
         eraName: selectedEraConfig.name,
         playerName: player.name,
         opponents: selectedOpponents || [],
+        hotSeat: coreEngine.isHotSeat,
+        replay: gameInstance.replay?.toJSON() || null,
       };
       
       log('Saving game results to sessionStorage');
@@ -302,6 +313,12 @@ const OverPage = () => {
         return;
       }
 
+      // Hot-seat games are friendly matches - only games against AI or online captains count
+      if (gameResults.hotSeat) {
+        log('Hot-seat game - skipping achievements');
+        return;
+      }
+
       // TEMPORARY: Mock achievements for testing
       const ENABLE_MOCK_ACHIEVEMENTS = false;
       
@@ -625,20 +642,40 @@ const OverPage = () => {
 
   const { gameStats, gameLog } = gameResults;
   const isWinner = gameStats.winner === gameResults.playerName;
+  const hotSeatLosers = (gameStats.players || [])
+    .filter(p => p.name !== gameStats.winner)
+    .map(p => p.name)
+    .join(' & ');
 
   return (
     <div className="container flex flex-column flex-center">
       <div className="content-pane content-pane--wide" ref={pageRef}>
         <div className="over-header">
-          <h1 className={`over-title ${isWinner ? 'over-title--victory' : 'over-title--defeat'}`}>
-            {isWinner ? '🎉 Victory!' : '💥 Defeat'}
-          </h1>
-          <p className="over-subtitle">
-            {isWinner
-              ? `You destroyed ${formatOpponentFleets(gameResults.opponents)}!`
-              : `${formatOpponentFleets(gameResults.opponents)} destroyed your entire fleet!`
-            }
-          </p>
+          {gameResults.hotSeat ? (
+            <>
+              <h1 className="over-title over-title--victory">
+                🎉 {gameStats.winner || 'Nobody'} Wins!
+              </h1>
+              <p className="over-subtitle">
+                {gameStats.winner
+                  ? `${gameStats.winner} destroyed ${hotSeatLosers}'s fleet!`
+                  : 'Both fleets were destroyed!'
+                }
+              </p>
+            </>
+          ) : (
+            <>
+              <h1 className={`over-title ${isWinner ? 'over-title--victory' : 'over-title--defeat'}`}>
+                {isWinner ? '🎉 Victory!' : '💥 Defeat'}
+              </h1>
+              <p className="over-subtitle">
+                {isWinner
+                  ? `You destroyed ${formatOpponentFleets(gameResults.opponents)}!`
+                  : `${formatOpponentFleets(gameResults.opponents)} destroyed your entire fleet!`
+                }
+              </p>
+            </>
+          )}
           <p className="over-era">
             Era: {gameResults.eraName}
           </p>
@@ -671,6 +708,24 @@ const OverPage = () => {
             </div>
           )}
           
+          {/* v0.5.18: Move-by-move replay */}
+          {gameResults.replay && (
+            <div className="final-board-section text-center">
+              <button
+                className="btn btn--secondary btn--sm"
+                onClick={() => setShowReplay(!showReplay)}
+              >
+                {showReplay ? 'Hide Replay' : '▶ Watch Replay'}
+              </button>
+              {showReplay && (
+                <ReplayViewer
+                  replay={gameResults.replay}
+                  eraConfig={selectedEraConfig || coreEngine.eras?.get(gameResults.replay.eraId)}
+                />
+              )}
+            </div>
+          )}
+          
           {/* Loading achievements indicator */}
           {loadingAchievements && !isGuest && (
             <div className="achievements-section">
@@ -756,6 +811,12 @@ const OverPage = () => {
                         <span>Ships Sunk:</span>
                         <span>{player.sunk || 0}</span>
                       </div>
+                      {player.salvos > 0 && (
+                        <div className="stat-row">
+                          <span>Salvos:</span>
+                          <span>{player.salvos}</span>
+                        </div>
+                      )}
                       <div className="stat-row">
                         <span>Score:</span>
                         <span>{Math.round(player.score || 0)}</span>
@@ -1,5 +1,10 @@
 // src/pages/PlacementPage.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.4.21: Online battles - Start Battle waits for the opponent's fleet (WAITING) before PLAY
+// v0.4.20: Hot-seat placement - each human places their own fleet
+//          - Places for coreEngine.getActivePlayer() instead of coreEngine.player
+//          - "Done" shows HandoverScreen, then the next human places
+//          - Start Battle only after the last human has placed
 // v0.4.19: Allow null playerEmail for guest users in key data check
 //          - Guest users don't have email, so playerEmail check is conditional
 //          - Only require playerEmail for non-guest users
@@ -31,8 +36,9 @@ import React, { useState, useEffect, useRef } from 'react';
 import { coreEngine, useGame } from '../context/GameContext';
 import useGameState from '../hooks/useGameState';
 import CanvasBoard from '../components/CanvasBoard';
+import HandoverScreen from '../components/HandoverScreen';
 
-const version = 'v0.4.19';
+const version = 'v0.4.21';
 const tag = "PLACEMENT";
 const module = "PlacementPage";
 let method = "";
@@ -98,6 +104,17 @@ const PlacementPage = () => {
 
     const selectedEraConfig = coreEngine.selectedEraConfig;
 
+    // v0.4.20: Hot seat - humans take turns placing on this device
+    const isHotSeat = coreEngine.isHotSeat;
+    const placingPlayer = coreEngine.getActivePlayer();
+    const humanPlayers = coreEngine.getHumanPlayers();
+    const nextPlacingPlayer = isHotSeat
+      ? humanPlayers[humanPlayers.indexOf(placingPlayer) + 1] || null
+      : null;
+    const opponentName = isHotSeat
+      ? humanPlayers.find(p => p !== placingPlayer)?.name
+      : selectedOpponent?.name;
+
     // v0.4.17: Get dispatch/events shortcuts from useGame (only thing we need from context)
     const { dispatch, events } = useGame();
   
@@ -192,6 +209,7 @@ const PlacementPage = () => {
   
   const [error, setError] = useState(null);
   const [isAutoPlacing, setIsAutoPlacing] = useState(false);
+  const [handoverTo, setHandoverTo] = useState(null);
   
   // Refs for syncing message console width to game board
   const messageConsoleRef = useRef(null);
@@ -207,17 +225,17 @@ const PlacementPage = () => {
       log(`Placing ${ship.name} with ${shipCells.length} cells`);
       
       // v0.4.17: Call coreEngine directly (not through context)
-      const success = coreEngine.registerShipPlacement(ship, shipCells, orientation, player.id);
+      const success = coreEngine.registerShipPlacement(ship, shipCells, orientation, placingPlayer.id);
       
       if (success) {
         log(`Successfully placed ${ship.name}`);
 
           // DEBUG: Check what's in shipPlacements
-          console.log('[PLACEMENT] DEBUG player.shipPlacements:', player.shipPlacements);
+          console.log('[PLACEMENT] DEBUG player.shipPlacements:', placingPlayer.shipPlacements);
           console.log('[PLACEMENT] DEBUG ship.cells:', ship.cells);
 
         // Phase 4: Access fleet directly from player
-        const fleet = player?.fleet;
+        const fleet = placingPlayer?.fleet;
         if (fleet) {
           const placedCount = fleet.ships.filter(ship => ship.isPlaced).length;
           const totalCount = fleet.ships.length;
@@ -245,7 +263,7 @@ const PlacementPage = () => {
   const handleAutoPlace = async () => {
       method = 'handleAutoPlace';
 
-    if (!gameInstance || !player || !board || isAutoPlacing) {
+    if (!gameInstance || !placingPlayer || !board || isAutoPlacing) {
       return;
     }
 
@@ -254,12 +272,12 @@ const PlacementPage = () => {
 
     try {
       // Phase 4: Access fleet directly from player
-      const fleet = player.fleet;
+      const fleet = placingPlayer.fleet;
       if (fleet) {
         log('Clearing existing ship placements');
         
         // Phase 4: Clear player's placement map (the fix!)
-        player.clearPlacements();
+        placingPlayer.clearPlacements();
         
         // Reset ship flags
         fleet.ships.forEach(ship => {
@@ -267,8 +285,8 @@ const PlacementPage = () => {
         });
         
         log(`board === gameInstance.board: ${board === gameInstance.board}`);
-        log(`player.board === board: ${player.board === board}`);
-        log(`player.board === gameInstance.board: ${player.board === gameInstance.board}`);
+        log(`player.board === board: ${placingPlayer.board === board}`);
+        log(`player.board === gameInstance.board: ${placingPlayer.board === gameInstance.board}`);
         
         // Clear the board (terrain only now)
         board.clear();
@@ -276,7 +294,7 @@ const PlacementPage = () => {
         log('All ships cleared, ready for fresh auto-placement');
       }
 
-      await gameInstance.autoPlaceShips(player);
+      await gameInstance.autoPlaceShips(placingPlayer);
       log('Auto-placement completed');
       
     } catch (error) {
@@ -289,18 +307,33 @@ const PlacementPage = () => {
   const handleStartBattle = () => {
       method = 'handleStartBattle';
 
+    // v0.4.20: Hot seat - hide this fleet and pass the device to the next human
+    if (nextPlacingPlayer) {
+      log(`${placingPlayer.name} placed - handing over to ${nextPlacingPlayer.name}`);
+      setHandoverTo(nextPlacingPlayer);
+      return;
+    }
+
     log('Player confirmed - starting battle');
     
     if (dispatch && events) {
         log('exit Placement: events: ', events);
         log('exit Placement: coreEngine.gameInstance: ', coreEngine.gameInstance);
         log('exit Placement: coreEngine.board: ', coreEngine.board);
-      dispatch(events.PLAY);
+      // v0.4.21: Online - the battle starts once both fleets are placed
+      dispatch(coreEngine.remoteMatch ? events.WAITING : events.PLAY);
     } else {
       logerror('Cannot transition - missing dispatch or events');
     }
   };
 
+  const handleHandoverReady = () => {
+      method = 'handleHandoverReady';
+
+    coreEngine.setActivePlayer(handoverTo);
+    setHandoverTo(null);
+  };
+
   const getPlacementMessage = () => {
       method = 'getPlacementMessage';
 
@@ -308,6 +341,8 @@ const PlacementPage = () => {
       return 'Autoplacing ships...';
     } else if (currentShip) {
       return `Place your ${currentShip.class.toLowerCase()} in ${currentShip.terrain.join(' or ')} water`;
+    } else if (isPlacementComplete && nextPlacingPlayer) {
+      return `Fleet is complete! Review your placement, then pass the device to ${nextPlacingPlayer.name}.`;
     } else if (isPlacementComplete) {
       return 'Fleet is complete! Review your placement or click "Start Battle" to begin.';
     } else {
@@ -358,6 +393,17 @@ const PlacementPage = () => {
     );
   }
 
+  if (handoverTo) {
+    return (
+      <HandoverScreen
+        show={true}
+        playerName={handoverTo.name}
+        reason="placement"
+        onReady={handleHandoverReady}
+      />
+    );
+  }
+
     if (hasMissingData || !board || !gameInstance || !player) {
     const waitingFor = [];
       if (hasMissingData) waitingFor.push('core data');
@@ -388,7 +434,7 @@ const PlacementPage = () => {
           
           <div className="card-header">
             <h2 className="card-title">Place Your Fleet</h2>
-            <p className="card-subtitle">{currentPlayer?.name} vs {selectedOpponent.name}</p>
+            <p className="card-subtitle">{placingPlayer?.name || currentPlayer?.name} vs {opponentName}</p>
           </div>
 
           <div className="divider"></div>
@@ -402,7 +448,7 @@ const PlacementPage = () => {
               gameInstance={gameInstance}
               currentShip={currentShip}
               onShipPlaced={handleShipPlaced}
-              player={player}
+              player={placingPlayer}
             />
           </div>
 
@@ -437,7 +483,7 @@ const PlacementPage = () => {
               onClick={handleStartBattle}
               disabled={!isPlacementComplete || isAutoPlacing}
             >
-              Start Battle
+              {nextPlacingPlayer ? `Done - Pass to ${nextPlacingPlayer.name}` : 'Start Battle'}
             </button>
           </div>
 
@@ -1,5 +1,17 @@
 // src/pages/PlayingPage.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.5.17: Weather badge in the message console (fog, night, storm)
+// v0.5.16: Ship movement - moves picked from the long-press menu (onShipMoved)
+// v0.5.15: Salvo rule - board clicks pick salvo targets; FIRE SALVO in the message console
+// v0.5.14: One onMunitionFired for every munition in the registry (torpedoes included)
+// v0.5.13: Online battles - note in the message console while the opponent is disconnected
+// v0.5.12: Hot-seat turns - board, sidebars and stats follow the active human (humanPlayer)
+//          - HandoverScreen covers the page when the turn passes to the other human
+//          - Shot clock and autoplay pause until the next captain confirms
+// v0.5.11: Shot clock countdown (useShotClock) in the message console
+//          - Clock pauses during autoplay and video popups
+// v0.5.10: Split fleet sidebar into Enemy and Allies using gameInstance.isSameAlliance()
+//          - Captains who defect (change_alliance) move to the Allies sidebar
 // v0.5.9: Removed gameMode from useGameState destructuring (game is always turn-based)
 // v0.5.8: Set speedFactor to 0 when autoplay is enabled to skip animation delays
 //         - Autoplay now proceeds instantly without waiting for animations
@@ -42,11 +54,13 @@ import { coreEngine, useGame } from '../context/GameContext';
 import useGameState from '../hooks/useGameState';
 import useVideoTriggers from '../hooks/useVideoTriggers';
 import useAutoPlay from '../hooks/useAutoPlay';
+import useShotClock from '../hooks/useShotClock';
 import CanvasBoard from '../components/CanvasBoard';
 import FleetStatusSidebar from '../components/FleetStatusSidebar';
 import VideoPopup from '../components/VideoPopup';
+import HandoverScreen from '../components/HandoverScreen';
 
-const version = 'v0.5.9';
+const version = 'v0.5.17';
 const tag = "PLAYING";
 const module = "PlayingPage";
 let method = "";
@@ -126,10 +140,27 @@ const PlayingPage = () => {
     winner,
     gameBoard,
     handleAttack,
+    playerShots,
     munitions,
-    fireMunition
+    fireMunition,
+    salvo,
+    weather,
+    toggleSalvoTarget,
+    fireSalvo,
+    moveShip,
+    humanPlayer,
+    isHotSeat
   } = useGameState();
   
+  // v0.5.12: Hot seat - the human whose fleet is on screen (always player outside hot seat)
+  const viewer = humanPlayer || player;
+  const viewerId = viewer?.id || playerId;
+  const needsHandover = !!(isHotSeat && isPlayerTurn && currentPlayer && currentPlayer.id !== viewerId);
+  
+  const handleHandoverReady = useCallback(() => {
+    coreEngine.setActivePlayer(currentPlayer);
+  }, [currentPlayer]);
+  
   // Video system (v0.5.0)
   const { showVideo, currentVideo, handleVideoComplete } = useVideoTriggers(gameInstance, selectedEraConfig);
   
@@ -186,10 +217,13 @@ const PlayingPage = () => {
   // No duplicate subscription - useGameState already subscribes to CoreEngine
   
   // Get opponent player(s) for fleet sidebar
-  const opponentPlayers = gameInstance?.players?.filter(p => p.id !== playerId) || [];
+  // v0.5.10: Alliances can change mid-battle, so split on current alliance membership
+  const otherPlayers = gameInstance?.players?.filter(p => p.id !== viewerId) || [];
+  const opponentPlayers = otherPlayers.filter(p => !gameInstance.isSameAlliance(viewerId, p.id));
+  const alliedPlayers = otherPlayers.filter(p => gameInstance.isSameAlliance(viewerId, p.id));
   
   // Build opponent fleet data for multi-fleet display
-  const opponentFleetData = opponentPlayers.map(player => {
+  const toFleetData = (player) => {
     // Try to get captain name from player name or selectedOpponent
     let captainName = player.name;
     
@@ -210,7 +244,9 @@ const PlayingPage = () => {
       player,
       captainName
     };
-  });
+  };
+  const opponentFleetData = opponentPlayers.map(toFleetData);
+  const alliedFleetData = alliedPlayers.map(toFleetData);
   
   // Set battle board ref (video callbacks handled by useVideoTriggers)
   useEffect(() => {
@@ -309,34 +345,49 @@ const PlayingPage = () => {
     }
   }, [handleAttack]);
   
-  const onStarShellFired = useCallback((row, col) => {
-    console.log('[MUNITIONS]', version, 'Star shell fired at', { row, col });
-    fireMunition('starShell', row, col);
+  const onMunitionFired = useCallback((munitionType, row, col) => {
+    console.log('[MUNITIONS]', version, munitionType, 'fired at', { row, col });
+    return fireMunition(munitionType, row, col);
   }, [fireMunition]);
   
-  const onScatterShotFired = useCallback((row, col) => {
-    console.log('[MUNITIONS]', version, 'Scatter shot fired at', { row, col });
-    fireMunition('scatterShot', row, col);
-  }, [fireMunition]);
+  const onShipMoved = useCallback((shipId, dRow, dCol) => {
+    console.log('[MOVE]', version, shipId, 'by', { dRow, dCol });
+    return moveShip(shipId, dRow, dCol);
+  }, [moveShip]);
+  
+  const onSalvoTarget = useCallback((row, col) => {
+    return toggleSalvoTarget(row, col);
+  }, [toggleSalvoTarget]);
   
-  const onTorpedoFired = useCallback((row, col) => {
-    console.log('[MUNITIONS]', version, 'Torpedo fired at', { row, col });
-    if (gameInstance) {
-      gameInstance.fireTorpedo(row, col);
+  const handleFireSalvo = useCallback(() => {
+    const outcome = fireSalvo();
+    if (outcome) {
+      canvasBoardRef.current?.showSalvoResults(outcome.cells);
     }
-  }, [gameInstance]);
+  }, [fireSalvo]);
   
   // v0.5.1: AutoPlay testing utility extracted to hook
   const { autoPlayEnabled, canUseAutoPlay, handleAutoPlayToggle } = useAutoPlay({
     gameInstance,
     selectedEraConfig,
-    isPlayerTurn,
+    isPlayerTurn: isPlayerTurn && !needsHandover,
     isGameActive,
     handleShotFired,
     playerProfile,
     battleMessage
   });
 
+  // v0.5.11: Shot clock - random shot or forfeit when time runs out
+  const { shotClockSeconds } = useShotClock({
+    gameInstance,
+    selectedEraConfig,
+    isPlayerTurn,
+    isGameActive,
+    handleShotFired,
+    playerShots,
+    paused: autoPlayEnabled || showVideo || needsHandover
+  });
+
   // Set speedFactor to 0 when autoplay is enabled (skip animation delays)
   useEffect(() => {
     if (gameInstance && gameInstance.updateAnimationSettings) {
@@ -358,8 +409,9 @@ const PlayingPage = () => {
     isGameActive,
     gamePhase,
     winner,
-    playerId: player?.id
-  }), [isPlayerTurn, currentPlayer, battleMessage, uiMessage, playerHits, opponentHits, isGameActive, gamePhase, winner, player?.id]);
+    playerId: viewerId,
+    salvoSize: salvo.size
+  }), [isPlayerTurn, currentPlayer, battleMessage, uiMessage, playerHits, opponentHits, isGameActive, gamePhase, winner, viewerId, salvo.size]);
 
     if (!playerProfile) {
     return null;
@@ -400,8 +452,18 @@ const PlayingPage = () => {
         <div className="content-pane content-pane--wide">
           <div className="card-header text-center">
             <h2 className="card-title">{selectedEraConfig?.name}</h2>
+            {isHotSeat && (
+              <p className="card-subtitle">Captain: {viewer?.name}</p>
+            )}
           </div>
           
+          <HandoverScreen
+            show={needsHandover}
+            playerName={currentPlayer?.name}
+            reason="turn"
+            onReady={handleHandoverReady}
+          />
+          
           <div className="battle-board-layout">
             {/* Board and console container - stacked vertically */}
             <div className="board-console-container">
@@ -423,10 +485,10 @@ const PlayingPage = () => {
                   gameInstance={gameInstance}
                   gameState={gameState}
                   onShotFired={handleShotFired}
-                  onStarShellFired={onStarShellFired}
-                  onScatterShotFired={onScatterShotFired}
-                  onTorpedoFired={onTorpedoFired}
-                  player={player}
+                  onMunitionFired={onMunitionFired}
+                  onSalvoTarget={onSalvoTarget}
+                  onShipMoved={onShipMoved}
+                  player={viewer}
                 />
                 
                 <div className="view-mode-controls" ref={viewControlsRef}>
@@ -459,6 +521,33 @@ const PlayingPage = () => {
                     <div className="ui-message">
                       {uiMessage || 'Preparing for battle...'}
                     </div>
+                    {shotClockSeconds !== null && (
+                      <div className={`shot-clock ${shotClockSeconds <= 5 ? 'shot-clock--urgent' : ''}`}>
+                        ⏱ {shotClockSeconds}s
+                      </div>
+                    )}
+                    {weather && (
+                      <div className="weather-status" title={`Shot damage x${weather.accuracy}`}>
+                        {weather.emoji} {weather.label}
+                      </div>
+                    )}
+                    {salvo.size > 1 && isPlayerTurn && !needsHandover && (
+                      <div className="salvo-status">
+                        <span>🎯 Salvo {salvo.targets.length}/{salvo.size}</span>
+                        <button
+                          className="btn btn--primary btn--sm"
+                          onClick={handleFireSalvo}
+                          disabled={salvo.targets.length === 0}
+                        >
+                          FIRE SALVO
+                        </button>
+                      </div>
+                    )}
+                    {coreEngine.remoteMatch && !coreEngine.remoteMatch.opponentOnline && (
+                      <div className="ui-message text-dim">
+                        {coreEngine.remoteMatch.opponent.name} lost connection - waiting for them to return
+                      </div>
+                    )}
                     <div className="message-divider"></div>
                     <div className="battle-message">
                       {battleMessage || 'Awaiting battle action...'}
@@ -470,7 +559,7 @@ const PlayingPage = () => {
             
             {/* Fleet sidebars - can be in a row when wide enough */}
               <FleetStatusSidebar
-                fleet={player?.fleet}
+                fleet={viewer?.fleet}
                 title="Home"
                 munitions={munitions}
               />
@@ -479,6 +568,13 @@ const PlayingPage = () => {
                 fleets={opponentFleetData}
                 title="Enemy"
               />
+              
+              {alliedFleetData.length > 0 && (
+                <FleetStatusSidebar
+                  fleets={alliedFleetData}
+                  title="Allies"
+                />
+              )}
           </div>
           
           {canUseAutoPlay && isGameActive && (
@@ -1,5 +1,11 @@
 // src/pages/PurchasePage.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.4.5: Pass packs, the exclusive eras bundle and gifts (game-config.json products)
+//         - Card tab lists this era plus every product with a stripe_price_id
+//         - "Send as a gift" sends giftEmail - stripe_webhook.js emails the recipient a voucher
+//         - Products are credited by the webhook; the page waits for the user_rights row
+//           (getUserRights by payment intent) then notifies subscribers so NavBar shows the passes
+//         - Fixed create_payment_intent body: userId (was playerId, which the function rejected)
 // v0.4.4: Use singleton StripeService instance
 //         - Changed import from StripeService (class) to stripeService (instance)
 //         - Removed line 132: const stripeService = new StripeService()
@@ -23,8 +29,9 @@ import { coreEngine, useGame } from '../context/GameContext';
 import stripeService from '../services/StripeService';
 import configLoader from '../utils/ConfigLoader';
 import Player from '../classes/Player';
+import RightsService from '../services/RightsService';
 
-const version = 'v0.4.4';
+const version = 'v0.4.5';
 // Detect if we're in production (battlefortheoceans.com) or local development
 
 const isProduction = window.location.hostname === 'battlefortheoceans.com';
@@ -36,7 +43,29 @@ const eraConfig = coreEngine.selectedEraConfig;
 // Load Stripe
 const stripePromise = loadStripe(process.env.REACT_APP_STRIPE_PUBLISHABLE_KEY);
 
-const PaymentForm = ({ eraInfo, playerProfile, onSuccess, onError }) => {
+// Selected product id for the era itself (the rest are game-config products keys)
+const ERA_PRODUCT = 'era';
+
+// The webhook credits products - how long to wait for the row before saying it is on its way
+const CREDIT_POLL_ATTEMPTS = 10;
+const CREDIT_POLL_INTERVAL_MS = 1500;
+
+/**
+ * Wait for stripe_webhook.js to write the user_rights row for a payment
+ * @returns {Promise<boolean>} True once the row exists
+ */
+const waitForWebhookCredit = async (userId, paymentIntentId) => {
+  for (let attempt = 0; attempt < CREDIT_POLL_ATTEMPTS; attempt++) {
+    const rights = await RightsService.getUserRights(userId);
+    if (rights.some(right => right.stripe_payment_intent_id === paymentIntentId)) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, CREDIT_POLL_INTERVAL_MS));
+  }
+  return false;
+};
+
+const PaymentForm = ({ eraInfo, purchase, playerProfile, onSuccess, onError }) => {
   const stripe = useStripe();
   const elements = useElements();
   const [isProcessing, setIsProcessing] = useState(false);
@@ -58,11 +87,18 @@ const PaymentForm = ({ eraInfo, playerProfile, onSuccess, onError }) => {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-          priceId: eraInfo.promotional.stripe_price_id,
-          playerId: playerProfile?.id,
-          eraId: eraInfo.id
-        }),
+        body: JSON.stringify(purchase.productId === ERA_PRODUCT
+          ? {
+              priceId: eraInfo.promotional.stripe_price_id,
+              userId: playerProfile?.id,
+              eraId: eraInfo.id,
+              giftEmail: purchase.giftEmail
+            }
+          : {
+              productId: purchase.productId,
+              userId: playerProfile?.id,
+              giftEmail: purchase.giftEmail
+            }),
       });
 
       if (!response.ok) {
@@ -123,9 +159,9 @@ const PaymentForm = ({ eraInfo, playerProfile, onSuccess, onError }) => {
       <button
         type="submit"
         className="btn btn--primary btn--lg btn--block"
-        disabled={!stripe || isProcessing}
+        disabled={!stripe || isProcessing || !purchase.priceFormatted || (purchase.isGift && !purchase.giftEmail)}
       >
-        {isProcessing ? 'Processing...' : `Pay ${eraInfo.priceFormatted || '[unavailable]'}`}
+        {isProcessing ? 'Processing...' : `Pay ${purchase.priceFormatted || '[unavailable]'}`}
       </button>
     </form>
   );
@@ -140,6 +176,10 @@ const PurchasePage = ({ eraId, onComplete, onCancel }) => {
   const [success, setSuccess] = useState('');
   const [eraInfo, setEraInfo] = useState(null);
   const [priceInfo, setPriceInfo] = useState(null);
+  const [products, setProducts] = useState([]);
+  const [selectedProductId, setSelectedProductId] = useState(ERA_PRODUCT);
+  const [isGift, setIsGift] = useState(false);
+  const [giftEmail, setGiftEmail] = useState('');
   const [loading, setLoading] = useState(true);
     const isGuest = coreEngine.player != null && coreEngine.player.isGuest;
     
@@ -179,6 +219,28 @@ const PurchasePage = ({ eraId, onComplete, onCancel }) => {
           console.error('[PAYMENT]', version, 'Price fetch failed:', priceError);
         }
       }
+
+      // v0.4.5: Pass packs and bundles on sale (a product without a price id is not offered)
+      const gameConfig = await configLoader.loadGameConfig();
+      const onSale = Object.entries(gameConfig.products || {})
+        .filter(([, product]) => product.stripe_price_id)
+        .map(([id, product]) => ({ id, ...product }));
+
+      const priced = await Promise.all(onSale.map(async (product) => {
+        try {
+          const price = await stripeService.fetchPrice(product.stripe_price_id);
+          return { ...product, priceFormatted: price.formatted };
+        } catch (priceError) {
+          console.error('[PAYMENT]', version, `Price fetch failed for ${product.id}:`, priceError);
+          return { ...product, priceFormatted: null };
+        }
+      }));
+      console.log('[PAYMENT]', version, 'Products on sale:', priced.map(product => product.id));
+      setProducts(priced);
+
+      if (!eraConfig.promotional?.stripe_price_id && priced.length > 0) {
+        setSelectedProductId(priced[0].id);
+      }
       
     } catch (err) {
       console.error('[PAYMENT]', version, 'Era info fetch error:', err);
@@ -218,6 +280,32 @@ const PurchasePage = ({ eraId, onComplete, onCancel }) => {
   };
 
   const handleStripeSuccess = async (paymentIntentId) => {
+    const product = products.find(p => p.id === selectedProductId);
+
+    // v0.4.5: Gifts - the webhook emails the voucher, nothing to grant here
+    if (isGift) {
+      console.log('[PAYMENT]', version, `Gift paid - voucher goes to ${giftEmail}`);
+      setSuccess(`Gift sent! A voucher for ${product?.label || eraInfo.name} is on its way to ${giftEmail}.`);
+      setTimeout(() => {
+        onComplete && onComplete(eraId);
+      }, 3000);
+      return;
+    }
+
+    // v0.4.5: Pass packs and bundles - credited by the webhook
+    if (product) {
+      console.log('[PAYMENT]', version, `Waiting for ${product.id} to be credited`);
+      const credited = await waitForWebhookCredit(playerProfile?.id, paymentIntentId);
+      coreEngine.notifySubscribers();
+      setSuccess(credited
+        ? `${product.label} added to your account!`
+        : `Payment received - ${product.label} will appear in your account shortly.`);
+      setTimeout(() => {
+        onComplete && onComplete(eraId);
+      }, 2000);
+      return;
+    }
+
     try {
       console.log('[PAYMENT]', version, 'Granting era access');
       
@@ -322,6 +410,14 @@ const PurchasePage = ({ eraId, onComplete, onCancel }) => {
     );
   }
 
+  const selectedProduct = products.find(product => product.id === selectedProductId);
+  const purchase = {
+    productId: selectedProductId,
+    priceFormatted: selectedProduct ? selectedProduct.priceFormatted : priceInfo?.formatted,
+    isGift,
+    giftEmail: isGift ? giftEmail.trim() : undefined
+  };
+
   // Build features list
   const features = [];
   if (eraInfo.promotional?.features) {
@@ -443,11 +539,63 @@ const PurchasePage = ({ eraId, onComplete, onCancel }) => {
         {/* v0.4.3: Stripe Payment - Show for all non-guest users (including admin/tester) */}
         {!isGuest && purchaseMethod === 'stripe' && (
           <div>
+            {/* v0.4.5: This era, pass packs and bundles */}
+            {products.length > 0 && (
+              <div className="form-group">
+                <label className="form-label">Choose a purchase</label>
+                {eraInfo.promotional?.stripe_price_id && (
+                  <label className="form-check">
+                    <input
+                      type="radio"
+                      name="purchase-product"
+                      checked={selectedProductId === ERA_PRODUCT}
+                      onChange={() => setSelectedProductId(ERA_PRODUCT)}
+                    />
+                    <span>{eraInfo.name} - {priceInfo?.formatted || '[price unavailable]'}</span>
+                  </label>
+                )}
+                {products.map(product => (
+                  <label key={product.id} className="form-check" title={product.description}>
+                    <input
+                      type="radio"
+                      name="purchase-product"
+                      checked={selectedProductId === product.id}
+                      onChange={() => setSelectedProductId(product.id)}
+                    />
+                    <span>{product.label} - {product.priceFormatted || '[price unavailable]'}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+
             <div className="price-box mb-lg">
               <div className="price-amount">
-                {priceInfo?.formatted || '[price unavailable]'}
+                {purchase.priceFormatted || '[price unavailable]'}
               </div>
-              <div className="price-note">One-time purchase</div>
+              <div className="price-note">
+                {selectedProduct?.description || 'One-time purchase'}
+              </div>
+            </div>
+
+            {/* v0.4.5: Gift - the recipient gets a voucher by email */}
+            <div className="form-group">
+              <label className="form-check">
+                <input
+                  type="checkbox"
+                  checked={isGift}
+                  onChange={(e) => setIsGift(e.target.checked)}
+                />
+                <span>Send as a gift</span>
+              </label>
+              {isGift && (
+                <input
+                  type="email"
+                  placeholder="Recipient's email"
+                  value={giftEmail}
+                  onChange={(e) => setGiftEmail(e.target.value)}
+                  className="form-input mt-md"
+                />
+              )}
             </div>
 
             <div className="info-card mb-lg">
@@ -462,6 +610,7 @@ const PurchasePage = ({ eraId, onComplete, onCancel }) => {
             <Elements stripe={stripePromise}>
               <PaymentForm
                 eraInfo={eraInfo}
+                purchase={purchase}
                 playerProfile={playerProfile}
                 onSuccess={handleStripeSuccess}
                 onError={handleStripeError}
@@ -1,5 +1,18 @@
 // src/pages/SelectOpponentPage.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.6.19: Human Opponents list comes from PresenceService.getLobby() (player_presence)
+//          - Refreshed every 15 seconds while the page is open
+//          - Captains in battle are listed but cannot be challenged
+// v0.6.18: Online battles against human opponents
+//          - Begin Battle with a human opponent goes to matchmaking (MatchService) instead of placement
+//          - "Quick Match" entry plays whichever captain is searching in this era (guests too)
+//          - Shows coreEngine.matchmakingError when the last opponent left before the battle
+//          - Fixed online humans ids (user_profiles.id, not player_id)
+// v0.6.17: Adaptive AI captains show an "Adaptive" badge with the 1.0x - 2.0x multiplier range
+//          (AiPlayer sets the real multiplier from the blend it plays)
+// v0.6.16: Hot Seat opponent - a second captain on this device (pass-and-play)
+//          - Name entry builds opponent { id: local-..., name, type: 'local' }
+//          - GameLifecycleManager turns it into a second HumanPlayer
 // v0.6.15: Add loading indicator while fetching online humans
 //          - Show spinner in human opponents list while loading
 //          - Better UX feedback during async operation
@@ -36,11 +49,13 @@
 // v0.5.0: Added avatar display for AI captains
 
 import React, { useState, useEffect, useCallback } from 'react';
-import { supabase } from '../utils/supabaseClient';
 import { coreEngine, useGame } from '../context/GameContext';
 import configLoader from '../utils/ConfigLoader';
+import PresenceService, { PRESENCE_STATUS } from '../services/PresenceService';
 
-const version = 'v0.6.14';
+const LOBBY_REFRESH_INTERVAL = 15000;
+
+const version = 'v0.6.19';
 const tag = "OPPONENT";
 const module = "SelectOpponentPage";
 let method = "";
@@ -79,6 +94,8 @@ const SelectOpponentPage = () => {
     const [isTransitioning, setIsTransitioning] = useState(false);
     const [aiExpanded, setAiExpanded] = useState(true);
     const [humanExpanded, setHumanExpanded] = useState(false);
+    const [hotSeatExpanded, setHotSeatExpanded] = useState(false);
+    const [localCaptainName, setLocalCaptainName] = useState('');
 
     // Key data - see CoreEngine handle{state}
     const gameConfig = coreEngine.gameConfig;
@@ -185,6 +202,8 @@ const SelectOpponentPage = () => {
     const handleHumanOpponentSelect = useCallback((human) => {
       method = 'handleHumanOpponentSelect';
       
+    if (human.status === PRESENCE_STATUS.BATTLE) return;
+      
     const completeOpponent = {
       ...human,
       type: 'human'
@@ -194,6 +213,38 @@ const SelectOpponentPage = () => {
       coreEngine.selectedOpponents = [completeOpponent];
     }, []);
 
+    // v0.6.18: Quick match - any captain searching in this era
+    const handleQuickMatchSelect = useCallback(() => {
+      method = 'handleQuickMatchSelect';
+      
+    const completeOpponent = {
+      id: null,
+      name: 'Any Captain',
+      description: 'First captain searching in this era',
+      type: 'human'
+    };
+    
+    log('Quick match selected');
+      coreEngine.selectedOpponents = [completeOpponent];
+    }, []);
+
+    // v0.6.16: Hot seat - second human sharing this device
+    const handleLocalOpponentSelect = useCallback(() => {
+      method = 'handleLocalOpponentSelect';
+      
+    const name = localCaptainName.trim() || 'Player 2';
+    const sanitizedName = name.toLowerCase().replace(/\s+/g, '-');
+    const completeOpponent = {
+      id: `local-${sanitizedName}-${Date.now()}`,
+      name,
+      description: 'Pass-and-play on this device',
+      type: 'local'
+    };
+    
+    log('Hot seat opponent selected:', completeOpponent.name);
+      coreEngine.selectedOpponents = [completeOpponent];
+    }, [localCaptainName]);
+
     const getAvailableAICaptains = useCallback(() => {
       method = 'getAvailableAICaptains';
       
@@ -272,11 +323,17 @@ const SelectOpponentPage = () => {
         setIsTransitioning(true);
         await new Promise(resolve => setTimeout(resolve, 50));
         
+        // Human opponents play online - find them first, placement follows the match
+        if (selectedOpponent.type === 'human') {
+          dispatch(events.MATCHMAKING);
+          return;
+        }
+        
         dispatch(events.PLACEMENT);  // No data payload needed anymore
       }
     }, [isMultiFleet, selectedPirateFleets, selectedOpponent, selectedAlliance, selectedEraConfig, dispatch, events]);
 
-    const fetchOnlineHumans = useCallback(async () => {
+    const fetchOnlineHumans = useCallback(async (silent = false) => {
       method = 'fetchOnlineHumans';
       
     if (!selectedEraConfig) return;
@@ -288,24 +345,13 @@ const SelectOpponentPage = () => {
       return;
     }
     
-    setLoading(true);
+    if (!silent) setLoading(true);
     try {
-      const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000).toISOString();
-      
-        const { data, error } = await supabase
-          .from('user_profiles')  // ✅ Use existing table
-          .select('id, game_name, last_seen')
-          .gte('last_seen', fiveMinutesAgo)
-          .neq('id', playerProfile.id)  // Only valid for UUIDs, not guest IDs
-          .limit(20);
-        
-      if (error) throw error;
+      const lobby = await PresenceService.getLobby();
       
-      const humansWithIds = data.map(h => ({
-        id: h.player_id,
-        game_name: h.game_name,
-        name: h.game_name,
-        last_seen: h.last_seen
+      const humansWithIds = lobby.map(h => ({
+        ...h,
+        name: h.game_name
       }));
       
       setOnlineHumans(humansWithIds);
@@ -320,6 +366,8 @@ const SelectOpponentPage = () => {
 
     useEffect(() => {
         fetchOnlineHumans();
+        const refresh = setInterval(() => fetchOnlineHumans(true), LOBBY_REFRESH_INTERVAL);
+        return () => clearInterval(refresh);
     }, [fetchOnlineHumans]);
 
     // Key data check - stop game if key data is missing
@@ -363,6 +411,8 @@ const SelectOpponentPage = () => {
       if (isMultiFleet) {
         const fleetNames = selectedPirateFleets.map(f => f.ai_captain.name).join(' & ');
         return `Play ${fleetNames}`;
+      } else if (selectedOpponent?.type === 'human') {
+        return selectedOpponent.id ? `Challenge ${selectedOpponent.name}` : 'Find Opponent';
       } else {
         return selectedOpponent ? `Play ${selectedOpponent.name}` : 'Select Opponent';
       }
@@ -564,9 +614,15 @@ const SelectOpponentPage = () => {
                               <div className="opponent-info">
                                 <div className="item-header">
                                   <div className="item-name">{opponent.name}</div>
-                                  <div className={`badge ${getDifficultyBadgeClass(difficulty)}`}>
-                                    {getDifficultyLabel(difficulty)} - {difficulty}x
-                                  </div>
+                                  {opponent.strategy === 'adaptive' ? (
+                                    <div className="badge badge--warning">
+                                      Adaptive - 1.0-2.0x
+                                    </div>
+                                  ) : (
+                                    <div className={`badge ${getDifficultyBadgeClass(difficulty)}`}>
+                                      {getDifficultyLabel(difficulty)} - {difficulty}x
+                                    </div>
+                                  )}
                                 </div>
                                 <div className="item-description">{opponent.description}</div>
                                 <div className="opponent-type text-dim italics">AI Captain</div>
@@ -581,7 +637,7 @@ const SelectOpponentPage = () => {
               </div>
             )}
 
-            {/* Human Opponents (Future) */}
+            {/* Human Opponents - online battles */}
             {!isMultiFleet && (!requiresAlliance || selectedAlliance) && (
               <div className="collapsible-section">
                 <div
@@ -593,6 +649,9 @@ const SelectOpponentPage = () => {
                     Human Opponents ({onlineHumans.length})
                   </h4>
                   <p className="text-secondary">Challenge other players online</p>
+                  {coreEngine.matchmakingError && (
+                    <p className="text-dim italics">{coreEngine.matchmakingError}</p>
+                  )}
                   <button
                     className="btn btn--secondary btn--sm"
                     onClick={(e) => {
@@ -607,6 +666,20 @@ const SelectOpponentPage = () => {
                 
                 {humanExpanded && (
                   <div className="opponent-list scrollable-list scrollable-list--short">
+                    <div
+                      className={`selectable-item opponent-item human-opponent ${selectedOpponent?.type === 'human' && !selectedOpponent.id ? 'selectable-item--selected' : ''}`}
+                      onClick={handleQuickMatchSelect}
+                    >
+                      <div className="opponent-content">
+                        <div className="opponent-info">
+                          <div className="item-header">
+                            <div className="item-name">Quick Match</div>
+                          </div>
+                          <div className="item-description">Battle the first captain searching in {selectedEraConfig?.name}</div>
+                          <div className="opponent-type text-dim italics">Human Player (online)</div>
+                        </div>
+                      </div>
+                    </div>
                     {loading ? (
                       <div className="empty-state">
                         <div className="spinner spinner--sm" style={{ margin: '1rem auto' }}></div>
@@ -615,7 +688,7 @@ const SelectOpponentPage = () => {
                     ) : onlineHumans.length === 0 ? (
                       <div className="empty-state">
                         <p>No human players online</p>
-                        <p className="empty-state__hint">Human vs Human battles coming soon!</p>
+                        <p className="empty-state__hint">Try a Quick Match - you will be paired with the next captain who searches</p>
                       </div>
                     ) : (
                       onlineHumans.map((human) => (
@@ -630,9 +703,14 @@ const SelectOpponentPage = () => {
                                 <div className="item-name">
                                   {human.game_name || 'Player'}
                                 </div>
-                                <div className="badge badge--online">ONLINE</div>
+                                {human.status === PRESENCE_STATUS.BATTLE ? (
+                                  <div className="badge badge--warning">IN BATTLE</div>
+                                ) : (
+                                  <div className="badge badge--online">ONLINE</div>
+                                )}
                               </div>
                               <div className="item-description">
+                                {human.era_id ? `${eras.get(human.era_id)?.name || human.era_id} - ` : ''}
                                 Last seen: {new Date(human.last_seen).toLocaleTimeString()}
                               </div>
                               <div className="opponent-type text-dim italics">Human Player</div>
@@ -645,6 +723,54 @@ const SelectOpponentPage = () => {
                 )}
               </div>
             )}
+
+            {/* Hot Seat - second captain on this device */}
+            {!isMultiFleet && (!requiresAlliance || selectedAlliance) && (
+              <div className="collapsible-section">
+                <div
+                  className="collapsible-section__header"
+                  onClick={() => setHotSeatExpanded(!hotSeatExpanded)}
+                >
+                  <h4>
+                    <span className="collapsible-section__icon">{hotSeatExpanded ? '▼' : '▶'}</span>
+                    Hot Seat
+                  </h4>
+                  <p className="text-secondary">Two captains, one device - take turns passing it over</p>
+                </div>
+                
+                {hotSeatExpanded && (
+                  <div className="opponent-list">
+                    <div
+                      className={`selectable-item opponent-item human-opponent ${selectedOpponent?.type === 'local' ? 'selectable-item--selected' : ''}`}
+                    >
+                      <div className="opponent-content">
+                        <div className="opponent-info">
+                          <div className="form-group">
+                            <label htmlFor="localCaptainName">Second Captain</label>
+                            <input
+                              id="localCaptainName"
+                              type="text"
+                              className="input"
+                              placeholder="Player 2"
+                              maxLength={20}
+                              value={localCaptainName}
+                              onChange={(e) => setLocalCaptainName(e.target.value)}
+                            />
+                          </div>
+                          <button
+                            className="btn btn--secondary btn--sm"
+                            onClick={handleLocalOpponentSelect}
+                          >
+                            {selectedOpponent?.type === 'local' ? 'Update Captain' : 'Select Hot Seat'}
+                          </button>
+                          <div className="opponent-type text-dim italics">Human Player (this device)</div>
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
           </div>
 
           {/* Action Section */}
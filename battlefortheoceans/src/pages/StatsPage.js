@@ -1,5 +1,11 @@
 // src/pages/StatsPage.js v0.1.6
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.1.12: "Passes & Access" tab - rights history (components/RightsLedger.js), signed-in players only
+// v0.1.11: Win streaks - current/best card in the main grid, per-era streak on Era Performance cards
+// v0.1.10: Battle replays in Recent Battles
+//          - game_results list query names its columns and only reads replay->format
+//            (replays are tens of KB - 100 of them would bloat the query and session cache)
+//          - "Replay" loads the full replay (GameStatsService.getReplay) into ReplayViewer
 // v0.1.9: Ensure StatsPage always loads from Supabase, not just session cache
 //         - Cache is now only for initial display while loading
 //         - Always fetches fresh data from game_results table
@@ -31,14 +37,19 @@ import { coreEngine, useGame } from '../context/GameContext';
 import gameStatsService from '../services/GameStatsService';
 import leaderboardService from '../services/LeaderboardService';
 import { supabase } from '../utils/supabaseClient';
+import ReplayViewer from '../components/ReplayViewer';
+import RightsLedger from '../components/RightsLedger';
 
-const version = "v0.1.9";
+const version = "v0.1.12";
 const tag = "STATS";
 const module = "StatsPage";
 let method = "";
 
 const CACHE_DURATION = 300000; // 5 minutes
 
+// Everything StatsPage reads from game_results - the replay itself is fetched on demand
+const GAME_LIST_COLUMNS = 'id, era_name, opponent_name, won, shots, hits, misses, sunk, score, accuracy, turns, duration_seconds, created_at, replay_format:replay->format';
+
 function StatsPage({ onClose }) {
     // ===============
     // Logging utilities
@@ -72,6 +83,9 @@ function StatsPage({ onClose }) {
     const [leaderboard, setLeaderboard] = useState([]);
     const [totalGamesPlayed, setTotalGamesPlayed] = useState(0);
     const [loading, setLoading] = useState(true);
+    const [replay, setReplay] = useState(null);
+    const [loadingReplayId, setLoadingReplayId] = useState(null);
+    const [view, setView] = useState('combat'); // 'combat' | 'ledger'
     
     // Toggle states
     const [showAllAI, setShowAllAI] = useState(false);
@@ -86,7 +100,7 @@ function StatsPage({ onClose }) {
             // Load last 100 games for "All Time" stats (free-tier safe)
             const { data, error } = await supabase
                 .from('game_results')
-                .select('*')
+                .select(GAME_LIST_COLUMNS)
                 .eq('player_id', playerProfile?.id)
                 .order('created_at', { ascending: false })
                 .limit(100);
@@ -296,6 +310,22 @@ function StatsPage({ onClose }) {
     return date.toLocaleDateString();
   };
 
+  const handleWatchReplay = async (gameId) => {
+    method = 'handleWatchReplay';
+
+    setLoadingReplayId(gameId);
+    const loaded = await gameStatsService.getReplay(gameId);
+    setLoadingReplayId(null);
+
+    if (!loaded) {
+      logwarn(`No replay found for game ${gameId}`);
+      return;
+    }
+
+    log(`Loaded replay for game ${gameId} (${loaded.events?.length || 0} events)`);
+    setReplay(loaded);
+  };
+
   const handleGuestSignup = () => {
     method = 'handleGuestSignup';
 
@@ -321,6 +351,28 @@ function StatsPage({ onClose }) {
     );
   }
 
+  // Guests have no rights history - no tabs
+  const tabs = !isGuest && (
+    <div className="tab-buttons mb-lg">
+      <button
+        className={view === 'combat' ? 'btn btn--primary btn--sm' : 'btn btn--secondary btn--sm'}
+        onClick={() => setView('combat')}
+      >
+        Combat
+      </button>
+      <button
+        className={view === 'ledger' ? 'btn btn--primary btn--sm' : 'btn btn--secondary btn--sm'}
+        onClick={() => setView('ledger')}
+      >
+        Passes & Access
+      </button>
+    </div>
+  );
+  const showLedger = !isGuest && view === 'ledger';
+  const ledger = showLedger && (
+    <RightsLedger playerId={playerProfile?.id} eras={eras} formatDate={formatDate} />
+  );
+
   if (!stats) {
       console.log('[STATS] DEBUG stats is null, playerProfile=', playerProfile);
     return (
@@ -335,7 +387,10 @@ function StatsPage({ onClose }) {
             )}
           </div>
           <div className="card-body">
-            <p className="text-center">Play some games to see your stats!</p>
+            {tabs}
+            {showLedger ? ledger : (
+              <p className="text-center">Play some games to see your stats!</p>
+            )}
           </div>
         </div>
       </div>
@@ -360,6 +415,8 @@ function StatsPage({ onClose }) {
           )}
         </div>
 
+        {tabs}
+        {showLedger ? ledger : (
         <div>
           {/* Hero Stats */}
           <div className="stats-hero">
@@ -405,6 +462,13 @@ function StatsPage({ onClose }) {
               <div className="stat-card__label">Total Damage</div>
             </div>
 
+            <div className="stat-card">
+              <div className="stat-card__icon">🔥</div>
+              <div className="stat-card__value">{stats.current_win_streak || 0}</div>
+              <div className="stat-card__label">Win Streak</div>
+              <div className="text-secondary">Best: {stats.best_win_streak || 0}</div>
+            </div>
+
             <div className="stat-card stat-card--highlight">
               <div className="stat-card__icon">🏆</div>
               <div className="stat-card__value">{stats.total_score}</div>
@@ -536,17 +600,24 @@ function StatsPage({ onClose }) {
                 </div>
               </div>
               <div className="stats-grid">
-                {Object.entries(currentEraStats).map(([eraName, data]) => (
-                  <div key={eraName} className="stat-card">
-                    <h4>{eraName}</h4>
-                    <div className="text-secondary">{data.games} games • {data.winRate}% wins</div>
-                    <div className="mt-sm text-sm">
-                      <div>Avg Score: {data.avgScore}</div>
-                      <div>Avg Accuracy: {data.avgAccuracy}%</div>
-                      <div>Ships Sunk: {data.shipsSunk}</div>
+                {Object.entries(currentEraStats).map(([eraName, data]) => {
+                  const eraId = Array.from(eras.values()).find(era => era.name === eraName)?.id;
+                  const eraStreak = stats.win_streaks?.[eraId];
+                  return (
+                    <div key={eraName} className="stat-card">
+                      <h4>{eraName}</h4>
+                      <div className="text-secondary">{data.games} games • {data.winRate}% wins</div>
+                      <div className="mt-sm text-sm">
+                        <div>Avg Score: {data.avgScore}</div>
+                        <div>Avg Accuracy: {data.avgAccuracy}%</div>
+                        <div>Ships Sunk: {data.shipsSunk}</div>
+                        {eraStreak && (
+                          <div>Win Streak: {eraStreak.current || 0} (best {eraStreak.best || 0})</div>
+                        )}
+                      </div>
                     </div>
-                  </div>
-                ))}
+                  );
+                })}
               </div>
             </>
           )}
@@ -568,6 +639,15 @@ function StatsPage({ onClose }) {
                         <div className="text-secondary text-sm mt-xs">
                           {game.accuracy.toFixed(1)}% • {game.sunk} sunk • {formatDate(game.created_at)}
                         </div>
+                        {game.replay_format && (
+                          <button
+                            className="btn btn--secondary btn--sm mt-xs"
+                            onClick={() => handleWatchReplay(game.id)}
+                            disabled={loadingReplayId === game.id}
+                          >
+                            {loadingReplayId === game.id ? 'Loading...' : '▶ Replay'}
+                          </button>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -575,7 +655,25 @@ function StatsPage({ onClose }) {
               </div>
             </>
           )}
+
+          {/* Battle replay */}
+          {replay && (
+            <>
+              <div className="section-header">
+                <h3 className="section-title">Replay: {replay.eraName}</h3>
+                <button className="btn btn--secondary btn--sm" onClick={() => setReplay(null)}>
+                  Close Replay
+                </button>
+              </div>
+              <ReplayViewer
+                key={`${replay.seed}-${replay.events.length}`}
+                replay={replay}
+                eraConfig={eras.get(replay.eraId)}
+              />
+            </>
+          )}
         </div>
+        )}
       </div>
     </div>
   );
@@ -1,7 +1,9 @@
 // src/renderers/AnimationManager.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.1.1: 'munition' animation - any registry munition (constants/Munitions.js) flashes its
+//         pattern cells in the munition's color with its emoji over the target
 
-const version = 'v0.1.0';
+const version = 'v0.1.1';
 
 class AnimationManager {
   constructor() {
@@ -91,6 +93,21 @@ class AnimationManager {
     return animation;
   }
 
+  /**
+   * Flash a munition's pattern - color and emoji come from the registry entry
+   * @param {*} animId - Animation id
+   * @param {Object} munition - Munition registry entry
+   * @param {number} row - Target row
+   * @param {number} col - Target column
+   * @param {Array} cells - Pattern cells ({ row, col, opacity })
+   */
+  addMunitionAnimation(animId, munition, row, col, cells) {
+    const animation = this.addAnimation(animId, 'munition', row, col, 12, munition.color);
+    animation.emoji = munition.emoji;
+    animation.cells = cells;
+    return animation;
+  }
+
   updateAnimationProgress(animId, progress) {
     this.animations = this.animations.map(anim =>
       anim.id === animId ? { ...anim, progress } : anim
@@ -131,6 +148,24 @@ class AnimationManager {
       ctx.beginPath();
       ctx.arc(animX, animY, anim.radius * (1 + anim.progress * 3), 0, 2 * Math.PI);
       ctx.stroke();
+    } else if (anim.type === 'munition') {
+      ctx.fillStyle = anim.color;
+      (anim.cells || []).forEach(cell => {
+        ctx.save();
+        ctx.globalAlpha = Math.max(0, 1 - anim.progress) * (cell.opacity ?? 1) * 0.6;
+        ctx.fillRect(
+          offsetX + cell.col * cellSize + labelSize + 1,
+          offsetY + cell.row * cellSize + labelSize + 1,
+          cellSize - 2,
+          cellSize - 2
+        );
+        ctx.restore();
+      });
+      
+      ctx.font = `${Math.round(cellSize * (0.7 + anim.progress * 0.3))}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(anim.emoji || '', animX, animY);
     }
     
     ctx.restore();
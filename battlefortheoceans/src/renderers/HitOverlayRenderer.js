@@ -1,5 +1,11 @@
 // src/renderers/HitOverlayRenderer.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.12.9: Weather layer (game.weather, constants/Weather.js)
+//          - New drawWeatherEffect() - drifting fog banks or rain streaks over the board
+//          - Water miss markers are not drawn while the weather hides misses (fog)
+//
+// v0.12.8: Reveal ring centers on the illumination's target cell (aerial recon lights a whole row)
+//
 // v0.12.7: Fixed canvas tainting issue for board snapshots
 //          - Added crossOrigin='anonymous' to ship SVG image loading
 //          - Prevents "DOMException: The operation is insecure" when calling toDataURL()
@@ -35,7 +41,7 @@
 
 import configLoader from '../utils/ConfigLoader';
 
-const version = 'v0.12.7';
+const version = 'v0.12.9';
 
 class HitOverlayRenderer {
   constructor(eraId = 'traditional', gameBoard = null) {
@@ -166,7 +172,7 @@ class HitOverlayRenderer {
     /**
      * Draw star shell expanding ring effect
      * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {Object} starShellIllumination - Star shell data { cells, startTime }
+     * @param {Object} starShellIllumination - Star shell data { cells, center, startTime }
      * @param {number} cellSize - Cell size in pixels
      * @param {number} labelSize - Label size in pixels
      * @param {number} offsetX - X offset
@@ -182,8 +188,9 @@ class HitOverlayRenderer {
       
       const progress = elapsed / duration; // 0.0 to 1.0
       
-      // Find center cell (the one with opacity 1.0)
-      const centerCell = starShellIllumination.cells.find(cell => cell.opacity === 1.0);
+      // Target cell (older illuminations: the one with opacity 1.0)
+      const centerCell = starShellIllumination.center ||
+        starShellIllumination.cells.find(cell => cell.opacity === 1.0);
       if (!centerCell) return;
       
       // Calculate center position
@@ -207,6 +214,64 @@ class HitOverlayRenderer {
       ctx.restore();
     }
     
+    /**
+     * Draw the weather's animated layer over the board
+     * v0.12.9: 'fog' drifts soft banks across the water, 'rain' draws slanting streaks
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} weather - Condition from constants/Weather.js (null: clear)
+     * @param {number} cellSize - Cell size in pixels
+     * @param {number} labelSize - Label size in pixels
+     * @param {number} offsetX - X offset
+     * @param {number} offsetY - Y offset
+     */
+    drawWeatherEffect(ctx, weather, cellSize, labelSize, offsetX, offsetY) {
+      if (!weather?.effect || !this.gameBoard) return;
+      
+      const left = offsetX + labelSize;
+      const top = offsetY + labelSize;
+      const width = this.gameBoard.cols * cellSize;
+      const height = this.gameBoard.rows * cellSize;
+      const now = Date.now();
+      
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(left, top, width, height);
+      ctx.clip();
+      
+      if (weather.effect === 'fog') {
+        // A few wide banks drifting east, each at its own speed
+        const banks = Math.max(3, Math.round(this.gameBoard.rows / 3));
+        for (let i = 0; i < banks; i++) {
+          const radius = cellSize * (2.5 + (i % 3));
+          const drift = (now * (0.008 + i * 0.003) + i * width / banks) % (width + radius * 2);
+          const x = left - radius + drift;
+          const y = top + ((i + 0.5) / banks) * height;
+          
+          const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+          gradient.addColorStop(0, 'rgba(240, 242, 245, 0.55)');
+          gradient.addColorStop(1, 'rgba(240, 242, 245, 0)');
+          ctx.fillStyle = gradient;
+          ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+        }
+      } else if (weather.effect === 'rain') {
+        // Streaks fall down and to the left; positions repeat so the pattern is stable frame to frame
+        const streaks = Math.round((this.gameBoard.rows * this.gameBoard.cols) / 4);
+        const length = cellSize * 0.6;
+        ctx.strokeStyle = 'rgba(200, 210, 230, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 0; i < streaks; i++) {
+          const x = left + ((i * 97) % width);
+          const y = top + ((i * 61 + now * 0.4) % (height + length)) - length;
+          ctx.moveTo(x, y);
+          ctx.lineTo(x - length * 0.3, y + length);
+        }
+        ctx.stroke();
+      }
+      
+      ctx.restore();
+    }
+    
     /**
      * Draw torpedo line effect (straight red line that fades)
      * v0.12.6: Use last cell from path array to ensure correct stopping point
@@ -508,6 +573,9 @@ class HitOverlayRenderer {
     } else if (viewMode === 'blended') {
       this.drawBlendedView(ctx, playerId, humanPlayer, cellSize, labelSize, offsetX, offsetY, gameInstance);
     }
+    
+    // Weather over the fleets, under star shell light
+    this.drawWeatherEffect(ctx, gameInstance.weather, cellSize, labelSize, offsetX, offsetY);
         
         // Draw star shell effect (if active)
         if (starShellIllumination) {
@@ -518,8 +586,13 @@ class HitOverlayRenderer {
 
   /**
    * Draw miss markers with consistent dark grey color
+   * v0.12.9: None while the weather hides misses (fog)
    */
   drawMissMarkers(ctx, player, gameInstance, playerId, cellSize, labelSize, offsetX, offsetY, eraRows, eraCols) {
+    if (gameInstance.weather?.hideMisses) {
+      return;
+    }
+
     const playerDontShoot = player.getDontShoot();
     
     playerDontShoot.forEach(({ row, col }) => {
@@ -769,8 +842,8 @@ class HitOverlayRenderer {
       }
     }
 
-    // Draw player dontShoot markers (white/gray dots for water misses only)
-    const playerDontShoot = humanPlayer.getDontShoot();
+    // Draw player dontShoot markers (white/gray dots for water misses only - none in fog)
+    const playerDontShoot = gameInstance.weather?.hideMisses ? [] : humanPlayer.getDontShoot();
     
     playerDontShoot.forEach(({ row, col }) => {
       let isShipCell = false;
@@ -1,10 +1,11 @@
 // src/renderers/TerrainRenderer.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.1.3: drawWeatherLayer() - washes the water in the weather's tint (fog, night, storm)
 // v0.1.2: Added Excel-style column labels (A-Z, AA, AB, AC, ...)
 
 import MessageHelper from '../utils/MessageHelper';
 
-const version = 'v0.1.2';
+const version = 'v0.1.3';
 
 class TerrainRenderer {
   constructor() {
@@ -112,6 +113,28 @@ class TerrainRenderer {
     
     ctx.drawImage(this.cachedTerrainLayer, 0, 0);
   }
+
+  /**
+   * Tint every playable cell with the weather's color
+   * Not cached - the weather changes during the battle and the fill is cheap
+   * @param {Object} weather - Condition from constants/Weather.js (null: clear)
+   */
+  drawWeatherLayer(ctx, weather, cellSize, labelSize, offsetX, offsetY) {
+    if (!weather?.tint || !this.eraConfig) {
+      return;
+    }
+
+    ctx.fillStyle = weather.tint;
+    for (let row = 0; row < this.eraConfig.rows; row++) {
+      for (let col = 0; col < this.eraConfig.cols; col++) {
+        if (this.eraConfig.terrain[row][col] !== 'excluded') {
+          const x = offsetX + col * cellSize + labelSize + 1;
+          const y = offsetY + row * cellSize + labelSize + 1;
+          ctx.fillRect(x, y, cellSize - 2, cellSize - 2);
+        }
+      }
+    }
+  }
 }
 
 export default TerrainRenderer;
@@ -1,5 +1,11 @@
 // src/services/AchievementService.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.3.2: Captain achievements (user_profiles.captains_defeated)
+//         - defeat_all_captains: eras where every AI captain has been beaten
+//           (era-specific achievements: 1 once that era is cleared)
+//         - defeat_ai_hunt: total defeats of captains playing the 'ai-hunt' strategy
+// v0.3.1: win_streak achievements - best win streak from user_profiles
+//         (era-specific achievements use that era's streak from win_streaks)
 // v0.3.0: Refactored to use reward_type and reward_count instead of reward_passes
 //         - Supports era-specific vouchers (e.g., 'pirates') via reward_type
 //         - Pirate achievements now properly reward Pirates vouchers
@@ -9,12 +15,13 @@
 // v0.2.1: Added total_damage, eras_played, eras_won, pirate_fleets_sunk
 
 import Player from '../classes/Player';
+import PlayerProfile from '../classes/PlayerProfile';
 import { supabase } from '../utils/supabaseClient';
 import RightsService from './RightsService';
 import VoucherService from './VoucherService';
 import ConfigLoader from '../utils/ConfigLoader';
 
-const version = 'v0.3.0';
+const version = 'v0.3.2';
 
 class AchievementService {
   constructor() {
@@ -138,6 +145,29 @@ class AchievementService {
     }
   }
 
+  /**
+   * Count eras where every AI captain has been beaten
+   * @param {Object} captainsDefeated - user_profiles.captains_defeated ({ [eraId]: { [captainId]: {...} } })
+   * @param {Array<string>} eraIds - Eras to check
+   * @returns {Promise<number>} Eras cleared
+   */
+  async countErasCleared(captainsDefeated, eraIds) {
+    let cleared = 0;
+    for (const eraId of eraIds) {
+      try {
+        const eraConfig = await ConfigLoader.loadEraConfig(eraId);
+        const captains = ConfigLoader.getEraCaptains(eraConfig);
+        const beaten = captainsDefeated[eraId] || {};
+        if (captains.length > 0 && captains.every(captain => beaten[captain.id])) {
+          cleared += 1;
+        }
+      } catch (error) {
+        this.error(`Failed to load era ${eraId} for captain check:`, error);
+      }
+    }
+    return cleared;
+  }
+
   /**
    * Update achievement progress for user
    * @param {string} playerId - User ID
@@ -307,14 +337,24 @@ class AchievementService {
               }
               break;
             case 'win_streak':
-            // TODO: Implement win streak tracking
-            // For now, skip these achievements
-            continue;
-          case 'defeat_all_captains':
+              // Best streak reached so far - era-specific achievements count that era only
+              if (achievement.reward_type && achievement.reward_type !== 'passes') {
+                currentProgress = profile.win_streaks?.[gameResults.era_id]?.best || 0;
+              } else {
+                currentProgress = profile.best_win_streak || 0;
+              }
+              break;
+          case 'defeat_all_captains': {
+            // Era-specific achievements only count their own era
+            const eraIds = achievement.reward_type && achievement.reward_type !== 'passes'
+              ? [gameResults.era_id]
+              : Object.keys(profile.captains_defeated || {});
+            currentProgress = await this.countErasCleared(profile.captains_defeated || {}, eraIds);
+            break;
+          }
           case 'defeat_ai_hunt':
-            // TODO: Implement captain tracking
-            // For now, skip these achievements
-            continue;
+            currentProgress = new PlayerProfile(profile).getDefeatsByStrategy('ai-hunt');
+            break;
           default:
             this.log('Unknown requirement type:', achievement.requirement_type);
             continue;
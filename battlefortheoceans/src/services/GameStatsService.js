@@ -1,5 +1,37 @@
-// src/services/GameStatsService.js v0.3.5
+// src/services/GameStatsService.js v0.3.15
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.3.15: Hot-seat games recorded as opponent_type 'hotseat'
+//          - calculateGameResults() takes the viewer - stats come from Game.getPlayerStats(viewerId),
+//            so each of the two humans gets their own results
+//          - getRecentResults() leaves hot-seat games out (adaptive AI captains)
+// v0.3.14: insertGameResults() writes game_results.verified - false for an online battle whose
+//          opponent fleet failed RemoteMatch verification (supabase-functions/add_game_results_verified.sql)
+// v0.3.13: Captain defeats
+//          - calculateGameResults() lists every AI captain whose fleet was sunk (captains_defeated:
+//            [{ captain_id, name, strategy, fleet_id }]) - each pirate fleet in multi-fleet games
+//          - opponent_name names every selected opponent, not just the first
+//          - insertGameResults() writes game_results.captains_defeated
+//            (supabase-functions/add_captains_defeated.sql)
+// v0.3.12: opponent_type 'human' for online battles (remote opponent)
+// v0.3.11: Added getRecentResults() - last few results for adaptive AI captains (AiPlayer.adaptTo)
+// v0.3.10: Added replay (ReplayRecorder JSON) to game results
+//          - calculateGameResults() reads gameInstance.replay.toJSON()
+//          - insertGameResults() writes game_results.replay
+//            (supabase-functions/add_game_results_replay.sql)
+//          - Insert reads back only the id (replays are tens of KB)
+//          - getReplay() loads one replay for the StatsPage viewer
+// v0.3.9: Added seed (Game SeededRandom seed) to game results
+//         - calculateGameResults() reads gameStats.seed
+//         - insertGameResults() writes game_results.seed
+//           (supabase-functions/add_game_results_seed.sql)
+// v0.3.8: Added timeouts (shot clock expirations) to game results
+//         - calculateGameResults() reads humanPlayer.timeouts
+//         - insertGameResults() writes game_results.timeouts
+//           (supabase-functions/add_game_results_timeouts.sql)
+// v0.3.7: Added ships_captured (ship_capture game rule) to game results
+//         - calculateGameResults() reads humanPlayer.captured
+//         - insertGameResults() writes game_results.captured
+//           (supabase-functions/add_game_results_captured.sql)
 // v0.3.6: Improve error handling for game results insertion
 //         - Throw errors instead of returning false so failures are visible
 //         - Ensures game results are properly saved to Supabase
@@ -22,7 +54,7 @@
 
 import { supabase } from '../utils/supabaseClient';
 
-const version = "v0.3.6";
+const version = "v0.3.15";
 const tag = "SERVICE";
 const module = "GameStatsService";
 let method = "";
@@ -77,19 +109,25 @@ class GameStatsService {
         hits: gameResults.hits,
         misses: gameResults.misses,
         sunk: gameResults.ships_sunk,
+        captured: gameResults.ships_captured || 0,
+        timeouts: gameResults.timeouts || 0,
         hits_damage: gameResults.hits_damage,
         score: Math.round(gameResults.score),
         accuracy: gameResults.accuracy,
         turns: gameResults.turns,
-        duration_seconds: gameResults.duration_seconds
+        duration_seconds: gameResults.duration_seconds,
+        seed: gameResults.seed ?? null,
+        replay: gameResults.replay || null,
+        captains_defeated: gameResults.captains_defeated || [],
+        verified: gameResults.verified ?? true
       };
       
-      this.log(`Insert data: ${JSON.stringify(insertData)}`);
+      this.log(`Insert data: ${JSON.stringify({ ...insertData, replay: insertData.replay ? `${insertData.replay.events.length} events` : null })}`);
 
       const { data, error } = await supabase
         .from('game_results')
         .insert([insertData])
-        .select();
+        .select('id');
 
       if (error) {
         this.logerror('Error inserting game result:', error);
@@ -234,6 +272,73 @@ class GameStatsService {
     }
   }
 
+  /**
+   * Load the replay recorded with a game result
+   * v0.3.10: StatsPage fetches replays on demand - the list query leaves them out
+   *
+   * @param {string} gameResultId - game_results.id
+   * @returns {Promise<Object|null>} Replay JSON, null if none was recorded
+   */
+  async getReplay(gameResultId) {
+    method = 'getReplay';
+
+    try {
+      const { data, error } = await supabase
+        .from('game_results')
+        .select('replay')
+        .eq('id', gameResultId)
+        .single();
+
+      if (error) {
+        this.logerror(`Error loading replay for ${gameResultId}:`, error);
+        return null;
+      }
+
+      return data?.replay || null;
+
+    } catch (error) {
+      this.logerror('Failed to load replay:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Load a player's most recent game results
+   * v0.3.11: Adaptive AI captains tune themselves to the player's recent form
+   *
+   * @param {string} playerId - game_results.player_id
+   * @param {number} limit - Number of games (newest first)
+   * @returns {Promise<Array<Object>>} Rows of { won, accuracy, created_at }, empty on error
+   */
+  async getRecentResults(playerId, limit = 10) {
+    method = 'getRecentResults';
+
+    if (!playerId) {
+      return [];
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('game_results')
+        .select('won, accuracy, created_at')
+        .eq('player_id', playerId)
+        .neq('opponent_type', 'hotseat')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        this.logerror(`Error loading recent results for ${playerId}:`, error);
+        return [];
+      }
+
+      return data || [];
+
+    } catch (error) {
+      this.logerror('Failed to load recent results:', error);
+      return [];
+    }
+  }
+
   /**
    * Get total games played across all players (from game_results table)
    * v0.3.1: Moved from LeaderboardService for better separation of concerns
@@ -260,10 +365,31 @@ class GameStatsService {
     }
   }
 
+  /**
+   * Game results row type for the selected opponents
+   * 'hotseat' games (two humans on one device) stay out of the leaderboard, streaks and achievements
+   * @param {Object} selectedOpponent - First selected opponent
+   * @returns {string} 'human' (online), 'hotseat' or 'ai'
+   */
+  getOpponentType(selectedOpponent) {
+    switch (selectedOpponent?.type) {
+      case 'remote':
+        return 'human';
+      case 'local':
+        return 'hotseat';
+      default:
+        return 'ai';
+    }
+  }
+
   /**
    * Calculate game results from game instance using standardized statistics
+   * @param {Object} gameInstance - Finished Game
+   * @param {Object} eraConfig - Era played
+   * @param {Object|Array} selectedOpponents - Opponents chosen on SelectOpponentPage
+   * @param {string} viewerId - Player the results are for (hot seat has two humans)
    */
-  calculateGameResults(gameInstance, eraConfig, selectedOpponents) {
+  calculateGameResults(gameInstance, eraConfig, selectedOpponents, viewerId = gameInstance?.humanPlayerId) {
     method = 'calculateGameResults';
 
     if (!gameInstance) {
@@ -274,7 +400,8 @@ class GameStatsService {
     try {
       // Get final game stats
       const gameStats = gameInstance.getGameStats();
-      const humanPlayer = gameInstance.players.find(p => p.type === 'human');
+      const humanPlayer = gameInstance.players.find(p => p.id === viewerId)
+        || gameInstance.players.find(p => p.type === 'human');
       
       if (!humanPlayer || !gameStats) {
         this.logerror('Cannot find human player or game stats');
@@ -282,26 +409,50 @@ class GameStatsService {
       }
 
       // Handle single opponent or array of opponents
-      const selectedOpponent = Array.isArray(selectedOpponents)
-        ? selectedOpponents[0]
-        : selectedOpponents;
+      const opponents = (Array.isArray(selectedOpponents) ? selectedOpponents : [selectedOpponents]).filter(Boolean);
+      const selectedOpponent = opponents[0];
+      const opponentType = this.getOpponentType(selectedOpponent);
+      const playerStats = gameInstance.getPlayerStats(humanPlayer.id).player;
+      
+      // Hot seat: the opponent is whichever human is on the other side
+      const opponentName = opponentType === 'hotseat'
+        ? gameInstance.players
+          .filter(p => p.type === 'human' && !gameInstance.isSameAlliance(p.id, humanPlayer.id))
+          .map(p => p.name)
+          .join(' & ')
+        : opponents.map(o => o.name).join(' & ');
+      
+      // Every AI captain whose fleet went down (multi-fleet games can sink some and still lose)
+      const captainsDefeated = gameInstance.players
+        .filter(p => p.type === 'ai' && p.captainId && p.isDefeated())
+        .map(p => ({
+          captain_id: p.captainId,
+          name: p.name,
+          strategy: p.strategy,
+          fleet_id: opponents.find(o => o.id === p.captainId)?.fleet_id || null
+        }));
 
       // Use standardized statistics from Player.js
       const gameResults = {
         era_id: eraConfig?.id || 'unknown',
         era_name: eraConfig?.name || 'Unknown',
-        opponent_type: 'ai',
-        opponent_name: selectedOpponent?.name || 'Unknown',
+        opponent_type: opponentType,
+        opponent_name: opponentName || 'Unknown',
         won: gameStats.winner === humanPlayer.name,
-        shots: humanPlayer.shots || 0,              // hits + misses
-        hits: humanPlayer.hits || 0,                // successful shots
-        misses: humanPlayer.misses || 0,            // missed shots
-        ships_sunk: humanPlayer.sunk || 0,          // ships sunk by player
+        shots: playerStats.shots,                   // hits + misses
+        hits: playerStats.hits,                     // successful shots
+        misses: playerStats.misses,                 // missed shots
+        ships_sunk: playerStats.sunk,               // ships sunk by player
+        ships_captured: humanPlayer.captured || 0,  // ships captured by player (ship_capture rule)
+        timeouts: humanPlayer.timeouts || 0,        // shot clock expirations
         hits_damage: humanPlayer.hitsDamage || 0.0, // cumulative damage dealt
-        score: humanPlayer.score || 0,              // calculated game score (may have decimals)
-        accuracy: parseFloat(humanPlayer.accuracy) || 0,  // computed from hits/shots
+        score: playerStats.score,                   // calculated game score (may have decimals)
+        accuracy: parseFloat(playerStats.accuracy) || 0,  // computed from hits/shots
         turns: gameStats.totalTurns || 0,
-        duration_seconds: gameStats.duration || 0
+        duration_seconds: gameStats.duration || 0,
+        seed: gameStats.seed ?? null,               // replay the battle with CoreEngine.replaySeed
+        replay: gameInstance.replay?.toJSON() || null,  // move-by-move replay (ReplayRecorder)
+        captains_defeated: captainsDefeated          // [{ captain_id, name, strategy, fleet_id }]
       };
 
       this.log('Calculated game results');
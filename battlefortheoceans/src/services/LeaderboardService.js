@@ -1,5 +1,7 @@
-// src/services/LeaderboardService.js v0.1.6
+// src/services/LeaderboardService.js v0.1.8
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.1.8: Recent champions leave out hot-seat games (opponent_type 'hotseat')
+// v0.1.7: Recent champions leave out unverified online wins (game_results.verified)
 // v0.1.6: Export singleton instance instead of class
 //         - Matches pattern of PlayerProfileService, RightsService, AchievementService, GameStatsService
 //         - Services are stateless and should be shared singletons
@@ -8,7 +10,7 @@
 
 import { supabase } from '../utils/supabaseClient';
 
-const version = "v0.1.6";
+const version = "v0.1.8";
 
 class LeaderboardService {
   constructor() {
@@ -63,6 +65,8 @@ class LeaderboardService {
           user_profiles!inner(game_name, id)
         `)
         .eq('won', true)
+        .eq('verified', true)
+        .neq('opponent_type', 'hotseat')
         .gte('created_at', thirtyDaysAgo.toISOString())
         .order('score', { ascending: false})
         .limit(limit * 3); // Get extra to account for filtering
@@ -0,0 +1,230 @@
+// src/services/MatchService.js
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.0: Matchmaking for online battles
+//         - Captains seeking a battle broadcast on the era lobby channel (bfto-lobby-{eraId})
+//         - Two seekers match when each accepts the other (opponentId null = any captain)
+//           and they chose different alliances (or the era has no alliance choice)
+//         - The smaller player id hosts: picks the match id and fires first
+//         - findMatch() resolves with a connected RemoteMatch
+
+import { supabase } from '../utils/supabaseClient';
+import { createTransport } from '../utils/RealtimeTransport';
+import RemoteMatch from '../classes/RemoteMatch';
+
+const version = "v0.1.0";
+const tag = "SERVICE";
+const module = "MatchService";
+let method = "";
+
+const SEEK_INTERVAL = 2000; // re-announce while searching
+
+class MatchService {
+  constructor() {
+    method = 'constructor';
+    this.version = version;
+    this.transport = null;
+    this.search = null;     // current findMatch() search
+    this.log('initialized');
+  }
+
+  /**
+   * Logging utilities
+   */
+  log(message) {
+    console.log(`[${tag}] ${version} ${module}.${method} : ${message}`);
+  }
+
+  logerror(message, error) {
+    console.error(`[${tag}] ${version} ${module}.${method}: ${message}`, error);
+  }
+
+  /**
+   * Transport used for the lobby and matches (created on first use)
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport(supabase);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Swap the transport (tests use a LocalTransport with their own namespace)
+   * @param {RealtimeTransport} transport
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Would these two seekers accept each other?
+   * @param {Object} mine - Our seek { from, opponentId, alliance }
+   * @param {Object} theirs - Their seek
+   * @returns {boolean}
+   */
+  isCompatible(mine, theirs) {
+    if (mine.from === theirs.from) {
+      return false;
+    }
+    const wantsThem = !mine.opponentId || mine.opponentId === theirs.from;
+    const wantsUs = !theirs.opponentId || theirs.opponentId === mine.from;
+    const alliancesFit = !mine.alliance || !theirs.alliance || mine.alliance !== theirs.alliance;
+    return wantsThem && wantsUs && alliancesFit;
+  }
+
+  /**
+   * Search the era lobby for an opponent
+   * Only one search runs at a time - a new search cancels the previous one
+   *
+   * @param {Object} options
+   * @param {string} options.eraId - Era both captains play
+   * @param {Object} options.player - { id, name } of the captain on this device
+   * @param {string|null} options.opponentId - Specific captain to play, null for anyone
+   * @param {string|null} options.alliance - Chosen alliance (choose_alliance eras)
+   * @returns {Promise<RemoteMatch>} Connected match
+   * @throws {Error} error.isCancelled when cancel() stopped the search
+   */
+  async findMatch({ eraId, player, opponentId = null, alliance = null }) {
+    method = 'findMatch';
+
+    await this.cancel();
+
+    const seek = { type: 'seek', from: player.id, name: player.name, opponentId, alliance };
+    const search = { eraId, player, seek, lobby: null, timer: null, joining: false, settled: false };
+    const found = new Promise((resolve, reject) => {
+      search.resolve = resolve;
+      search.reject = reject;
+    });
+    this.search = search;
+
+    this.log(`Seeking ${opponentId || 'any captain'} in ${eraId}`);
+
+    try {
+      search.lobby = await this.getTransport().subscribe(`bfto-lobby-${eraId}`, (message) => this.handleLobbyMessage(search, message));
+    } catch (error) {
+      this.logerror('Failed to join lobby:', error);
+      await this.settle(search, null, error);
+      return found;
+    }
+
+    if (search.settled) {
+      // Cancelled while the lobby was joining
+      await search.lobby.close();
+    } else {
+      this.startSeeking(search);
+    }
+    return found;
+  }
+
+  /**
+   * Announce the search now and every SEEK_INTERVAL until a match is joined
+   */
+  startSeeking(search) {
+    const announce = () => {
+      Promise.resolve(search.lobby.send(search.seek))
+        .catch(error => this.logerror('Failed to announce:', error));
+    };
+    announce();
+    search.timer = setInterval(announce, SEEK_INTERVAL);
+  }
+
+  handleLobbyMessage(search, message) {
+    method = 'handleLobbyMessage';
+
+    if (search.settled || search.joining || !message) {
+      return;
+    }
+
+    const { eraId, player, seek } = search;
+    if (message.type === 'seek' && this.isCompatible(seek, message) && player.id < message.from) {
+      // We host - offer a match to this seeker
+      const matchId = `${eraId}-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+      search.lobby.send({ ...seek, type: 'offer', to: message.from, matchId });
+      this.joinMatch(search, matchId, 'host', { id: message.from, name: message.name, alliance: message.alliance });
+    } else if (message.type === 'offer' && message.to === player.id && this.isCompatible(seek, message)) {
+      this.joinMatch(search, message.matchId, 'guest', { id: message.from, name: message.name, alliance: message.alliance });
+    }
+  }
+
+  /**
+   * Connect to an offered match - if the opponent never shows up, keep seeking
+   */
+  async joinMatch(search, matchId, role, opponent) {
+    method = 'joinMatch';
+
+    search.joining = true;
+    clearInterval(search.timer);
+
+    const match = new RemoteMatch(matchId, role, search.player, opponent);
+    try {
+      await match.connect(this.getTransport());
+    } catch (error) {
+      this.logerror(`Match with ${opponent.name} failed - seeking again:`, error);
+      search.joining = false;
+      if (!search.settled) {
+        this.startSeeking(search);
+      }
+      return;
+    }
+
+    if (search.settled) {
+      await match.leave();
+      return;
+    }
+
+    this.log(`Matched with ${opponent.name} as ${role}`);
+    await this.settle(search, match);
+  }
+
+  /**
+   * End a search - leaves the lobby and resolves or rejects findMatch()
+   */
+  async settle(search, match, error = null) {
+    if (search.settled) {
+      return;
+    }
+    search.settled = true;
+    clearInterval(search.timer);
+    if (this.search === search) {
+      this.search = null;
+    }
+
+    try {
+      await search.lobby?.close();
+    } catch (closeError) {
+      this.logerror('Failed to leave lobby:', closeError);
+    }
+
+    if (error) {
+      search.reject(error);
+    } else {
+      search.resolve(match);
+    }
+  }
+
+  /**
+   * Stop the current search (findMatch rejects with error.isCancelled)
+   */
+  async cancel() {
+    method = 'cancel';
+
+    const search = this.search;
+    if (!search) {
+      return;
+    }
+
+    const error = new Error('Matchmaking cancelled');
+    error.isCancelled = true;
+    await this.settle(search, null, error);
+    this.log('Search cancelled');
+  }
+
+  get isSearching() {
+    return this.search !== null;
+  }
+}
+
+// Export singleton instance (not class)
+const matchServiceSingleton = new MatchService();
+export default matchServiceSingleton;
+// EOF
@@ -1,5 +1,7 @@
 // src/services/PlayerProfileService.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.1.8: incrementIncompleteGames() returns the count before the new game (abandoned games
+//         end win streaks - PlayerProfile.applyAbandonedGames), decrement returns the new count
 // v0.1.7: Added save() method for persisting PlayerProfile instances
 //         - Fixed template literal syntax errors throughout (backticks → parentheses)
 //         - Removed duplicate guest check in disableGameGuide()
@@ -17,7 +19,7 @@ import { supabase } from '../utils/supabaseClient';
 import Player from '../classes/Player';
 import { Filter } from 'bad-words';
 
-const version = "v0.1.7";
+const version = "v0.1.8";
 const tag = "PROFILE";
 const module = "PlayerProfileService";
 let method = "";
@@ -276,6 +278,7 @@ class PlayerProfileService {
      * Called by GameLifecycleManager.startGame()
      *
      * @param {string} playerId - User ID
+     * @returns {Promise<number|null>} Count before this game (games never finished), null on failure
      */
     async incrementIncompleteGames(playerId) {
         method = 'incrementIncompleteGames';
@@ -294,11 +297,12 @@ class PlayerProfileService {
 
         if (fetchError) {
           this.logerror('Error fetching incomplete_games:', fetchError);
-          return;
+          return null;
         }
 
         // Increment by 1
-        const newValue = (profile?.incomplete_games || 0) + 1;
+        const previousValue = profile?.incomplete_games || 0;
+        const newValue = previousValue + 1;
 
         const { error: updateError } = await supabase
           .from('user_profiles')
@@ -307,11 +311,13 @@ class PlayerProfileService {
 
         if (updateError) {
           this.logerror('Error incrementing incomplete_games:', updateError);
-        } else {
-          this.log(`Incremented incomplete_games to ${newValue} for user ${playerId}`);
+          return null;
         }
+        this.log(`Incremented incomplete_games to ${newValue} for user ${playerId}`);
+        return previousValue;
       } catch (error) {
         this.logerror('Exception incrementing incomplete_games:', error);
+        return null;
       }
     }
 
@@ -320,6 +326,7 @@ class PlayerProfileService {
      * Called by GameLifecycleManager.endGame()
      *
      * @param {string} playerId - User ID
+     * @returns {Promise<number|null>} New count, null on failure
      */
     async decrementIncompleteGames(playerId) {
         method = 'decrementIncompleteGames';
@@ -338,7 +345,7 @@ class PlayerProfileService {
 
         if (fetchError) {
           this.logerror('Error fetching incomplete_games:', fetchError);
-          return;
+          return null;
         }
 
         // Decrement by 1 (don't go below 0)
@@ -351,11 +358,13 @@ class PlayerProfileService {
 
         if (updateError) {
           this.logerror('Error decrementing incomplete_games:', updateError);
-        } else {
-          this.log(`Decremented incomplete_games to ${newValue} for user ${playerId}`);
+          return null;
         }
+        this.log(`Decremented incomplete_games to ${newValue} for user ${playerId}`);
+        return newValue;
       } catch (error) {
         this.logerror('Exception decrementing incomplete_games:', error);
+        return null;
       }
     }
     
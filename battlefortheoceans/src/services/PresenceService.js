@@ -0,0 +1,396 @@
+// src/services/PresenceService.js
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.1: Challenges are answered through the respond_challenge() RPC (no client UPDATE on challenges)
+//         - Lobby and challenger names come from user_profiles on the server - no longer sent
+// v0.1.0: Player presence and challenges for the "Human Opponents" lobby
+//         - Heartbeats the logged-in player's status (player_presence) while the app is open
+//         - Status follows CoreEngine states: idle, in-era-select, in-battle
+//         - setAway() while InactivityWarning shows - idle players drop out of the lobby
+//         - getLobby() lists fresh, non-idle players; expireStale() tidies old rows
+//         - Challenges for a specific era: send, accept/decline, cancel
+//         - Polls challenges and tells subscribers when they change
+
+import { supabase } from '../utils/supabaseClient';
+
+const version = "v0.1.1";
+const tag = "SERVICE";
+const module = "PresenceService";
+let method = "";
+
+export const PRESENCE_STATUS = {
+  IDLE: 'idle',
+  ERA_SELECT: 'in-era-select',
+  BATTLE: 'in-battle'
+};
+
+const HEARTBEAT_INTERVAL = 30000;     // presence write
+const POLL_INTERVAL = 5000;           // challenge check (skipped in battle)
+const STALE_AFTER = 120000;           // presence older than this is not listed
+const CHALLENGE_TTL = 120000;         // unanswered challenges expire
+
+class PresenceService {
+  constructor() {
+    method = 'constructor';
+    this.version = version;
+    this.player = null;             // { id, name } - null when not tracking (guests, logged out)
+    this.status = PRESENCE_STATUS.IDLE;
+    this.eraId = null;
+    this.away = false;
+    this.heartbeatTimer = null;
+    this.pollTimer = null;
+    this.incoming = [];             // pending challenges to us
+    this.outgoing = null;           // our latest challenge
+    this.subscribers = [];
+    this.log('initialized');
+  }
+
+  /**
+   * Logging utilities
+   */
+  log(message) {
+    console.log(`[${tag}] ${version} ${module}.${method} : ${message}`);
+  }
+
+  logerror(message, error) {
+    console.error(`[${tag}] ${version} ${module}.${method}: ${message}`, error);
+  }
+
+  /**
+   * Start tracking a logged-in player (no-op if already tracking them)
+   * @param {Object} player - { id, name } - guests are not tracked (no user_profiles row)
+   */
+  start(player) {
+    method = 'start';
+
+    if (!player?.id || String(player.id).startsWith('guest-')) {
+      return;
+    }
+    if (this.player?.id === player.id) {
+      return;
+    }
+    if (this.player) {
+      this.stop();
+    }
+
+    this.player = { id: player.id, name: player.name };
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL);
+    this.pollTimer = setInterval(() => this.pollChallenges(), POLL_INTERVAL);
+    this.log(`Tracking ${player.name}`);
+
+    this.expireStale();
+    this.heartbeat();
+  }
+
+  /**
+   * Stop tracking and leave the lobby (logout)
+   */
+  async stop() {
+    method = 'stop';
+
+    if (!this.player) {
+      return;
+    }
+
+    const playerId = this.player.id;
+    clearInterval(this.heartbeatTimer);
+    clearInterval(this.pollTimer);
+    this.heartbeatTimer = null;
+    this.pollTimer = null;
+    this.player = null;
+    this.status = PRESENCE_STATUS.IDLE;
+    this.eraId = null;
+    this.away = false;
+    this.setChallenges([], null);
+
+    try {
+      const { error } = await supabase
+        .from('player_presence')
+        .delete()
+        .eq('player_id', playerId);
+      if (error) throw error;
+      this.log('Left lobby');
+    } catch (error) {
+      this.logerror('Failed to remove presence:', error);
+    }
+  }
+
+  get isTracking() {
+    return this.player !== null;
+  }
+
+  /**
+   * Update our status - written immediately when it changes
+   * @param {string} status - PRESENCE_STATUS value
+   * @param {string|null} eraId - Era being selected or played
+   */
+  setStatus(status, eraId = null) {
+    if (status === this.status && eraId === this.eraId) {
+      return;
+    }
+    this.status = status;
+    this.eraId = eraId;
+    this.heartbeat();
+  }
+
+  /**
+   * Away (InactivityWarning showing) - listed as idle until the player is back
+   * @param {boolean} away
+   */
+  setAway(away) {
+    method = 'setAway';
+    if (away === this.away) {
+      return;
+    }
+    this.away = away;
+    this.log(away ? 'Player away - leaving lobby' : 'Player back');
+    this.heartbeat();
+  }
+
+  /**
+   * Status other players see
+   */
+  get effectiveStatus() {
+    return this.away ? PRESENCE_STATUS.IDLE : this.status;
+  }
+
+  /**
+   * Write our presence row
+   */
+  async heartbeat() {
+    method = 'heartbeat';
+
+    if (!this.player) {
+      return;
+    }
+
+    try {
+      const { error } = await supabase
+        .from('player_presence')
+        .upsert({
+          player_id: this.player.id,
+          status: this.effectiveStatus,
+          era_id: this.eraId,
+          last_seen: new Date().toISOString()
+        }, { onConflict: 'player_id' });
+      if (error) throw error;
+    } catch (error) {
+      this.logerror('Heartbeat failed:', error);
+    }
+  }
+
+  /**
+   * Remove stale presence rows and expire unanswered challenges (server-side)
+   */
+  async expireStale() {
+    method = 'expireStale';
+
+    try {
+      const { data, error } = await supabase.rpc('expire_stale_presence', {
+        p_presence_seconds: STALE_AFTER / 1000,
+        p_challenge_seconds: CHALLENGE_TTL / 1000
+      });
+      if (error) throw error;
+      if (data?.presence_removed || data?.challenges_expired) {
+        this.log(`Expired ${data.presence_removed} presence, ${data.challenges_expired} challenges`);
+      }
+    } catch (error) {
+      this.logerror('Failed to expire stale presence:', error);
+    }
+  }
+
+  /**
+   * Players in the lobby - heartbeated recently and not idle, excluding us
+   * @param {number} limit - Maximum players returned
+   * @returns {Promise<Array>} [{ id, game_name, status, era_id, last_seen }]
+   */
+  async getLobby(limit = 20) {
+    method = 'getLobby';
+
+    await this.expireStale();
+
+    const since = new Date(Date.now() - STALE_AFTER).toISOString();
+    let query = supabase
+      .from('player_presence')
+      .select('player_id, game_name, status, era_id, last_seen')
+      .gte('last_seen', since)
+      .neq('status', PRESENCE_STATUS.IDLE)
+      .order('last_seen', { ascending: false })
+      .limit(limit);
+    if (this.player) {
+      query = query.neq('player_id', this.player.id);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return (data || []).map(row => ({
+      id: row.player_id,
+      game_name: row.game_name,
+      status: row.status,
+      era_id: row.era_id,
+      last_seen: row.last_seen
+    }));
+  }
+
+  // =================================================================
+  // CHALLENGES
+  // =================================================================
+
+  /**
+   * Challenge another player to a battle in an era
+   * @param {Object} opponent - { id, name }
+   * @param {Object} era - { id, name }
+   * @param {string|null} alliance - Our alliance (choose_alliance eras)
+   * @returns {Promise<Object>} Challenge row
+   */
+  async sendChallenge(opponent, era, alliance = null) {
+    method = 'sendChallenge';
+
+    if (!this.player) {
+      throw new Error('Only logged-in players can send challenges');
+    }
+
+    if (this.outgoing?.status === 'pending') {
+      await this.cancelChallenge(this.outgoing.id);
+    }
+
+    const { data, error } = await supabase
+      .from('challenges')
+      .insert({
+        from_player_id: this.player.id,
+        to_player_id: opponent.id,
+        era_id: era.id,
+        era_name: era.name,
+        alliance
+      })
+      .select()
+      .single();
+    if (error) throw error;
+
+    this.log(`Challenged ${opponent.name} to ${era.name}`);
+    this.setChallenges(this.incoming, data);
+    return data;
+  }
+
+  /**
+   * Accept or decline a challenge sent to us
+   * @param {string} challengeId
+   * @param {boolean} accept
+   * @returns {Promise<Object|null>} Updated challenge, null if it was no longer pending
+   */
+  async respondToChallenge(challengeId, accept) {
+    method = 'respondToChallenge';
+
+    const { data, error } = await supabase.rpc('respond_challenge', {
+      p_challenge_id: challengeId,
+      p_status: accept ? 'accepted' : 'declined'
+    });
+    if (error) throw error;
+
+    this.log(`Challenge ${challengeId} ${data ? (accept ? 'accepted' : 'declined') : 'no longer pending'}`);
+    this.setChallenges(this.incoming.filter(challenge => challenge.id !== challengeId), this.outgoing);
+    return data;
+  }
+
+  /**
+   * Withdraw our challenge (search cancelled)
+   * @param {string} challengeId
+   */
+  async cancelChallenge(challengeId) {
+    method = 'cancelChallenge';
+
+    try {
+      const { error } = await supabase.rpc('respond_challenge', {
+        p_challenge_id: challengeId,
+        p_status: 'cancelled'
+      });
+      if (error) throw error;
+    } catch (error) {
+      this.logerror('Failed to cancel challenge:', error);
+    }
+
+    if (this.outgoing?.id === challengeId) {
+      this.setChallenges(this.incoming, null);
+    }
+  }
+
+  /**
+   * Check for new challenges and for an answer to ours
+   */
+  async pollChallenges() {
+    method = 'pollChallenges';
+
+    if (!this.player || this.away || this.status === PRESENCE_STATUS.BATTLE) {
+      return;
+    }
+
+    try {
+      const since = new Date(Date.now() - CHALLENGE_TTL).toISOString();
+      const { data: incoming, error } = await supabase
+        .from('challenges')
+        .select('*')
+        .eq('to_player_id', this.player.id)
+        .eq('status', 'pending')
+        .gte('created_at', since)
+        .order('created_at', { ascending: false });
+      if (error) throw error;
+
+      let outgoing = this.outgoing;
+      if (outgoing?.status === 'pending') {
+        const { data, error: outgoingError } = await supabase
+          .from('challenges')
+          .select('*')
+          .eq('id', outgoing.id)
+          .maybeSingle();
+        if (outgoingError) throw outgoingError;
+        outgoing = data;
+        if (outgoing?.status === 'pending' && Date.parse(outgoing.created_at) < Date.now() - CHALLENGE_TTL) {
+          outgoing = { ...outgoing, status: 'expired' };
+        }
+      }
+
+      this.setChallenges(incoming || [], outgoing);
+    } catch (error) {
+      this.logerror('Failed to poll challenges:', error);
+    }
+  }
+
+  /**
+   * Store challenges, notifying subscribers when something changed
+   */
+  setChallenges(incoming, outgoing) {
+    const key = (challenges, challenge) =>
+      JSON.stringify([challenges.map(c => c.id), challenge?.id, challenge?.status]);
+    const changed = key(incoming, outgoing) !== key(this.incoming, this.outgoing);
+
+    this.incoming = incoming;
+    this.outgoing = outgoing;
+
+    if (changed) {
+      this.subscribers.forEach(callback => {
+        try {
+          callback({ incoming, outgoing });
+        } catch (error) {
+          this.logerror('Error in subscriber callback:', error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Listen for challenge changes
+   * @param {Function} callback - Called with { incoming, outgoing }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.subscribers.push(callback);
+    return () => {
+      this.subscribers = this.subscribers.filter(cb => cb !== callback);
+    };
+  }
+}
+
+// Export singleton instance (not class)
+const presenceServiceSingleton = new PresenceService();
+export default presenceServiceSingleton;
+// EOF
@@ -1,5 +1,17 @@
 // src/services/RightsService.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.3.3: Rights ledger (supabase-functions/add_rights_ledger.sql)
+//         - getRightsLedger(playerId) - credits, debits and revocations from rights_ledger plus
+//           expiries derived from user_rights, newest first (StatsPage "Passes & Access")
+//         - consumeRights(playerId, eraConfig, gameId) passes era and game id to consume_rights,
+//           which records the debit
+// v0.3.2: One expiry policy - game-config.json rights_expiry
+//         - getExpiryPolicy() / getExpiryDate(rightsType) replace the hard-coded two years in
+//           grantEraAccess() and creditPasses() (stripe_webhook.js reads the same block)
+//         - getExpiryStatus(expiresAt) - daysLeft and expiringSoon (within expiring_soon_days)
+//         - Badges carry expiresAt / daysLeft / expiringSoon; OWNED and voucher badges show
+//           "(Nd left)" inside the window (was a fixed 7 days, vouchers only)
+//         - getExpiringRights(playerId) - active rights lapsing within the window (NavBar)
 // v0.3.1: Support generic 'era' vouchers for exclusive eras
 //         - If no era-specific voucher found and era is exclusive, check for generic 'era' vouchers
 //         - Generic era vouchers (rights_value='era') work for any exclusive era
@@ -49,11 +61,19 @@
 // DELETE only passes FROM user_rights
 // WHERE player_id = '180e5efa-2c5f-4a19-b969-d67283def379'
 // AND rights_type = 'pass';
+//
+// -- Where did my passes go? (credits, debits with era and game, revocations)
+// SELECT * FROM rights_ledger
+// WHERE player_id = '180e5efa-2c5f-4a19-b969-d67283def379'
+// ORDER BY created_at DESC;
 
 import { supabase } from '../utils/supabaseClient';
 import Player from '../classes/Player';
+import configLoader from '../utils/ConfigLoader';
+
+const version = "v0.3.3";
 
-const version = "v0.3.1";
+const DAY_MS = 24 * 60 * 60 * 1000;
 const tag = "RIGHTS";
 const module = "RightsService";
 let method = "";
@@ -80,6 +100,94 @@ class RightsService {
     log('RightsService initialized');
   }
 
+  // ============================================================================
+  // EXPIRY POLICY (v0.3.2)
+  // ============================================================================
+
+  /**
+   * Rights expiry policy from game-config.json
+   *
+   * @returns {Promise<object>} { era_days, pass_days, expiring_soon_days }
+   */
+  async getExpiryPolicy() {
+    const gameConfig = await configLoader.loadGameConfig();
+    return gameConfig.rights_expiry;
+  }
+
+  /**
+   * When a right granted now expires
+   *
+   * @param {string} rightsType - 'era' or 'pass'
+   * @returns {Promise<Date>} Expiry date
+   */
+  async getExpiryDate(rightsType) {
+    const policy = await this.getExpiryPolicy();
+    const days = rightsType === 'pass' ? policy.pass_days : policy.era_days;
+    return new Date(Date.now() + days * DAY_MS);
+  }
+
+  /**
+   * Days left on a right and whether it is inside the expiring soon window
+   *
+   * @param {string|null} expiresAt - user_rights.expires_at
+   * @param {object} policy - From getExpiryPolicy()
+   * @returns {object} { daysLeft, expiringSoon } - daysLeft is null when the right never expires
+   */
+  getExpiryStatus(expiresAt, policy) {
+    if (!expiresAt) {
+      return { daysLeft: null, expiringSoon: false };
+    }
+    const daysLeft = Math.ceil((new Date(expiresAt) - Date.now()) / DAY_MS);
+    return { daysLeft, expiringSoon: daysLeft <= policy.expiring_soon_days };
+  }
+
+  /**
+   * Active rights that lapse within the expiring soon window
+   * Rights renewed by a later purchase or voucher for the same era are left out
+   *
+   * @param {string} playerId - User ID
+   * @returns {Promise<Array>} user_rights entries with daysLeft, soonest first
+   */
+  async getExpiringRights(playerId) {
+    method = 'getExpiringRights';
+
+    if (!playerId || Player.isGuest(playerId)) {
+      return [];
+    }
+
+    try {
+      const policy = await this.getExpiryPolicy();
+      const windowEnd = new Date(Date.now() + policy.expiring_soon_days * DAY_MS).toISOString();
+
+      const { data: active, error } = await supabase
+        .from('user_rights')
+        .select('*')
+        .eq('player_id', playerId)
+        .or('uses_remaining.gt.0,uses_remaining.eq.-1')
+        .gt('expires_at', new Date().toISOString())
+        .order('expires_at', { ascending: true });
+
+      if (error) {
+        logerror('Error fetching expiring rights:', error);
+        return [];
+      }
+
+      const expiring = active.filter(right => right.expires_at <= windowEnd);
+      const renewed = (right) => right.rights_type === 'era' && active.some(other =>
+        other.rights_type === 'era' && other.rights_value === right.rights_value && other.expires_at > windowEnd);
+
+      const result = expiring
+        .filter(right => !renewed(right))
+        .map(right => ({ ...right, daysLeft: this.getExpiryStatus(right.expires_at, policy).daysLeft }));
+      log(`${result.length} rights expiring within ${policy.expiring_soon_days} days for user ${playerId}`);
+      return result;
+
+    } catch (error) {
+      logerror('Failed to get expiring rights:', error);
+      return [];
+    }
+  }
+
   // ============================================================================
   // PASS MANAGEMENT (NEW IN v0.2.0)
   // ============================================================================
@@ -323,17 +431,19 @@ class RightsService {
    * Consume a play (decrement voucher or passes)
    *
    * @param {string} playerId - User ID
-   * @param {string} eraId - Era ID
    * @param {object} eraConfig - Era configuration
+   * @param {string} [gameId] - Game.id of the game that used the play (rights ledger)
    * @returns {Promise<object>} Consumption result
    */
-  async consumeRights(playerId, eraConfig) {
+  async consumeRights(playerId, eraConfig, gameId = null) {
     if (!playerId || !eraConfig) {
       throw new Error('Missing required parameters');
     }
 
     method = 'consumeRights';
     const eraId = eraConfig.id;
+    // consume_rights records each debit in rights_ledger with these
+    const ledger = { p_era_id: eraId, p_game_id: gameId };
     log(`consumeRights called for ${eraId}, playerId=${playerId}`);
     
     try {
@@ -386,7 +496,8 @@ class RightsService {
         // Use server-side RPC function to bypass RLS and prevent cheating
         const { data: updatedRight, error: rpcError } = await supabase.rpc('consume_rights', {
           p_rights_id: access.rightsId,
-          p_uses_to_consume: 1
+          p_uses_to_consume: 1,
+          ...ledger
         });
 
         if (rpcError) {
@@ -435,7 +546,8 @@ class RightsService {
             // Use server-side RPC function to bypass RLS and prevent cheating
             const { data: updatedRight, error: rpcError } = await supabase.rpc('consume_rights', {
               p_rights_id: right.id,
-              p_uses_to_consume: remaining
+              p_uses_to_consume: remaining,
+              ...ledger
             });
 
             if (rpcError) {
@@ -457,7 +569,8 @@ class RightsService {
             // Use server-side RPC function to bypass RLS and prevent cheating
             const { data: updatedRight, error: rpcError } = await supabase.rpc('consume_rights', {
               p_rights_id: right.id,
-              p_uses_to_consume: right.uses_remaining
+              p_uses_to_consume: right.uses_remaining,
+              ...ledger
             });
 
             if (rpcError) {
@@ -527,9 +640,7 @@ class RightsService {
     }
 
     try {
-      // Set expiration to 2 years from now
-      const expiresAt = new Date();
-      expiresAt.setFullYear(expiresAt.getFullYear() + 2);
+      const expiresAt = await this.getExpiryDate('pass');
 
       const { data, error } = await supabase
         .from('user_rights')
@@ -575,14 +686,19 @@ class RightsService {
       const access = await this.checkRights(playerId, eraConfig);
       log(`checkRights result: method=${access.method}, canPlay=${access.canPlay}`);
 
+      const policy = await this.getExpiryPolicy();
+      const { daysLeft, expiringSoon } = this.getExpiryStatus(access.expiresAt, policy);
+      const expiry = { expiresAt: access.expiresAt || null, daysLeft, expiringSoon };
+
       // PURCHASED ACCESS
       if (access.method === 'purchase' && access.canPlay) {
         return {
-          badge: 'OWNED',
+          badge: expiringSoon ? `OWNED (${daysLeft}d left)` : 'OWNED',
           button: 'Play',
           style: 'badge-owned',
           canPlay: true,
-          method: 'purchase'
+          method: 'purchase',
+          ...expiry
         };
       }
 
@@ -594,15 +710,9 @@ class RightsService {
         let badge = `${count} ${label}`;
         let button = 'Play (using voucher)';
 
-        // Add expiry info for time-based vouchers
-        if (access.expiresAt && access.usesRemaining === -1) {
-          const expiryDate = new Date(access.expiresAt);
-          const now = new Date();
-          const daysLeft = Math.ceil((expiryDate - now) / (1000 * 60 * 60 * 24));
-          
-          if (daysLeft <= 7) {
-            badge = `${count} ${label} (${daysLeft}d left)`;
-          }
+        // Add expiry info inside the expiring soon window
+        if (expiringSoon) {
+          badge = `${count} ${label} (${daysLeft}d left)`;
         }
 
         return {
@@ -610,7 +720,8 @@ class RightsService {
           button,
           style: 'badge-exclusive',
           canPlay: true,
-          method: 'voucher'
+          method: 'voucher',
+          ...expiry
         };
       }
 
@@ -803,9 +914,8 @@ class RightsService {
     try {
       log(`Granting era access for user ${playerId}, era ${eraId}`);
 
-      // UPDATED v0.2.2: Set 2-year expiry (not null)
-      const expiresAt = new Date();
-      expiresAt.setFullYear(expiresAt.getFullYear() + 2);
+      // v0.3.2: Expiry from game-config rights_expiry.era_days
+      const expiresAt = await this.getExpiryDate('era');
 
       const { data, error } = await supabase
         .from('user_rights')
@@ -814,7 +924,7 @@ class RightsService {
           rights_type: 'era',
           rights_value: eraId,
           uses_remaining: -1, // Unlimited uses
-          expires_at: expiresAt.toISOString(), // 2 years from now
+          expires_at: expiresAt.toISOString(),
           stripe_payment_intent_id: paymentData.stripe_payment_intent_id || null,
           voucher_used: paymentData.voucher_used || null,
           created_at: new Date().toISOString(),
@@ -876,6 +986,88 @@ class RightsService {
       return [];
     }
   }
+
+  /**
+   * Rights history - where passes and era access came from and where they went
+   * Credits, debits and revocations are rows in rights_ledger; expiries are derived from
+   * user_rights rows that lapsed with plays left (or unlimited)
+   *
+   * @param {string} playerId - User ID
+   * @param {number} limit - Most recent ledger rows to read
+   * @returns {Promise<Array>} Entries, newest first:
+   *   { id, kind: 'credit'|'debit'|'revoked'|'expired', rightsType, rightsValue, source,
+   *     amount (null = unlimited), eraId, gameId, rightsId, createdAt }
+   */
+  async getRightsLedger(playerId, limit = 100) {
+    method = 'getRightsLedger';
+
+    if (!playerId || Player.isGuest(playerId)) {
+      log('Guest user - returning empty ledger');
+      return [];
+    }
+
+    try {
+      const { data: rows, error } = await supabase
+        .from('rights_ledger')
+        .select('*')
+        .eq('player_id', playerId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        logerror('Error fetching rights ledger:', error);
+        return [];
+      }
+
+      const { data: lapsed, error: lapsedError } = await supabase
+        .from('user_rights')
+        .select('id, rights_type, rights_value, uses_remaining, expires_at')
+        .eq('player_id', playerId)
+        .is('revoked_at', null)
+        .or('uses_remaining.gt.0,uses_remaining.eq.-1')
+        .lt('expires_at', new Date().toISOString());
+
+      if (lapsedError) {
+        logerror('Error fetching expired rights:', lapsedError);
+      }
+
+      const entries = rows.map(row => ({
+        id: row.id,
+        kind: row.kind,
+        rightsType: row.rights_type,
+        rightsValue: row.rights_value,
+        source: row.source,
+        amount: row.amount,
+        eraId: row.era_id,
+        gameId: row.game_id,
+        rightsId: row.rights_id,
+        createdAt: row.created_at
+      }));
+
+      (lapsed || []).forEach(right => {
+        entries.push({
+          id: `expired-${right.id}`,
+          kind: 'expired',
+          rightsType: right.rights_type,
+          rightsValue: right.rights_value,
+          source: null,
+          amount: right.uses_remaining === -1 ? null : -right.uses_remaining,
+          eraId: null,
+          gameId: null,
+          rightsId: right.id,
+          createdAt: right.expires_at
+        });
+      });
+
+      entries.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      log(`Ledger for user ${playerId}: ${rows.length} entries, ${lapsed?.length || 0} expired`);
+      return entries;
+
+    } catch (error) {
+      logerror('Failed to get rights ledger:', error);
+      return [];
+    }
+  }
 }
 
 // Export singleton instance (not class)
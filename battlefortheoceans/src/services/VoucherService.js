@@ -1,5 +1,18 @@
 // src/services/VoucherService.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.2.5: redeem_voucher_v2 no longer takes expiry days - the server sets them
+//         (supabase-functions/add_rights_expiry.sql), never the browser
+// v0.2.4: Voucher console (AdminVoucherPage, supabase-functions/add_voucher_admin.sql)
+//         - listVouchers(filters) - type, purpose, status, created_by, email_sent_to; each row parsed
+//           with parseVoucherCode and given a status (getVoucherStatus)
+//         - generateVouchers() - bulk generateVoucher() with an optional redeem-by date
+//         - revokeVouchers() / extendVouchers() - unredeemed vouchers only (admin RPCs)
+//         - getReferralChains() - who invited whom from processReferralReward() vouchers
+//         - Revoked and expired vouchers are skipped by processReferralReward / processInviteVouchers
+//           and refused on redemption
+// v0.2.3: Count voucher expiry from game-config rights_expiry
+//         - redeemVoucher passes era_days / pass_days to redeem_voucher_v2, which picks by
+//           rights type (supabase-functions/add_rights_expiry.sql) - was a fixed 2 years
 // v0.2.2: Fix signup bonus voucher type parsing - use rightsValue for era vouchers
 //         - For era vouchers, use parsed.rightsValue (e.g., 'pirates') instead of parsed.voucherType ('era')
 //         - Ensures signup bonus vouchers are era-specific (pirates-10) not generic (era-10)
@@ -50,7 +63,11 @@
 
 import { supabase } from '../utils/supabaseClient';
 
-const version = 'v0.2.2';
+const version = 'v0.2.5';
+
+// Voucher purposes written by processReferralReward() and the email-a-friend invite
+const REFERRAL_PURPOSE = 'email_friend';
+const REFERRAL_REWARD_PURPOSE = 'referral_signup_reward';
 
 class VoucherService {
     constructor() {
@@ -128,7 +145,7 @@ class VoucherService {
             return {
                 valueType: 'count',
                 usesRemaining: parseInt(value, 10),
-                expiresAt: null, // Will be set to +2 years on redemption
+                expiresAt: null, // Set from game-config rights_expiry on redemption
                 durationMs: null,
                 displayText: `${value} plays`
             };
@@ -270,7 +287,7 @@ class VoucherService {
                 }
             }
             
-            // Call secure server-side RPC function
+            // Call secure server-side RPC function (it decides how long the rights last)
             const { data, error } = await supabase.rpc('redeem_voucher_v2', {
                 p_user_id: playerId,
                 p_voucher_code: voucherCode.trim()
@@ -288,6 +305,8 @@ class VoucherService {
                     throw new Error('This voucher code has already been used');
                 } else if (errorMessage.includes('expired')) {
                     throw new Error('This voucher code has expired');
+                } else if (errorMessage.includes('revoked')) {
+                    throw new Error('This voucher code has been revoked');
                 } else if (errorMessage.includes('Player ID is required')) {
                     throw new Error('You must be logged in to redeem vouchers');
                 } else {
@@ -547,9 +566,11 @@ class VoucherService {
             .from('vouchers')
             .select('*')
             .eq('email_sent_to', newUserEmail)
-            .eq('purpose', 'email_friend')  // Only referral vouchers, not admin invites
+            .eq('purpose', REFERRAL_PURPOSE)  // Only referral vouchers, not admin invites
             .not('created_by', 'is', null)
             .is('redeemed_at', null)  // ✅ Only unredeemed vouchers
+            .is('revoked_at', null)   // Revoked invites earn no reward
+            .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
             .single();
             
             // Handle errors
@@ -597,7 +618,7 @@ class VoucherService {
             const referrerRewardCode = await this.generateVoucher(
               rewardVoucherType,  // Use same type as original invite (pass or era)
               referralSignupValue,
-              'referral_signup_reward',
+              REFERRAL_REWARD_PURPOSE,
               null,  // created_by = null for system rewards (not user-created)
               null,
               referralSignupValue,
@@ -616,7 +637,7 @@ class VoucherService {
             const newUserRewardCode = await this.generateVoucher(
                  rewardVoucherType,  // Use same type as original invite (pass or era)
                  referralSignupValue,
-                 'referral_signup_reward',
+                 REFERRAL_REWARD_PURPOSE,
                  null,  // created_by = null for system rewards (not user-created)
                  newUserEmail,
                  0,
@@ -682,9 +703,11 @@ class VoucherService {
                 .from('vouchers')
                 .select('*')
                 .eq('email_sent_to', userEmail)
-                .neq('purpose', 'email_friend')  // Exclude referral vouchers (handled separately)
-                .neq('purpose', 'referral_signup_reward')  // Exclude reward vouchers
+                .neq('purpose', REFERRAL_PURPOSE)  // Exclude referral vouchers (handled separately)
+                .neq('purpose', REFERRAL_REWARD_PURPOSE)  // Exclude reward vouchers
                 .is('redeemed_at', null)  // Only unredeemed vouchers
+                .is('revoked_at', null)   // Revoked by an admin
+                .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
                 .order('created_at', { ascending: true });
             
             // Handle errors
@@ -730,6 +753,309 @@ class VoucherService {
             return { redeemed: false, error: error.message };
         }
     }
+    
+    // =================================================================
+    // VOUCHER CONSOLE (admins and developers - supabase-functions/add_voucher_admin.sql)
+    // =================================================================
+    
+    /**
+     * Where a voucher stands
+     *
+     * @param {object} voucher - vouchers row
+     * @param {Date} now
+     * @returns {string} 'revoked' | 'redeemed' | 'expired' | 'active'
+     */
+    getVoucherStatus(voucher, now = new Date()) {
+        if (voucher.revoked_at) return 'revoked';
+        if (voucher.redeemed_at) return 'redeemed';
+        if (voucher.expires_at && new Date(voucher.expires_at) < now) return 'expired';
+        return 'active';
+    }
+    
+    /**
+     * List vouchers for the voucher console, newest first
+     *
+     * @param {object} filters
+     * @param {string} [filters.type] - 'pass', an era id or 'era' (the {type} of the code)
+     * @param {string} [filters.purpose] - vouchers.purpose
+     * @param {string} [filters.status] - 'redeemed' | 'unredeemed' | 'revoked'
+     * @param {string} [filters.createdBy] - Player ID, or 'system' for system-generated vouchers
+     * @param {string} [filters.emailSentTo] - Part of the recipient email
+     * @param {number} limit - Most recent vouchers to read
+     * @returns {Promise<Array>} vouchers rows plus { parsed, status, created_by_name } - parsed is
+     *   null for codes parseVoucherCode rejects (old scripts/vouchers.js codes)
+     * @throws {Error} If the query fails
+     */
+    async listVouchers(filters = {}, limit = 500) {
+        let query = supabase
+            .from('vouchers')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        
+        if (filters.type) {
+            // generate_voucher writes {type}-{value}-{uuid}
+            query = query.like('voucher_code', `${filters.type}-%`);
+        }
+        if (filters.purpose) {
+            query = query.eq('purpose', filters.purpose);
+        }
+        if (filters.status === 'redeemed') {
+            query = query.not('redeemed_at', 'is', null);
+        } else if (filters.status === 'unredeemed') {
+            query = query.is('redeemed_at', null).is('revoked_at', null);
+        } else if (filters.status === 'revoked') {
+            query = query.not('revoked_at', 'is', null);
+        }
+        if (filters.createdBy === 'system') {
+            query = query.is('created_by', null);
+        } else if (filters.createdBy) {
+            query = query.eq('created_by', filters.createdBy);
+        }
+        if (filters.emailSentTo) {
+            query = query.ilike('email_sent_to', `%${filters.emailSentTo.trim()}%`);
+        }
+        
+        const { data, error } = await query;
+        
+        if (error) {
+            console.error(`[VOUCHER] VoucherService ${version}| listVouchers error:`, error);
+            throw new Error('Failed to load vouchers');
+        }
+        
+        // Creator game names for the console's "Created by" column and filter
+        const creatorIds = [...new Set(data.map(voucher => voucher.created_by).filter(Boolean))];
+        const names = new Map();
+        if (creatorIds.length > 0) {
+            const { data: profiles, error: profileError } = await supabase
+                .from('user_profiles')
+                .select('id, game_name')
+                .in('id', creatorIds);
+            
+            if (profileError) {
+                console.warn(`[VOUCHER] VoucherService ${version}| Could not load creator names:`, profileError);
+            }
+            (profiles || []).forEach(profile => names.set(profile.id, profile.game_name));
+        }
+        
+        const now = new Date();
+        console.log(`[VOUCHER] VoucherService ${version}| Listed ${data.length} vouchers`, filters);
+        
+        return data.map(voucher => {
+            let parsed = null;
+            try {
+                parsed = this.parseVoucherCode(voucher.voucher_code);
+            } catch (parseError) {
+                // Listed anyway - the console shows the raw code
+            }
+            return {
+                ...voucher,
+                parsed,
+                status: this.getVoucherStatus(voucher, now),
+                created_by_name: voucher.created_by ? (names.get(voucher.created_by) || null) : null
+            };
+        });
+    }
+    
+    /**
+     * Generate a batch of identical vouchers
+     *
+     * @param {number} count - How many (1-100)
+     * @param {string} type - 'pass' or era name
+     * @param {string|number} value - Count (e.g., 10) or time (e.g., 'days7')
+     * @param {object} options
+     * @param {string} [options.purpose] - vouchers.purpose (default 'admin_bulk')
+     * @param {string} [options.createdBy] - Admin player ID
+     * @param {string} [options.emailSentTo] - Recipient email (null for general vouchers)
+     * @param {string} [options.expiresAt] - Redeem-by date (ISO), null = never expires
+     * @returns {Promise<Array<string>>} Generated voucher codes
+     * @throws {Error} If the value is invalid or generation fails part way (codes made so far are kept)
+     */
+    async generateVouchers(count, type, value, options = {}) {
+        const { purpose = 'admin_bulk', createdBy = null, emailSentTo = null, expiresAt = null } = options;
+        
+        if (!Number.isInteger(count) || count < 1 || count > 100) {
+            throw new Error('Count must be between 1 and 100');
+        }
+        
+        // Same value rules as redemption - catches "days" or "10x" before any RPC
+        this.parseValue(String(value));
+        
+        const codes = [];
+        for (let i = 0; i < count; i++) {
+            codes.push(await this.generateVoucher(type, value, purpose, createdBy, emailSentTo, 0, 0));
+        }
+        
+        if (expiresAt) {
+            await this.extendVouchers(codes, expiresAt);
+        }
+        
+        console.log(`[VOUCHER] VoucherService ${version}| Generated ${codes.length} ${type}-${value} vouchers (${purpose})`);
+        return codes;
+    }
+    
+    /**
+     * Revoke unredeemed vouchers - redeemed ones are left alone
+     *
+     * @param {Array<string>} voucherCodes
+     * @returns {Promise<number>} Number revoked
+     * @throws {Error} If not an admin or the RPC fails
+     */
+    async revokeVouchers(voucherCodes) {
+        const { data, error } = await supabase.rpc('admin_revoke_vouchers', {
+            p_voucher_codes: voucherCodes
+        });
+        
+        if (error) {
+            console.error(`[VOUCHER] VoucherService ${version}| Revoke error:`, error);
+            throw new Error(error.message?.includes('permission denied')
+                ? 'You do not have permission to revoke vouchers'
+                : 'Failed to revoke vouchers');
+        }
+        
+        console.log(`[VOUCHER] VoucherService ${version}| Revoked ${data} of ${voucherCodes.length} vouchers`);
+        return data;
+    }
+    
+    /**
+     * Set a new redeem-by date on unredeemed vouchers
+     *
+     * @param {Array<string>} voucherCodes
+     * @param {string} expiresAt - New redeem-by date (ISO, in the future)
+     * @returns {Promise<number>} Number changed
+     * @throws {Error} If not an admin, the date is past or the RPC fails
+     */
+    async extendVouchers(voucherCodes, expiresAt) {
+        const { data, error } = await supabase.rpc('admin_extend_vouchers', {
+            p_voucher_codes: voucherCodes,
+            p_expires_at: expiresAt
+        });
+        
+        if (error) {
+            console.error(`[VOUCHER] VoucherService ${version}| Extend error:`, error);
+            const errorMessage = error.message || '';
+            if (errorMessage.includes('permission denied')) {
+                throw new Error('You do not have permission to extend vouchers');
+            } else if (errorMessage.includes('future')) {
+                throw new Error('The new expiry date must be in the future');
+            }
+            throw new Error('Failed to extend vouchers');
+        }
+        
+        console.log(`[VOUCHER] VoucherService ${version}| Extended ${data} of ${voucherCodes.length} vouchers to ${expiresAt}`);
+        return data;
+    }
+    
+    /**
+     * Referral chains - who invited whom, and the signup rewards processReferralReward() paid
+     *
+     * Each email_friend voucher is one link: created_by invited email_sent_to, and redeemed_by
+     * is the invitee once they signed up. Rewards are matched to the link they paid for: the
+     * invitee's was sent to the invitee's email, the referrer's was redeemed by the referrer
+     * around the time of the signup.
+     *
+     * @param {number} limit - Most recent invites to read
+     * @returns {Promise<Array>} Root referrers (not themselves invited), each
+     *   { playerId, gameName, invites: [{ voucherCode, email, sentAt, signedUpAt, status,
+     *     inviteeReward, referrerReward, invitee: { playerId, gameName, invites } | null }] }
+     * @throws {Error} If a query fails
+     */
+    async getReferralChains(limit = 500) {
+        const [invitesResult, rewardsResult] = await Promise.all([
+            supabase
+                .from('vouchers')
+                .select('voucher_code, created_by, email_sent_to, created_at, redeemed_at, redeemed_by, revoked_at, expires_at')
+                .eq('purpose', REFERRAL_PURPOSE)
+                .not('created_by', 'is', null)
+                .order('created_at', { ascending: false })
+                .limit(limit),
+            supabase
+                .from('vouchers')
+                .select('voucher_code, email_sent_to, created_at, redeemed_by')
+                .eq('purpose', REFERRAL_REWARD_PURPOSE)
+                .order('created_at', { ascending: false })
+                .limit(limit * 2)
+        ]);
+        
+        if (invitesResult.error || rewardsResult.error) {
+            console.error(`[VOUCHER] VoucherService ${version}| getReferralChains error:`, invitesResult.error || rewardsResult.error);
+            throw new Error('Failed to load referrals');
+        }
+        
+        const invites = invitesResult.data;
+        const rewards = rewardsResult.data;
+        
+        const playerIds = [...new Set(invites.flatMap(invite => [invite.created_by, invite.redeemed_by]).filter(Boolean))];
+        const names = new Map();
+        if (playerIds.length > 0) {
+            const { data: profiles, error: profileError } = await supabase
+                .from('user_profiles')
+                .select('id, game_name')
+                .in('id', playerIds);
+            
+            if (profileError) {
+                console.warn(`[VOUCHER] VoucherService ${version}| Could not load referral names:`, profileError);
+            }
+            (profiles || []).forEach(profile => names.set(profile.id, profile.game_name));
+        }
+        
+        // Rewards are generated just before the invite is redeemed
+        const REWARD_WINDOW_MS = 5 * 60 * 1000;
+        const findReward = (predicate, signedUpAt) => rewards.find(reward =>
+            predicate(reward) &&
+            Math.abs(new Date(reward.created_at) - new Date(signedUpAt)) <= REWARD_WINDOW_MS
+        )?.voucher_code || null;
+        
+        const now = new Date();
+        const byReferrer = new Map();
+        invites.forEach(invite => {
+            if (!byReferrer.has(invite.created_by)) {
+                byReferrer.set(invite.created_by, []);
+            }
+            byReferrer.get(invite.created_by).push(invite);
+        });
+        
+        // visited guards against a player who (somehow) invited their own referrer
+        const buildNode = (playerId, visited) => {
+            visited.add(playerId);
+            return {
+                playerId,
+                gameName: names.get(playerId) || null,
+                invites: (byReferrer.get(playerId) || []).map(invite => ({
+                    voucherCode: invite.voucher_code,
+                    email: invite.email_sent_to,
+                    sentAt: invite.created_at,
+                    signedUpAt: invite.redeemed_at,
+                    status: this.getVoucherStatus(invite, now),
+                    inviteeReward: invite.redeemed_at
+                        ? findReward(reward => reward.email_sent_to === invite.email_sent_to, invite.redeemed_at)
+                        : null,
+                    referrerReward: invite.redeemed_at
+                        ? findReward(reward => !reward.email_sent_to && reward.redeemed_by === playerId, invite.redeemed_at)
+                        : null,
+                    invitee: invite.redeemed_by && !visited.has(invite.redeemed_by)
+                        ? buildNode(invite.redeemed_by, visited)
+                        : null
+                }))
+            };
+        };
+        
+        const invited = new Set(invites.map(invite => invite.redeemed_by).filter(Boolean));
+        const visited = new Set();
+        const roots = [...byReferrer.keys()]
+            .filter(playerId => !invited.has(playerId))
+            .map(playerId => buildNode(playerId, visited));
+        
+        // Cycles have no uninvited root - start them from any referrer not yet shown
+        [...byReferrer.keys()].forEach(playerId => {
+            if (!visited.has(playerId)) {
+                roots.push(buildNode(playerId, visited));
+            }
+        });
+        
+        console.log(`[VOUCHER] VoucherService ${version}| ${invites.length} referral invites from ${roots.length} root referrers`);
+        return roots;
+    }
 }
 
 // Export singleton instance
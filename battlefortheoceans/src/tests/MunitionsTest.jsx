@@ -1,5 +1,7 @@
 // src/tests/MunitionsTest.jsx
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.1.3: initializeMunitions() takes counts by stockKey; inventory covers every registry munition
+// v0.1.2: Munitions are per player - checks the active player's stock (game.getMunitionsFor)
 // v0.1.1: Fix duplicate test runs and add skip status
 //         - Run tests only once (not on every visibility toggle)
 //         - Add 'skip' status for missing prerequisites
@@ -9,8 +11,9 @@
 
 import React, { useState, useEffect, useRef } from 'react';
 import { coreEngine, useGame } from '../context/GameContext';
+import { MUNITIONS } from '../constants/Munitions';
 
-const version = 'v0.1.1';
+const version = 'v0.1.3';
 
 const MunitionsTest = ({ playerId, onComplete }) => {
   const [results, setResults] = useState([]);
@@ -66,38 +69,40 @@ const MunitionsTest = ({ playerId, onComplete }) => {
       }
 
       const game = coreEngine.gameInstance;
+      const player = coreEngine.getActivePlayer();
+      const munitions = game.getMunitionsFor(player);
 
-      // Test 2: Check munitions initialization
-      const hasMunitions = game.munitions && typeof game.munitions === 'object';
+      // Test 2: Check munitions initialization (one stock per player)
+      const hasMunitions = munitions && typeof munitions === 'object';
       addResult(
         'Munitions Object',
         hasMunitions ? 'pass' : 'fail',
         hasMunitions
-          ? `Munitions object exists: ${JSON.stringify(game.munitions)}`
+          ? `Munitions object exists for ${player?.name}: ${JSON.stringify(munitions)}`
           : 'Munitions object not found',
-        { munitions: game.munitions }
+        { munitions }
       );
 
       // Test 3: Check star shells
-      const hasStarShells = typeof game.munitions?.starShells === 'number';
+      const hasStarShells = typeof munitions?.starShells === 'number';
       addResult(
         'Star Shells Property',
         hasStarShells ? 'pass' : 'fail',
         hasStarShells
-          ? `Star shells: ${game.munitions.starShells}`
+          ? `Star shells: ${munitions.starShells}`
           : 'Star shells property missing',
-        { starShells: game.munitions?.starShells }
+        { starShells: munitions?.starShells }
       );
 
       // Test 4: Check scatter shot
-      const hasScatterShot = typeof game.munitions?.scatterShot === 'number';
+      const hasScatterShot = typeof munitions?.scatterShot === 'number';
       addResult(
         'Scatter Shot Property',
         hasScatterShot ? 'pass' : 'fail',
         hasScatterShot
-          ? `Scatter shot: ${game.munitions.scatterShot}`
+          ? `Scatter shot: ${munitions.scatterShot}`
           : 'Scatter shot property missing',
-        { scatterShot: game.munitions?.scatterShot }
+        { scatterShot: munitions?.scatterShot }
       );
 
       // Test 5: Check initializeMunitions method
@@ -127,23 +132,28 @@ const MunitionsTest = ({ playerId, onComplete }) => {
         try {
           const testStarShells = 5;
           const testScatterShot = 3;
-          game.initializeMunitions(testStarShells, testScatterShot);
+          const originalMunitions = game.munitions[player.id];
+          game.initializeMunitions(player, { starShells: testStarShells, scatterShot: testScatterShot });
+          const initialized = game.getMunitionsFor(player);
           
           const correctInit =
-            game.munitions.starShells === testStarShells &&
-            game.munitions.scatterShot === testScatterShot;
+            initialized.starShells === testStarShells &&
+            initialized.scatterShot === testScatterShot;
           
           addResult(
             'Initialize Munitions',
             correctInit ? 'pass' : 'fail',
             correctInit
               ? `Successfully initialized: ${testStarShells} star shells, ${testScatterShot} scatter shot`
-              : `Failed to initialize correctly. Got: ${JSON.stringify(game.munitions)}`,
+              : `Failed to initialize correctly. Got: ${JSON.stringify(initialized)}`,
             {
               expected: { starShells: testStarShells, scatterShot: testScatterShot },
-              actual: game.munitions
+              actual: initialized
             }
           );
+          
+          // Restore original munitions
+          game.munitions[player.id] = originalMunitions;
         } catch (error) {
           addResult(
             'Initialize Munitions',
@@ -158,11 +168,10 @@ const MunitionsTest = ({ playerId, onComplete }) => {
       if (hasFireMethod) {
         try {
           // Save original munitions
-          const originalMunitions = { ...game.munitions };
+          const originalMunitions = game.munitions[player.id];
           
           // Try to fire with no munitions
-          game.munitions.starShells = 0;
-          game.munitions.scatterShot = 0;
+          game.initializeMunitions(player, {});
           
           const resultNoMunitions = game.fireMunition('starShell', 5, 5);
           
@@ -176,7 +185,7 @@ const MunitionsTest = ({ playerId, onComplete }) => {
           );
           
           // Restore original munitions
-          game.munitions = originalMunitions;
+          game.munitions[player.id] = originalMunitions;
           
         } catch (error) {
           addResult(
@@ -199,7 +208,21 @@ const MunitionsTest = ({ playerId, onComplete }) => {
         { hasMethod: hasFireMunitionInCore }
       );
 
-      // Test 10: Check era config munitions
+      // Test 10: Every registry munition has an inventory count
+      const inventory = game.getMunitionInventory(player);
+      const missing = Object.values(MUNITIONS)
+        .filter(munition => typeof inventory[munition.stockKey] !== 'number')
+        .map(munition => munition.id);
+      addResult(
+        'Munition Registry Inventory',
+        missing.length === 0 ? 'pass' : 'fail',
+        missing.length === 0
+          ? `Inventory covers ${Object.keys(MUNITIONS).length} munitions`
+          : `No inventory count for: ${missing.join(', ')}`,
+        { inventory }
+      );
+
+      // Test 11: Check era config munitions
       const eraConfig = coreEngine.selectedEraConfig;
       const hasMunitionsConfig = eraConfig?.munitions && typeof eraConfig.munitions === 'object';
       addResult(
@@ -1,12 +1,13 @@
 // src/tests/RightsServiceTest.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.1.2: Expiry policy test (game-config rights_expiry, RightsService v0.3.2)
 // v0.1.1: Added purchase method handling to exclusive era test
 // v0.1.0: RightsService test suite
 
 import React, { useState, useEffect, useRef } from 'react';
 import RightsService from '../services/RightsService';
 
-const version = 'v0.1.1';
+const version = 'v0.1.2';
 
 const RightsServiceTest = ({ playerId, onComplete }) => {
   const [tests, setTests] = useState([]);
@@ -170,6 +171,26 @@ const RightsServiceTest = ({ playerId, onComplete }) => {
         failed++;
       }
 
+      // TEST 7b: Expiry policy - grant dates and the expiring soon window
+      addTest('Expiry policy', 'running', 'Checking rights_expiry...');
+      try {
+        const policy = await RightsService.getExpiryPolicy();
+        const eraExpiry = await RightsService.getExpiryDate('era');
+        const eraDays = Math.round((eraExpiry - Date.now()) / (24 * 60 * 60 * 1000));
+        const dayMs = 24 * 60 * 60 * 1000;
+        const inside = RightsService.getExpiryStatus(new Date(Date.now() + (policy.expiring_soon_days - 1) * dayMs).toISOString(), policy);
+        const outside = RightsService.getExpiryStatus(new Date(Date.now() + (policy.expiring_soon_days + 1) * dayMs).toISOString(), policy);
+        if (eraDays === policy.era_days && inside.expiringSoon && !outside.expiringSoon) {
+          addTest('Expiry policy', 'success', `✅ Era rights last ${eraDays} days, expiring soon within ${policy.expiring_soon_days}`, policy);
+          passed++;
+        } else {
+          throw new Error(`Expiry mismatch: era ${eraDays}/${policy.era_days} days, inside=${inside.expiringSoon}, outside=${outside.expiringSoon}`);
+        }
+      } catch (error) {
+        addTest('Expiry policy', 'error', `❌ ${error.message}`);
+        failed++;
+      }
+
     } catch (error) {
       addTest('Test suite error', 'error', `❌ ${error.message}`);
       failed++;
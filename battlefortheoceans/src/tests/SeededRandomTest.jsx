@@ -0,0 +1,191 @@
+// src/tests/SeededRandomTest.jsx
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.0: Seeded RNG and reproducible AI testing
+//         - SeededRandom sequences repeat for the same seed
+//         - Two Games with the same seed autoplace and pick AI moves identically
+
+import React, { useState, useEffect, useRef } from 'react';
+import { coreEngine } from '../context/GameContext';
+import SeededRandom from '../utils/SeededRandom';
+import Game from '../classes/Game';
+import Board from '../classes/Board';
+import AiPlayer from '../classes/AiPlayer';
+
+const version = 'v0.1.0';
+
+const TEST_SEED = 20251031;
+const MOVE_COUNT = 10;
+
+/**
+ * Build an AI-vs-AI game on the traditional era and record placements + AI moves
+ * @param {Object} eraConfig - Era configuration
+ * @param {number} seed - Game seed
+ * @param {string} strategy - AiPlayer strategy under test
+ * @returns {Promise<Object>} { placements, moves }
+ */
+const recordGame = async (eraConfig, seed, strategy) => {
+  const game = new Game(eraConfig, coreEngine.gameConfig, seed);
+  game.initializeAlliances();
+  game.setBoard(new Board(eraConfig.rows, eraConfig.cols, eraConfig.terrain));
+
+  const first = new AiPlayer('ai-seed-test-1', 'Seed Test 1', strategy);
+  const second = new AiPlayer('ai-seed-test-2', 'Seed Test 2', strategy);
+  game.addPlayer(first, eraConfig.alliances[0].name);
+  game.addPlayer(second, eraConfig.alliances[1].name);
+
+  await game.autoPlaceShips(first);
+  await game.autoPlaceShips(second);
+
+  const placements = Array.from(second.shipPlacements.keys()).sort().join(' ');
+  const moves = [];
+  for (let i = 0; i < MOVE_COUNT; i++) {
+    const move = first.makeMove(game);
+    moves.push(`${move.row},${move.col}`);
+  }
+
+  return { placements, moves: moves.join(' ') };
+};
+
+const SeededRandomTest = ({ playerId, onComplete }) => {
+  const [results, setResults] = useState([]);
+  const [running, setRunning] = useState(false);
+  const hasRun = useRef(false);
+
+  useEffect(() => {
+    // Prevent double-run in StrictMode
+    if (hasRun.current) return;
+    hasRun.current = true;
+
+    runTests();
+  }, []);
+
+  const runTests = async () => {
+    setRunning(true);
+    const collected = [];
+
+    const addResult = (name, status, message, data = null) => {
+      const result = {
+        name,
+        status,
+        message,
+        data,
+        timestamp: new Date().toISOString()
+      };
+      collected.push(result);
+      setResults(prev => [...prev, result]);
+    };
+
+    try {
+      // Test 1: Same seed, same sequence
+      const a = new SeededRandom(TEST_SEED);
+      const b = new SeededRandom(TEST_SEED);
+      const seqA = Array.from({ length: 5 }, () => a.next());
+      const seqB = Array.from({ length: 5 }, () => b.next());
+      const sameSequence = seqA.every((value, i) => value === seqB[i]);
+      addResult(
+        'Same Seed Sequence',
+        sameSequence ? 'pass' : 'fail',
+        sameSequence ? 'Identical sequences for the same seed' : 'Sequences differ for the same seed',
+        { seqA, seqB }
+      );
+
+      // Test 2: reset() rewinds
+      a.reset();
+      const rewound = a.next() === seqA[0];
+      addResult(
+        'Reset Rewinds',
+        rewound ? 'pass' : 'fail',
+        rewound ? 'reset() restarts the sequence' : 'reset() did not restart the sequence'
+      );
+
+      // Test 3: Seeds pasted as strings (bug reports, game_results) are accepted
+      const fromString = new SeededRandom(String(TEST_SEED));
+      const stringSeedOk = fromString.seed === TEST_SEED;
+      addResult(
+        'String Seed',
+        stringSeedOk ? 'pass' : 'fail',
+        stringSeedOk ? 'Numeric string seed normalized' : `Expected ${TEST_SEED}, got ${fromString.seed}`
+      );
+
+      // Tests 4-5: Reproducible games (needs era configs loaded)
+      const eraConfig = coreEngine.eras?.get('traditional');
+      if (!eraConfig) {
+        addResult('Reproducible Game', 'skip', '⊘ Game tests skipped - era configs not loaded');
+      } else {
+        const run1 = await recordGame(eraConfig, TEST_SEED, 'methodical_random');
+        const run2 = await recordGame(eraConfig, TEST_SEED, 'methodical_random');
+        const samePlacements = run1.placements === run2.placements;
+        addResult(
+          'Reproducible Autoplacement',
+          samePlacements ? 'pass' : 'fail',
+          samePlacements ? 'Same seed placed the fleet identically' : 'Placements differ for the same seed',
+          { run1: run1.placements, run2: run2.placements }
+        );
+
+        const sameMoves = run1.moves === run2.moves;
+        addResult(
+          'Reproducible AI Moves',
+          sameMoves ? 'pass' : 'fail',
+          sameMoves ? `First ${MOVE_COUNT} AI moves match: ${run1.moves}` : 'AI move sequences differ for the same seed',
+          { run1: run1.moves, run2: run2.moves }
+        );
+      }
+
+    } catch (error) {
+      addResult(
+        'Test Suite Error',
+        'fail',
+        `Unexpected error: ${error.message}`,
+        { error: error.message, stack: error.stack }
+      );
+    }
+
+    const summary = {
+      total: collected.length,
+      passed: collected.filter(r => r.status === 'pass').length,
+      failed: collected.filter(r => r.status === 'fail').length,
+      skipped: collected.filter(r => r.status === 'skip').length,
+      details: collected.map(r => ({ name: r.name, status: r.status }))
+    };
+
+    onComplete(summary);
+    setRunning(false);
+  };
+
+  return (
+    <div className="test-component">
+      {running && <div className="test-running">Running seeded RNG tests...</div>}
+      <div className="test-results">
+        {results.map((result, index) => (
+          <div
+            key={index}
+            className={`test-result test-result-${
+              result.status === 'pass' ? 'success' :
+              result.status === 'skip' ? 'skip' :
+              'error'
+            }`}
+          >
+            <div className="test-result-header">
+              <span className="test-result-name">
+                {result.status === 'pass' ? '✓' : result.status === 'skip' ? '⊘' : '✗'} {result.name}
+              </span>
+              <span className="test-result-time">
+                {new Date(result.timestamp).toLocaleTimeString()}
+              </span>
+            </div>
+            <div className="test-result-message">{result.message}</div>
+            {result.data && (
+              <details className="test-result-data">
+                <summary>View Data</summary>
+                <pre>{JSON.stringify(result.data, null, 2)}</pre>
+              </details>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SeededRandomTest;
+// EOF
@@ -1,5 +1,6 @@
 // src/tests/TestSuite.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.1.7: Added SeededRandomTest (reproducible games and AI moves)
 // v0.1.6: Add skipped count to summary (minimal change - 6 lines modified)
 // v0.1.5: Added UIComponentsTest, AchievementTest, and GameStatsTest (path corrected to ../tests/)
 // v0.1.4: Keep original test output visible on collapse/expand
@@ -19,9 +20,10 @@ import UIComponentsTest from './UIComponentsTest';
 import AchievementTest from './AchievementTest';
 import GameStatsTest from './GameStatsTest';
 import PlayerProfileServiceTest from './PlayerProfileServiceTest';
+import SeededRandomTest from './SeededRandomTest';
 import './TestSuite.css';
 
-const version = 'v0.1.6';
+const version = 'v0.1.7';
 const tag = "TEST";
 const module = "TestSuite";
 let method = "";
@@ -75,7 +77,8 @@ const TestSuite = ({ onClose }) => {
       video: null,
       uiComponents: null,
       achievements: null,
-      gameStats: null
+      gameStats: null,
+      seededRandom: null
     });
 
     log('TestSuite player: ', playerId, playerGameName, playerRole, isAdmin);
@@ -166,6 +169,13 @@ const TestSuite = ({ onClose }) => {
       description: 'Statistics calculations and database updates',
       component: GameStatsTest,
       version: 'v0.3.0'
+    },
+    {
+      id: 'seededRandom',
+      name: 'Seeded RNG',
+      description: 'Reproducible autoplacement and AI move sequences',
+      component: SeededRandomTest,
+      version: 'v0.1.0'
     }
   ];
 
@@ -1,5 +1,6 @@
 // src/tests/VoucherServiceTest.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.1.1: Voucher status for the voucher console (getVoucherStatus)
 // v0.1.0: VoucherService test suite
 
 import React, { useState, useEffect, useRef } from 'react';
@@ -171,6 +172,31 @@ const VoucherServiceTest = ({ playerId, onComplete }) => {
         }
       }
 
+      // TEST 10: Voucher status (revoked beats redeemed, expiry only counts while unredeemed)
+      addTest('Voucher status', 'running', 'Testing getVoucherStatus...');
+      try {
+        const now = new Date('2025-06-01T00:00:00Z');
+        const past = '2025-05-01T00:00:00Z';
+        const future = '2025-07-01T00:00:00Z';
+        const statuses = [
+          VoucherService.getVoucherStatus({ expires_at: null }, now),
+          VoucherService.getVoucherStatus({ expires_at: future }, now),
+          VoucherService.getVoucherStatus({ expires_at: past }, now),
+          VoucherService.getVoucherStatus({ redeemed_at: past, expires_at: past }, now),
+          VoucherService.getVoucherStatus({ revoked_at: past, expires_at: future }, now)
+        ];
+        const expected = ['active', 'active', 'expired', 'redeemed', 'revoked'];
+        if (statuses.every((status, i) => status === expected[i])) {
+          addTest('Voucher status', 'success', '✅ Active, expired, redeemed and revoked', statuses);
+          passed++;
+        } else {
+          throw new Error(`Got ${statuses.join(', ')}`);
+        }
+      } catch (error) {
+        addTest('Voucher status', 'error', `❌ ${error.message}`);
+        failed++;
+      }
+
     } catch (error) {
       addTest('Test suite error', 'error', `❌ ${error.message}`);
       failed++;
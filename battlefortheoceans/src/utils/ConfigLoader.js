@@ -1,5 +1,9 @@
 // src/utils/ConfigLoader.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v1.1.7: getEraCaptains() - every AI captain of an era (alliance captains and pirate fleet captains)
+// v1.1.6: Schema validation (ConfigValidator) for game-config.json and era configs
+//         - Invalid configs are not cached; the error has isConfigError + configErrors for CoreEngine
+//         - Era cross-checks that need game-config (ship class abbreviations) run once it is loaded
 // v1.1.5: NetworkError handling - detect and rethrow for CoreEngine to handle
 // v1.1.4: Consistent era asset loading - all paths use ConfigLoader
 //         - Added getEraAssetPath() for relative paths from config files
@@ -20,7 +24,9 @@
 //         - Removed getShipCellSymbol() methods (no longer using combined SVG symbols)
 // v1.1.0: Added ship graphics loading from single SVG file
 
-const version = "v1.1.5";
+import { validateEraConfig, validateGameConfig, formatConfigErrors } from './ConfigValidator';
+
+const version = "v1.1.7";
 
 // CDN base URL from environment variable (bunny.net CDN)
 const CDN_BASE_URL = process.env.REACT_APP_GAME_CDN || '';
@@ -58,6 +64,20 @@ function isNetworkError(error) {
 // Export for use in CoreEngine
 export { isNetworkError };
 
+/**
+ * Build the error thrown for a config that fails validation
+ * Marked like NetworkErrors so CoreEngine can tell them apart (no retry - the file itself is wrong)
+ * @param {string} file - Config file name
+ * @param {Array<string>} errors - ConfigValidator errors
+ * @returns {Error} Error with isConfigError and configErrors
+ */
+function createConfigError(file, errors) {
+  const error = new Error(formatConfigErrors(file, errors));
+  error.isConfigError = true;
+  error.configErrors = errors;
+  return error;
+}
+
 /**
  * ConfigLoader - Centralized configuration loading utility
  * Loads game-config.json and era configs from /public/config/
@@ -112,7 +132,13 @@ class ConfigLoader {
         throw new Error(`Failed to load game-config.json: ${response.status}`);
       }
 
-      this.gameConfig = await response.json();
+      const gameConfig = await response.json();
+      const errors = validateGameConfig(gameConfig);
+      if (errors.length > 0) {
+        throw createConfigError('game-config.json', errors);
+      }
+
+      this.gameConfig = gameConfig;
       console.log(`[CONFIG] ${version} Game config loaded (v${this.gameConfig.version})`);
       
       return this.gameConfig;
@@ -288,6 +314,11 @@ class ConfigLoader {
       }
 
       const eraConfig = await response.json();
+      const errors = validateEraConfig(eraConfig, this.gameConfig);
+      if (errors.length > 0) {
+        throw createConfigError(`era-${eraId}.json`, errors);
+      }
+
       this.cache.set(cacheKey, eraConfig);
       
       console.log(`[CONFIG] ${version} Era config loaded: ${eraConfig.name} (v${eraConfig.version})`);
@@ -394,6 +425,27 @@ class ConfigLoader {
     return 'medium'; // Default fallback
   }
 
+  /**
+   * Every AI captain an era can field - alliance captains plus each pirate fleet's captain
+   * (captain defeat tracking and the AchievementsPage roster)
+   * @param {Object} eraConfig - Era configuration
+   * @returns {Array<Object>} [{ id, name, strategy, avatar, alliance, fleet_id }]
+   */
+  getEraCaptains(eraConfig) {
+    const captains = [];
+    (eraConfig?.alliances || []).forEach(alliance => {
+      (alliance.ai_captains || []).forEach(captain => {
+        captains.push({ ...captain, alliance: alliance.name, fleet_id: null });
+      });
+      (alliance.pirate_fleets || []).forEach(fleet => {
+        if (fleet.ai_captain) {
+          captains.push({ ...fleet.ai_captain, alliance: alliance.name, fleet_id: fleet.fleet_id });
+        }
+      });
+    });
+    return captains;
+  }
+
   /**
    * Clear all cached configs (for testing/development)
    */
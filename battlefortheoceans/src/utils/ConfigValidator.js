@@ -0,0 +1,510 @@
+// src/utils/ConfigValidator.js
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.7: Era munitions must have the game rule they depend on (Munitions.js gameRule) -
+//         mines without ship_movement never go off
+// v0.1.6: game-config rights_expiry (era / pass lifetimes, expiring soon window)
+// v0.1.5: game-config products (pass packs, all exclusive eras bundle) sold on PurchasePage
+// v0.1.4: Era weather table (Game v0.8.26) - condition ids must be in constants/Weather.js
+// v0.1.3: game_rules.ship_movement and ship_movement_range (Game v0.8.25)
+// v0.1.2: game_rules.salvo and salvo_guns (Game v0.8.24)
+// v0.1.1: 'adaptive' captain strategy (AiPlayer v0.6.0)
+// v0.1.0: Schema validation for era-*.json, era-list.json and game-config.json
+//         - ERA_SCHEMA / GAME_CONFIG_SCHEMA describe required and optional keys and their types
+//         - Cross-checks the schema cannot express: terrain grid vs rows/cols, ship terrain,
+//           placement_restriction vs rows, fleet_selection_max vs pirate_fleets,
+//           captain strategies, ship class abbreviations
+//         - Used by ConfigLoader (runtime) and scripts/validate-eras.js (CI / before publishing)
+
+import { WEATHER } from '../constants/Weather';
+import { MUNITIONS } from '../constants/Munitions';
+
+const version = "v0.1.7";
+
+// Every terrain TerrainRenderer can draw
+export const TERRAIN_TYPES = ['deep', 'shallow', 'shoal', 'marsh', 'land', 'rock', 'excluded'];
+
+// AiPlayer strategies (AiPlayer.makeMove switch)
+export const AI_STRATEGIES = ['random', 'methodical_random', 'methodical_optimal', 'aggressive', 'ai-hunt', 'hunt-target', 'adaptive'];
+
+// Theme keys App.js turns into CSS variables - a missing key leaves the previous era's color behind
+export const THEME_KEYS = [
+  'primary', 'primary_glow', 'primary_dim', 'primary_dark',
+  'bg_dark', 'bg_medium', 'bg_light', 'bg_overlay',
+  'accent', 'accent_secondary', 'warning', 'success', 'error',
+  'text_primary', 'text_secondary', 'text_dim', 'text_disabled',
+  'border_color', 'border_subtle', 'border_strong',
+  'shadow', 'shadow_sm', 'shadow_lg',
+  'btn_border_primary', 'btn_border_primary_hover'
+];
+
+// game-config products create_payment_intent.js and stripe_webhook.js know how to sell and credit
+export const PRODUCT_TYPES = ['pass_pack', 'era_bundle'];
+
+// Message templates MessageHelper looks up by key - one string or an array to pick from
+// (ship_captured / alliance_changed have built-in fallbacks)
+export const MESSAGE_KEYS = [
+  'transition', 'player_win', 'player_lose', 'opponent_win', 'opponent_lose',
+  'attack_hit_unknown', 'attack_hit_size_small', 'attack_hit_size_medium', 'attack_hit_size_large',
+  'attack_hit_critical', 'attack_miss', 'opponent_attack_hit', 'opponent_attack_miss',
+  'ship_sunk', 'opponent_attack_sunk', 'player_turn', 'ai_turn',
+  'victory', 'defeat', 'rapid_fire', 'game_start', 'game_end', 'turn_start'
+];
+
+/**
+ * Schema notation:
+ * - 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' - value type
+ * - 'string|array' - any of these types
+ * - { key: schema } - object with these keys; 'key?' is optional, '*' types every other key
+ * - [schema] - array whose items all match schema
+ * Keys not named in a schema are allowed (new rules can ship before the validator knows them).
+ */
+const SHIP_SCHEMA = {
+  name: 'string',
+  class: 'string',
+  size: 'integer',
+  terrain: ['string']
+};
+
+const CAPTAIN_SCHEMA = {
+  id: 'string',
+  name: 'string',
+  strategy: 'string',
+  difficulty: 'number',
+  'description?': 'string',
+  'avatar?': 'string'
+};
+
+const ALLIANCE_SCHEMA = {
+  name: 'string',
+  'avatar?': 'string',
+  'description?': 'string',
+  'ships?': [SHIP_SCHEMA],
+  'ai_captains?': [CAPTAIN_SCHEMA],
+  'pirate_fleets?': [{
+    fleet_id: 'string',
+    fleet_name: 'string',
+    'description?': 'string',
+    ai_captain: CAPTAIN_SCHEMA,
+    ships: [SHIP_SCHEMA]
+  }]
+};
+
+export const ERA_SCHEMA = {
+  id: 'string',
+  name: 'string',
+  version: 'string',
+  'era_description?': 'string',
+  'about?': 'string',
+  rows: 'integer',
+  cols: 'integer',
+  max_players: 'integer',
+  'free?': 'boolean',
+  'exclusive?': 'boolean',
+  'exclusive_label?': 'string',
+  'passes_required?': 'integer',
+  terrain: [['string']],
+  'boundary?': 'array',
+  game_rules: {
+    turn_required: 'boolean',
+    turn_on_hit: 'boolean',
+    turn_on_miss: 'boolean',
+    'choose_alliance?': 'boolean',
+    'change_alliance?': 'boolean',
+    'defection_health?': 'number',
+    'defection_chance?': 'number',
+    'ship_capture?': 'boolean',
+    'capture_chance?': 'number',
+    'placement_restriction?': 'integer',
+    'multi_fleet_combat?': 'boolean',
+    'fleet_selection_min?': 'integer',
+    'fleet_selection_max?': 'integer',
+    'fleet_difficulty_multipliers?': { '*': 'number' },
+    'shot_clock_seconds?': 'number',
+    'shot_clock_on_expire?': 'string',
+    'salvo?': 'boolean',
+    'salvo_guns?': { '*': 'integer' },
+    'ship_movement?': 'boolean',
+    'ship_movement_range?': 'integer'
+  },
+  theme: Object.fromEntries(THEME_KEYS.map(key => [key, 'string'])),
+  messages: { '*': 'string|array' },
+  'munitions?': { '*': 'integer' },
+  'weather?': {
+    'change_every?': 'integer',
+    conditions: [{
+      id: 'string',
+      'weight?': 'number',
+      'label?': 'string',
+      'accuracy?': 'number',
+      'star_shell_radius?': 'integer',
+      'hide_misses?': 'boolean'
+    }]
+  },
+  'videos?': { '*': 'string' },
+  'era_assets?': 'object',
+  'promotional?': {
+    'background_image?': 'string',
+    'promotional_image?': 'string',
+    'stripe_price_id?': 'string',
+    'tagline?': 'string',
+    'marketing_description?': 'string',
+    'features?': ['string']
+  },
+  alliances: [ALLIANCE_SCHEMA]
+};
+
+export const GAME_CONFIG_SCHEMA = {
+  version: 'string',
+  game_name: 'string',
+  system_messages: { '*': 'string' },
+  defense_modifiers: { '*': 'number' },
+  size_categories: { '*': ['integer'] },
+  ship_class_abbreviations: { '*': 'string' },
+  reveal_thresholds: {
+    size_hint_hits: 'integer',
+    critical_health_percent: 'number'
+  },
+  munitions_damage: { '*': 'number' },
+  ship_silhouettes: {
+    path_template: 'string',
+    'fallback?': 'string'
+  },
+  animations: { '*': 'number' },
+  'videos?': 'object',
+  'inactivity?': {
+    warning_timeout: 'integer',
+    logout_timeout: 'integer',
+    enabled: 'boolean'
+  },
+  'shot_clock?': {
+    enabled: 'boolean',
+    seconds: 'number',
+    'on_expire?': 'string'
+  },
+  'referral_email?': 'integer',
+  'referral_signup?': 'integer',
+  'purchase?': 'boolean',
+  rights_expiry: {
+    era_days: 'integer',
+    pass_days: 'integer',
+    expiring_soon_days: 'integer'
+  },
+  'products?': {
+    '*': {
+      type: 'string',
+      label: 'string',
+      'description?': 'string',
+      'passes?': 'integer',
+      stripe_price_id: 'string'
+    }
+  },
+  'debug?': 'object'
+};
+
+const ERA_LIST_SCHEMA = [{ id: 'string' }];
+
+// The fields the era cross-checks read - they only run when these match the schema
+const CROSS_CHECK_KEYS = ['rows', 'cols', 'max_players', 'terrain', 'game_rules', 'messages', 'alliances'];
+const ERA_CROSS_CHECK_SCHEMA = Object.fromEntries(CROSS_CHECK_KEYS.map(key => [key, ERA_SCHEMA[key]]));
+
+/**
+ * Type name of a JSON value as the schema spells it
+ * @param {*} value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * Check a value against a schema, appending readable errors
+ * @param {*} value - JSON value
+ * @param {string|Object|Array} schema - Schema (see notation above)
+ * @param {string} path - Path shown in errors (e.g. alliances[1].ships[0].size)
+ * @param {Array<string>} errors - Collected errors
+ */
+const checkSchema = (value, schema, path, errors) => {
+  if (typeof schema === 'string') {
+    const actual = typeOf(value);
+    const types = schema.split('|');
+    const matches = types.includes(actual) || (types.includes('number') && actual === 'integer');
+    if (!matches) {
+      errors.push(`${path} should be ${schema}, got ${actual}`);
+    }
+    return;
+  }
+
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value)) {
+      errors.push(`${path} should be array, got ${typeOf(value)}`);
+      return;
+    }
+    value.forEach((item, i) => checkSchema(item, schema[0], `${path}[${i}]`, errors));
+    return;
+  }
+
+  if (typeOf(value) !== 'object') {
+    errors.push(`${path} should be object, got ${typeOf(value)}`);
+    return;
+  }
+
+  const named = new Set();
+  for (const [rawKey, childSchema] of Object.entries(schema)) {
+    if (rawKey === '*') continue;
+
+    const optional = rawKey.endsWith('?');
+    const key = optional ? rawKey.slice(0, -1) : rawKey;
+    const childPath = path ? `${path}.${key}` : key;
+    named.add(key);
+
+    if (value[key] === undefined) {
+      if (!optional) {
+        errors.push(`${childPath} is missing`);
+      }
+      continue;
+    }
+    checkSchema(value[key], childSchema, childPath, errors);
+  }
+
+  if (schema['*']) {
+    for (const [key, child] of Object.entries(value)) {
+      if (!named.has(key)) {
+        checkSchema(child, schema['*'], path ? `${path}.${key}` : key, errors);
+      }
+    }
+  }
+};
+
+/**
+ * Validate game-config.json
+ * @param {Object} gameConfig
+ * @returns {Array<string>} Readable errors (empty when valid)
+ */
+export const validateGameConfig = (gameConfig) => {
+  const errors = [];
+  checkSchema(gameConfig, GAME_CONFIG_SCHEMA, '', errors);
+  if (errors.length > 0) return errors;
+
+  Object.entries(gameConfig.rights_expiry).forEach(([key, days]) => {
+    if (days < 1) {
+      errors.push(`rights_expiry.${key} must be at least 1 day`);
+    }
+  });
+
+  Object.entries(gameConfig.products || {}).forEach(([productId, product]) => {
+    if (!PRODUCT_TYPES.includes(product.type)) {
+      errors.push(`products.${productId}.type "${product.type}" is not one of ${PRODUCT_TYPES.join(', ')}`);
+    }
+    if (product.type === 'pass_pack' && !(product.passes > 0)) {
+      errors.push(`products.${productId}.passes must be at least 1 for a pass_pack`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Validate era-list.json
+ * @param {Array} eraList
+ * @returns {Array<string>} Readable errors (empty when valid)
+ */
+export const validateEraList = (eraList) => {
+  const errors = [];
+  checkSchema(eraList, ERA_LIST_SCHEMA, 'eras', errors);
+  if (errors.length > 0) return errors;
+
+  const seen = new Set();
+  eraList.forEach(({ id }) => {
+    if (seen.has(id)) {
+      errors.push(`era id "${id}" is listed more than once`);
+    }
+    seen.add(id);
+  });
+  return errors;
+};
+
+/**
+ * Validate an era config - schema first, then cross-checks between fields
+ * Cross-checks are skipped when the fields they read fail the schema (they assume the shape is right)
+ *
+ * @param {Object} eraConfig - Parsed era-{id}.json
+ * @param {Object|null} gameConfig - game-config.json, enables the ship class abbreviation check
+ * @returns {Array<string>} Readable errors (empty when valid)
+ *
+ * @example
+ * const errors = validateEraConfig(eraConfig, gameConfig);
+ * if (errors.length > 0) console.warn(errors.join('\n'));
+ */
+export const validateEraConfig = (eraConfig, gameConfig = null) => {
+  const errors = [];
+  checkSchema(eraConfig, ERA_SCHEMA, '', errors);
+
+  const shapeErrors = [];
+  checkSchema(eraConfig, ERA_CROSS_CHECK_SCHEMA, '', shapeErrors);
+  if (shapeErrors.length > 0) return errors;
+
+  const { rows, cols, terrain, game_rules: rules, alliances } = eraConfig;
+
+  // Terrain grid
+  if (terrain.length !== rows) {
+    errors.push(`terrain has ${terrain.length} rows, rows is ${rows}`);
+  }
+  terrain.forEach((row, r) => {
+    if (row.length !== cols) {
+      errors.push(`terrain[${r}] has ${row.length} columns, cols is ${cols}`);
+    }
+    row.forEach((cell, c) => {
+      if (!TERRAIN_TYPES.includes(cell)) {
+        errors.push(`terrain[${r}][${c}] "${cell}" is not a terrain type (${TERRAIN_TYPES.join(', ')})`);
+      }
+    });
+  });
+  const mapTerrain = new Set(terrain.flat());
+
+  // Game rules
+  if (rules.placement_restriction !== undefined && rules.placement_restriction > rows) {
+    errors.push(`game_rules.placement_restriction (${rules.placement_restriction}) is larger than rows (${rows})`);
+  }
+  for (const key of ['capture_chance', 'defection_chance', 'defection_health']) {
+    if (rules[key] !== undefined && (rules[key] < 0 || rules[key] > 1)) {
+      errors.push(`game_rules.${key} (${rules[key]}) should be between 0 and 1`);
+    }
+  }
+  if (rules.ship_movement_range !== undefined && rules.ship_movement_range < 1) {
+    errors.push(`game_rules.ship_movement_range (${rules.ship_movement_range}) should be at least 1`);
+  }
+
+  // Munitions that only work under another game rule
+  for (const munition of Object.values(MUNITIONS)) {
+    if (munition.gameRule && eraConfig.munitions?.[munition.countKey] > 0 && !rules[munition.gameRule]) {
+      errors.push(`munitions.${munition.countKey} needs game_rules.${munition.gameRule}`);
+    }
+  }
+
+  // Weather table
+  const weather = eraConfig.weather;
+  if (Array.isArray(weather?.conditions)) {
+    if (weather.change_every !== undefined && weather.change_every < 1) {
+      errors.push(`weather.change_every (${weather.change_every}) should be at least 1`);
+    }
+    weather.conditions.forEach((entry, i) => {
+      if (entry && !WEATHER[entry.id]) {
+        errors.push(`weather.conditions[${i}].id "${entry.id}" is not a weather condition (${Object.keys(WEATHER).join(', ')})`);
+      }
+      if (typeof entry?.accuracy === 'number' && (entry.accuracy < 0 || entry.accuracy > 1)) {
+        errors.push(`weather.conditions[${i}].accuracy (${entry.accuracy}) should be between 0 and 1`);
+      }
+    });
+    if (weather.conditions.length > 0 && !weather.conditions.some(entry => (entry?.weight ?? 1) > 0)) {
+      errors.push('weather.conditions has no entry with a weight above 0');
+    }
+  }
+
+  // Alliances, fleets and captains
+  if (alliances.length < 2) {
+    errors.push(`alliances has ${alliances.length} entries, needs at least 2`);
+  }
+
+  const captainIds = new Set();
+  const shipClasses = new Set();
+
+  const checkShips = (ships, path) => {
+    ships.forEach((ship, i) => {
+      const shipPath = `${path}[${i}]`;
+      shipClasses.add(ship.class);
+
+      if (ship.size < 1 || ship.size > Math.max(rows, cols)) {
+        errors.push(`${shipPath}.size (${ship.size}) does not fit a ${rows}x${cols} board`);
+      }
+      ship.terrain.forEach(t => {
+        if (!TERRAIN_TYPES.includes(t)) {
+          errors.push(`${shipPath}.terrain "${t}" is not a terrain type (${TERRAIN_TYPES.join(', ')})`);
+        }
+      });
+      if (!ship.terrain.some(t => mapTerrain.has(t))) {
+        errors.push(`${shipPath} (${ship.name}) terrain [${ship.terrain.join(', ')}] is not in the terrain map`);
+      }
+    });
+  };
+
+  const checkCaptain = (captain, path) => {
+    if (captainIds.has(captain.id)) {
+      errors.push(`${path}.id "${captain.id}" is used by another captain`);
+    }
+    captainIds.add(captain.id);
+
+    if (!AI_STRATEGIES.includes(captain.strategy)) {
+      errors.push(`${path}.strategy "${captain.strategy}" is not an AI strategy (${AI_STRATEGIES.join(', ')})`);
+    }
+  };
+
+  alliances.forEach((alliance, a) => {
+    const path = `alliances[${a}]`;
+
+    if (!alliance.ships && !alliance.pirate_fleets) {
+      errors.push(`${path} (${alliance.name}) needs ships or pirate_fleets`);
+    }
+    if (alliance.ships) {
+      checkShips(alliance.ships, `${path}.ships`);
+    }
+    (alliance.ai_captains || []).forEach((captain, c) => checkCaptain(captain, `${path}.ai_captains[${c}]`));
+    (alliance.pirate_fleets || []).forEach((fleet, f) => {
+      checkCaptain(fleet.ai_captain, `${path}.pirate_fleets[${f}].ai_captain`);
+      checkShips(fleet.ships, `${path}.pirate_fleets[${f}].ships`);
+    });
+  });
+
+  // Fleet selection (multi-fleet eras)
+  const fleetCount = alliances.reduce((count, alliance) => count + (alliance.pirate_fleets?.length || 0), 0);
+  const { fleet_selection_min: selectMin, fleet_selection_max: selectMax } = rules;
+  if (selectMin !== undefined && selectMax !== undefined && selectMin > selectMax) {
+    errors.push(`game_rules.fleet_selection_min (${selectMin}) is larger than fleet_selection_max (${selectMax})`);
+  }
+  if (rules.multi_fleet_combat) {
+    if (selectMax !== undefined && selectMax > fleetCount) {
+      errors.push(`game_rules.fleet_selection_max (${selectMax}) is larger than the number of pirate_fleets (${fleetCount})`);
+    }
+    if (selectMax !== undefined && selectMax + 1 > eraConfig.max_players) {
+      errors.push(`max_players (${eraConfig.max_players}) is too small for fleet_selection_max (${selectMax}) plus the player`);
+    }
+    for (let n = selectMin || 1; n <= (selectMax || 0); n++) {
+      if (rules.fleet_difficulty_multipliers && rules.fleet_difficulty_multipliers[n] === undefined) {
+        errors.push(`game_rules.fleet_difficulty_multipliers is missing an entry for ${n} fleet(s)`);
+      }
+    }
+  }
+
+  // Messages
+  MESSAGE_KEYS.forEach(key => {
+    if (!eraConfig.messages[key]) {
+      errors.push(`messages.${key} is missing`);
+    } else if (eraConfig.messages[key].length === 0) {
+      errors.push(`messages.${key} has no templates`);
+    }
+  });
+
+  // Ship classes need an abbreviation for the fleet sidebar
+  if (gameConfig?.ship_class_abbreviations) {
+    shipClasses.forEach(shipClass => {
+      if (!gameConfig.ship_class_abbreviations[shipClass]) {
+        errors.push(`ship class "${shipClass}" has no entry in game-config ship_class_abbreviations`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * One readable block for logs and error messages
+ * @param {string} file - Config file name
+ * @param {Array<string>} errors
+ * @returns {string}
+ */
+export const formatConfigErrors = (file, errors) => (
+  `${file} has ${errors.length} error${errors.length === 1 ? '' : 's'} (ConfigValidator ${version}):\n  - ${errors.join('\n  - ')}`
+);
+
+// EOF
@@ -1,5 +1,7 @@
 // src/utils/NavigationManager.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.1.4: Routes for online battles - /matchmaking and /waiting
+//         - Back from matchmaking returns to opponent selection (search is cancelled)
 // v0.1.3: Fixed query parameter preservation in initializeFromURL()
 //         - Now preserves query parameters when initializing from URL
 //         - Fixes issue where signup=true parameter was being stripped
@@ -19,7 +21,7 @@
 //         - Browser popstate event listener setup
 //         - Reduces CoreEngine by ~200 lines
 
-const version = "v0.1.3";
+const version = "v0.1.4";
 const tag = "NAVIGATION";
 const module = "NavigationManager";
 let method = "";
@@ -58,7 +60,9 @@ class NavigationManager {
       'login': '/login',
       'era': '/select-era',
       'opponent': '/select-opponent',
+      'matchmaking': '/matchmaking',
       'placement': '/placement',
+      'waiting': '/waiting',
       'play': '/battle',
       'over': '/results'
     };
@@ -215,6 +219,7 @@ class NavigationManager {
     method = 'isValidBackwardTransition';
     const backwardAllowed = {
       'opponent': ['era'],
+      'matchmaking': ['opponent'],
       'placement': ['opponent'],
       'over': ['era'],
       'achievements': ['era']
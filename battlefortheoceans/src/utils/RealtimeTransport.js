@@ -0,0 +1,156 @@
+// src/utils/RealtimeTransport.js
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.0: Pluggable realtime messaging for online (human vs human) battles
+//         - RealtimeTransport: subscribe(channelName, onMessage) -> { send(message), close() }
+//         - SupabaseTransport: Supabase Realtime broadcast channels (production)
+//         - LocalTransport: BroadcastChannel between tabs of one browser, in-memory hub
+//           where BroadcastChannel is missing - stand-in for tests and local development
+//         - createTransport() picks one (REACT_APP_REALTIME_TRANSPORT=local forces LocalTransport)
+
+const version = "v0.1.0";
+const tag = "TRANSPORT";
+const module = "RealtimeTransport";
+let method = "";
+
+const log = (message) => {
+  console.log(`[${tag}] ${version} ${module}.${method} : ${message}`);
+};
+
+/**
+ * RealtimeTransport
+ *
+ * Broadcast messaging between browsers. Every subscriber of a channel receives the
+ * messages the others send - never its own. Messages are plain JSON objects.
+ *
+ * Implementations override subscribe(). MatchService and RemoteMatch only use
+ * this interface, so a transport can be swapped without touching game code.
+ *
+ * @example
+ * const channel = await transport.subscribe('bfto-match-123', (message) => handle(message));
+ * await channel.send({ type: 'attack', row: 3, col: 4 });
+ * await channel.close();
+ */
+export class RealtimeTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Join a channel
+   * @param {string} channelName - Channel both peers agree on
+   * @param {Function} onMessage - Called with each message from the other subscribers
+   * @returns {Promise<{ send: Function, close: Function }>}
+   */
+  async subscribe(channelName, onMessage) {
+    throw new Error(`${this.name} transport does not implement subscribe()`);
+  }
+}
+
+/**
+ * Supabase Realtime broadcast channels
+ * No tables involved - messages go peer to peer through the Realtime server
+ */
+export class SupabaseTransport extends RealtimeTransport {
+  constructor(client) {
+    super('supabase');
+    this.client = client;
+  }
+
+  async subscribe(channelName, onMessage) {
+    method = 'subscribe';
+
+    const channel = this.client.channel(channelName, {
+      config: { broadcast: { self: false } }
+    });
+    channel.on('broadcast', { event: 'message' }, ({ payload }) => onMessage(payload));
+
+    await new Promise((resolve, reject) => {
+      channel.subscribe((status, error) => {
+        if (status === 'SUBSCRIBED') {
+          resolve();
+        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          reject(error || new Error(`Channel ${channelName}: ${status}`));
+        }
+      });
+    });
+
+    log(`Subscribed to ${channelName}`);
+    return {
+      send: (message) => channel.send({ type: 'broadcast', event: 'message', payload: message }),
+      close: () => this.client.removeChannel(channel)
+    };
+  }
+}
+
+/**
+ * Same-browser transport
+ * BroadcastChannel reaches every other subscriber with the same name - other tabs and
+ * other subscribers in this tab - so two tabs (or two RemoteMatch objects in one test)
+ * can play each other without a server.
+ */
+export class LocalTransport extends RealtimeTransport {
+  /**
+   * @param {string} namespace - Prefix for channel names (tests use their own to stay isolated)
+   */
+  constructor(namespace = 'bfto-local') {
+    super('local');
+    this.namespace = namespace;
+  }
+
+  async subscribe(channelName, onMessage) {
+    method = 'subscribe';
+    const name = `${this.namespace}:${channelName}`;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      const channel = new BroadcastChannel(name);
+      channel.onmessage = (event) => onMessage(event.data);
+      log(`Subscribed to ${name} (BroadcastChannel)`);
+      return {
+        send: async (message) => channel.postMessage(message),
+        close: async () => channel.close()
+      };
+    }
+
+    // No BroadcastChannel - in-memory hub, delivered asynchronously like a network
+    const listeners = hub.get(name) || new Set();
+    hub.set(name, listeners);
+    const listener = (message) => onMessage(message);
+    listeners.add(listener);
+    log(`Subscribed to ${name} (in-memory)`);
+    return {
+      send: async (message) => {
+        const copy = JSON.parse(JSON.stringify(message));
+        listeners.forEach(other => {
+          if (other !== listener) {
+            setTimeout(() => other(copy), 0);
+          }
+        });
+      },
+      close: async () => {
+        listeners.delete(listener);
+      }
+    };
+  }
+}
+
+// Channel name -> listeners, shared by every LocalTransport in this page
+const hub = new Map();
+
+/**
+ * Transport for online battles
+ * @param {Object|null} client - Supabase client (null in scripts and tests)
+ * @returns {RealtimeTransport}
+ */
+export function createTransport(client) {
+  method = 'createTransport';
+
+  if (process.env.REACT_APP_REALTIME_TRANSPORT === 'local' || !client?.channel) {
+    log('Using LocalTransport');
+    return new LocalTransport();
+  }
+
+  return new SupabaseTransport(client);
+}
+
+export default RealtimeTransport;
+// EOF
@@ -0,0 +1,94 @@
+// src/utils/SeededRandom.js
+// Copyright(c) 2025, Clint H. O'Connor
+// v0.1.0: Seedable pseudo-random number generator (mulberry32)
+//         - Same seed always produces the same sequence, so a battle can be replayed
+//         - Drop-in for Math.random() via next()
+//         - createSeed() is the only non-deterministic call
+
+const version = 'v0.1.0';
+
+/**
+ * SeededRandom - deterministic PRNG for game logic
+ *
+ * Game owns one instance (game.rng) and shares it with its Board and Players.
+ * Rendering/animation randomness stays on Math.random() - it never affects the outcome.
+ *
+ * @example
+ * const rng = new SeededRandom(12345);
+ * rng.next();           // 0.0 <= n < 1.0
+ * rng.nextInt(10);      // 0..9
+ * rng.pick(['a', 'b']); // 'a' or 'b'
+ */
+class SeededRandom {
+  /**
+   * @param {number|null} seed - 32-bit unsigned seed; null/undefined creates a fresh one
+   */
+  constructor(seed = null) {
+    this.seed = (seed === null || seed === undefined)
+      ? SeededRandom.createSeed()
+      : SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Create a new random seed
+   * @returns {number} 32-bit unsigned integer
+   */
+  static createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Accept numbers or numeric strings (seeds pasted from bug reports / game_results)
+   * @param {number|string} seed
+   * @returns {number} 32-bit unsigned integer
+   */
+  static normalizeSeed(seed) {
+    const value = Number(seed);
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid seed: ${seed}`);
+    }
+    return Math.floor(value) >>> 0;
+  }
+
+  /**
+   * Rewind to the start of the sequence
+   */
+  reset() {
+    this.state = this.seed;
+  }
+
+  /**
+   * Next float in [0, 1) - same contract as Math.random()
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Next integer in [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number}
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Pick a random element
+   * @param {Array} array
+   * @returns {*} Element, or undefined for an empty array
+   */
+  pick(array) {
+    if (!array || array.length === 0) return undefined;
+    return array[this.nextInt(array.length)];
+  }
+}
+
+export default SeededRandom;
+// EOF
@@ -1,12 +1,13 @@
 // src/utils/SoundManager.js
 // Copyright(c) 2025, Clint H. O'Connor
+// v0.1.2: No Audio (Node, headless simulator) - sounds stay disabled instead of logging 7 errors
 // v0.1.0: Extracted from Game.js v0.8.4
 //         - Sound initialization with CDN support
 //         - Sound playback with optional delay
 //         - Sound enable/disable toggle
 //         - Reduces Game.js by ~40 lines
 
-const version = "v0.1.1";
+const version = "v0.1.2";
 const tag = "SOUND";
 const module = "SoundManager";
 let method = "";
@@ -60,6 +61,12 @@ class SoundManager {
       funeralMarch: 'funeral-march.mp3'
     };
 
+    if (typeof Audio === 'undefined') {
+      this.soundEnabled = false;
+      this.log('Audio not available - sounds disabled');
+      return;
+    }
+
     Object.entries(soundFiles).forEach(([key, filename]) => {
       try {
         // Use assets/sounds path - if CDN is set, prepend it; otherwise use local path
@@ -0,0 +1,14 @@
+-- Add captain defeat tracking to game_results and user_profiles
+-- Written by GameStatsService.insertGameResults() and PlayerProfile.toDatabase()
+
+-- Captains whose fleets were sunk in this game: [{ captain_id, name, strategy, fleet_id }]
+ALTER TABLE game_results
+ADD COLUMN IF NOT EXISTS captains_defeated JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Captains beaten per era: { "<era_id>": { "<captain_id>": { name, strategy, defeats, first_defeated_at } } }
+ALTER TABLE user_profiles
+ADD COLUMN IF NOT EXISTS captains_defeated JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Add comments
+COMMENT ON COLUMN game_results.captains_defeated IS 'AI captains (era config ai_captain ids) whose fleets were sunk, including each pirate fleet';
+COMMENT ON COLUMN user_profiles.captains_defeated IS 'AI captains beaten per era - AchievementsPage roster, defeat_all_captains and defeat_ai_hunt achievements';
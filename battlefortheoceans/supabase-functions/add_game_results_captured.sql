@@ -0,0 +1,9 @@
+-- Add captured column to game_results table
+-- Counts ships the player captured during the game (era game_rules.ship_capture)
+
+-- Add the column
+ALTER TABLE game_results
+ADD COLUMN IF NOT EXISTS captured INTEGER NOT NULL DEFAULT 0;
+
+-- Add comment
+COMMENT ON COLUMN game_results.captured IS 'Ships captured by the player (ship_capture rule, see CombatResolver.captureShip)';
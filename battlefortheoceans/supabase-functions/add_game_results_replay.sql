@@ -0,0 +1,10 @@
+-- Add replay column to game_results table
+-- Stores the structured battle replay (see classes/ReplayRecorder.js): starting placements
+-- plus every attack, munition, torpedo path and result, for the OverPage/StatsPage replay viewer
+
+-- Add the column (NULL for games recorded before replays, or when the battle never started)
+ALTER TABLE game_results
+ADD COLUMN IF NOT EXISTS replay JSONB;
+
+-- Add comment
+COMMENT ON COLUMN game_results.replay IS 'Battle replay JSON (ReplayRecorder format); StatsPage lists replay->format and loads the full replay on demand';
@@ -0,0 +1,9 @@
+-- Add seed column to game_results table
+-- Stores the Game SeededRandom seed so a battle can be replayed exactly (CoreEngine.replaySeed)
+
+-- Add the column (32-bit unsigned seed does not fit INTEGER)
+ALTER TABLE game_results
+ADD COLUMN IF NOT EXISTS seed BIGINT;
+
+-- Add comment
+COMMENT ON COLUMN game_results.seed IS 'Game random seed (see utils/SeededRandom.js); NULL for games recorded before seeding';
@@ -0,0 +1,9 @@
+-- Add timeouts column to game_results table
+-- Counts turns where the player's shot clock expired (game-config shot_clock / era shot_clock_seconds)
+
+-- Add the column
+ALTER TABLE game_results
+ADD COLUMN IF NOT EXISTS timeouts INTEGER NOT NULL DEFAULT 0;
+
+-- Add comment
+COMMENT ON COLUMN game_results.timeouts IS 'Shot clock expirations for the player (see Game.handleTurnTimeout)';
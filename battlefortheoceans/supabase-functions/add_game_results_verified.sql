@@ -0,0 +1,10 @@
+-- Add verified column to game_results table
+-- False when an online opponent's revealed fleet did not match their commitment or the results
+-- they reported, or they never revealed it (RemoteMatch.verifyOpponent)
+
+-- Add the column (every game recorded so far counts)
+ALTER TABLE game_results
+ADD COLUMN IF NOT EXISTS verified BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Add comment
+COMMENT ON COLUMN game_results.verified IS 'False for an online battle whose opponent fleet failed the post-game check - left out of profile stats and recent champions';
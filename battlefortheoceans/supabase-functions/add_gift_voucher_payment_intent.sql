@@ -0,0 +1,61 @@
+-- Gift vouchers keyed by the payment intent that bought them
+-- Written by netlify/functions/stripe_webhook.js v0.2.5:
+--   vouchers.stripe_payment_intent_id - the gift purchase the voucher was generated for
+--   generate_gift_voucher()           - generate_voucher for a gift, once per payment intent;
+--                                       a retry after a crash gets the same code back
+
+ALTER TABLE vouchers
+ADD COLUMN IF NOT EXISTS stripe_payment_intent_id TEXT;
+
+-- One voucher per payment - of two deliveries racing for the same payment, the second fails
+-- and Stripe retries it, which then finds the first one's voucher
+CREATE UNIQUE INDEX IF NOT EXISTS vouchers_stripe_payment_intent_id_key
+  ON vouchers (stripe_payment_intent_id)
+  WHERE stripe_payment_intent_id IS NOT NULL;
+
+COMMENT ON COLUMN vouchers.stripe_payment_intent_id IS 'Stripe payment intent of the gift purchase that generated this voucher; NULL for every other voucher';
+
+-- The voucher is generated and tagged with its payment intent in one transaction, so a crash
+-- either leaves both or neither
+CREATE OR REPLACE FUNCTION generate_gift_voucher(
+  p_stripe_payment_intent_id TEXT,
+  p_type TEXT,
+  p_value TEXT,
+  p_created_by UUID,
+  p_email_sent_to TEXT
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_voucher_code TEXT;
+BEGIN
+  IF p_stripe_payment_intent_id IS NULL OR p_stripe_payment_intent_id = '' THEN
+    RAISE EXCEPTION 'Payment intent is required';
+  END IF;
+
+  SELECT voucher_code INTO v_voucher_code
+  FROM vouchers
+  WHERE stripe_payment_intent_id = p_stripe_payment_intent_id;
+
+  IF FOUND THEN
+    RETURN v_voucher_code;
+  END IF;
+
+  -- Gifts are not referrals - no rewards for either side
+  v_voucher_code := generate_voucher(p_type, p_value, 'gift', p_created_by, p_email_sent_to, 0, 0);
+
+  UPDATE vouchers
+  SET stripe_payment_intent_id = p_stripe_payment_intent_id
+  WHERE voucher_code = v_voucher_code;
+
+  RETURN v_voucher_code;
+END;
+$$;
+
+-- Only the webhook (service key) generates gifts
+REVOKE EXECUTE ON FUNCTION generate_gift_voucher(TEXT, TEXT, TEXT, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON FUNCTION generate_gift_voucher IS 'Generates the gift voucher for a Stripe payment intent, or returns the one already generated for it.';
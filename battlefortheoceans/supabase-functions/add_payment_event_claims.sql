@@ -0,0 +1,10 @@
+-- Claim time on the Stripe payment event audit table
+-- Written by netlify/functions/stripe_webhook.js v0.2.3:
+--   claimed_at - when the current attempt took the event; a 'processing' row whose claim is
+--                older than the webhook's PROCESSING_TIMEOUT_MS was abandoned (crash or
+--                timeout) and the next delivery claims it again
+
+ALTER TABLE payment_events
+ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+COMMENT ON COLUMN payment_events.claimed_at IS 'When the event was last claimed for handling (first delivery or a retry of a failed or abandoned attempt)';
@@ -0,0 +1,47 @@
+-- Stripe payment event audit table and user_rights revocation columns
+-- Written by netlify/functions/stripe_webhook.js (service key - no client access):
+--   payment_events - one row per Stripe event id; the primary key makes retried deliveries no-ops
+--   user_rights    - refunded or disputed purchases are expired and marked revoked
+
+-- =================================================================
+-- PAYMENT EVENTS
+-- =================================================================
+
+CREATE TABLE IF NOT EXISTS payment_events (
+  stripe_event_id TEXT PRIMARY KEY,
+  event_type TEXT NOT NULL,
+  payment_intent_id TEXT,
+  player_id UUID, -- no foreign key: the audit row outlives deleted players
+  rights_value TEXT,
+  amount INTEGER,
+  currency TEXT,
+  status TEXT NOT NULL DEFAULT 'processing'
+    CHECK (status IN ('processing', 'processed', 'ignored', 'failed')),
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS payment_events_payment_intent_idx ON payment_events (payment_intent_id);
+CREATE INDEX IF NOT EXISTS payment_events_player_idx ON payment_events (player_id);
+
+COMMENT ON TABLE payment_events IS 'Stripe webhook audit log (stripe_webhook.js); a repeated stripe_event_id is a retry and is not processed twice';
+COMMENT ON COLUMN payment_events.status IS 'processing (claimed), processed, ignored (unhandled type or nothing to change), failed (Stripe will retry)';
+COMMENT ON COLUMN payment_events.error IS 'Why handling failed, or the decline message of a payment_intent.payment_failed';
+
+-- Service key only - RLS on with no policies keeps the audit log away from clients
+ALTER TABLE payment_events ENABLE ROW LEVEL SECURITY;
+
+-- =================================================================
+-- USER RIGHTS REVOCATION
+-- =================================================================
+
+ALTER TABLE user_rights
+ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS revoked_reason TEXT;
+
+COMMENT ON COLUMN user_rights.revoked_at IS 'Set with expires_at when the purchase was refunded or disputed';
+COMMENT ON COLUMN user_rights.revoked_reason IS 'refund or dispute';
+
+-- The webhook looks rights up by payment intent (duplicate check, refunds, disputes)
+CREATE INDEX IF NOT EXISTS user_rights_stripe_payment_intent_idx ON user_rights (stripe_payment_intent_id);
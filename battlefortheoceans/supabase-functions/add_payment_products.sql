@@ -0,0 +1,12 @@
+-- Product and gift columns on the Stripe payment event audit table
+-- Written by netlify/functions/stripe_webhook.js v0.2.1 (pass packs, exclusive eras bundle, gifts):
+--   product_id   - game-config.json products key (NULL for single era purchases)
+--   voucher_code - voucher generated for a gift purchase; the webhook checks it so a
+--                  payment intent makes one voucher however many events deliver it
+
+ALTER TABLE payment_events
+ADD COLUMN IF NOT EXISTS product_id TEXT,
+ADD COLUMN IF NOT EXISTS voucher_code TEXT;
+
+COMMENT ON COLUMN payment_events.product_id IS 'game-config.json products key (pass_pack / era_bundle); NULL for a single era';
+COMMENT ON COLUMN payment_events.voucher_code IS 'Gift voucher generated for this payment (vouchers.voucher_code, purpose gift)';
@@ -0,0 +1,208 @@
+-- Player presence and challenges for the "Human Opponents" lobby
+-- Written by services/PresenceService.js:
+--   player_presence - one row per logged-in player, heartbeated while the app is open
+--   challenges      - a player asking another to battle in a specific era
+-- Names (player_presence.game_name, challenges.from_name) are copied from user_profiles by
+-- triggers - whatever the client sends is overwritten
+
+-- =================================================================
+-- PRESENCE
+-- =================================================================
+
+CREATE TABLE IF NOT EXISTS player_presence (
+  player_id UUID PRIMARY KEY REFERENCES user_profiles(id) ON DELETE CASCADE,
+  game_name TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'idle'
+    CHECK (status IN ('idle', 'in-era-select', 'in-battle')),
+  era_id TEXT,
+  last_seen TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS player_presence_last_seen_idx ON player_presence (last_seen);
+
+COMMENT ON TABLE player_presence IS 'Lobby presence (PresenceService); rows older than a few heartbeats are stale';
+COMMENT ON COLUMN player_presence.status IS 'idle (away or between games), in-era-select (choosing era/opponent - challengeable), in-battle';
+
+ALTER TABLE player_presence ENABLE ROW LEVEL SECURITY;
+
+-- Every logged-in player sees the lobby
+DROP POLICY IF EXISTS "Authenticated users can view presence" ON player_presence;
+CREATE POLICY "Authenticated users can view presence"
+  ON player_presence FOR SELECT
+  TO authenticated
+  USING (true);
+
+-- Players only write their own row
+DROP POLICY IF EXISTS "Users can insert own presence" ON player_presence;
+CREATE POLICY "Users can insert own presence"
+  ON player_presence FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = player_id);
+
+DROP POLICY IF EXISTS "Users can update own presence" ON player_presence;
+CREATE POLICY "Users can update own presence"
+  ON player_presence FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = player_id);
+
+DROP POLICY IF EXISTS "Users can delete own presence" ON player_presence;
+CREATE POLICY "Users can delete own presence"
+  ON player_presence FOR DELETE
+  TO authenticated
+  USING (auth.uid() = player_id);
+
+-- Lobby name is the player's profile name
+CREATE OR REPLACE FUNCTION set_presence_game_name()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  SELECT game_name INTO NEW.game_name FROM user_profiles WHERE id = NEW.player_id;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS player_presence_game_name ON player_presence;
+CREATE TRIGGER player_presence_game_name
+  BEFORE INSERT OR UPDATE ON player_presence
+  FOR EACH ROW EXECUTE FUNCTION set_presence_game_name();
+
+-- =================================================================
+-- CHALLENGES
+-- =================================================================
+
+CREATE TABLE IF NOT EXISTS challenges (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  from_player_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  from_name TEXT NOT NULL,
+  to_player_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  era_id TEXT NOT NULL,
+  era_name TEXT,
+  alliance TEXT,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled', 'expired')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  responded_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS challenges_to_player_idx ON challenges (to_player_id, status);
+
+COMMENT ON COLUMN challenges.alliance IS 'Challenger''s alliance in choose_alliance eras - the accepting player takes the other one';
+
+ALTER TABLE challenges ENABLE ROW LEVEL SECURITY;
+
+-- Both sides see the challenge
+DROP POLICY IF EXISTS "Users can view own challenges" ON challenges;
+CREATE POLICY "Users can view own challenges"
+  ON challenges FOR SELECT
+  TO authenticated
+  USING (auth.uid() = from_player_id OR auth.uid() = to_player_id);
+
+-- Only the challenger creates it
+DROP POLICY IF EXISTS "Users can send challenges" ON challenges;
+CREATE POLICY "Users can send challenges"
+  ON challenges FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = from_player_id AND from_player_id <> to_player_id);
+
+-- No UPDATE policy - challenges are answered through respond_challenge() below
+DROP POLICY IF EXISTS "Users can answer own challenges" ON challenges;
+
+-- Challenger's name is their profile name
+CREATE OR REPLACE FUNCTION set_challenge_from_name()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  SELECT game_name INTO NEW.from_name FROM user_profiles WHERE id = NEW.from_player_id;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS challenges_from_name ON challenges;
+CREATE TRIGGER challenges_from_name
+  BEFORE INSERT ON challenges
+  FOR EACH ROW EXECUTE FUNCTION set_challenge_from_name();
+
+-- Challenged player accepts or declines, challenger cancels - only while the challenge is pending.
+-- Returns the updated challenge, or NULL if it was already answered, expired or not the caller's.
+-- SECURITY DEFINER - clients have no UPDATE policy on challenges, so this is the only way to answer one.
+CREATE OR REPLACE FUNCTION respond_challenge(
+  p_challenge_id UUID,
+  p_status TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_challenge challenges%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF p_status IS NULL OR p_status NOT IN ('accepted', 'declined', 'cancelled') THEN
+    RAISE EXCEPTION 'Invalid challenge response: %', p_status;
+  END IF;
+
+  UPDATE challenges
+  SET status = p_status, responded_at = NOW()
+  WHERE id = p_challenge_id
+    AND status = 'pending'
+    AND auth.uid() = CASE WHEN p_status = 'cancelled' THEN from_player_id ELSE to_player_id END
+  RETURNING * INTO v_challenge;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN to_jsonb(v_challenge);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION respond_challenge(UUID, TEXT) TO authenticated;
+
+-- =================================================================
+-- EXPIRY
+-- =================================================================
+
+-- Removes presence rows nobody heartbeated for p_presence_seconds and expires
+-- challenges left unanswered for p_challenge_seconds.
+-- SECURITY DEFINER - a client may only write its own rows, but any client can tidy the lobby.
+CREATE OR REPLACE FUNCTION expire_stale_presence(
+  p_presence_seconds INTEGER DEFAULT 120,
+  p_challenge_seconds INTEGER DEFAULT 120
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_presence_removed INTEGER;
+  v_challenges_expired INTEGER;
+BEGIN
+  DELETE FROM player_presence
+  WHERE last_seen < NOW() - make_interval(secs => p_presence_seconds);
+  GET DIAGNOSTICS v_presence_removed = ROW_COUNT;
+
+  UPDATE challenges
+  SET status = 'expired', responded_at = NOW()
+  WHERE status = 'pending'
+    AND created_at < NOW() - make_interval(secs => p_challenge_seconds);
+  GET DIAGNOSTICS v_challenges_expired = ROW_COUNT;
+
+  RETURN jsonb_build_object(
+    'presence_removed', v_presence_removed,
+    'challenges_expired', v_challenges_expired
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION expire_stale_presence(INTEGER, INTEGER) TO authenticated;
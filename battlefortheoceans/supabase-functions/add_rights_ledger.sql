@@ -0,0 +1,215 @@
+-- Rights ledger - every credit, debit and revocation of a player's passes and era access
+-- Read by RightsService.getRightsLedger() (StatsPage "Passes & Access" tab) and by support:
+--   SELECT * FROM rights_ledger WHERE player_id = '...' ORDER BY created_at DESC;
+-- Written only by the database:
+--   credits     - trigger on user_rights INSERT (every grant path: client, webhook, voucher RPC)
+--   revocations - trigger on user_rights UPDATE of revoked_at (stripe_webhook.js refunds / disputes)
+--   debits      - consume_rights() (RightsService.consumeRights after a game), with era and game id
+-- Expiry is not a row - RightsService derives it from user_rights.expires_at
+
+-- =================================================================
+-- LEDGER TABLE
+-- =================================================================
+
+CREATE TABLE IF NOT EXISTS rights_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  player_id UUID NOT NULL,
+  rights_id UUID REFERENCES user_rights(id) ON DELETE SET NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('credit', 'debit', 'revoked')),
+  rights_type TEXT NOT NULL, -- 'pass' or 'era'
+  rights_value TEXT,         -- user_rights.rights_value (pass source, era id or generic 'era')
+  source TEXT,               -- credits: achievement, referral, bundle, admin, voucher, purchase; revoked: refund, dispute
+  amount INTEGER,            -- passes / plays added (+) or taken (-); NULL = unlimited
+  era_id TEXT,               -- debits: era played
+  game_id TEXT,              -- debits: Game.id of the game that used it
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS rights_ledger_player_idx ON rights_ledger (player_id, created_at DESC);
+
+COMMENT ON TABLE rights_ledger IS 'History of pass and era access credits, debits and revocations per player';
+
+-- Players read their own history; only the SECURITY DEFINER functions below write
+ALTER TABLE rights_ledger ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Players read own ledger" ON rights_ledger;
+CREATE POLICY "Players read own ledger" ON rights_ledger
+  FOR SELECT USING (auth.uid() = player_id);
+
+-- =================================================================
+-- CREDITS AND REVOCATIONS (triggers on user_rights)
+-- =================================================================
+
+-- Where a user_rights row came from
+CREATE OR REPLACE FUNCTION rights_ledger_source(p_right user_rights)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN p_right.rights_type = 'pass' THEN p_right.rights_value   -- creditPasses / pass vouchers record the source
+    WHEN p_right.stripe_payment_intent_id IS NOT NULL THEN 'purchase'
+    WHEN p_right.voucher_used IS NOT NULL THEN 'voucher'
+    ELSE 'admin'                                                     -- grantEraAccess without payment (dev/test bypass)
+  END;
+$$;
+
+CREATE OR REPLACE FUNCTION rights_ledger_on_insert()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO rights_ledger (player_id, rights_id, kind, rights_type, rights_value, source, amount, created_at)
+  VALUES (
+    NEW.player_id,
+    NEW.id,
+    'credit',
+    NEW.rights_type,
+    NEW.rights_value,
+    rights_ledger_source(NEW),
+    NULLIF(NEW.uses_remaining, -1),
+    COALESCE(NEW.created_at, NOW())
+  );
+  RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION rights_ledger_on_revoke()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO rights_ledger (player_id, rights_id, kind, rights_type, rights_value, source, amount, created_at)
+  VALUES (
+    NEW.player_id,
+    NEW.id,
+    'revoked',
+    NEW.rights_type,
+    NEW.rights_value,
+    NEW.revoked_reason,
+    -NULLIF(OLD.uses_remaining, -1),
+    NEW.revoked_at
+  );
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS rights_ledger_credit ON user_rights;
+CREATE TRIGGER rights_ledger_credit
+  AFTER INSERT ON user_rights
+  FOR EACH ROW EXECUTE FUNCTION rights_ledger_on_insert();
+
+DROP TRIGGER IF EXISTS rights_ledger_revoke ON user_rights;
+CREATE TRIGGER rights_ledger_revoke
+  AFTER UPDATE OF revoked_at ON user_rights
+  FOR EACH ROW
+  WHEN (OLD.revoked_at IS NULL AND NEW.revoked_at IS NOT NULL)
+  EXECUTE FUNCTION rights_ledger_on_revoke();
+
+-- Backfill credits for rights granted before the ledger existed
+-- (debits before this migration were never recorded - the balance shows what is left)
+INSERT INTO rights_ledger (player_id, rights_id, kind, rights_type, rights_value, source, amount, created_at)
+SELECT r.player_id, r.id, 'credit', r.rights_type, r.rights_value, rights_ledger_source(r), NULLIF(r.uses_remaining, -1), r.created_at
+FROM user_rights r
+WHERE NOT EXISTS (SELECT 1 FROM rights_ledger l WHERE l.rights_id = r.id AND l.kind = 'credit');
+
+-- =================================================================
+-- DEBITS (consume_rights records what it takes)
+-- =================================================================
+
+-- The two-argument version is replaced, not overloaded
+DROP FUNCTION IF EXISTS consume_rights(UUID, INTEGER);
+
+CREATE OR REPLACE FUNCTION consume_rights(
+  p_rights_id UUID,
+  p_uses_to_consume INTEGER DEFAULT 1,
+  p_era_id TEXT DEFAULT NULL,  -- era played (ledger)
+  p_game_id TEXT DEFAULT NULL  -- Game.id (ledger)
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_current_uses INTEGER;
+  v_new_uses INTEGER;
+  v_player_id UUID;
+  v_rights_type TEXT;
+  v_rights_value TEXT;
+  v_result JSONB;
+BEGIN
+  -- Input validation
+  IF p_rights_id IS NULL THEN
+    RAISE EXCEPTION 'Rights ID is required';
+  END IF;
+
+  IF p_uses_to_consume IS NULL OR p_uses_to_consume <= 0 THEN
+    RAISE EXCEPTION 'Uses to consume must be greater than 0';
+  END IF;
+
+  -- Get current uses_remaining and validate ownership
+  SELECT uses_remaining, player_id, rights_type, rights_value
+  INTO v_current_uses, v_player_id, v_rights_type, v_rights_value
+  FROM user_rights
+  WHERE id = p_rights_id;
+
+  -- Check if entry exists
+  IF v_current_uses IS NULL THEN
+    RAISE EXCEPTION 'Rights entry not found';
+  END IF;
+
+  -- Security: Verify the rights belong to the authenticated user
+  IF v_player_id::text != current_setting('request.jwt.claims', true)::json->>'sub' THEN
+    RAISE EXCEPTION 'You can only consume your own rights';
+  END IF;
+
+  -- Unlimited (-1) - nothing taken, nothing to record
+  IF v_current_uses = -1 THEN
+    SELECT to_jsonb(user_rights.*) INTO v_result
+    FROM user_rights
+    WHERE id = p_rights_id;
+
+    RETURN v_result;
+  END IF;
+
+  -- Check if already exhausted
+  IF v_current_uses <= 0 THEN
+    RAISE EXCEPTION 'Rights entry already exhausted';
+  END IF;
+
+  -- Calculate new uses (never negative)
+  v_new_uses := GREATEST(v_current_uses - p_uses_to_consume, 0);
+
+  UPDATE user_rights
+  SET
+    uses_remaining = v_new_uses,
+    updated_at = NOW()
+  WHERE id = p_rights_id;
+
+  INSERT INTO rights_ledger (player_id, rights_id, kind, rights_type, rights_value, amount, era_id, game_id)
+  VALUES (v_player_id, p_rights_id, 'debit', v_rights_type, v_rights_value, v_new_uses - v_current_uses, p_era_id, p_game_id);
+
+  SELECT to_jsonb(user_rights.*) INTO v_result
+  FROM user_rights
+  WHERE id = p_rights_id;
+
+  RAISE NOTICE 'Consumed % uses from % rights entry % for player % (era %, game %), new uses_remaining: %',
+    v_current_uses - v_new_uses, v_rights_type, p_rights_id, v_player_id, p_era_id, p_game_id, v_new_uses;
+
+  RETURN v_result;
+
+EXCEPTION
+  WHEN OTHERS THEN
+    RAISE EXCEPTION 'Failed to consume rights: %', SQLERRM;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION consume_rights(UUID, INTEGER, TEXT, TEXT) TO authenticated;
+
+COMMENT ON FUNCTION consume_rights(UUID, INTEGER, TEXT, TEXT) IS
+  'Consumes uses from a user_rights entry and records the debit in rights_ledger. Validates ownership server-side.';
@@ -0,0 +1,17 @@
+-- Add win streak columns to user_profiles table
+-- Written by PlayerProfile.toDatabase() (see classes/PlayerProfile.js updateWinStreaks/applyAbandonedGames)
+
+ALTER TABLE user_profiles
+ADD COLUMN IF NOT EXISTS current_win_streak INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS best_win_streak INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS win_streaks JSONB NOT NULL DEFAULT '{}'::jsonb,
+ADD COLUMN IF NOT EXISTS streak_incomplete_games INTEGER NOT NULL DEFAULT 0;
+
+-- Games abandoned before streaks existed should not end the first streak
+UPDATE user_profiles
+SET streak_incomplete_games = COALESCE(incomplete_games, 0)
+WHERE streak_incomplete_games = 0;
+
+-- Add comments
+COMMENT ON COLUMN user_profiles.win_streaks IS 'Per-era win streaks: { "<era_id>": { "current": n, "best": n } }';
+COMMENT ON COLUMN user_profiles.streak_incomplete_games IS 'incomplete_games already counted against the streaks - a higher incomplete_games at game start means games were abandoned';
@@ -0,0 +1,135 @@
+-- Voucher console (AdminVoucherPage) - admins and developers list, revoke and extend vouchers
+--   vouchers             - expires_at (redeem by), revoked_at / revoked_by
+--   redemption guard     - trigger refuses to mark a revoked or expired voucher redeemed, so
+--                          redeem_voucher_v2 (and every other redeem path) rolls back
+--   admin_revoke_vouchers / admin_extend_vouchers - unredeemed vouchers only
+--   "Admins read all vouchers" - the console lists every voucher, not only the admin's own
+
+-- =================================================================
+-- COLUMNS
+-- =================================================================
+
+ALTER TABLE vouchers
+ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS revoked_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN vouchers.expires_at IS 'Redeem by - NULL = never expires. Set from the voucher console';
+COMMENT ON COLUMN vouchers.revoked_at IS 'When an admin revoked this unredeemed voucher - it can no longer be redeemed';
+COMMENT ON COLUMN vouchers.revoked_by IS 'Admin who revoked the voucher';
+
+CREATE INDEX IF NOT EXISTS idx_vouchers_created_at ON vouchers (created_at DESC);
+
+-- =================================================================
+-- ADMIN CHECK AND READ POLICY
+-- =================================================================
+
+-- Same roles that see the admin menu in NavBar
+CREATE OR REPLACE FUNCTION is_voucher_admin()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM user_profiles
+    WHERE id = auth.uid()
+    AND role IN ('admin', 'developer')
+  );
+$$;
+
+DROP POLICY IF EXISTS "Admins read all vouchers" ON vouchers;
+CREATE POLICY "Admins read all vouchers" ON vouchers
+  FOR SELECT USING (is_voucher_admin());
+
+-- =================================================================
+-- REDEMPTION GUARD
+-- =================================================================
+
+CREATE OR REPLACE FUNCTION vouchers_guard_redeem()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.revoked_at IS NOT NULL THEN
+    RAISE EXCEPTION 'Voucher has been revoked';
+  END IF;
+
+  IF NEW.expires_at IS NOT NULL AND NEW.expires_at < NOW() THEN
+    RAISE EXCEPTION 'Voucher has expired';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS vouchers_guard_redeem ON vouchers;
+CREATE TRIGGER vouchers_guard_redeem
+  BEFORE UPDATE OF redeemed_at ON vouchers
+  FOR EACH ROW
+  WHEN (OLD.redeemed_at IS NULL AND NEW.redeemed_at IS NOT NULL)
+  EXECUTE FUNCTION vouchers_guard_redeem();
+
+-- =================================================================
+-- REVOKE AND EXTEND (unredeemed vouchers only)
+-- =================================================================
+
+CREATE OR REPLACE FUNCTION admin_revoke_vouchers(p_voucher_codes TEXT[])
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  IF NOT is_voucher_admin() THEN
+    RAISE EXCEPTION 'permission denied: admin only';
+  END IF;
+
+  UPDATE vouchers
+  SET revoked_at = NOW(),
+      revoked_by = auth.uid()
+  WHERE voucher_code = ANY(p_voucher_codes)
+  AND redeemed_at IS NULL
+  AND revoked_at IS NULL;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION admin_extend_vouchers(p_voucher_codes TEXT[], p_expires_at TIMESTAMPTZ)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  IF NOT is_voucher_admin() THEN
+    RAISE EXCEPTION 'permission denied: admin only';
+  END IF;
+
+  IF p_expires_at IS NULL OR p_expires_at <= NOW() THEN
+    RAISE EXCEPTION 'New expiry must be in the future';
+  END IF;
+
+  UPDATE vouchers
+  SET expires_at = p_expires_at
+  WHERE voucher_code = ANY(p_voucher_codes)
+  AND redeemed_at IS NULL
+  AND revoked_at IS NULL;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION admin_revoke_vouchers(TEXT[]) TO authenticated;
+GRANT EXECUTE ON FUNCTION admin_extend_vouchers(TEXT[], TIMESTAMPTZ) TO authenticated;
+
+COMMENT ON FUNCTION admin_revoke_vouchers(TEXT[]) IS 'Revokes unredeemed vouchers (voucher console). Returns the number revoked.';
+COMMENT ON FUNCTION admin_extend_vouchers(TEXT[], TIMESTAMPTZ) IS 'Sets a new redeem-by date on unredeemed vouchers (voucher console). Returns the number changed.';
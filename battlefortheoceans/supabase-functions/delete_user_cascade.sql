@@ -17,7 +17,9 @@ BEGIN
   DELETE FROM game_results WHERE player_id = v_user_id;
   RAISE NOTICE 'Deleted game_results';
   
-  -- 3. Delete user_rights (uses player_id, not user_id)
+  -- 3. Delete rights_ledger history, then user_rights (both use player_id, not user_id)
+  DELETE FROM rights_ledger WHERE player_id = v_user_id;
+  RAISE NOTICE 'Deleted rights_ledger';
   DELETE FROM user_rights WHERE player_id = v_user_id;
   RAISE NOTICE 'Deleted user_rights';
   
@@ -54,6 +56,8 @@ END $$;
 -- UNION ALL
 -- SELECT 'user_rights', COUNT(*) FROM user_rights WHERE player_id = '180e5efa-2c5f-4a19-b969-d67283def379'::UUID
 -- UNION ALL
+-- SELECT 'rights_ledger', COUNT(*) FROM rights_ledger WHERE player_id = '180e5efa-2c5f-4a19-b969-d67283def379'::UUID
+-- UNION ALL
 -- SELECT 'vouchers (created_by)', COUNT(*) FROM vouchers WHERE created_by = '180e5efa-2c5f-4a19-b969-d67283def379'::UUID
 -- UNION ALL
 -- SELECT 'vouchers (redeemed_by)', COUNT(*) FROM vouchers WHERE redeemed_by = '180e5efa-2c5f-4a19-b969-d67283def379'::UUID;